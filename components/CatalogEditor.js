@@ -0,0 +1,460 @@
+import { useState } from 'react';
+import { UNIT_TYPES, UNIT_LABELS, DESCRIPTION_TYPES } from '../lib/pricingCatalog';
+
+let nextKey = 0;
+
+/**
+ * Give a catalog entry a stable key for editing (stripped again before saving)
+ */
+export function withEditorKey(entry) {
+  nextKey += 1;
+  return { ...entry, key: `entry-${nextKey}` };
+}
+
+export default function CatalogEditor({ categories, onChange, showCustomOnly = false, showRetired = true }) {
+  const [newCategoryName, setNewCategoryName] = useState('');
+
+  const moveInList = (list, index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= list.length) return list;
+    const moved = [...list];
+    [moved[index], moved[target]] = [moved[target], moved[index]];
+    return moved;
+  };
+
+  const updateCategory = (categoryIndex, changes) => {
+    onChange(categories.map((category, i) => (i === categoryIndex ? { ...category, ...changes } : category)));
+  };
+
+  const updateItem = (categoryIndex, key, field, value) => {
+    const category = categories[categoryIndex];
+    updateCategory(categoryIndex, {
+      items: category.items.map(item => (item.key === key ? { ...item, [field]: value } : item))
+    });
+  };
+
+  const moveItem = (categoryIndex, key, direction) => {
+    const category = categories[categoryIndex];
+    const index = category.items.findIndex(item => item.key === key);
+    updateCategory(categoryIndex, { items: moveInList(category.items, index, direction) });
+  };
+
+  const removeItem = (categoryIndex, key) => {
+    const category = categories[categoryIndex];
+    updateCategory(categoryIndex, { items: category.items.filter(item => item.key !== key) });
+  };
+
+  const addItem = (categoryIndex) => {
+    const category = categories[categoryIndex];
+    updateCategory(categoryIndex, {
+      items: [
+        ...category.items,
+        withEditorKey({
+          item: '',
+          description: DESCRIPTION_TYPES[0],
+          unit: UNIT_TYPES.EA,
+          pricePerUnit: 0,
+          materialsCost: false,
+          materialsAllowance: 0,
+          hoursPerUnit: 0,
+          retired: false,
+          isNew: true
+        })
+      ]
+    });
+  };
+
+  const addCategory = () => {
+    const name = newCategoryName.trim();
+    if (!name) return;
+    if (categories.some(category => category.name.toLowerCase() === name.toLowerCase())) {
+      alert(`Category "${name}" already exists`);
+      return;
+    }
+    onChange([...categories, { name, items: [] }]);
+    setNewCategoryName('');
+  };
+
+  const isVisible = (item) => {
+    if (!showRetired && item.retired) return false;
+    if (showCustomOnly && Number(item.pricePerUnit) !== 0) return false;
+    return true;
+  };
+
+  return (
+    <div className="catalog-editor">
+      <datalist id="catalog-descriptions">
+        {DESCRIPTION_TYPES.map(desc => (
+          <option key={desc} value={desc} />
+        ))}
+      </datalist>
+
+      {categories.map((category, categoryIndex) => {
+        const visibleItems = category.items.filter(isVisible);
+        if (showCustomOnly && visibleItems.length === 0) return null;
+        const activeCount = category.items.filter(item => !item.retired).length;
+
+        return (
+          <div key={categoryIndex} className="category">
+            <div className="category-header">
+              <input
+                type="text"
+                className="category-name"
+                value={category.name}
+                onChange={e => updateCategory(categoryIndex, { name: e.target.value })}
+                aria-label="Category name"
+              />
+              <span className="count">{activeCount} active</span>
+              <div className="order-btns">
+                <button
+                  onClick={() => onChange(moveInList(categories, categoryIndex, -1))}
+                  disabled={categoryIndex === 0}
+                  title="Move category up"
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() => onChange(moveInList(categories, categoryIndex, 1))}
+                  disabled={categoryIndex === categories.length - 1}
+                  title="Move category down"
+                >
+                  ▼
+                </button>
+              </div>
+            </div>
+
+            {visibleItems.length > 0 && (
+              <table>
+                <thead>
+                  <tr>
+                    <th className="col-item">Item</th>
+                    <th className="col-desc">Description</th>
+                    <th className="col-unit">Unit</th>
+                    <th className="col-price">Price</th>
+                    <th className="col-materials">+ Materials</th>
+                    <th className="col-allowance" title="Default materials cost per unit">Allowance</th>
+                    <th className="col-hours" title="Labor hours per unit (production rate)">Hrs/Unit</th>
+                    <th className="col-actions"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleItems.map(item => {
+                    const itemIndex = category.items.indexOf(item);
+                    const isCustomPrice = Number(item.pricePerUnit) === 0;
+
+                    return (
+                      <tr key={item.key} className={item.retired ? 'retired' : ''}>
+                        <td className="col-item">
+                          <input
+                            type="text"
+                            value={item.item}
+                            onChange={e => updateItem(categoryIndex, item.key, 'item', e.target.value)}
+                            placeholder="Item name..."
+                          />
+                        </td>
+                        <td className="col-desc">
+                          <input
+                            type="text"
+                            list="catalog-descriptions"
+                            value={item.description}
+                            onChange={e => updateItem(categoryIndex, item.key, 'description', e.target.value)}
+                          />
+                        </td>
+                        <td className="col-unit">
+                          <select
+                            value={item.unit}
+                            onChange={e => updateItem(categoryIndex, item.key, 'unit', e.target.value)}
+                          >
+                            {Object.keys(UNIT_TYPES).map(unit => (
+                              <option key={unit} value={unit} title={UNIT_LABELS[unit]}>{unit}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="col-price">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={item.pricePerUnit}
+                            onChange={e => updateItem(categoryIndex, item.key, 'pricePerUnit', e.target.value)}
+                          />
+                          {isCustomPrice && (
+                            <span className="custom-badge" title="$0 in the catalog - priced per job">Custom</span>
+                          )}
+                        </td>
+                        <td className="col-materials">
+                          <input
+                            type="checkbox"
+                            checked={item.materialsCost}
+                            onChange={e => updateItem(categoryIndex, item.key, 'materialsCost', e.target.checked)}
+                          />
+                        </td>
+                        <td className="col-allowance">
+                          {item.materialsCost && (
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={item.materialsAllowance ?? 0}
+                              onChange={e => updateItem(categoryIndex, item.key, 'materialsAllowance', e.target.value)}
+                              title="Default materials cost per unit until a brand or model is given"
+                            />
+                          )}
+                        </td>
+                        <td className="col-hours">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.001"
+                            value={item.hoursPerUnit ?? 0}
+                            onChange={e => updateItem(categoryIndex, item.key, 'hoursPerUnit', e.target.value)}
+                            title="Labor hours per unit, used for the job's labor estimate"
+                          />
+                        </td>
+                        <td className="col-actions">
+                          <button
+                            onClick={() => moveItem(categoryIndex, item.key, -1)}
+                            disabled={itemIndex === 0}
+                            title="Move up"
+                          >
+                            ▲
+                          </button>
+                          <button
+                            onClick={() => moveItem(categoryIndex, item.key, 1)}
+                            disabled={itemIndex === category.items.length - 1}
+                            title="Move down"
+                          >
+                            ▼
+                          </button>
+                          {item.isNew ? (
+                            <button onClick={() => removeItem(categoryIndex, item.key)} title="Remove new item">
+                              🗑️
+                            </button>
+                          ) : (
+                            <button
+                              onClick={() => updateItem(categoryIndex, item.key, 'retired', !item.retired)}
+                              title={item.retired ? 'Restore item' : 'Retire item (hidden from new jobs)'}
+                            >
+                              {item.retired ? '↩️' : '🚫'}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+
+            {!showCustomOnly && (
+              <button className="add-item-btn" onClick={() => addItem(categoryIndex)}>
+                ➕ Add Item to {category.name || 'category'}
+              </button>
+            )}
+          </div>
+        );
+      })}
+
+      {!showCustomOnly && (
+        <div className="add-category">
+          <input
+            type="text"
+            value={newCategoryName}
+            onChange={e => setNewCategoryName(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && addCategory()}
+            placeholder="New category name..."
+          />
+          <button onClick={addCategory} disabled={!newCategoryName.trim()}>
+            ➕ Add Category
+          </button>
+        </div>
+      )}
+
+      <style jsx>{`
+        .catalog-editor {
+          display: flex;
+          flex-direction: column;
+          gap: 20px;
+        }
+
+        .category {
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+
+        .category-header {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          margin-bottom: 12px;
+        }
+
+        .category-name {
+          flex: 1;
+          font-size: 18px;
+          font-weight: 600;
+          color: #333;
+        }
+
+        .count {
+          font-size: 13px;
+          color: #999;
+          white-space: nowrap;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        th {
+          background: #f5f5f5;
+          padding: 10px 8px;
+          text-align: left;
+          font-weight: 600;
+          color: #555;
+          border-bottom: 2px solid #ddd;
+          white-space: nowrap;
+        }
+
+        td {
+          padding: 6px 8px;
+          border-bottom: 1px solid #eee;
+          vertical-align: middle;
+        }
+
+        tr.retired td {
+          opacity: 0.45;
+        }
+
+        tr.retired .col-actions {
+          opacity: 1;
+        }
+
+        .col-desc { width: 200px; }
+        .col-unit { width: 80px; }
+        .col-price { width: 170px; white-space: nowrap; }
+        .col-materials { width: 90px; text-align: center; }
+        .col-allowance { width: 110px; }
+        .col-hours { width: 100px; }
+        .col-actions { width: 130px; white-space: nowrap; }
+
+        input[type="text"],
+        input[type="number"],
+        select {
+          width: 100%;
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+          font-family: inherit;
+        }
+
+        input[type="number"] {
+          width: 90px;
+          text-align: right;
+        }
+
+        input:focus,
+        select:focus {
+          outline: none;
+          border-color: #4CAF50;
+          box-shadow: 0 0 0 2px rgba(76, 175, 80, 0.2);
+        }
+
+        input[type="checkbox"] {
+          width: 18px;
+          height: 18px;
+          cursor: pointer;
+        }
+
+        .custom-badge {
+          margin-left: 8px;
+          padding: 2px 8px;
+          background: #fff3cd;
+          border: 1px solid #ffc107;
+          border-radius: 10px;
+          color: #856404;
+          font-size: 11px;
+          font-weight: 600;
+          cursor: help;
+        }
+
+        .order-btns,
+        .col-actions {
+          display: flex;
+          gap: 4px;
+        }
+
+        .order-btns button,
+        .col-actions button {
+          background: none;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          padding: 4px 8px;
+          cursor: pointer;
+          font-size: 13px;
+          color: #555;
+        }
+
+        .order-btns button:hover:not(:disabled),
+        .col-actions button:hover:not(:disabled) {
+          background: #f0f0f0;
+        }
+
+        .order-btns button:disabled,
+        .col-actions button:disabled {
+          opacity: 0.3;
+          cursor: not-allowed;
+        }
+
+        .add-item-btn {
+          margin-top: 12px;
+          padding: 10px 16px;
+          background: #e8f5e9;
+          border: 2px dashed #4CAF50;
+          border-radius: 6px;
+          color: #4CAF50;
+          font-weight: 600;
+          cursor: pointer;
+          width: 100%;
+          font-size: 14px;
+        }
+
+        .add-item-btn:hover {
+          background: #c8e6c9;
+          border-style: solid;
+        }
+
+        .add-category {
+          display: flex;
+          gap: 12px;
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+
+        .add-category button {
+          padding: 10px 20px;
+          background: #e3f2fd;
+          border: 2px solid #2196F3;
+          border-radius: 6px;
+          color: #1976d2;
+          font-weight: 600;
+          font-size: 14px;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .add-category button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </div>
+  );
+}
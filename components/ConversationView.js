@@ -1,9 +1,10 @@
 import { useEffect, useRef } from 'react';
-import { speak, stopSpeaking } from '../lib/tts';
+import { speak, queueSpeech, stopSpeaking, takeCompleteSentences } from '../lib/tts';
 
-export default function ConversationView({ history, enableTTS = true, ttsLanguage = 'en' }) {
+export default function ConversationView({ history, enableTTS = true, ttsLanguage = 'en', warnings = [] }) {
   const lastMessageRef = useRef(null);
-  const processedMessagesRef = useRef(new Set());
+  // The part of the latest assistant message already handed to TTS
+  const spokenRef = useRef({ index: -1, text: '' });
 
   useEffect(() => {
     // Auto-scroll to latest message
@@ -11,15 +12,36 @@ export default function ConversationView({ history, enableTTS = true, ttsLanguag
       lastMessageRef.current.scrollIntoView({ behavior: 'smooth', block: 'end' });
     }
 
-    // Speak assistant messages
+    // Speak assistant messages - streamed replies are spoken sentence by sentence
     if (enableTTS && history.length > 0) {
-      const lastMessage = history[history.length - 1];
-      const messageKey = `${history.length - 1}-${lastMessage.content}`;
+      const lastIndex = history.length - 1;
+      const lastMessage = history[lastIndex];
       
-      if (lastMessage.role === 'assistant' && !processedMessagesRef.current.has(messageKey)) {
-        processedMessagesRef.current.add(messageKey);
+      if (lastMessage.role === 'assistant') {
+        // Start over for a new reply, or when a streamed reply was replaced
+        // at the same index (e.g. by an error message after a failed stream)
+        if (spokenRef.current.index !== lastIndex || !lastMessage.content.startsWith(spokenRef.current.text)) {
+          spokenRef.current = { index: lastIndex, text: '' };
+        }
+
+        const alreadySpoken = spokenRef.current.text.length;
+        const unspoken = lastMessage.content.slice(alreadySpoken);
+        let sentences = [];
+        if (lastMessage.streaming) {
+          const taken = takeCompleteSentences(unspoken);
+          sentences = taken.sentences;
+          spokenRef.current.text = lastMessage.content.slice(0, alreadySpoken + taken.consumed);
+        } else if (unspoken.trim()) {
+          sentences = [unspoken.trim()];
+          spokenRef.current.text = lastMessage.content;
+        }
+
         const langCode = ttsLanguage === 'es' ? 'es-ES' : 'en-US';
-        speak(lastMessage.content, { rate: 1.1, lang: langCode });
+        sentences.forEach((sentence, i) => {
+          // The first sentence of a new reply interrupts anything still being spoken
+          const speakFn = i === 0 && alreadySpoken === 0 ? speak : queueSpeech;
+          speakFn(sentence, { rate: 1.1, lang: langCode }).catch(() => {});
+        });
       }
     }
   }, [history, enableTTS, ttsLanguage]);
@@ -47,6 +69,9 @@ export default function ConversationView({ history, enableTTS = true, ttsLanguag
     );
   }
 
+  // Low-severity findings stay in the data table; the rest are worth raising while talking
+  const openWarnings = warnings.filter(warning => !warning.acknowledged && warning.severity !== 'low');
+
   return (
     <div className="conversation-view">
       <h3>Conversation</h3>
@@ -65,9 +90,22 @@ export default function ConversationView({ history, enableTTS = true, ttsLanguag
             </div>
             <div className="message-content">
               {msg.content}
+              {msg.streaming && <span className="typing-cursor">▍</span>}
             </div>
           </div>
         ))}
+        {openWarnings.length > 0 && (
+          <div className="message checks">
+            <div className="message-label">Checks</div>
+            <ul className="message-content">
+              {openWarnings.map(warning => (
+                <li key={warning.id}>
+                  {warning.severity === 'high' ? '🛑' : '⚠️'} {warning.message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
       
       <style jsx>{`
@@ -107,6 +145,17 @@ export default function ConversationView({ history, enableTTS = true, ttsLanguag
           margin-right: 20px;
         }
         
+        .message.checks {
+          background: #fff3cd;
+          margin-right: 20px;
+        }
+        
+        .message.checks ul {
+          margin: 0;
+          padding-left: 0;
+          list-style: none;
+        }
+        
         .message-label {
           font-size: 12px;
           font-weight: 600;
@@ -125,6 +174,17 @@ export default function ConversationView({ history, enableTTS = true, ttsLanguag
           color: #333;
           line-height: 1.5;
         }
+        
+        .typing-cursor {
+          display: inline-block;
+          margin-left: 2px;
+          color: #999;
+          animation: blink 1s steps(2, start) infinite;
+        }
+        
+        @keyframes blink {
+          to { visibility: hidden; }
+        }
       `}</style>
     </div>
   );
@@ -1,7 +1,71 @@
-import { formatPrice } from '../lib/pricingCatalog';
+import { formatPrice, BASE_PRICE_LIST } from '../lib/pricingCatalog';
+import { calculateJobTotals, DEFAULT_ADJUSTMENTS } from '../lib/jobTotals';
+import { estimateLabor, DEFAULT_LABOR_SETTINGS } from '../lib/laborEstimate';
+import { packageForLayout } from '../lib/turnoverPackages';
 
-export default function DataTable({ data, onEdit, editable = false }) {
-  const { workOrderNumber, unitNumber, address, unitSquareFeet, unitLayout, workItems } = data;
+const SEVERITY_ICONS = { high: '🛑', medium: '⚠️', low: 'ℹ️' };
+
+export default function DataTable({ data, onEdit, editable = false, priceListNames = [], onPriceListChange, catalogOutdated = false, onReprice, onConfirmMatch, onAdjustmentsChange, onLaborSettingsChange, warnings = [], onAcknowledgeWarning, companions = [], conflicts = [], onAddCompanion, onDismissCompanion, packages = [], onApplyPackage }) {
+  const { workOrderNumber, unitNumber, address, unitSquareFeet, unitLayout, priceList, catalogVersion, workItems } = data;
+  const suggestedPackage = packageForLayout(packages, unitLayout);
+  // Inputs keep the raw text being typed; totals normalize it
+  const adjustments = { ...DEFAULT_ADJUSTMENTS, ...data.adjustments };
+  const totals = calculateJobTotals(workItems, adjustments);
+  const canEditAdjustments = editable && !!onAdjustmentsChange;
+  const laborSettings = { ...DEFAULT_LABOR_SETTINGS, ...data.laborSettings };
+  const laborEstimate = estimateLabor(workItems, laborSettings);
+  const canEditLabor = editable && !!onLaborSettingsChange;
+  // Items in an open high-severity warning are highlighted in the table
+  const flaggedItemIds = new Set(
+    warnings.filter(warning => warning.severity === 'high' && !warning.acknowledged).flatMap(warning => warning.itemIds)
+  );
+
+  const updateAdjustments = (changes) => {
+    onAdjustmentsChange({ ...adjustments, ...changes });
+  };
+
+  const updateFlatCharge = (listName, index, field, value) => {
+    updateAdjustments({
+      [listName]: adjustments[listName].map((charge, i) => (i === index ? { ...charge, [field]: value } : charge))
+    });
+  };
+
+  const renderFlatCharges = (listName, title, placeholder) => (
+    <div className="flat-charges">
+      <span className="label">{title}</span>
+      {adjustments[listName].map((charge, index) => (
+        <div key={index} className="flat-charge">
+          <input
+            type="text"
+            value={charge.label}
+            placeholder={placeholder}
+            onChange={e => updateFlatCharge(listName, index, 'label', e.target.value)}
+          />
+          <span className="currency">$</span>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={charge.amount}
+            onChange={e => updateFlatCharge(listName, index, 'amount', e.target.value)}
+          />
+          <button
+            className="remove-charge-btn"
+            onClick={() => updateAdjustments({ [listName]: adjustments[listName].filter((_, i) => i !== index) })}
+            title="Remove"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        className="add-charge-btn"
+        onClick={() => updateAdjustments({ [listName]: [...adjustments[listName], { label: '', amount: 0 }] })}
+      >
+        ➕ Add
+      </button>
+    </div>
+  );
 
   return (
     <div className="data-table">
@@ -38,9 +102,85 @@ export default function DataTable({ data, onEdit, editable = false }) {
             <span className="label">Unit Layout:</span>
             <span className="value">{unitLayout || '—'}</span>
           </div>
+          <div className="info-item">
+            <span className="label">Price List:</span>
+            {editable && onPriceListChange && priceListNames.length > 0 ? (
+              <select
+                className="price-list-select"
+                value={priceList || ''}
+                onChange={e => onPriceListChange(e.target.value)}
+              >
+                <option value="">{BASE_PRICE_LIST}</option>
+                {priceListNames.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            ) : (
+              <span className="value">{priceList || BASE_PRICE_LIST}</span>
+            )}
+          </div>
+          {(data.package || (editable && onApplyPackage && packages.length > 0)) && (
+            <div className="info-item">
+              <span className="label">Package:</span>
+              {editable && onApplyPackage && packages.length > 0 ? (
+                <select
+                  className="price-list-select"
+                  value=""
+                  onChange={e => e.target.value && onApplyPackage(e.target.value)}
+                  title="Add a standard turn's lines - quantities come from the unit SF and layout"
+                >
+                  <option value="">{data.package ? `${data.package} (apply another…)` : 'Apply a standard turn…'}</option>
+                  {packages.map(pkg => (
+                    <option key={pkg.name} value={pkg.name}>
+                      {pkg.name}{pkg === suggestedPackage ? ' (matches layout)' : ''}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <span className="value">{data.package}</span>
+              )}
+            </div>
+          )}
+          {catalogVersion && (
+            <div className="info-item">
+              <span className="label">Catalog Version:</span>
+              <span className="value">
+                v{catalogVersion.version} ({catalogVersion.effectiveDate})
+                {catalogOutdated && editable && onReprice && (
+                  <button className="reprice-btn" onClick={onReprice} title="A newer catalog is in effect">
+                    🔄 Reprice to current
+                  </button>
+                )}
+              </span>
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Sanity Checks */}
+      {warnings.length > 0 && (
+        <div className="section">
+          <h4>Checks ({warnings.filter(warning => !warning.acknowledged).length} open)</h4>
+          <ul className="warnings">
+            {warnings.map(warning => (
+              <li key={warning.id} className={`warning ${warning.severity}${warning.acknowledged ? ' acknowledged' : ''}`}>
+                <span className="warning-icon" title={`${warning.severity} severity`}>
+                  {SEVERITY_ICONS[warning.severity]}
+                </span>
+                <span className="warning-message">{warning.message}</span>
+                {warning.acknowledged ? (
+                  <span className="acknowledged-label">✓ Acknowledged</span>
+                ) : editable && onAcknowledgeWarning && (
+                  <button className="acknowledge-btn" onClick={() => onAcknowledgeWarning(warning.id)}>
+                    {warning.severity === 'high' ? 'Acknowledge' : 'Dismiss'}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Work Items */}
       <div className="section">
         <h4>Work Items ({workItems.length})</h4>
@@ -59,21 +199,50 @@ export default function DataTable({ data, onEdit, editable = false }) {
                   <th>Multiplier</th>
                   <th>Price Per Unit</th>
                   <th>Total</th>
+                  <th>Materials</th>
                   <th>Notes</th>
                 </tr>
               </thead>
               <tbody>
                 {workItems.map((item) => (
-                  <tr key={item.id}>
+                  <tr
+                    key={item.id}
+                    className={[item.needsConfirmation && 'needs-confirmation', flaggedItemIds.has(item.id) && 'flagged'].filter(Boolean).join(' ')}
+                  >
                     <td>
                       <span className={`badge ${item.category.replace(/\s+/g, '-').toLowerCase()}`}>
                         {item.category}
                       </span>
                     </td>
-                    <td className="item-name">{item.item || '—'}</td>
+                    <td className="item-name">
+                      {item.item || '—'}
+                      {item.needsConfirmation && (
+                        <div className="match-warning">
+                          <span
+                            title={item.matchScore
+                              ? `Heard "${item.matchedFrom}" - closest catalog item`
+                              : 'No catalog item matched - priced at $0'}
+                          >
+                            ⚠️ {item.matchScore ? `${Math.round(item.matchScore * 100)}% match for "${item.matchedFrom}"` : 'Not in catalog'}
+                          </span>
+                          {editable && onConfirmMatch && (
+                            <button className="confirm-match-btn" onClick={() => onConfirmMatch(item.id)}>
+                              ✓ Confirm
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
                     <td>{item.description || '—'}</td>
                     <td><span className="unit-badge">{item.unit || '—'}</span></td>
-                    <td className="numeric">{item.multiplier || '—'}</td>
+                    <td className="numeric">
+                      {item.multiplier || '—'}
+                      {item.calculation && (
+                        <span className="calc-link" title={item.calculation}>
+                          🧮
+                        </span>
+                      )}
+                    </td>
                     <td className="numeric">1</td>
                     <td className="numeric">
                       {item.pricePerUnit ? formatPrice(item.pricePerUnit, item.materialsCost) : '—'}
@@ -81,17 +250,56 @@ export default function DataTable({ data, onEdit, editable = false }) {
                     <td className="total">
                       {item.total ? `$${item.total.toFixed(2)}` : '—'}
                     </td>
-                    <td className="notes-cell">{item.notes || '—'}</td>
+                    <td className="total materials">
+                      {item.materialsTotal ? `$${item.materialsTotal.toFixed(2)}` : '—'}
+                      {item.materialsNote && (
+                        <div className="materials-note" title={`$${Number(item.materialsPerUnit).toFixed(2)} per ${item.unit}`}>
+                          {item.materialsNote}
+                        </div>
+                      )}
+                    </td>
+                    <td className="notes-cell">
+                      {item.notes || '—'}
+                      {item.sourcePhotoId && (
+                        <span className="photo-link" title={`Suggested from photo: ${item.sourcePhotoName || item.sourcePhotoId}`}>
+                          📷
+                        </span>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
               <tfoot>
-                <tr>
+                {totals.materialsSubtotal > 0 && (
+                  <tr>
+                    <td colSpan="7" className="total-label">Labor / Materials</td>
+                    <td className="total">${totals.laborSubtotal.toFixed(2)}</td>
+                    <td className="total materials">${totals.materialsSubtotal.toFixed(2)}</td>
+                    <td></td>
+                  </tr>
+                )}
+                {(totals.lines.length > 0 || totals.materialsSubtotal > 0) && (
+                  <tr>
+                    <td colSpan="7" className="total-label">Subtotal</td>
+                    <td className="total">${totals.subtotal.toFixed(2)}</td>
+                    <td colSpan="2"></td>
+                  </tr>
+                )}
+                {totals.lines.map(line => (
+                  <tr key={line.key} className="adjustment-row">
+                    <td colSpan="7" className="total-label">{line.label}</td>
+                    <td className={`total ${line.amount < 0 ? 'discount' : ''}`}>
+                      {line.amount < 0 ? '−' : ''}${Math.abs(line.amount).toFixed(2)}
+                    </td>
+                    <td colSpan="2"></td>
+                  </tr>
+                ))}
+                <tr className="grand-total-row">
                   <td colSpan="7" className="total-label">Grand Total</td>
                   <td className="total grand-total">
-                    ${workItems.reduce((sum, item) => sum + (item.total || 0), 0).toFixed(2)}
+                    ${totals.grandTotal.toFixed(2)}
                   </td>
-                  <td></td>
+                  <td colSpan="2"></td>
                 </tr>
               </tfoot>
             </table>
@@ -99,6 +307,149 @@ export default function DataTable({ data, onEdit, editable = false }) {
         )}
       </div>
 
+      {/* Companion items from the item rules */}
+      {(companions.length > 0 || conflicts.length > 0) && (
+        <div className="section">
+          <h4>Item Rules</h4>
+          <ul className="companions">
+            {conflicts.map(conflict => (
+              <li key={conflict.key} className="companion conflict">
+                <span className="companion-message">⛔ {conflict.message}</span>
+              </li>
+            ))}
+            {companions.map(suggestion => (
+              <li key={suggestion.key} className={`companion ${suggestion.type === 'requires' ? 'required' : ''}`}>
+                <span className="companion-message">
+                  {suggestion.forItems[0].item} {suggestion.type === 'requires' ? 'requires' : 'is usually done with'}{' '}
+                  <strong>{suggestion.companion.item}</strong>
+                  {suggestion.companion.description ? ` (${suggestion.companion.description})` : ''}
+                </span>
+                {editable && onAddCompanion && (
+                  <button className="add-companion-btn" onClick={() => onAddCompanion(suggestion)}>
+                    ➕ Add {suggestion.amount} {suggestion.unit}
+                  </button>
+                )}
+                {editable && onDismissCompanion && (
+                  <button className="acknowledge-btn" onClick={() => onDismissCompanion(suggestion.key)}>
+                    Dismiss
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Labor Estimate */}
+      {workItems.length > 0 && (
+        <div className="section">
+          <h4>Labor Estimate</h4>
+          {canEditLabor && (
+            <div className="adjustments-grid">
+              <label className="percent-field">
+                <span className="label">Crew Size</span>
+                <span>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={laborSettings.crewSize}
+                    onChange={e => onLaborSettingsChange({ ...laborSettings, crewSize: e.target.value })}
+                  />
+                  people
+                </span>
+              </label>
+              <label className="percent-field">
+                <span className="label">Work Day</span>
+                <span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="24"
+                    step="0.5"
+                    value={laborSettings.hoursPerDay}
+                    onChange={e => onLaborSettingsChange({ ...laborSettings, hoursPerDay: e.target.value })}
+                  />
+                  hrs
+                </span>
+              </label>
+            </div>
+          )}
+          {laborEstimate.totalHours > 0 ? (
+            <div className="labor-summary">
+              <div className="trade-hours">
+                {laborEstimate.trades.map(({ trade, hours }) => (
+                  <span key={trade} className="trade-chip">{trade}: {hours} hrs</span>
+                ))}
+              </div>
+              <p className="labor-total">
+                <strong>{laborEstimate.totalHours} labor hours</strong>
+                {' '}≈ {laborEstimate.days} {laborEstimate.days === 1 ? 'day' : 'days'} with a crew of {laborEstimate.crewSize}
+                {' '}({laborEstimate.hoursPerDay} hr days)
+              </p>
+            </div>
+          ) : (
+            <p className="empty">No work items with a production rate yet</p>
+          )}
+          {laborEstimate.unratedItems > 0 && (
+            <p className="labor-note">
+              {laborEstimate.unratedItems} {laborEstimate.unratedItems === 1 ? 'item has' : 'items have'} no production rate and {laborEstimate.unratedItems === 1 ? 'is' : 'are'} not included
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Adjustments */}
+      {canEditAdjustments && workItems.length > 0 && (
+        <div className="section">
+          <h4>Adjustments</h4>
+          <div className="adjustments-grid">
+            <label className="percent-field">
+              <span className="label">Markup</span>
+              <span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={adjustments.markupPercent}
+                  onChange={e => updateAdjustments({ markupPercent: e.target.value })}
+                />
+                %
+              </span>
+            </label>
+            <label className="percent-field">
+              <span className="label">Overhead</span>
+              <span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={adjustments.overheadPercent}
+                  onChange={e => updateAdjustments({ overheadPercent: e.target.value })}
+                />
+                %
+              </span>
+            </label>
+            <label className="percent-field">
+              <span className="label" title="Applied to + Materials items only">Sales Tax (Materials)</span>
+              <span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={adjustments.materialsTaxPercent}
+                  onChange={e => updateAdjustments({ materialsTaxPercent: e.target.value })}
+                />
+                %
+              </span>
+            </label>
+          </div>
+          <div className="adjustments-grid">
+            {renderFlatCharges('tripCharges', 'Trip Charges', 'Trip Charge')}
+            {renderFlatCharges('discounts', 'Discounts', 'Reason')}
+          </div>
+        </div>
+      )}
 
       <style jsx>{`
         .data-table {
@@ -176,6 +527,26 @@ export default function DataTable({ data, onEdit, editable = false }) {
           font-size: 14px;
         }
         
+        .reprice-btn {
+          margin-left: 8px;
+          padding: 2px 8px;
+          background: #fff3cd;
+          border: 1px solid #ffc107;
+          border-radius: 4px;
+          color: #856404;
+          font-size: 12px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+        
+        .price-list-select {
+          padding: 4px 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+          font-family: inherit;
+        }
+        
         .empty {
           color: #999;
           font-style: italic;
@@ -270,6 +641,137 @@ export default function DataTable({ data, onEdit, editable = false }) {
           max-width: 200px;
         }
         
+        tr.needs-confirmation td {
+          background: #fffbea;
+        }
+        
+        .match-warning {
+          display: flex;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 6px;
+          margin-top: 4px;
+          font-size: 12px;
+          font-weight: 400;
+          color: #856404;
+          cursor: help;
+        }
+        
+        tr.flagged td {
+          background: #fdecea;
+        }
+        
+        .warnings {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+        
+        .warning {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 12px;
+          border-radius: 6px;
+          font-size: 14px;
+          background: #f5f5f5;
+          color: #333;
+        }
+        
+        .warning.high {
+          background: #fdecea;
+          color: #b71c1c;
+        }
+        
+        .warning.medium {
+          background: #fff3cd;
+          color: #856404;
+        }
+        
+        .warning.acknowledged {
+          opacity: 0.6;
+        }
+        
+        .warning-message {
+          flex: 1;
+        }
+        
+        .acknowledged-label {
+          font-size: 12px;
+          color: #666;
+        }
+        
+        .acknowledge-btn {
+          padding: 2px 8px;
+          background: white;
+          border: 1px solid currentColor;
+          border-radius: 4px;
+          color: inherit;
+          font-size: 12px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+        
+        .companions {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+        
+        .companion {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 12px;
+          border-radius: 6px;
+          font-size: 14px;
+          background: #e3f2fd;
+          color: #1565c0;
+        }
+        
+        .companion.required {
+          background: #fff3cd;
+          color: #856404;
+        }
+        
+        .companion.conflict {
+          background: #fdecea;
+          color: #b71c1c;
+        }
+        
+        .companion-message {
+          flex: 1;
+        }
+        
+        .add-companion-btn {
+          padding: 2px 8px;
+          background: white;
+          border: 1px solid currentColor;
+          border-radius: 4px;
+          color: inherit;
+          font-size: 12px;
+          font-weight: 600;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+        
+        .confirm-match-btn {
+          padding: 2px 8px;
+          background: #fff3cd;
+          border: 1px solid #ffc107;
+          border-radius: 4px;
+          color: #856404;
+          font-size: 12px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+        
         .unit-badge {
           display: inline-block;
           padding: 2px 6px;
@@ -292,11 +794,29 @@ export default function DataTable({ data, onEdit, editable = false }) {
           line-height: 1.4;
         }
         
+        .photo-link,
+        .calc-link {
+          margin-left: 6px;
+          cursor: help;
+        }
+        
         .total {
           font-weight: 600;
           text-align: right;
         }
         
+        .total.materials {
+          font-weight: 500;
+          color: #555;
+        }
+        
+        .materials-note {
+          font-size: 11px;
+          font-weight: 400;
+          color: #999;
+          cursor: help;
+        }
+        
         .total-label {
           text-align: right;
           font-weight: 600;
@@ -309,11 +829,117 @@ export default function DataTable({ data, onEdit, editable = false }) {
         }
         
         tfoot td {
-          border-top: 2px solid #ddd;
           border-bottom: none;
+          padding-top: 6px;
+          padding-bottom: 6px;
+        }
+        
+        tfoot tr:first-child td {
+          border-top: 2px solid #ddd;
           padding-top: 12px;
         }
         
+        .adjustment-row .total-label {
+          font-weight: 400;
+        }
+        
+        .total.discount {
+          color: #2e7d32;
+        }
+        
+        .grand-total-row td {
+          border-top: 1px solid #ddd;
+        }
+        
+        .adjustments-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: 12px;
+          margin-bottom: 12px;
+        }
+        
+        .percent-field,
+        .flat-charges {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+        
+        .adjustments-grid input {
+          padding: 4px 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+          font-family: inherit;
+        }
+        
+        .percent-field input {
+          width: 80px;
+          margin-right: 4px;
+          text-align: right;
+        }
+        
+        .flat-charge {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+        }
+        
+        .flat-charge input[type="text"] {
+          flex: 1;
+          min-width: 0;
+        }
+        
+        .flat-charge input[type="number"] {
+          width: 90px;
+          text-align: right;
+        }
+        
+        .currency {
+          color: #666;
+        }
+        
+        .remove-charge-btn,
+        .add-charge-btn {
+          background: none;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          padding: 4px 8px;
+          font-size: 12px;
+          color: #555;
+          cursor: pointer;
+        }
+        
+        .add-charge-btn {
+          align-self: flex-start;
+        }
+        
+        .trade-hours {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin-bottom: 8px;
+        }
+        
+        .trade-chip {
+          padding: 4px 10px;
+          background: #f5f5f5;
+          border-radius: 12px;
+          font-size: 13px;
+          color: #555;
+        }
+        
+        .labor-total {
+          margin: 0;
+          color: #333;
+        }
+        
+        .labor-note {
+          margin: 8px 0 0 0;
+          font-size: 13px;
+          color: #999;
+        }
+        
       `}</style>
     </div>
   );
@@ -0,0 +1,283 @@
+import { describeSync } from '../lib/syncQueue';
+import { BUNDLE_EXTENSION } from '../lib/jobBundle';
+
+const STEP_LABELS = {
+  input: '🎤 Input',
+  review: '📝 Review',
+  scopes: '✨ Scopes',
+  submitted: '✅ Submitted'
+};
+
+export default function JobList({ jobs, currentKey, isLoading = false, onOpen, onNewJob, onDuplicate, onDelete, onExport, onImport, onReopen, isReopening = false, onClose }) {
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      onImport(file);
+    }
+  };
+
+  return (
+    <div className="job-list">
+      <div className="job-list-header">
+        <h2>📋 Jobs on this device</h2>
+        <div className="header-actions">
+          <button className="btn btn-secondary" onClick={onClose}>← Back to Current Job</button>
+          <label className="btn btn-secondary" title="Open a job exported from another device">
+            ⬆️ Import
+            <input type="file" accept={`${BUNDLE_EXTENSION},application/json`} onChange={handleImportFile} hidden />
+          </label>
+          <button className="btn btn-secondary" onClick={() => onReopen()} disabled={isReopening} title="Load a submitted job back from its sheet tab to amend it">
+            {isReopening ? '⏳ Reopening...' : '↩️ Reopen from Sheet'}
+          </button>
+          <button className="btn btn-primary" onClick={onNewJob}>➕ New Job</button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="empty">Loading drafts...</p>
+      ) : jobs.length === 0 ? (
+        <p className="empty">No saved jobs yet - jobs are saved here as you work on them.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>WO #</th>
+              <th>Unit</th>
+              <th>Address</th>
+              <th className="numeric">Items</th>
+              <th className="numeric">Total</th>
+              <th>Step</th>
+              <th>Saved</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {jobs.map(job => (
+              <tr key={job.key} className={job.key === currentKey ? 'current' : ''}>
+                <td className="wo">{job.workOrderNumber || <span className="muted">No WO yet</span>}</td>
+                <td>{job.unitNumber || '—'}</td>
+                <td>{job.address || '—'}</td>
+                <td className="numeric">{job.itemCount || 0}</td>
+                <td className="numeric">${(job.total || 0).toFixed(2)}</td>
+                <td>
+                  <span className={`step step-${job.step}`}>{STEP_LABELS[job.step] || job.step}</span>
+                  {job.syncStatus && (
+                    <div className={`sync sync-${job.syncStatus}`}>
+                      {describeSync({ action: job.syncAction, status: job.syncStatus })}
+                    </div>
+                  )}
+                </td>
+                <td className="saved">{new Date(job.updatedAt).toLocaleString()}</td>
+                <td className="row-actions">
+                  {job.key === currentKey ? (
+                    <span className="current-label">Open</span>
+                  ) : (
+                    <button className="action-btn" onClick={() => onOpen(job.key)}>Open</button>
+                  )}
+                  <button className="action-btn" onClick={() => onDuplicate(job.key)} title="Start the next unit from this job's items">
+                    Duplicate
+                  </button>
+                  <button className="action-btn" onClick={() => onExport(job.key)} title="Download the whole job as one file">
+                    Export
+                  </button>
+                  <button className="action-btn delete" onClick={() => onDelete(job)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <style jsx>{`
+        .job-list {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+        }
+
+        .job-list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 12px;
+          flex-wrap: wrap;
+          margin-bottom: 16px;
+        }
+
+        .job-list-header h2 {
+          margin: 0;
+          font-size: 20px;
+          color: #333;
+        }
+
+        .header-actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .empty {
+          color: #999;
+          font-style: italic;
+          padding: 20px;
+          text-align: center;
+          background: #f9f9f9;
+          border-radius: 6px;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        th {
+          background: #f5f5f5;
+          padding: 10px 8px;
+          text-align: left;
+          font-weight: 600;
+          color: #555;
+          border-bottom: 2px solid #ddd;
+          white-space: nowrap;
+        }
+
+        td {
+          padding: 8px;
+          border-bottom: 1px solid #eee;
+          vertical-align: middle;
+        }
+
+        tr.current td {
+          background: #e3f2fd;
+        }
+
+        .numeric {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+          white-space: nowrap;
+        }
+
+        .wo {
+          font-weight: 600;
+          color: #333;
+        }
+
+        .muted {
+          color: #999;
+          font-weight: normal;
+          font-style: italic;
+        }
+
+        .saved {
+          font-size: 12px;
+          color: #666;
+          white-space: nowrap;
+        }
+
+        .step {
+          display: inline-block;
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 12px;
+          font-weight: 600;
+          white-space: nowrap;
+          background: #f0f0f0;
+          color: #555;
+        }
+
+        .step-scopes {
+          background: #fff3cd;
+          color: #856404;
+        }
+
+        .step-submitted {
+          background: #e8f5e9;
+          color: #2e7d32;
+        }
+
+        .sync {
+          margin-top: 4px;
+          font-size: 12px;
+          color: #1565c0;
+          white-space: nowrap;
+        }
+
+        .sync-failed {
+          color: #c62828;
+        }
+
+        .row-actions {
+          display: flex;
+          gap: 6px;
+          justify-content: flex-end;
+          white-space: nowrap;
+        }
+
+        .action-btn {
+          padding: 4px 10px;
+          background: white;
+          border: 1px solid #2196F3;
+          border-radius: 4px;
+          color: #2196F3;
+          font-size: 13px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .action-btn:hover {
+          background: #e3f2fd;
+        }
+
+        .action-btn.delete {
+          border-color: #f44336;
+          color: #f44336;
+        }
+
+        .action-btn.delete:hover {
+          background: #ffebee;
+        }
+
+        .current-label {
+          padding: 4px 10px;
+          font-size: 13px;
+          font-weight: 600;
+          color: #1565c0;
+        }
+
+        .btn {
+          padding: 10px 20px;
+          border: none;
+          border-radius: 6px;
+          font-size: 15px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .btn-primary {
+          background: #2196F3;
+          color: white;
+        }
+
+        .btn-primary:hover {
+          background: #1976D2;
+        }
+
+        .btn-secondary {
+          background: #6c757d;
+          color: white;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #5a6268;
+        }
+
+        .btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </div>
+  );
+}
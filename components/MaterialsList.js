@@ -0,0 +1,241 @@
+import { buildMaterialsList, materialsListToCSV, DEFAULT_MATERIALS_SETTINGS, MATERIAL_GROUPS } from '../lib/materialsList';
+
+// Settings the lead can tune per job
+const SETTING_FIELDS = [
+  { key: 'plankWastePercent', label: 'Plank Waste', suffix: '%', step: '1' },
+  { key: 'plankBoxSF', label: 'Plank Box', suffix: 'SF', step: '0.1' },
+  { key: 'moldingWastePercent', label: 'Molding Waste', suffix: '%', step: '1' },
+  { key: 'baseStickFt', label: 'Base Stick', suffix: 'ft', step: '1' },
+  { key: 'paintCoverageSF', label: 'Paint Coverage', suffix: 'SF/gal', step: '10' }
+];
+
+export default function MaterialsList({ workItems, settings, onSettingsChange, editable = false, workOrderNumber }) {
+  // Inputs keep the raw text being typed; the list normalizes it
+  const currentSettings = { ...DEFAULT_MATERIALS_SETTINGS, ...settings };
+  const lines = buildMaterialsList(workItems, currentSettings);
+
+  const handleDownloadCSV = () => {
+    const blob = new Blob([materialsListToCSV(lines)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${workOrderNumber || 'turnover'}-materials.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="materials-list">
+      <div className="list-header">
+        <h3>🛒 Materials List</h3>
+        <button className="csv-btn" onClick={handleDownloadCSV} disabled={lines.length === 0}>
+          ⬇️ Download CSV
+        </button>
+      </div>
+
+      {editable && onSettingsChange && (
+        <div className="settings">
+          {SETTING_FIELDS.map(field => (
+            <label key={field.key}>
+              <span className="label">{field.label}</span>
+              <span>
+                <input
+                  type="number"
+                  min="0"
+                  step={field.step}
+                  value={currentSettings[field.key]}
+                  onChange={e => onSettingsChange({ ...currentSettings, [field.key]: e.target.value })}
+                />
+                {field.suffix}
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {lines.length === 0 ? (
+        <p className="empty">No paint, flooring, molding or fixture items yet</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Material</th>
+              <th className="numeric">Quantity</th>
+              <th>Unit</th>
+              <th>Basis</th>
+            </tr>
+          </thead>
+          {MATERIAL_GROUPS.filter(group => lines.some(line => line.group === group)).map(group => (
+            <tbody key={group}>
+              <tr className="group-row">
+                <td colSpan="4">{group}</td>
+              </tr>
+              {lines.filter(line => line.group === group).map(line => (
+                <tr key={line.key}>
+                  <td className="material">{line.material}</td>
+                  <td className="numeric quantity">{line.quantity}</td>
+                  <td><span className="unit-badge">{line.unit}</span></td>
+                  <td className="basis">{line.basis}</td>
+                </tr>
+              ))}
+            </tbody>
+          ))}
+        </table>
+      )}
+
+      <p className="hint">
+        The list is also written to a "{workOrderNumber || 'WO#'} Materials" tab when the job is submitted.
+      </p>
+
+      <style jsx>{`
+        .materials-list {
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+
+        .list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 20px;
+        }
+
+        h3 {
+          margin: 0;
+          color: #333;
+        }
+
+        .csv-btn {
+          padding: 8px 16px;
+          background: #e3f2fd;
+          border: 2px solid #2196F3;
+          border-radius: 6px;
+          color: #1976d2;
+          font-weight: 600;
+          font-size: 14px;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .csv-btn:hover:not(:disabled) {
+          background: #2196F3;
+          color: white;
+        }
+
+        .csv-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .settings {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+          gap: 12px;
+          margin-bottom: 20px;
+        }
+
+        .settings label {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 13px;
+          color: #555;
+        }
+
+        .label {
+          font-size: 12px;
+          font-weight: 600;
+          color: #666;
+          text-transform: uppercase;
+        }
+
+        .settings input {
+          width: 70px;
+          margin-right: 4px;
+          padding: 4px 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+          font-family: inherit;
+          text-align: right;
+        }
+
+        .empty {
+          color: #999;
+          font-style: italic;
+          padding: 20px;
+          text-align: center;
+          background: #f9f9f9;
+          border-radius: 6px;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        th {
+          background: #f5f5f5;
+          padding: 10px;
+          text-align: left;
+          font-weight: 600;
+          color: #555;
+          border-bottom: 2px solid #ddd;
+        }
+
+        td {
+          padding: 10px;
+          border-bottom: 1px solid #eee;
+          color: #333;
+        }
+
+        .group-row td {
+          background: #fafafa;
+          font-weight: 600;
+          color: #555;
+          font-size: 12px;
+          text-transform: uppercase;
+        }
+
+        .material {
+          font-weight: 500;
+        }
+
+        .numeric {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .quantity {
+          font-weight: 600;
+        }
+
+        .unit-badge {
+          display: inline-block;
+          padding: 2px 6px;
+          background: #f5f5f5;
+          border-radius: 3px;
+          font-size: 11px;
+          font-weight: 600;
+          color: #666;
+        }
+
+        .basis {
+          font-size: 13px;
+          color: #999;
+        }
+
+        .hint {
+          margin: 16px 0 0 0;
+          font-size: 13px;
+          color: #999;
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import { useRef, useState } from 'react';
 import { compressImage, getBase64Size } from '../lib/imageCompression';
 
-export default function PhotoGallery({ photos, onPhotosChange }) {
+export default function PhotoGallery({ photos, onPhotosChange, onSuggestWorkItems, isSuggesting = false }) {
   const fileInputRef = useRef(null);
   const [selectedPhoto, setSelectedPhoto] = useState(null);
   const [isCompressing, setIsCompressing] = useState(false);
@@ -86,6 +86,16 @@ export default function PhotoGallery({ photos, onPhotosChange }) {
             onChange={handleFileSelect}
             style={{ display: 'none' }}
           />
+          {onSuggestWorkItems && photos.length > 0 && (
+            <button
+              onClick={onSuggestWorkItems}
+              className="btn btn-secondary"
+              disabled={isSuggesting || isCompressing}
+              title="Have the assistant propose work items from these photos"
+            >
+              {isSuggesting ? '⏳ Analyzing...' : '✨ Suggest Work Items'}
+            </button>
+          )}
           <button onClick={handleCameraCapture} className="btn btn-primary">
             📸 Add Photo
           </button>
@@ -206,6 +216,8 @@ export default function PhotoGallery({ photos, onPhotosChange }) {
         .header-actions {
           display: flex;
           gap: 12px;
+          flex-wrap: wrap;
+          justify-content: flex-end;
         }
 
         .btn {
@@ -227,6 +239,22 @@ export default function PhotoGallery({ photos, onPhotosChange }) {
           background: #45a049;
         }
 
+        .btn-secondary {
+          background: #e3f2fd;
+          color: #1976d2;
+          border: 2px solid #2196F3;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #2196F3;
+          color: white;
+        }
+
+        .btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
         .empty-state {
           padding: 60px 20px;
           text-align: center;
@@ -0,0 +1,163 @@
+import { formatPrice } from '../lib/pricingCatalog';
+
+export default function PhotoSuggestions({ suggestions, photos, onAccept, onDismiss }) {
+  if (!suggestions || suggestions.length === 0) {
+    return null;
+  }
+
+  const getPhoto = (photoId) => photos.find(p => String(p.id) === String(photoId));
+
+  return (
+    <div className="photo-suggestions">
+      <div className="suggestions-header">
+        <h3>✨ Suggested Work Items ({suggestions.length})</h3>
+        <p className="hint">Tap ✅ to add a suggestion to the data table.</p>
+      </div>
+
+      <div className="suggestion-list">
+        {suggestions.map(suggestion => {
+          const photo = getPhoto(suggestion.sourcePhotoId);
+          return (
+            <div key={suggestion.id} className="suggestion-card">
+              {photo && (
+                <img src={photo.url} alt={photo.name} className="suggestion-thumb" />
+              )}
+              <div className="suggestion-body">
+                <div className="finding">{suggestion.finding}</div>
+                <div className="proposal">
+                  → <strong>{suggestion.item}</strong> ({suggestion.description}), ~{suggestion.multiplier} {suggestion.unit}
+                </div>
+                <div className="meta">
+                  {suggestion.category}
+                  {suggestion.pricePerUnit ? ` · ${formatPrice(suggestion.pricePerUnit, suggestion.materialsCost)} / ${suggestion.unit}` : ''}
+                  {suggestion.notes ? ` · ${suggestion.notes}` : ''}
+                </div>
+              </div>
+              <div className="suggestion-actions">
+                <button
+                  className="accept-btn"
+                  onClick={() => onAccept(suggestion)}
+                  title="Add to work items"
+                >
+                  ✅
+                </button>
+                <button
+                  className="dismiss-btn"
+                  onClick={() => onDismiss(suggestion)}
+                  title="Dismiss suggestion"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <style jsx>{`
+        .photo-suggestions {
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+
+        .suggestions-header {
+          margin-bottom: 16px;
+        }
+
+        h3 {
+          margin: 0;
+          color: #333;
+        }
+
+        .hint {
+          margin: 6px 0 0 0;
+          font-size: 13px;
+          color: #666;
+        }
+
+        .suggestion-list {
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+        }
+
+        .suggestion-card {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          padding: 12px;
+          border: 2px solid #e0e0e0;
+          border-radius: 8px;
+        }
+
+        .suggestion-thumb {
+          width: 64px;
+          height: 64px;
+          object-fit: cover;
+          border-radius: 6px;
+          flex-shrink: 0;
+        }
+
+        .suggestion-body {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .finding {
+          font-size: 13px;
+          color: #666;
+          font-style: italic;
+        }
+
+        .proposal {
+          font-size: 15px;
+          color: #333;
+          margin: 4px 0;
+        }
+
+        .meta {
+          font-size: 12px;
+          color: #999;
+        }
+
+        .suggestion-actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .accept-btn,
+        .dismiss-btn {
+          width: 48px;
+          height: 48px;
+          border-radius: 8px;
+          font-size: 20px;
+          cursor: pointer;
+          touch-action: manipulation;
+          transition: all 0.2s;
+        }
+
+        .accept-btn {
+          background: #e8f5e9;
+          border: 2px solid #4CAF50;
+        }
+
+        .accept-btn:hover {
+          background: #c8e6c9;
+        }
+
+        .dismiss-btn {
+          background: #f5f5f5;
+          border: 2px solid #ddd;
+          color: #666;
+        }
+
+        .dismiss-btn:hover {
+          background: #ffebee;
+          border-color: #f44336;
+        }
+      `}</style>
+    </div>
+  );
+}
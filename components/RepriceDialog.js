@@ -0,0 +1,236 @@
+export default function RepriceDialog({ isOpen, onClose, changes, fromVersion, toVersion, onApply }) {
+  if (!isOpen) return null;
+
+  const totalChange = changes.reduce((sum, change) => sum + (change.newTotal - change.oldTotal), 0);
+  const formatChange = (value) => `${value >= 0 ? '+' : '−'}$${Math.abs(value).toFixed(2)}`;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🔄 Reprice to Current Catalog</h2>
+          <button className="close-btn" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="versions">
+            Priced against <strong>v{fromVersion?.version}</strong> ({fromVersion?.effectiveDate}).
+            Current catalog is <strong>v{toVersion?.version}</strong> ({toVersion?.effectiveDate}).
+          </p>
+
+          {changes.length === 0 ? (
+            <p className="empty">No line prices change - repricing only updates the catalog version on this job.</p>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Amount</th>
+                  <th className="numeric">Old Price</th>
+                  <th className="numeric">New Price</th>
+                  <th className="numeric">Old Total</th>
+                  <th className="numeric">New Total</th>
+                  <th className="numeric">Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map(change => (
+                  <tr key={change.id}>
+                    <td>
+                      <div className="item-name">{change.item}</div>
+                      <div className="item-meta">{change.category} · {change.description}</div>
+                    </td>
+                    <td>{change.amount} {change.unit}</td>
+                    <td className="numeric">${change.oldPrice.toFixed(2)}</td>
+                    <td className="numeric">${change.newPrice.toFixed(2)}</td>
+                    <td className="numeric">${change.oldTotal.toFixed(2)}</td>
+                    <td className="numeric">${change.newTotal.toFixed(2)}</td>
+                    <td className={`numeric ${change.newTotal >= change.oldTotal ? 'up' : 'down'}`}>
+                      {formatChange(change.newTotal - change.oldTotal)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan="6" className="total-label">Grand Total Change</td>
+                  <td className={`numeric ${totalChange >= 0 ? 'up' : 'down'}`}>{formatChange(totalChange)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Keep v{fromVersion?.version} Prices
+          </button>
+          <button className="btn btn-primary" onClick={onApply}>
+            {changes.length > 0 ? `Apply ${changes.length} Price Change${changes.length > 1 ? 's' : ''}` : 'Update Version'}
+          </button>
+        </div>
+      </div>
+
+      <style jsx>{`
+        .modal-overlay {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.7);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          padding: 20px;
+        }
+
+        .modal-content {
+          background: white;
+          border-radius: 12px;
+          width: 95%;
+          max-width: 900px;
+          max-height: 90vh;
+          display: flex;
+          flex-direction: column;
+          box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+        }
+
+        .modal-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 20px 24px;
+          border-bottom: 2px solid #e0e0e0;
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 20px;
+          color: #333;
+        }
+
+        .close-btn {
+          background: none;
+          border: none;
+          font-size: 24px;
+          cursor: pointer;
+          color: #666;
+          padding: 4px 8px;
+          border-radius: 4px;
+        }
+
+        .close-btn:hover {
+          background: #f0f0f0;
+          color: #333;
+        }
+
+        .modal-body {
+          flex: 1;
+          overflow: auto;
+          padding: 20px 24px;
+        }
+
+        .versions {
+          margin: 0 0 16px 0;
+          color: #555;
+        }
+
+        .empty {
+          color: #999;
+          font-style: italic;
+          padding: 20px;
+          text-align: center;
+          background: #f9f9f9;
+          border-radius: 6px;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        th {
+          background: #f5f5f5;
+          padding: 10px 8px;
+          text-align: left;
+          font-weight: 600;
+          color: #555;
+          border-bottom: 2px solid #ddd;
+          white-space: nowrap;
+        }
+
+        td {
+          padding: 8px;
+          border-bottom: 1px solid #eee;
+          vertical-align: middle;
+        }
+
+        .numeric {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+          white-space: nowrap;
+        }
+
+        .item-name {
+          font-weight: 600;
+          color: #333;
+        }
+
+        .item-meta {
+          font-size: 12px;
+          color: #999;
+        }
+
+        .up {
+          color: #c62828;
+          font-weight: 600;
+        }
+
+        .down {
+          color: #2e7d32;
+          font-weight: 600;
+        }
+
+        tfoot td {
+          background: #f5f5f5;
+          font-weight: 600;
+        }
+
+        .total-label {
+          text-align: right;
+          color: #555;
+        }
+
+        .modal-footer {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          padding: 16px 24px;
+          border-top: 2px solid #e0e0e0;
+        }
+
+        .btn {
+          padding: 12px 24px;
+          border: none;
+          border-radius: 6px;
+          font-size: 15px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .btn-secondary {
+          background: #6c757d;
+          color: white;
+        }
+
+        .btn-primary {
+          background: #4CAF50;
+          color: white;
+        }
+      `}</style>
+    </div>
+  );
+}
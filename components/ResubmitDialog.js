@@ -0,0 +1,337 @@
+export default function ResubmitDialog({ conflict, isSubmitting = false, onClose, onConfirm }) {
+  if (!conflict) return null;
+
+  const { sheetName, sheetUrl, revision, nextRevision, archiveName, previous, changes } = conflict;
+  const totalChange = changes.grandTotal.to - changes.grandTotal.from;
+  const formatChange = (value) => `${value >= 0 ? '+' : '−'}$${Math.abs(value).toFixed(2)}`;
+  const hasChanges = changes.fields.length > 0 || changes.added.length > 0 || changes.removed.length > 0 ||
+    changes.changed.length > 0 || changes.scopesChanged || changes.photos.from !== changes.photos.to;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>📄 WO #{sheetName} Already Submitted</h2>
+          <button className="close-btn" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="summary">
+            The sheet already has <strong>revision {revision}</strong>
+            {previous.unitNumber && <> for unit <strong>{previous.unitNumber}</strong></>}
+            {previous.address && <> at <strong>{previous.address}</strong></>}
+            {sheetUrl && <> (<a href={sheetUrl} target="_blank" rel="noopener noreferrer">open sheet</a>)</>}.
+            Submitting writes <strong>revision {nextRevision}</strong> and keeps the current tab as <strong>&quot;{archiveName}&quot;</strong>.
+          </p>
+
+          {!changes.sameUnit && (
+            <p className="mismatch">
+              ⚠️ The unit or address on the sheet is different from this job. If the work order number was mistyped, cancel and correct it.
+            </p>
+          )}
+
+          {!hasChanges && (
+            <p className="empty">Nothing on the sheet changes - resubmitting only creates a new revision.</p>
+          )}
+
+          {changes.fields.length > 0 && (
+            <section>
+              <h3>Job Details</h3>
+              <ul>
+                {changes.fields.map(field => (
+                  <li key={field.label}>
+                    <strong>{field.label}:</strong> <span className="from">{field.from || '(blank)'}</span> → {field.to || '(blank)'}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {(changes.added.length > 0 || changes.removed.length > 0 || changes.changed.length > 0) && (
+            <section>
+              <h3>Work Items</h3>
+              <table>
+                <tbody>
+                  {changes.added.map((row, i) => (
+                    <tr key={`added-${i}`} className="added">
+                      <td className="change-type">Added</td>
+                      <td>
+                        <div className="item-name">{row.item}</div>
+                        <div className="item-meta">{row.category}{row.description && ` · ${row.description}`}</div>
+                      </td>
+                      <td>{row.amount} {row.unit}</td>
+                      <td className="numeric">${(row.total + row.materials).toFixed(2)}</td>
+                    </tr>
+                  ))}
+                  {changes.removed.map((row, i) => (
+                    <tr key={`removed-${i}`} className="removed">
+                      <td className="change-type">Removed</td>
+                      <td>
+                        <div className="item-name">{row.item}</div>
+                        <div className="item-meta">{row.category}{row.description && ` · ${row.description}`}</div>
+                      </td>
+                      <td>{row.amount} {row.unit}</td>
+                      <td className="numeric">−${(row.total + row.materials).toFixed(2)}</td>
+                    </tr>
+                  ))}
+                  {changes.changed.map((row, i) => (
+                    <tr key={`changed-${i}`}>
+                      <td className="change-type">Changed</td>
+                      <td>
+                        <div className="item-name">{row.item}</div>
+                        <div className="item-meta">{row.category}{row.description && ` · ${row.description}`}</div>
+                      </td>
+                      <td colSpan="2">
+                        {row.details.map(detail => (
+                          <div key={detail.label} className="detail">
+                            {detail.label}: <span className="from">{detail.from || '(none)'}</span> → {detail.to || '(none)'}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          )}
+
+          {(changes.scopesChanged || changes.photos.from !== changes.photos.to) && (
+            <ul className="other-changes">
+              {changes.scopesChanged && <li>The English / Spanish scope text changed</li>}
+              {changes.photos.from !== changes.photos.to && <li>Photos: {changes.photos.from} → {changes.photos.to}</li>}
+            </ul>
+          )}
+
+          <p className="grand-total">
+            Grand Total: ${changes.grandTotal.from.toFixed(2)} → <strong>${changes.grandTotal.to.toFixed(2)}</strong>
+            {totalChange !== 0 && <span className={totalChange > 0 ? 'up' : 'down'}> ({formatChange(totalChange)})</span>}
+          </p>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={onConfirm} disabled={isSubmitting}>
+            {isSubmitting ? '⏳ Submitting...' : `Submit Revision ${nextRevision}`}
+          </button>
+        </div>
+      </div>
+
+      <style jsx>{`
+        .modal-overlay {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.7);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          padding: 20px;
+        }
+
+        .modal-content {
+          background: white;
+          border-radius: 12px;
+          width: 95%;
+          max-width: 800px;
+          max-height: 90vh;
+          display: flex;
+          flex-direction: column;
+          box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+        }
+
+        .modal-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 20px 24px;
+          border-bottom: 2px solid #e0e0e0;
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 20px;
+          color: #333;
+        }
+
+        .close-btn {
+          background: none;
+          border: none;
+          font-size: 24px;
+          cursor: pointer;
+          color: #666;
+          padding: 4px 8px;
+          border-radius: 4px;
+        }
+
+        .close-btn:hover {
+          background: #f0f0f0;
+          color: #333;
+        }
+
+        .modal-body {
+          flex: 1;
+          overflow: auto;
+          padding: 20px 24px;
+        }
+
+        .summary {
+          margin: 0 0 16px 0;
+          color: #555;
+          line-height: 1.5;
+        }
+
+        .mismatch {
+          margin: 0 0 16px 0;
+          padding: 12px 16px;
+          background: #fff3cd;
+          border-left: 4px solid #ffc107;
+          border-radius: 4px;
+          color: #856404;
+          font-weight: 600;
+        }
+
+        .empty {
+          color: #999;
+          font-style: italic;
+          padding: 20px;
+          text-align: center;
+          background: #f9f9f9;
+          border-radius: 6px;
+        }
+
+        section {
+          margin-bottom: 16px;
+        }
+
+        h3 {
+          margin: 0 0 8px 0;
+          font-size: 15px;
+          color: #333;
+        }
+
+        ul {
+          margin: 0;
+          padding-left: 20px;
+          color: #555;
+          font-size: 14px;
+        }
+
+        .other-changes {
+          margin-bottom: 16px;
+        }
+
+        .from {
+          color: #999;
+          text-decoration: line-through;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        td {
+          padding: 8px;
+          border-bottom: 1px solid #eee;
+          vertical-align: middle;
+        }
+
+        .change-type {
+          font-size: 12px;
+          font-weight: 600;
+          color: #1565c0;
+          white-space: nowrap;
+        }
+
+        .added .change-type {
+          color: #2e7d32;
+        }
+
+        .removed .change-type {
+          color: #c62828;
+        }
+
+        .removed .item-name {
+          text-decoration: line-through;
+        }
+
+        .numeric {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+          white-space: nowrap;
+        }
+
+        .item-name {
+          font-weight: 600;
+          color: #333;
+        }
+
+        .item-meta {
+          font-size: 12px;
+          color: #999;
+        }
+
+        .detail {
+          font-size: 13px;
+          color: #555;
+        }
+
+        .grand-total {
+          margin: 0;
+          padding: 12px 16px;
+          background: #f5f5f5;
+          border-radius: 6px;
+          text-align: right;
+        }
+
+        .up {
+          color: #c62828;
+          font-weight: 600;
+        }
+
+        .down {
+          color: #2e7d32;
+          font-weight: 600;
+        }
+
+        .modal-footer {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          padding: 16px 24px;
+          border-top: 2px solid #e0e0e0;
+        }
+
+        .btn {
+          padding: 12px 24px;
+          border: none;
+          border-radius: 6px;
+          font-size: 15px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .btn-secondary {
+          background: #6c757d;
+          color: white;
+        }
+
+        .btn-primary {
+          background: #4CAF50;
+          color: white;
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,255 @@
+export default function RoomList({ rooms = [], onRoomsChange, onDetectRooms, isDetecting = false, canDetect = false, editable = true }) {
+  const updateRoom = (roomId, field, value) => {
+    onRoomsChange(rooms.map(room => {
+      if (room.id !== roomId) return room;
+      const updated = { ...room, [field]: value };
+      if (field === 'lengthFt' || field === 'widthFt') {
+        updated[field] = Number(value) || 0;
+        updated.areaSF = Math.round(updated.lengthFt * updated.widthFt);
+        // Inspector corrected the estimate - treat it as a real measurement
+        updated.dimensionsWritten = true;
+      }
+      return updated;
+    }));
+  };
+
+  const removeRoom = (roomId) => {
+    onRoomsChange(rooms.filter(room => room.id !== roomId));
+  };
+
+  const totalArea = rooms.reduce((sum, room) => sum + (room.areaSF || 0), 0);
+
+  return (
+    <div className="room-list">
+      <div className="room-header">
+        <h3>🏠 Rooms ({rooms.length})</h3>
+        {editable && (
+          <button
+            onClick={onDetectRooms}
+            className="detect-btn"
+            disabled={!canDetect || isDetecting}
+            title={canDetect ? 'Read rooms and dimensions from the sketch' : 'Draw a floor plan first'}
+          >
+            {isDetecting ? '⏳ Reading sketch...' : rooms.length > 0 ? '🔄 Re-detect Rooms' : '🔍 Detect Rooms'}
+          </button>
+        )}
+      </div>
+
+      {rooms.length === 0 ? (
+        <p className="empty">
+          Draw the floor plan, then detect rooms so the assistant can size paint and flooring per room.
+        </p>
+      ) : (
+        <>
+          <table>
+            <thead>
+              <tr>
+                <th>Room</th>
+                <th>Length (ft)</th>
+                <th>Width (ft)</th>
+                <th>Area</th>
+                {editable && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {rooms.map(room => (
+                <tr key={room.id}>
+                  <td>
+                    {editable ? (
+                      <input
+                        type="text"
+                        value={room.name}
+                        onChange={e => updateRoom(room.id, 'name', e.target.value)}
+                      />
+                    ) : room.name}
+                    {room.label && <div className="room-label">Sketch: "{room.label}"</div>}
+                  </td>
+                  <td>
+                    {editable ? (
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={room.lengthFt || ''}
+                        onChange={e => updateRoom(room.id, 'lengthFt', e.target.value)}
+                      />
+                    ) : room.lengthFt}
+                  </td>
+                  <td>
+                    {editable ? (
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={room.widthFt || ''}
+                        onChange={e => updateRoom(room.id, 'widthFt', e.target.value)}
+                      />
+                    ) : room.widthFt}
+                  </td>
+                  <td className="area">
+                    {room.areaSF} SF
+                    {!room.dimensionsWritten && <span className="estimate" title="Estimated from the drawing">≈</span>}
+                  </td>
+                  {editable && (
+                    <td>
+                      <button className="remove-btn" onClick={() => removeRoom(room.id)} title="Remove room">
+                        🗑️
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan="3" className="total-label">Total</td>
+                <td className="area">{totalArea} SF</td>
+                {editable && <td></td>}
+              </tr>
+            </tfoot>
+          </table>
+          <p className="hint">≈ = estimated from the drawing. Correct any dimension and the assistant will use your value.</p>
+        </>
+      )}
+
+      <style jsx>{`
+        .room-list {
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+
+        .room-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 16px;
+          gap: 12px;
+          flex-wrap: wrap;
+        }
+
+        h3 {
+          margin: 0;
+          color: #333;
+        }
+
+        .detect-btn {
+          padding: 10px 20px;
+          background: #e3f2fd;
+          border: 2px solid #2196F3;
+          border-radius: 6px;
+          color: #1976d2;
+          font-weight: 600;
+          font-size: 14px;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .detect-btn:hover:not(:disabled) {
+          background: #2196F3;
+          color: white;
+        }
+
+        .detect-btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .empty {
+          color: #999;
+          font-style: italic;
+          padding: 20px;
+          text-align: center;
+          background: #f9f9f9;
+          border-radius: 6px;
+          margin: 0;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        th {
+          background: #f5f5f5;
+          padding: 10px;
+          text-align: left;
+          font-weight: 600;
+          color: #555;
+          border-bottom: 2px solid #ddd;
+        }
+
+        td {
+          padding: 8px 10px;
+          border-bottom: 1px solid #eee;
+          color: #333;
+          vertical-align: middle;
+        }
+
+        input {
+          width: 100%;
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+          font-family: inherit;
+        }
+
+        input[type="number"] {
+          max-width: 90px;
+          text-align: right;
+        }
+
+        .room-label {
+          font-size: 11px;
+          color: #999;
+          margin-top: 2px;
+        }
+
+        .area {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+          white-space: nowrap;
+        }
+
+        .estimate {
+          margin-left: 4px;
+          color: #ff9800;
+          font-weight: 700;
+          cursor: help;
+        }
+
+        .remove-btn {
+          background: none;
+          border: none;
+          font-size: 16px;
+          cursor: pointer;
+          opacity: 0.6;
+        }
+
+        .remove-btn:hover {
+          opacity: 1;
+        }
+
+        tfoot td {
+          border-top: 2px solid #ddd;
+          border-bottom: none;
+          font-weight: 600;
+        }
+
+        .total-label {
+          text-align: right;
+          color: #555;
+        }
+
+        .hint {
+          margin: 12px 0 0 0;
+          font-size: 12px;
+          color: #999;
+        }
+      `}</style>
+    </div>
+  );
+}
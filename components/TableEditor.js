@@ -1,11 +1,18 @@
 import { useState, useEffect, useRef } from 'react';
 import { PRICING_CATALOG, getCategories, findPricing } from '../lib/pricingCatalog';
+import { calculateItemMaterials } from '../lib/workItems';
+import { DEFAULT_ITEM_RULES, evaluateItemRules } from '../lib/itemRules';
 
-const CATEGORIES = getCategories();
 const UNITS = ['SF', 'LF', 'EA', 'SET'];
 const DESCRIPTIONS = ['Clean', 'Paint', 'Install', 'Remove & Install', 'Demolition', 'Repair', 'Repairs', 'Refinish', 'Other'];
 
-export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
+export default function TableEditor({ isOpen, onClose, workItems, onSave, catalog = PRICING_CATALOG, itemRules = DEFAULT_ITEM_RULES }) {
+  const categories = getCategories(catalog);
+  // Include description types added on the catalog page
+  const descriptions = [...new Set([
+    ...DESCRIPTIONS,
+    ...Object.values(catalog).flatMap(items => items.map(i => i.description)).filter(Boolean)
+  ])];
   const [editedItems, setEditedItems] = useState([]);
   const [selectedCell, setSelectedCell] = useState(null);
   const tableRef = useRef(null);
@@ -30,18 +37,30 @@ export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
       const price = field === 'pricePerUnit' ? Number(value) : Number(newItems[rowIndex].pricePerUnit);
       newItems[rowIndex].total = amount * price;
     }
+    if (field === 'multiplier' || field === 'materialsPerUnit') {
+      newItems[rowIndex].materialsTotal = calculateItemMaterials(newItems[rowIndex]);
+    }
     
     // Auto-lookup price when category, item, or description changes
     if (field === 'category' || field === 'item' || field === 'description') {
       const pricing = findPricing(
         field === 'category' ? value : newItems[rowIndex].category,
         field === 'item' ? value : newItems[rowIndex].item,
-        field === 'description' ? value : newItems[rowIndex].description
+        field === 'description' ? value : newItems[rowIndex].description,
+        catalog
       );
       if (pricing) {
         newItems[rowIndex].pricePerUnit = pricing.pricePerUnit;
         newItems[rowIndex].unit = pricing.unit;
         newItems[rowIndex].materialsCost = pricing.materialsCost || false;
+        newItems[rowIndex].materialsPerUnit = pricing.materialsCost ? pricing.materialsAllowance || 0 : 0;
+        newItems[rowIndex].materialsNote = '';
+        newItems[rowIndex].materialsTotal = calculateItemMaterials(newItems[rowIndex]);
+        newItems[rowIndex].hoursPerUnit = pricing.hoursPerUnit || 0;
+        // Picked straight from the catalog, so nothing left to confirm
+        newItems[rowIndex].matchScore = 1;
+        newItems[rowIndex].matchedFrom = '';
+        newItems[rowIndex].needsConfirmation = false;
         // Recalculate total
         newItems[rowIndex].total = Number(newItems[rowIndex].multiplier || 0) * pricing.pricePerUnit;
       }
@@ -53,15 +72,19 @@ export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
   const handleAddRow = () => {
     const newRow = {
       id: `new-${Date.now()}`,
-      category: CATEGORIES[0],
+      category: categories[0],
       item: '',
-      description: DESCRIPTIONS[0],
+      description: descriptions[0],
       unit: UNITS[0],
       multiplier: 1,
       pricePerUnit: 0,
       total: 0,
       notes: '',
-      materialsCost: false
+      materialsCost: false,
+      materialsPerUnit: 0,
+      materialsNote: '',
+      materialsTotal: 0,
+      hoursPerUnit: 0
     };
     setEditedItems([...editedItems, newRow]);
   };
@@ -84,7 +107,9 @@ export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
       id: item.id || String(idx + 1),
       multiplier: Number(item.multiplier) || 0,
       pricePerUnit: Number(item.pricePerUnit) || 0,
-      total: Number(item.total) || (Number(item.multiplier) * Number(item.pricePerUnit))
+      total: Number(item.total) || (Number(item.multiplier) * Number(item.pricePerUnit)),
+      materialsPerUnit: Number(item.materialsPerUnit) || 0,
+      materialsTotal: calculateItemMaterials(item)
     }));
     
     onSave(validItems);
@@ -92,13 +117,22 @@ export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
   };
 
   const getItemsForCategory = (category) => {
-    const items = PRICING_CATALOG[category] || [];
+    const items = catalog[category] || [];
     // Get unique item names
     const uniqueItems = [...new Set(items.map(i => i.item))];
     return uniqueItems;
   };
 
-  const grandTotal = editedItems.reduce((sum, item) => sum + (Number(item.total) || 0), 0);
+  // Mutually exclusive items on the job, re-checked as rows are edited
+  const { conflicts } = evaluateItemRules(editedItems, itemRules, { catalog });
+  const conflictMessages = {};
+  conflicts.forEach(conflict => {
+    conflict.itemIds.forEach(id => {
+      conflictMessages[id] = conflict.message;
+    });
+  });
+
+  const grandTotal = editedItems.reduce((sum, item) => sum + (Number(item.total) || 0) + calculateItemMaterials(item), 0);
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -120,19 +154,24 @@ export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
                   <th className="col-amount">Amount</th>
                   <th className="col-price">Price/Unit</th>
                   <th className="col-total">Total</th>
+                  <th className="col-materials" title="Materials cost per unit">Materials/Unit</th>
                   <th className="col-notes">Notes</th>
                   <th className="col-actions"></th>
                 </tr>
               </thead>
               <tbody>
                 {editedItems.map((item, rowIndex) => (
-                  <tr key={item.id || rowIndex}>
+                  <tr
+                    key={item.id || rowIndex}
+                    className={conflictMessages[item.id] ? 'conflict' : ''}
+                    title={conflictMessages[item.id] || undefined}
+                  >
                     <td className="col-category">
                       <select
                         value={item.category || ''}
                         onChange={e => handleCellChange(rowIndex, 'category', e.target.value)}
                       >
-                        {CATEGORIES.map(cat => (
+                        {categories.map(cat => (
                           <option key={cat} value={cat}>{cat}</option>
                         ))}
                       </select>
@@ -153,7 +192,7 @@ export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
                         value={item.description || ''}
                         onChange={e => handleCellChange(rowIndex, 'description', e.target.value)}
                       >
-                        {DESCRIPTIONS.map(desc => (
+                        {descriptions.map(desc => (
                           <option key={desc} value={desc}>{desc}</option>
                         ))}
                       </select>
@@ -189,6 +228,18 @@ export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
                     <td className="col-total">
                       <span className="total-value">${(item.total || 0).toFixed(2)}</span>
                     </td>
+                    <td className="col-materials">
+                      {item.materialsCost && (
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={item.materialsPerUnit ?? ''}
+                          onChange={e => handleCellChange(rowIndex, 'materialsPerUnit', e.target.value)}
+                          title={item.materialsNote || 'Catalog allowance unless changed'}
+                        />
+                      )}
+                    </td>
                     <td className="col-notes">
                       <input
                         type="text"
@@ -211,14 +262,22 @@ export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
               </tbody>
               <tfoot>
                 <tr>
-                  <td colSpan="6" className="total-label">Grand Total</td>
+                  <td colSpan="6" className="total-label">Subtotal</td>
                   <td className="grand-total">${grandTotal.toFixed(2)}</td>
-                  <td colSpan="2"></td>
+                  <td colSpan="3"></td>
                 </tr>
               </tfoot>
             </table>
           </div>
           
+          {conflicts.length > 0 && (
+            <div className="conflict-list">
+              {conflicts.map(conflict => (
+                <p key={conflict.key}>⛔ {conflict.message}</p>
+              ))}
+            </div>
+          )}
+
           <button className="add-row-btn" onClick={handleAddRow}>
             ➕ Add Row
           </button>
@@ -330,6 +389,27 @@ export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
           background: #f9f9f9;
         }
 
+        tbody tr.conflict td {
+          background: #fdecea;
+        }
+
+        tbody tr.conflict td:first-child {
+          box-shadow: inset 3px 0 0 #e53935;
+        }
+
+        .conflict-list {
+          margin-top: 12px;
+          padding: 8px 12px;
+          background: #fdecea;
+          border-radius: 6px;
+          color: #b71c1c;
+          font-size: 14px;
+        }
+
+        .conflict-list p {
+          margin: 4px 0;
+        }
+
         /* Column widths */
         .col-category { width: 140px; }
         .col-item { width: 200px; }
@@ -338,6 +418,7 @@ export default function TableEditor({ isOpen, onClose, workItems, onSave }) {
         .col-amount { width: 80px; }
         .col-price { width: 90px; }
         .col-total { width: 90px; }
+        .col-materials { width: 100px; }
         .col-notes { min-width: 150px; }
         .col-actions { width: 50px; }
 
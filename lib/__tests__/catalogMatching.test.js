@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeText, nameSimilarity, matchCatalogItem, MIN_MATCH_SCORE, CONFIDENT_MATCH_SCORE } from '../catalogMatching';
+
+describe('normalizeText', () => {
+  it('lowercases and strips accents, punctuation and inch marks', () => {
+    expect(normalizeText('Base Molding 4"')).toBe('base molding 4in');
+    expect(normalizeText('Limpieza  de Baños!')).toBe('limpieza de banos');
+    expect(normalizeText('Prep & Paint')).toBe('prep and paint');
+    expect(normalizeText(null)).toBe('');
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('scores the same words in any case or synonym as a full match', () => {
+    expect(nameSimilarity('prep and paint walls 2 coats', 'Prep & Paint Walls 2 Coats')).toBe(1);
+    expect(nameSimilarity('preparar y pintar paredes 2 capas', 'Prep & Paint Walls 2 Coats')).toBe(1);
+  });
+
+  it('scores a related name above an unrelated one', () => {
+    const related = nameSimilarity('paint walls', 'Prep & Paint Walls 2 Coats');
+    const unrelated = nameSimilarity('paint walls', 'Garbage Disposal');
+    expect(related).toBeGreaterThan(MIN_MATCH_SCORE);
+    expect(unrelated).toBeLessThan(MIN_MATCH_SCORE);
+  });
+});
+
+describe('matchCatalogItem', () => {
+  it('returns exact catalog names with a score of 1', () => {
+    const match = matchCatalogItem({ category: 'Painting', item: 'Clean Walls', description: 'Clean' });
+    expect(match).toMatchObject({ category: 'Painting', score: 1 });
+    expect(match.pricing.pricePerUnit).toBe(0.15);
+  });
+
+  it('matches a Spanish name to its catalog entry confidently', () => {
+    const match = matchCatalogItem({ item: 'limpiar paredes' });
+    expect(match.pricing.item).toBe('Clean Walls');
+    expect(match.score).toBeGreaterThanOrEqual(CONFIDENT_MATCH_SCORE);
+  });
+
+  it('tolerates small typos', () => {
+    const match = matchCatalogItem({ category: 'Painting', item: 'Clean Cieling' });
+    expect(match.pricing.item).toBe('Clean Ceiling');
+  });
+
+  it('uses the description to choose between variants of the same item', () => {
+    const match = matchCatalogItem({ item: 'Base Molding 4"', description: 'Paint' });
+    expect(match).toMatchObject({ category: 'Floor & Molding' });
+    expect(match.pricing.description).toBe('Paint');
+  });
+
+  it('uses the category for items named only in context', () => {
+    const match = matchCatalogItem({ item: 'single light switch' });
+    expect(match.category).toBe('Light Switch No Wiring');
+    expect(match.pricing.item).toBe('Single');
+  });
+
+  it('returns null for nothing like the catalog or no item at all', () => {
+    expect(matchCatalogItem({ item: 'Install swimming pool' })).toBeNull();
+    expect(matchCatalogItem({ category: 'Painting' })).toBeNull();
+  });
+
+  it('searches the catalog it is given', () => {
+    const catalog = { Custom: [{ item: 'Haul Appliance', description: 'Remove', unit: 'EA', pricePerUnit: 75 }] };
+    expect(matchCatalogItem({ item: 'haul appliances' }, catalog).pricing.pricePerUnit).toBe(75);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import { parsePriceListRows, getJobCatalog } from '../catalogStore';
+import { resolvePriceList, BASE_PRICE_LIST, PRICING_CATALOG } from '../pricingCatalog';
+
+// vi.mock is hoisted above the imports, so catalogStore reads these tabs through the mock.
+// The Sheets API answers each tab's range from these rows
+const tabs = {
+  Pricing: [
+    ['Category', 'Item', 'Description', 'Unit', 'Price'],
+    ['Painting', 'Clean Walls', 'Clean', 'SF', '0.15'],
+    ['Painting', 'Clean Walls', 'Paint', 'SF', '0.68'],
+    ['Clean Up', 'Oven', 'Clean', 'EA', '45']
+  ],
+  'Price Lists': [
+    ['Price List', 'Based On', 'Category', 'Item', 'Description', 'Price'],
+    ['Acme', '', 'Painting', 'Clean Walls', '', '0.12'],
+    ['Acme', '', 'Clean Up', 'Oven', 'Clean', '40'],
+    ['Acme Downtown', 'Acme', 'Clean Up', 'Oven', 'Clean', '50'],
+    ['Acme Downtown', '', 'Painting', 'Clean Walls', 'Paint', 'call'],
+    ['Loop A', 'Loop B', 'Clean Up', 'Oven', 'Clean', '30'],
+    ['Loop B', 'Loop A']
+  ],
+  'Pricing Versions': [
+    ['Version', 'Effective Date', 'Category', 'Item', 'Description', 'Unit', 'Price'],
+    ['1', '2026-01-01', 'Painting', 'Clean Walls', 'Clean', 'SF', '0.15'],
+    ['1', '2026-01-01', 'Painting', 'Clean Walls', 'Paint', 'SF', '0.68'],
+    ['1', '2026-01-01', 'Clean Up', 'Oven', 'Clean', 'EA', '45'],
+    ['2', '2099-01-01', 'Painting', 'Clean Walls', 'Clean', 'SF', '0.2'],
+    ['2', '2099-01-01', 'Painting', 'Clean Walls', 'Paint', 'SF', '0.75'],
+    ['2', '2099-01-01', 'Clean Up', 'Oven', 'Clean', 'EA', '55']
+  ]
+};
+
+vi.mock('googleapis', () => ({
+  google: {
+    auth: {
+      OAuth2: class {
+        setCredentials() {}
+      }
+    },
+    sheets: () => ({
+      spreadsheets: {
+        values: {
+          get: async ({ range }) => ({ data: { values: tabs[/^'(.*)'!/.exec(range)[1]] || [] } })
+        }
+      }
+    })
+  }
+}));
+
+// Price of every catalog line, "Item / Description": price
+const prices = (catalog) => Object.fromEntries(
+  Object.values(catalog).flat().map(pricing => [`${pricing.item} / ${pricing.description}`, pricing.pricePerUnit])
+);
+
+const basePrices = { 'Clean Walls / Clean': 0.15, 'Clean Walls / Paint': 0.68, 'Oven / Clean': 45 };
+
+describe('parsePriceListRows', () => {
+  it('groups overrides by list, keeps what each list is based on and skips unpriced rows', () => {
+    const priceLists = parsePriceListRows(tabs['Price Lists']);
+    expect(Object.keys(priceLists)).toEqual(['Acme', 'Acme Downtown', 'Loop A', 'Loop B']);
+    expect(priceLists.Acme).toEqual({
+      name: 'Acme',
+      basedOn: BASE_PRICE_LIST,
+      overrides: [
+        { category: 'Painting', item: 'Clean Walls', description: '', pricePerUnit: 0.12 },
+        { category: 'Clean Up', item: 'Oven', description: 'Clean', pricePerUnit: 40 }
+      ]
+    });
+    expect(priceLists['Acme Downtown']).toMatchObject({ basedOn: 'Acme', overrides: [{ item: 'Oven', pricePerUnit: 50 }] });
+    expect(priceLists['Loop B']).toEqual({ name: 'Loop B', basedOn: 'Loop A', overrides: [] });
+  });
+
+  it('ignores rows for the base list', () => {
+    expect(parsePriceListRows([tabs['Price Lists'][0], [BASE_PRICE_LIST, '', 'Clean Up', 'Oven', 'Clean', '1']])).toEqual({});
+  });
+});
+
+describe('resolvePriceList', () => {
+  const catalog = {
+    Painting: [
+      { item: 'Clean Walls', description: 'Clean', unit: 'SF', pricePerUnit: 0.15 },
+      { item: 'Clean Walls', description: 'Paint', unit: 'SF', pricePerUnit: 0.68 }
+    ],
+    'Clean Up': [{ item: 'Oven', description: 'Clean', unit: 'EA', pricePerUnit: 45 }]
+  };
+  const priceLists = parsePriceListRows(tabs['Price Lists']);
+
+  it('applies overrides without changing the base catalog', () => {
+    expect(prices(resolvePriceList(catalog, priceLists, 'Acme'))).toEqual({ 'Clean Walls / Clean': 0.12, 'Clean Walls / Paint': 0.12, 'Oven / Clean': 40 });
+    expect(prices(catalog)).toEqual(basePrices);
+  });
+
+  it('inherits from the list it is based on, with its own overrides winning', () => {
+    expect(prices(resolvePriceList(catalog, priceLists, 'Acme Downtown'))).toEqual({ 'Clean Walls / Clean': 0.12, 'Clean Walls / Paint': 0.12, 'Oven / Clean': 50 });
+  });
+
+  it('returns the base catalog for a blank, base or unknown list', () => {
+    expect(resolvePriceList(catalog, priceLists, '')).toBe(catalog);
+    expect(resolvePriceList(catalog, priceLists, BASE_PRICE_LIST)).toBe(catalog);
+    expect(resolvePriceList(catalog, priceLists, 'Nobody')).toBe(catalog);
+    expect(resolvePriceList(catalog, undefined, 'Acme')).toBe(catalog);
+  });
+
+  it('stops at a cycle in the inheritance chain', () => {
+    expect(prices(resolvePriceList(catalog, priceLists, 'Loop B'))).toEqual({ ...basePrices, 'Oven / Clean': 30 });
+  });
+});
+
+describe('getJobCatalog', () => {
+  beforeAll(() => {
+    process.env.GOOGLE_SHEETS_ID = 'sheet-id';
+  });
+
+  it('prices the live version with the job\'s list', async () => {
+    expect(prices(await getJobCatalog('token', 'Acme Downtown'))).toEqual({ 'Clean Walls / Clean': 0.12, 'Clean Walls / Paint': 0.12, 'Oven / Clean': 50 });
+  });
+
+  it('falls back to the default list for a blank or unknown list name', async () => {
+    expect(prices(await getJobCatalog('token', ''))).toEqual(basePrices);
+    expect(prices(await getJobCatalog('token', 'Nobody'))).toEqual(basePrices);
+  });
+
+  it('applies the list to the version the job is pinned to', async () => {
+    expect(prices(await getJobCatalog('token', 'Loop B', 2))).toEqual({ 'Clean Walls / Clean': 0.2, 'Clean Walls / Paint': 0.75, 'Oven / Clean': 30 });
+    expect(prices(await getJobCatalog('token', '', 2))).toEqual({ 'Clean Walls / Clean': 0.2, 'Clean Walls / Paint': 0.75, 'Oven / Clean': 55 });
+    expect(prices(await getJobCatalog('token', '', 9))).toEqual(basePrices);
+  });
+
+  it('uses the built-in catalog without a sign-in, whatever the list', async () => {
+    expect(await getJobCatalog(undefined, 'Acme')).toBe(PRICING_CATALOG);
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parsePricingRows,
+  buildCatalog,
+  catalogToEntries,
+  validatePricingEntries,
+  normalizeEffectiveDate,
+  parseVersionRows,
+  isPricingTabEdited
+} from '../catalogStore';
+
+const header = ['Category', 'Item', 'Description', 'Unit', 'Price', 'Materials', 'Retired', 'Materials Allowance', 'Hours Per Unit'];
+
+describe('parsePricingRows', () => {
+  it('reads prices, flags, allowances and production rates', () => {
+    const { entries, skippedRows } = parsePricingRows([
+      header,
+      ['Painting', 'Clean Walls', 'Clean', 'sf', '$0.15', '', '', '', '0.005'],
+      ['Doors & Windows', 'Remove and Install Door w/frame', 'Remove & Install', 'EA', '1,200', '+ Materials', 'FALSE', '$180', 3],
+      ['Painting', 'Old Texture', 'Paint', 'SF', 0.9, '', 'TRUE']
+    ]);
+    expect(skippedRows).toEqual([]);
+    expect(entries).toEqual([
+      { category: 'Painting', item: 'Clean Walls', description: 'Clean', unit: 'SF', pricePerUnit: 0.15, materialsCost: false, retired: false, materialsAllowance: 0, hoursPerUnit: 0.005 },
+      { category: 'Doors & Windows', item: 'Remove and Install Door w/frame', description: 'Remove & Install', unit: 'EA', pricePerUnit: 1200, materialsCost: true, retired: false, materialsAllowance: 180, hoursPerUnit: 3 },
+      { category: 'Painting', item: 'Old Texture', description: 'Paint', unit: 'SF', pricePerUnit: 0.9, materialsCost: false, retired: true, materialsAllowance: 0, hoursPerUnit: 0 }
+    ]);
+  });
+
+  it('skips blank spacer rows and reports incomplete ones by sheet row number', () => {
+    const { entries, skippedRows } = parsePricingRows([
+      header,
+      [],
+      ['Painting', 'Clean Walls', 'Clean', '', '0.15'],
+      ['Painting', 'Clean Ceiling', 'Clean', 'SF', 'call'],
+      ['', 'Clean Doors', 'Clean', 'EA', '5'],
+      ['Painting', 'Patch', 'Install', 'EA', '12']
+    ]);
+    expect(entries.map(entry => entry.item)).toEqual(['Patch']);
+    expect(skippedRows).toEqual([3, 4, 5]);
+  });
+
+  it('finds columns by header, including alternate names', () => {
+    const { entries } = parsePricingRows([
+      ['Unit Price', 'Category', 'Item', 'Type', 'Unit', '+ Materials'],
+      ['45', 'Clean Up', 'Oven', 'Clean', 'EA', 'x']
+    ]);
+    expect(entries).toMatchObject([{ category: 'Clean Up', item: 'Oven', description: 'Clean', unit: 'EA', pricePerUnit: 45, materialsCost: true }]);
+  });
+});
+
+describe('buildCatalog', () => {
+  it('groups active entries by category in row order', () => {
+    const { entries } = parsePricingRows([
+      header,
+      ['Painting', 'Clean Walls', 'Clean', 'SF', '0.15', '', '', '', '0.005'],
+      ['Doors & Windows', 'Remove and Install Door w/frame', 'Remove & Install', 'EA', '120', 'yes', '', '180', '3'],
+      ['Painting', 'Old Texture', 'Paint', 'SF', '0.9', '', 'yes'],
+      ['Painting', 'Clean Ceiling', 'Clean', 'SF', '0.18']
+    ]);
+    expect(buildCatalog(entries)).toEqual({
+      Painting: [
+        { item: 'Clean Walls', description: 'Clean', unit: 'SF', pricePerUnit: 0.15, hoursPerUnit: 0.005 },
+        { item: 'Clean Ceiling', description: 'Clean', unit: 'SF', pricePerUnit: 0.18 }
+      ],
+      'Doors & Windows': [
+        { item: 'Remove and Install Door w/frame', description: 'Remove & Install', unit: 'EA', pricePerUnit: 120, materialsCost: true, materialsAllowance: 180, hoursPerUnit: 3 }
+      ]
+    });
+  });
+
+  it('round-trips a catalog through entries', () => {
+    const catalog = {
+      Painting: [{ item: 'Clean Walls', description: 'Clean', unit: 'SF', pricePerUnit: 0.15, hoursPerUnit: 0.005 }],
+      'Clean Up': [{ item: 'Oven', description: 'Clean', unit: 'EA', pricePerUnit: 45, materialsCost: true }]
+    };
+    expect(buildCatalog(catalogToEntries(catalog))).toEqual(catalog);
+  });
+});
+
+describe('validatePricingEntries', () => {
+  const entry = { category: 'Painting', item: 'Clean Walls', description: 'Clean', unit: 'SF', pricePerUnit: 0.15 };
+
+  it('accepts a valid catalog, including $0 and retired duplicates', () => {
+    expect(validatePricingEntries([entry, { ...entry, item: 'Touch up', pricePerUnit: 0 }, { ...entry, retired: true }])).toEqual([]);
+  });
+
+  it('lists missing fields, negative numbers and active duplicates', () => {
+    expect(validatePricingEntries([])).toEqual(['The catalog must have at least one item']);
+    expect(validatePricingEntries([
+      entry,
+      { ...entry, item: '', unit: '' },
+      { ...entry, pricePerUnit: -1, hoursPerUnit: -2 },
+      { ...entry, item: 'clean walls ' }
+    ])).toEqual([
+      'Row 2: item is required',
+      'Row 2: unit is required',
+      'Row 3 ("Clean Walls"): price must be 0 or more',
+      'Row 3 ("Clean Walls"): hours per unit must be 0 or more',
+      'Row 3 ("Clean Walls"): duplicate of another active item',
+      'Row 4 ("clean walls "): duplicate of another active item'
+    ]);
+  });
+});
+
+describe('normalizeEffectiveDate', () => {
+  it('reads ISO, slashed, US and serial dates', () => {
+    expect(normalizeEffectiveDate('2026-03-01')).toBe('2026-03-01');
+    expect(normalizeEffectiveDate('2026/3/1')).toBe('2026-03-01');
+    expect(normalizeEffectiveDate('3/1/2026')).toBe('2026-03-01');
+    expect(normalizeEffectiveDate(' 12/31/2025 ')).toBe('2025-12-31');
+    expect(normalizeEffectiveDate(46023)).toBe('2026-01-01');
+  });
+
+  it('rejects text and dates that do not exist', () => {
+    expect(normalizeEffectiveDate('')).toBeNull();
+    expect(normalizeEffectiveDate(null)).toBeNull();
+    expect(normalizeEffectiveDate('March 1')).toBeNull();
+    expect(normalizeEffectiveDate('2026-02-30')).toBeNull();
+    expect(normalizeEffectiveDate('2026-02-31')).toBeNull();
+    expect(normalizeEffectiveDate('13/1/2026')).toBeNull();
+  });
+});
+
+describe('parseVersionRows', () => {
+  const versionHeader = ['Version', 'Effective Date', ...header];
+
+  it('groups snapshot rows by version, sorted by version', () => {
+    const { versions, skippedRows, lastVersion } = parseVersionRows([
+      versionHeader,
+      ['2', '4/1/2026', 'Painting', 'Clean Walls', 'Clean', 'SF', '0.18'],
+      ['1', '2026-01-01', 'Painting', 'Clean Walls', 'Clean', 'SF', '0.15'],
+      ['1', '2026-01-01', 'Clean Up', 'Oven', 'Clean', 'EA', '45', 'TRUE', '', '20', '0.5'],
+      ['', '', 'Notes row']
+    ]);
+    expect(skippedRows).toEqual([]);
+    expect(lastVersion).toBe(2);
+    expect(versions.map(v => [v.version, v.effectiveDate, v.entries.map(entry => entry.pricePerUnit)])).toEqual([
+      [1, '2026-01-01', [0.15, 45]],
+      [2, '2026-04-01', [0.18]]
+    ]);
+    expect(versions[0].entries[1]).toMatchObject({ materialsCost: true, materialsAllowance: 20, hoursPerUnit: 0.5 });
+  });
+
+  it('skips rows whose effective date cannot be read', () => {
+    const { versions, skippedRows } = parseVersionRows([
+      versionHeader,
+      ['3', 'next month', 'Painting', 'Clean Walls', 'Clean', 'SF', '0.2'],
+      ['3', '2026-02-30', 'Painting', 'Clean Ceiling', 'Clean', 'SF', '0.2']
+    ]);
+    expect(versions).toEqual([]);
+    expect(skippedRows).toEqual([2, 3]);
+  });
+
+  it('counts skipped rows when numbering the next version', () => {
+    // A version saved with an impossible date can't be read back, but its number is taken
+    const { versions, lastVersion } = parseVersionRows([
+      versionHeader,
+      ['1', '2026-01-01', 'Painting', 'Clean Walls', 'Clean', 'SF', '0.15'],
+      ['2', '2026-02-31', 'Painting', 'Clean Walls', 'Clean', 'SF', '0.18']
+    ]);
+    expect(versions.map(v => v.version)).toEqual([1]);
+    expect(lastVersion).toBe(2);
+  });
+
+  it('starts numbering at 1 in an empty tab', () => {
+    expect(parseVersionRows([]).lastVersion).toBe(0);
+    expect(parseVersionRows([versionHeader]).lastVersion).toBe(0);
+  });
+});
+
+describe('isPricingTabEdited', () => {
+  const { entries } = parsePricingRows([
+    header,
+    ['Painting', 'Clean Walls', 'Clean', 'SF', '0.15'],
+    ['Clean Up', 'Oven', 'Clean', 'EA', '45', 'TRUE', '', '20']
+  ]);
+  const v1 = { version: 1, effectiveDate: '2026-01-01', entries };
+  const v2 = { version: 2, effectiveDate: '2026-04-01', entries: entries.map(entry => ({ ...entry, pricePerUnit: entry.pricePerUnit + 1 })) };
+
+  it('is not edited before the catalog is versioned', () => {
+    expect(isPricingTabEdited(entries, [])).toBe(false);
+  });
+
+  it('is not edited when the tab matches a saved version, even an older one', () => {
+    expect(isPricingTabEdited(entries, [v1, v2])).toBe(false);
+    expect(isPricingTabEdited(v2.entries, [v1, v2])).toBe(false);
+  });
+
+  it('is edited when a price, a row or the row order changed by hand', () => {
+    expect(isPricingTabEdited([{ ...entries[0], pricePerUnit: 0.2 }, entries[1]], [v1])).toBe(true);
+    expect(isPricingTabEdited([entries[0]], [v1])).toBe(true);
+    expect(isPricingTabEdited([entries[1], entries[0]], [v1])).toBe(true);
+  });
+});
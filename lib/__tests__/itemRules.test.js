@@ -0,0 +1,95 @@
+import { describe, it, expect, vi } from 'vitest';
+import { evaluateItemRules, itemRuleKey, DEFAULT_ITEM_RULES } from '../itemRules';
+import { parseItemRuleRows } from '../catalogStore';
+
+const line = (id, category, item, description, unit, multiplier, notes = '') => ({ id, category, item, description, unit, multiplier, notes });
+
+const walls = (id, amount, notes) => line(id, 'Painting', 'Prep & Paint Walls 2 Coats', 'Paint', 'SF', amount, notes);
+const requiresCleanWalls = DEFAULT_ITEM_RULES[0];
+
+describe('evaluateItemRules', () => {
+  it('suggests a missing companion at the combined amount of the items that need it', () => {
+    const { missing, conflicts } = evaluateItemRules([walls('1', 400, 'Bedroom'), walls('2', 300, 'Hall')]);
+    expect(conflicts).toEqual([]);
+    expect(missing).toEqual([{
+      key: itemRuleKey(requiresCleanWalls),
+      type: 'requires',
+      forItems: [{ id: '1', item: 'Prep & Paint Walls 2 Coats' }, { id: '2', item: 'Prep & Paint Walls 2 Coats' }],
+      companion: { category: 'Painting', item: 'Clean Walls', description: 'Clean' },
+      amount: 700,
+      unit: 'SF',
+      notes: 'Bedroom, Hall'
+    }]);
+  });
+
+  it('suggests 1 of a companion priced in a different unit', () => {
+    const faucet = line('1', 'Plumbing Installation', 'Shower Faucet Set', 'Remove & Install', 'SET', 2);
+    const { missing } = evaluateItemRules([faucet]);
+    expect(missing).toMatchObject([{ type: 'usually with', amount: 1, unit: 'EA' }]);
+  });
+
+  it('is satisfied by a companion in any case', () => {
+    const clean = line('2', 'painting', 'clean walls', 'CLEAN', 'SF', 700);
+    expect(evaluateItemRules([walls('1', 700), clean]).missing).toEqual([]);
+  });
+
+  it('does not suggest a companion the inspector dismissed', () => {
+    const { missing } = evaluateItemRules([walls('1', 700)], DEFAULT_ITEM_RULES, { dismissed: [itemRuleKey(requiresCleanWalls)] });
+    expect(missing).toEqual([]);
+  });
+
+  it('reports mutually exclusive items even when dismissed', () => {
+    const items = [
+      line('1', 'Floor & Molding', 'Base Molding 4"', 'Remove & Install', 'LF', 120),
+      line('2', 'Floor & Molding', 'Vinyl Base 4"', 'Remove & Install', 'LF', 40),
+      line('3', 'Floor & Molding', 'Shoe Molding', 'Remove & Install', 'LF', 120)
+    ];
+    const exclusive = DEFAULT_ITEM_RULES.find(rule => rule.type === 'mutually exclusive');
+    const { missing, conflicts } = evaluateItemRules(items, DEFAULT_ITEM_RULES, { dismissed: [itemRuleKey(exclusive)] });
+    expect(missing).toEqual([]);
+    expect(conflicts).toEqual([{
+      key: itemRuleKey(exclusive),
+      itemIds: ['1', '2'],
+      message: '"Base Molding 4"" and "Vinyl Base 4"" shouldn\'t both be on this job'
+    }]);
+  });
+
+  it('matches rules with a blank category or description against any', () => {
+    const rule = { type: 'requires', category: '', item: 'Clean Walls', description: '', withCategory: 'Painting', withItem: 'Clean Ceiling', withDescription: 'Clean' };
+    const { missing } = evaluateItemRules([line('1', 'Painting', 'Clean Walls', 'Clean', 'SF', 300)], [rule]);
+    expect(missing).toMatchObject([{ amount: 300, unit: 'SF' }]);
+  });
+
+  it('handles jobs without work items or rules', () => {
+    expect(evaluateItemRules(undefined)).toEqual({ missing: [], conflicts: [] });
+    expect(evaluateItemRules([walls('1', 100), null], null)).toEqual({ missing: [], conflicts: [] });
+  });
+});
+
+describe('parseItemRuleRows', () => {
+  const header = ['Rule', 'Category', 'Item', 'Description', 'With Category', 'With Item', 'With Description'];
+
+  it('reads rules below the header, lowercasing the rule type', () => {
+    expect(parseItemRuleRows([
+      header,
+      [' Requires ', 'Painting', 'Prep & Paint Walls 2 Coats', 'Paint', 'Painting', 'Clean Walls', 'Clean'],
+      ['usually with', '', 'Shower Faucet Set', '', '', 'Shower Head', '']
+    ])).toEqual([
+      { type: 'requires', category: 'Painting', item: 'Prep & Paint Walls 2 Coats', description: 'Paint', withCategory: 'Painting', withItem: 'Clean Walls', withDescription: 'Clean' },
+      { type: 'usually with', category: '', item: 'Shower Faucet Set', description: '', withCategory: '', withItem: 'Shower Head', withDescription: '' }
+    ]);
+  });
+
+  it('skips blank rows silently and warns about incomplete ones', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const rules = parseItemRuleRows([
+      header,
+      [],
+      ['sometimes', 'Painting', 'Clean Walls', 'Clean', 'Painting', 'Clean Ceiling', 'Clean'],
+      ['requires', 'Painting', 'Clean Walls', 'Clean']
+    ]);
+    expect(rules).toEqual([]);
+    expect(warn.mock.calls.map(call => call[1])).toEqual([3, 4]);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { createJobBundle, parseJobBundle, bundleFileName, BUNDLE_FORMAT, BUNDLE_VERSION } from '../jobBundle';
+
+const job = {
+  conversationHistory: [{ role: 'user', content: 'Paint the bedroom' }],
+  structuredData: { workOrderNumber: '28867', unitNumber: '301', workItems: [{ id: '1', item: 'Clean Walls', multiplier: 300 }], nextItemId: 2 },
+  englishScope: 'Clean and paint walls',
+  scopesGenerated: true,
+  currentStep: 'review',
+  sketch: 'data:image/png;base64,AAAA',
+  photos: [{ id: 'p1', url: 'data:image/jpeg;base64,BBBB', name: 'bedroom.jpg', timestamp: '2026-01-05T10:00:00.000Z', sizeKB: 12, preview: 'blob:x' }]
+};
+
+describe('job bundles', () => {
+  it('round-trips a job through a bundle file', () => {
+    const bundle = createJobBundle(job);
+    expect(bundle).toMatchObject({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION });
+
+    const restored = parseJobBundle(JSON.stringify(bundle));
+    expect(restored).toEqual({
+      conversationHistory: job.conversationHistory,
+      structuredData: job.structuredData,
+      englishScope: 'Clean and paint walls',
+      spanishScope: '',
+      scopesGenerated: true,
+      isComplete: false,
+      currentStep: 'review',
+      isSubmitted: false,
+      submittedSheetUrl: '',
+      sketch: 'data:image/png;base64,AAAA',
+      photos: [{ id: 'p1', url: 'data:image/jpeg;base64,BBBB', name: 'bedroom.jpg', timestamp: '2026-01-05T10:00:00.000Z', caption: '', sizeKB: 12 }]
+    });
+  });
+
+  it('rejects files that are not bundles', () => {
+    expect(() => parseJobBundle('not json')).toThrow('This file is not a job bundle (it is not valid JSON)');
+    expect(() => parseJobBundle('null')).toThrow('This file is not a job bundle');
+    expect(() => parseJobBundle(JSON.stringify({ format: 'other', version: 1 }))).toThrow('This file is not a job bundle');
+    expect(() => parseJobBundle(JSON.stringify({ format: BUNDLE_FORMAT, version: '1' }))).toThrow('This file is not a job bundle');
+    expect(() => parseJobBundle(JSON.stringify({ format: BUNDLE_FORMAT, version: 0, job }))).toThrow('This file is not a job bundle');
+  });
+
+  it('asks for an update to import a bundle from a newer app', () => {
+    const newer = { ...createJobBundle(job), version: BUNDLE_VERSION + 1 };
+    expect(() => parseJobBundle(JSON.stringify(newer))).toThrow(`format v${BUNDLE_VERSION + 1}`);
+  });
+
+  it('rejects a bundle without work items', () => {
+    const bundle = createJobBundle({ ...job, structuredData: { workOrderNumber: '28867' } });
+    expect(() => parseJobBundle(JSON.stringify(bundle))).toThrow('The job bundle is missing its work items');
+  });
+});
+
+describe('bundleFileName', () => {
+  it('names the file after the work order and unit', () => {
+    expect(bundleFileName(job.structuredData)).toBe('WO-28867-unit-301.turnover.json');
+    expect(bundleFileName({ unitNumber: 'B 12/3' })).toBe('job-unit-B_12_3.turnover.json');
+    expect(bundleFileName(null)).toBe('job.turnover.json');
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { diffSubmittedJob } from '../jobDiff';
+
+const sheetRow = (fields) => ({
+  category: 'Painting', item: 'Clean Walls', description: 'Clean', unit: 'SF',
+  amount: 1200, pricePerUnit: 0.15, total: 180, materials: 0, notes: '', materialsNote: '', photoNumber: null, ...fields
+});
+
+// The tab as parseJobSheetRows reads it back
+const previous = {
+  workOrderNumber: '28867',
+  unitNumber: '301',
+  address: '12 Elm St',
+  unitSquareFeet: '850',
+  unitLayout: '2BR/1BA',
+  priceList: '',
+  englishScope: 'Paint the unit',
+  spanishScope: 'Pintar la unidad',
+  workItems: [
+    sheetRow({}),
+    sheetRow({ item: 'Prep & Paint Walls 2 Coats', description: 'Paint', pricePerUnit: 0.68, total: 816 }),
+    sheetRow({ category: 'Clean Up', item: 'Oven', unit: 'EA', amount: 1, pricePerUnit: 45, total: 45 })
+  ],
+  adjustmentLines: [{ label: 'Trip Charge', amount: 75 }],
+  photos: [{ url: 'https://drive.google.com/uc?id=p1', caption: '' }]
+};
+
+const workItem = (fields) => ({
+  id: '1', category: 'Painting', item: 'Clean Walls', description: 'Clean', unit: 'SF',
+  multiplier: 1200, pricePerUnit: 0.15, total: 180, notes: '', ...fields
+});
+
+// The same job as it is about to be resubmitted
+const unchanged = {
+  structuredData: {
+    unitNumber: '301',
+    address: '12 Elm St',
+    unitSquareFeet: '850',
+    unitLayout: '2BR/1BA',
+    workItems: [
+      workItem({}),
+      workItem({ id: '2', item: 'Prep & Paint Walls 2 Coats', description: 'Paint', pricePerUnit: 0.68, total: 816 }),
+      workItem({ id: '3', category: 'Clean Up', item: 'Oven', unit: 'EA', multiplier: 1, pricePerUnit: 45, total: 45 })
+    ],
+    adjustments: { tripCharges: [{ label: 'Trip Charge', amount: 75 }] }
+  },
+  englishScope: '**Paint** the unit',
+  spanishScope: 'Pintar la unidad',
+  photos: [{ id: 'p1' }]
+};
+
+describe('diffSubmittedJob', () => {
+  it('finds nothing to change in the same job', () => {
+    expect(diffSubmittedJob(previous, unchanged)).toEqual({
+      fields: [],
+      added: [],
+      removed: [],
+      changed: [],
+      scopesChanged: false,
+      photos: { from: 1, to: 1 },
+      grandTotal: { from: 1116, to: 1116 },
+      sameUnit: true
+    });
+  });
+
+  it('lists added, removed and changed lines with what changed on each', () => {
+    const [walls, paint] = unchanged.structuredData.workItems;
+    const diff = diffSubmittedJob(previous, {
+      ...unchanged,
+      structuredData: {
+        ...unchanged.structuredData,
+        workItems: [
+          { ...walls, multiplier: 1000, total: 150, notes: 'Bedroom' },
+          { ...paint, pricePerUnit: 0.75, total: 900, materialsPerUnit: 0.1, materialsNote: 'Behr' },
+          workItem({ id: '4', category: 'Clean Up', item: 'Refrigerator', unit: 'EA', multiplier: 1, pricePerUnit: 40, total: 40 })
+        ]
+      }
+    });
+
+    expect(diff.added.map(row => row.item)).toEqual(['Refrigerator']);
+    expect(diff.removed.map(row => row.item)).toEqual(['Oven']);
+    expect(diff.changed.map(row => [row.item, row.details])).toEqual([
+      ['Clean Walls', [
+        { label: 'Amount', from: '1200 SF', to: '1000 SF' },
+        { label: 'Notes', from: '', to: 'Bedroom' }
+      ]],
+      ['Prep & Paint Walls 2 Coats', [
+        { label: 'Price', from: '$0.68', to: '$0.75' },
+        { label: 'Materials', from: '$0.00', to: '$120.00' },
+        { label: 'Notes', from: '', to: 'Materials: Behr' }
+      ]]
+    ]);
+    expect(diff.grandTotal).toEqual({ from: 1116, to: 1285 });
+  });
+
+  it('matches repeats of the same catalog entry in order', () => {
+    const withRepeat = { ...previous, workItems: [...previous.workItems, sheetRow({ amount: 100, total: 15, notes: 'Closet' })] };
+    const diff = diffSubmittedJob(withRepeat, {
+      ...unchanged,
+      structuredData: {
+        ...unchanged.structuredData,
+        workItems: [...unchanged.structuredData.workItems, workItem({ id: '4', multiplier: 120, total: 18, notes: 'Closet' })]
+      }
+    });
+    expect(diff.added).toEqual([]);
+    expect(diff.changed).toMatchObject([{ item: 'Clean Walls', amount: 120, details: [{ label: 'Amount', from: '100 SF', to: '120 SF' }] }]);
+  });
+
+  it('flags a different unit behind the same work order number', () => {
+    const diff = diffSubmittedJob(previous, {
+      ...unchanged,
+      structuredData: { ...unchanged.structuredData, unitNumber: '302', unitSquareFeet: 850 },
+      englishScope: 'Replace the carpet',
+      photos: []
+    });
+    expect(diff.sameUnit).toBe(false);
+    expect(diff.fields).toEqual([{ label: 'Unit #', from: '301', to: '302' }]);
+    expect(diff.scopesChanged).toBe(true);
+    expect(diff.photos).toEqual({ from: 1, to: 0 });
+  });
+});
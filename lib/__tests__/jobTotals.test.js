@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { calculateJobTotals, normalizeAdjustments, adjustmentsFromLines, DEFAULT_ADJUSTMENTS } from '../jobTotals';
+
+const workItems = [
+  { multiplier: 400, pricePerUnit: 0.68, total: 272 },
+  { multiplier: 2, pricePerUnit: 120, total: 240, materialsPerUnit: 180 },
+  { multiplier: 1, pricePerUnit: 488 } // total not stored yet
+];
+
+const adjustments = {
+  markupPercent: 10,
+  overheadPercent: 5,
+  materialsTaxPercent: 8.25,
+  tripCharges: [{ label: 'Trip Charge', amount: 75 }],
+  discounts: [{ label: 'Repeat customer', amount: 50 }]
+};
+
+describe('calculateJobTotals', () => {
+  it('totals labor and materials with no adjustments', () => {
+    expect(calculateJobTotals(workItems, DEFAULT_ADJUSTMENTS)).toEqual({
+      laborSubtotal: 1000,
+      materialsSubtotal: 360,
+      subtotal: 1360,
+      lines: [],
+      grandTotal: 1360
+    });
+  });
+
+  it('applies markup and overhead to the subtotal, tax to materials only, then trip charges and discounts', () => {
+    const totals = calculateJobTotals(workItems, adjustments);
+    expect(totals.lines).toEqual([
+      { key: 'markup', label: 'Markup (10%)', amount: 136 },
+      { key: 'overhead', label: 'Overhead (5%)', amount: 68 },
+      { key: 'materials-tax', label: 'Sales Tax on Materials (8.25%)', amount: 29.7 },
+      { key: 'trip-0', label: 'Trip Charge', amount: 75 },
+      { key: 'discount-0', label: 'Discount: Repeat customer', amount: -50 }
+    ]);
+    expect(totals.grandTotal).toBe(1618.7);
+  });
+
+  it('rounds each line to cents', () => {
+    const totals = calculateJobTotals([{ multiplier: 3, pricePerUnit: 3.33 }], { markupPercent: 12.5 });
+    expect(totals.subtotal).toBe(9.99);
+    expect(totals.lines[0].amount).toBe(1.25);
+    expect(totals.grandTotal).toBe(11.24);
+  });
+
+  it('skips tax when there are no materials and zero-amount charges', () => {
+    const totals = calculateJobTotals([{ multiplier: 1, pricePerUnit: 100 }], {
+      materialsTaxPercent: 8,
+      tripCharges: [{ label: 'Trip', amount: 0 }],
+      discounts: [{ label: '', amount: -20 }]
+    });
+    expect(totals.lines).toEqual([{ key: 'discount-0', label: 'Discount', amount: -20 }]);
+    expect(totals.grandTotal).toBe(80);
+  });
+
+  it('totals jobs saved before adjustments existed', () => {
+    expect(calculateJobTotals([null, { total: 50 }], undefined).grandTotal).toBe(50);
+    expect(calculateJobTotals(undefined, undefined).grandTotal).toBe(0);
+  });
+});
+
+describe('normalizeAdjustments', () => {
+  it('fills in missing fields and coerces numbers', () => {
+    expect(normalizeAdjustments({ markupPercent: '7.5', tripCharges: [{ amount: '40' }] })).toEqual({
+      markupPercent: 7.5,
+      overheadPercent: 0,
+      materialsTaxPercent: 0,
+      tripCharges: [{ label: '', amount: 40 }],
+      discounts: []
+    });
+  });
+});
+
+describe('adjustmentsFromLines', () => {
+  it('rebuilds the adjustments written under the TOTAL row', () => {
+    const { lines } = calculateJobTotals(workItems, adjustments);
+    expect(adjustmentsFromLines(lines)).toEqual(normalizeAdjustments(adjustments));
+  });
+
+  it('treats unknown lines as trip charges and keeps unlabeled discounts', () => {
+    expect(adjustmentsFromLines([
+      { label: 'Dumpster', amount: 300 },
+      { label: 'Discount', amount: -25 }
+    ])).toMatchObject({
+      tripCharges: [{ label: 'Dumpster', amount: 300 }],
+      discounts: [{ label: '', amount: 25 }]
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { parseJobLogRows } from '../jobLog';
+
+const headers = [
+  'WO#', 'Unit #', 'Address', 'Unit Layout', 'Items', 'Grand Total',
+  'Submitted By', 'Submitted At', 'Revision', 'Status', 'Sheet', 'Photos Folder'
+];
+const sheetUrl = 'https://docs.google.com/spreadsheets/d/abc-123/edit#gid=456';
+
+describe('parseJobLogRows', () => {
+  it('reads entries with the URLs inside the HYPERLINK formulas', () => {
+    const [entry] = parseJobLogRows([
+      headers,
+      [
+        '28867', '301', '12 Elm St', '2BR/1BA', 14, 1705.6, 'ana@example.com', '2026-01-05T10:00:00.000Z', 2, 'Resubmitted',
+        `=HYPERLINK("${sheetUrl}", "Open tab")`, '=HYPERLINK("https://drive.google.com/drive/folders/f1", "Photos")'
+      ]
+    ]);
+    expect(entry).toMatchObject({
+      sheetName: '28867',
+      unitNumber: '301',
+      address: '12 Elm St',
+      unitLayout: '2BR/1BA',
+      itemCount: 14,
+      grandTotal: 1705.6,
+      submittedBy: 'ana@example.com',
+      submittedAt: '2026-01-05T10:00:00.000Z',
+      revision: 2,
+      status: 'Resubmitted',
+      sheetUrl,
+      photoFolderUrl: 'https://drive.google.com/drive/folders/f1'
+    });
+    expect(entry.pdfUrl).toMatch(/^https:\/\/docs\.google\.com\/spreadsheets\/d\/abc-123\/export\?format=pdf&gid=456&/);
+  });
+
+  it('reads rows logged before links were formulas, and formatted numbers', () => {
+    const [entry] = parseJobLogRows([
+      headers,
+      ['10001', '12', '1 Oak Ave', 'Studio', '3', '$1,250.00', 'bo@example.com', '2025-11-01T09:00:00.000Z', '', 'Approved', sheetUrl, '']
+    ]);
+    expect(entry).toMatchObject({ itemCount: 3, grandTotal: 1250, revision: 1, status: 'Approved', sheetUrl, photoFolderUrl: '' });
+  });
+
+  it('unescapes quotes in link URLs', () => {
+    const [entry] = parseJobLogRows([headers, ['1', '', '', '', '', '', '', '', '', '', '=HYPERLINK("https://example.com/?q=""a""", "Open tab")']]);
+    expect(entry.sheetUrl).toBe('https://example.com/?q="a"');
+    expect(entry.pdfUrl).toBe('');
+  });
+
+  it('finds moved columns by header and skips rows without a WO#', () => {
+    const entries = parseJobLogRows([
+      ['Status', 'WO#', 'Notes', 'Grand Total'],
+      ['Complete', '28867', 'Keys at office', 99.5],
+      ['', '', 'Blank row'],
+      []
+    ]);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ sheetName: '28867', status: 'Complete', grandTotal: 99.5 });
+  });
+
+  it('returns nothing for an empty tab', () => {
+    expect(parseJobLogRows([])).toEqual([]);
+    expect(parseJobLogRows([headers])).toEqual([]);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { parseJobSheetRows } from '../sheets';
+
+const header = ['Category', 'Item', 'Description', 'Unit', 'Amount', 'Multiplier', 'Price Per Unit', 'Total', 'Materials', 'Notes'];
+
+// A tab as writeToSheet lays it out, read with valueRenderOption FORMULA
+const rows = [
+  ['WO#', '28867', 'Revision', 2, 'Unit #', '301', 'Price List', 'Acme Properties', 'Catalog Version', 4],
+  ['Address', '12 Elm St', '', 'Unit SQ FT', 850, 'Unit Layout', '2BR/1BA', 'Est. Labor', '32 hrs (~2 days, crew of 2)'],
+  ['Scope (English)', '', '', '', 'Alcance (Español)'],
+  ['Paint the unit', '', '', '', 'Pintar la unidad'],
+  ['Unit Layout'],
+  ['=IMAGE("https://drive.google.com/uc?id=sketch", 1)'],
+  header,
+  ['Doors & Windows', 'Remove and Install Door w/frame', 'Remove & Install', 'EA', 2, 1, 120, 240, 360, 'Bedroom (Photo 2) (Materials: Masonite)'],
+  ['Painting', 'Clean Walls', 'Clean', 'SF', 1200, 1, 0.15, 180, '', ''],
+  ['', 'Prep & Paint Walls 2 Coats', 'Paint', 'SF', 1200, 1, 0.68, 816, '', 'Two coats'],
+  ['', '', '', '', '', '', 'Labor / Materials:', 1236, 360],
+  ['', '', '', '', '', '', 'TOTAL:', 1596],
+  ['', '', '', '', '', '', 'Markup (10%):', 159.6],
+  ['', '', '', '', '', '', 'Discount: Repeat customer:', -50],
+  ['', '', '', '', '', '', 'GRAND TOTAL:', 1705.6],
+  [],
+  ['Photos'],
+  ['=IMAGE("https://drive.google.com/uc?id=p1", 1)'],
+  ['Photo 1 notes:'],
+  ['=IMAGE("https://drive.google.com/uc?id=p2", 1)'],
+  ['Water damage under sink']
+];
+
+// Category cells are merged down each run of items
+const merges = [{ startRowIndex: 8, endRowIndex: 10, startColumnIndex: 0, endColumnIndex: 1 }];
+
+describe('parseJobSheetRows', () => {
+  it('reads the job header cells', () => {
+    expect(parseJobSheetRows(rows, merges)).toMatchObject({
+      workOrderNumber: '28867',
+      unitNumber: '301',
+      priceList: 'Acme Properties',
+      catalogVersion: 4,
+      revision: 2,
+      address: '12 Elm St',
+      unitSquareFeet: '850',
+      unitLayout: '2BR/1BA',
+      crewSize: 2,
+      englishScope: 'Paint the unit',
+      spanishScope: 'Pintar la unidad',
+      sketchUrl: 'https://drive.google.com/uc?id=sketch'
+    });
+  });
+
+  it('reads work items, filling merged categories and splitting the note suffixes', () => {
+    const { workItems } = parseJobSheetRows(rows, merges);
+    expect(workItems).toEqual([
+      {
+        category: 'Doors & Windows', item: 'Remove and Install Door w/frame', description: 'Remove & Install', unit: 'EA',
+        amount: 2, pricePerUnit: 120, total: 240, materials: 360, notes: 'Bedroom', materialsNote: 'Masonite', photoNumber: 2
+      },
+      {
+        category: 'Painting', item: 'Clean Walls', description: 'Clean', unit: 'SF',
+        amount: 1200, pricePerUnit: 0.15, total: 180, materials: 0, notes: '', materialsNote: '', photoNumber: null
+      },
+      {
+        category: 'Painting', item: 'Prep & Paint Walls 2 Coats', description: 'Paint', unit: 'SF',
+        amount: 1200, pricePerUnit: 0.68, total: 816, materials: 0, notes: 'Two coats', materialsNote: '', photoNumber: null
+      }
+    ]);
+  });
+
+  it('reads the adjustments under TOTAL and the photo gallery', () => {
+    const { adjustmentLines, photos } = parseJobSheetRows(rows, merges);
+    expect(adjustmentLines).toEqual([
+      { label: 'Markup (10%)', amount: 159.6 },
+      { label: 'Discount: Repeat customer', amount: -50 }
+    ]);
+    expect(photos).toEqual([
+      { url: 'https://drive.google.com/uc?id=p1', caption: '' },
+      { url: 'https://drive.google.com/uc?id=p2', caption: 'Water damage under sink' }
+    ]);
+  });
+
+  it('reads a header without a catalog version or labor estimate', () => {
+    const parsed = parseJobSheetRows([
+      ['WO#', '10001', 'Revision', 1, 'Unit #', '0301', 'Price List', 'Standard', 'Catalog Version', ''],
+      ['Address', '1 Oak Ave', '', 'Unit SQ FT', 600, 'Unit Layout', 'Studio', 'Est. Labor', ''],
+      ...rows.slice(2)
+    ], merges);
+    expect(parsed).toMatchObject({ unitNumber: '0301', priceList: '', catalogVersion: null, revision: 1, unitSquareFeet: '600', crewSize: null });
+  });
+
+  it('reads older tabs that packed the header values into E1 and E2', () => {
+    const parsed = parseJobSheetRows([
+      ['WO#', '28867', '', 'Unit #', '301          Price List: Acme Properties (catalog v4)          Revision: 2'],
+      ['Address', '12 Elm St', '', 'Unit SQ FT', '850          Unit Layout: 2BR/1BA          Est. Labor: 32 hrs (~2 days, crew of 2)'],
+      ...rows.slice(2)
+    ], merges);
+    expect(parsed).toMatchObject({
+      workOrderNumber: '28867',
+      unitNumber: '301',
+      priceList: 'Acme Properties',
+      catalogVersion: 4,
+      revision: 2,
+      address: '12 Elm St',
+      unitSquareFeet: '850',
+      unitLayout: '2BR/1BA',
+      crewSize: 2
+    });
+  });
+
+  it('reads older tabs without the Materials column, revision or price list', () => {
+    const oldHeader = ['Category', 'Item', 'Description', 'Unit', 'Amount', 'Multiplier', 'Price Per Unit', 'Total', 'Notes'];
+    const parsed = parseJobSheetRows([
+      ['WO#', '10001', '', 'Unit #', '12'],
+      ['Address', '1 Oak Ave', '', 'Unit SQ FT', '600          Unit Layout: Studio'],
+      [],
+      ['', '', '', '', ''],
+      oldHeader,
+      ['Clean Up', 'General Clean', 'Clean', 'SF', 600, 1, 0.1, 60, 'Whole unit'],
+      ['', '', '', '', '', '', 'TOTAL:', 60]
+    ]);
+    expect(parsed).toMatchObject({ unitNumber: '12', priceList: '', catalogVersion: null, revision: null, crewSize: null, sketchUrl: null });
+    expect(parsed.workItems).toEqual([{
+      category: 'Clean Up', item: 'General Clean', description: 'Clean', unit: 'SF',
+      amount: 600, pricePerUnit: 0.1, total: 60, materials: 0, notes: 'Whole unit', materialsNote: '', photoNumber: null
+    }]);
+    expect(parsed.adjustmentLines).toEqual([]);
+  });
+
+  it('refuses tabs the app did not write', () => {
+    expect(() => parseJobSheetRows([['Name', 'Phone'], ['Ana', '555-0100']])).toThrow('This tab does not have a work item table');
+    // The Pricing tab, say - submit turns the 422 into "this WO# isn't a job"
+    expect(() => parseJobSheetRows([['Item', 'Description', 'Unit', 'Price']])).toThrow(expect.objectContaining({ code: 422 }));
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { computeRoomGeometry, sumRoomMeasure } from '../roomGeometry';
+
+describe('computeRoomGeometry', () => {
+  it('computes areas and lengths less door and window openings', () => {
+    const geometry = computeRoomGeometry({ room: 'Bedroom', lengthFt: 12, widthFt: 10, heightFt: 8, doors: 1, windows: 1 });
+    expect(geometry).toMatchObject({
+      room: 'Bedroom',
+      floorSF: 120,
+      ceilingSF: 120,
+      perimeterLF: 44,
+      wallSF: 316,
+      baseboardLF: 41
+    });
+    expect(geometry.audit.wallSF).toBe('2 × (12 + 10) × 8 ft = 352 SF − 1 door × 21 SF − 1 window × 15 SF = 316 SF');
+    expect(geometry.audit.baseboardLF).toBe('2 × (12 + 10) = 44 LF − 1 door × 3 LF = 41 LF');
+  });
+
+  it('defaults the ceiling height to 8 ft and ignores bad opening counts', () => {
+    const geometry = computeRoomGeometry({ room: 'Hall', lengthFt: '10', widthFt: '3.5', doors: -2, windows: 'two' });
+    expect(geometry).toMatchObject({ heightFt: 8, doors: 0, windows: 0, floorSF: 35, wallSF: 216 });
+  });
+
+  it('never goes below zero when openings exceed the wall', () => {
+    const geometry = computeRoomGeometry({ room: 'Closet', lengthFt: 2, widthFt: 2, heightFt: 7, doors: 4 });
+    expect(geometry.wallSF).toBe(0);
+    expect(geometry.baseboardLF).toBe(0);
+  });
+
+  it('rejects missing or non-positive dimensions', () => {
+    expect(() => computeRoomGeometry({ room: 'Kitchen', lengthFt: 10 })).toThrow('Room length and width must be positive numbers');
+    expect(() => computeRoomGeometry({ room: 'Kitchen', lengthFt: 0, widthFt: 10 })).toThrow();
+  });
+});
+
+describe('sumRoomMeasure', () => {
+  const roomGeometry = {
+    Bedroom: computeRoomGeometry({ room: 'Bedroom', lengthFt: 12, widthFt: 10, doors: 1, windows: 1 }),
+    'Living Room': computeRoomGeometry({ room: 'Living Room', lengthFt: 15.5, widthFt: 13 })
+  };
+
+  it('returns one room\'s measure with its audit trail', () => {
+    expect(sumRoomMeasure(roomGeometry, ['Bedroom'], 'floorSF')).toEqual({ amount: 120, calculation: 'Bedroom: 12 × 10 = 120 SF' });
+  });
+
+  it('sums across rooms, matching names case-insensitively and rounding the total', () => {
+    const result = sumRoomMeasure(roomGeometry, ['bedroom', 'LIVING ROOM'], 'floorSF');
+    expect(result.amount).toBe(322); // 120 + 201.5
+    expect(result.calculation).toBe('Bedroom: 12 × 10 = 120 SF; Living Room: 15.5 × 13 = 201.5 SF; total ≈ 322 SF');
+  });
+
+  it('returns null when a room or the measure is unknown', () => {
+    expect(sumRoomMeasure(roomGeometry, ['Bedroom', 'Bathroom'], 'wallSF')).toBeNull();
+    expect(sumRoomMeasure(roomGeometry, ['Bedroom'], 'volumeCF')).toBeNull();
+    expect(sumRoomMeasure(roomGeometry, [], 'wallSF')).toBeNull();
+    expect(sumRoomMeasure({}, ['Bedroom'], 'wallSF')).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { checkSanity, blockingWarnings } from '../sanityRules';
+
+const line = (id, item, unit, multiplier, fields = {}) => ({
+  id, category: 'Painting', item, description: 'Paint', unit, multiplier, pricePerUnit: 1, notes: '', ...fields
+});
+
+const job = (workItems, fields = {}) => ({ unitSquareFeet: '511 SF', unitLayout: '1 bed 1 bath', workItems, ...fields });
+
+const rules = (warnings) => warnings.map(warning => warning.rule);
+
+describe('checkSanity', () => {
+  it('passes a plausible job', () => {
+    expect(checkSanity(job([
+      line('1', 'Prep & Paint Walls 2 Coats', 'SF', 1500),
+      line('2', 'General Clean', 'SF', 511, { category: 'Clean Up', description: 'Clean' }),
+      line('3', 'Base Molding 4"', 'LF', 180)
+    ]))).toEqual([]);
+  });
+
+  it('flags a floor-area item larger than the unit (a slipped digit)', () => {
+    const [warning] = checkSanity(job([line('1', 'General Clean', 'SF', 5110, { description: 'Clean' })]));
+    expect(warning).toMatchObject({
+      id: 'floor-area:1=5110',
+      rule: 'floor-area',
+      severity: 'high',
+      itemIds: ['1'],
+      message: '"General Clean" is 5,110 SF but the whole unit is 511 SF',
+      acknowledged: false
+    });
+  });
+
+  it('flags wall area over 5× the unit and linear feet over its square footage', () => {
+    expect(rules(checkSanity(job([
+      line('1', 'Prep & Paint Walls 2 Coats', 'SF', 3000),
+      line('2', 'Base Molding 4"', 'LF', 600)
+    ])))).toEqual(['wall-area', 'linear-feet']);
+  });
+
+  it('asks about wall paint smaller than the floor', () => {
+    const warnings = checkSanity(job([line('1', 'Prep & Paint Walls 2 Coats', 'SF', 300)]));
+    expect(warnings).toMatchObject([{ rule: 'wall-less-than-floor', severity: 'medium' }]);
+  });
+
+  it('skips unit-size rules when the unit SF is unknown', () => {
+    expect(checkSanity(job([line('1', 'General Clean', 'SF', 5110)], { unitSquareFeet: '' }))).toEqual([]);
+  });
+
+  it('compares toilets with the bathrooms in the layout', () => {
+    const toilets = [line('1', 'Floor Mounted toilet w/ tank', 'EA', 2, { category: 'Plumbing Installation', description: 'Remove & Install' })];
+    expect(checkSanity(job(toilets))[0].message).toBe('2 toilets for 1 bathroom');
+    expect(checkSanity(job(toilets, { unitLayout: '2 bed 2 bath' }))).toEqual([]);
+    expect(checkSanity(job(toilets, { unitLayout: '' }))[0].message).toBe('2 toilets in a unit with no layout given - how many bathrooms are there?');
+  });
+
+  it('flags large EA counts and $0 lines', () => {
+    const warnings = checkSanity(job([
+      line('1', 'Paint 36" Door', 'EA', 25),
+      line('2', 'Other repairs', 'EA', 1, { pricePerUnit: 0, notes: 'Kitchen' })
+    ]));
+    expect(warnings.map(warning => [warning.rule, warning.severity])).toEqual([['zero-price', 'high'], ['item-count', 'medium']]);
+    expect(warnings[0].message).toBe('"Other repairs" (Kitchen) has no price and would go out as a $0 line');
+  });
+
+  it('rates duplicates by whether their notes differ', () => {
+    const same = checkSanity(job([line('1', 'Clean Walls', 'SF', 100), line('2', 'clean walls ', 'SF', 100)]));
+    expect(same).toMatchObject([{ rule: 'duplicate', severity: 'medium', id: 'duplicate:1=100+2=100', itemIds: ['1', '2'] }]);
+
+    const rooms = checkSanity(job([line('1', 'Clean Walls', 'SF', 100, { notes: 'Bedroom' }), line('2', 'Clean Walls', 'SF', 100, { notes: 'Hall' })]));
+    expect(rooms).toMatchObject([{ rule: 'duplicate', severity: 'low' }]);
+  });
+
+  it('ignores lines without an amount', () => {
+    expect(checkSanity(job([line('1', 'Other repairs', 'EA', 0, { pricePerUnit: 0 }), null]))).toEqual([]);
+  });
+});
+
+describe('acknowledging warnings', () => {
+  const data = job([line('1', 'General Clean', 'SF', 5110)]);
+
+  it('stops blocking once the warning is acknowledged', () => {
+    expect(blockingWarnings(checkSanity(data))).toHaveLength(1);
+    expect(blockingWarnings(checkSanity({ ...data, acknowledgedWarnings: ['floor-area:1=5110'] }))).toEqual([]);
+  });
+
+  it('re-opens the warning when the flagged amount changes', () => {
+    const edited = { ...data, workItems: [line('1', 'General Clean', 'SF', 5100)], acknowledgedWarnings: ['floor-area:1=5110'] };
+    expect(blockingWarnings(checkSanity(edited))).toMatchObject([{ id: 'floor-area:1=5100' }]);
+  });
+
+  it('never blocks on medium or low warnings', () => {
+    expect(blockingWarnings(checkSanity(job([line('1', 'Paint 36" Door', 'EA', 25)])))).toEqual([]);
+  });
+});
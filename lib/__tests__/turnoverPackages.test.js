@@ -0,0 +1,158 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  evaluateQuantity,
+  packageVariables,
+  findPackage,
+  packageForLayout,
+  applyPackage,
+  DEFAULT_PACKAGES
+} from '../turnoverPackages';
+import { parsePackageRows } from '../catalogStore';
+
+const variables = { sf: 850, bedrooms: 2, bathrooms: 1.5, rooms: 5 };
+
+describe('evaluateQuantity', () => {
+  it('evaluates numbers, variables and operator precedence', () => {
+    expect(evaluateQuantity('12', variables)).toBe(12);
+    expect(evaluateQuantity(4, variables)).toBe(4);
+    expect(evaluateQuantity('sf * 3', variables)).toBe(2550);
+    expect(evaluateQuantity('bedrooms * 2 + bathrooms + 1', variables)).toBe(6.5);
+    expect(evaluateQuantity('(bedrooms + 1) * 2', variables)).toBe(6);
+    expect(evaluateQuantity('10 - 4 - 3', variables)).toBe(3);
+    expect(evaluateQuantity('sf / 10 / 5', variables)).toBe(17);
+    expect(evaluateQuantity('-bedrooms + .5', variables)).toBe(-1.5);
+  });
+
+  it('supports ceil, round, min and max with names in any case', () => {
+    expect(evaluateQuantity('ceil(SF / 100)', variables)).toBe(9);
+    expect(evaluateQuantity('round(sf * 0.15)', variables)).toBe(128);
+    expect(evaluateQuantity('max(bedrooms, 1) + 1', { ...variables, bedrooms: 0 })).toBe(2);
+    expect(evaluateQuantity('min(rooms, 3, bathrooms)', variables)).toBe(1.5);
+  });
+
+  it('rejects formulas it cannot parse instead of running them', () => {
+    expect(() => evaluateQuantity('sf * walls', variables)).toThrow('Unknown name "walls"');
+    expect(() => evaluateQuantity('sf * (3', variables)).toThrow('Expected ")"');
+    expect(() => evaluateQuantity('max(sf 3)', variables)).toThrow('Expected ")"');
+    expect(() => evaluateQuantity('sf; process.exit()', variables)).toThrow('Unexpected ";');
+    expect(() => evaluateQuantity('sf 3', variables)).toThrow('Unexpected "3"');
+    expect(() => evaluateQuantity('sf *', variables)).toThrow('Unexpected end of formula');
+    expect(() => evaluateQuantity('', variables)).toThrow('Unexpected end of formula');
+  });
+});
+
+describe('packageVariables', () => {
+  it('reads the unit size and room counts', () => {
+    expect(packageVariables({ unitSquareFeet: '850 SF', unitLayout: '2 bed 1.5 bath' })).toEqual({ ...variables, rooms: 4 });
+  });
+
+  it('falls back to sketch rooms, one bathroom and zero bedrooms', () => {
+    expect(packageVariables({ unitSquareFeet: '', unitLayout: 'Studio', rooms: [{}, {}, {}] }))
+      .toEqual({ sf: 0, bedrooms: 0, bathrooms: 1, rooms: 3 });
+  });
+});
+
+describe('choosing a package', () => {
+  it('finds packages by name and by the job\'s bedroom count', () => {
+    expect(findPackage(DEFAULT_PACKAGES, ' standard 2br TURN ').name).toBe('Standard 2BR turn');
+    expect(findPackage(DEFAULT_PACKAGES, 'Deluxe')).toBeNull();
+    expect(packageForLayout(DEFAULT_PACKAGES, '2 bedrooms Unit').name).toBe('Standard 2BR turn');
+    expect(packageForLayout(DEFAULT_PACKAGES, 'Studio').name).toBe('Standard Studio turn');
+    expect(packageForLayout(DEFAULT_PACKAGES, '')).toBeNull();
+  });
+});
+
+describe('applyPackage', () => {
+  const pkg = {
+    name: 'Test turn',
+    layout: '1 bedroom',
+    lines: [
+      { category: 'Painting', item: 'Clean Walls', description: 'Clean', quantity: 'sf * 3' },
+      { category: 'Clean Up', item: 'General Clean', description: 'Clean', quantity: 'sf' },
+      { category: 'Clean Up', item: 'Oven', description: 'Clean', quantity: '1' }
+    ]
+  };
+
+  it('adds priced lines with their formula as the calculation', () => {
+    const { structuredData, added, skipped } = applyPackage({ unitSquareFeet: '600 SF', unitLayout: '1 bed 1 bath', workItems: [] }, pkg);
+    expect(added).toBe(3);
+    expect(skipped).toEqual([]);
+    expect(structuredData.package).toBe('Test turn');
+    expect(structuredData.workItems[0]).toMatchObject({
+      id: '1', item: 'Clean Walls', multiplier: 1800, pricePerUnit: 0.15, total: 270,
+      calculation: 'Test turn: sf * 3', fromPackage: 'Test turn'
+    });
+    expect(structuredData.nextItemId).toBe(4);
+  });
+
+  it('leaves lines the job already has alone', () => {
+    const existing = { id: '1', category: 'Clean Up', item: 'Oven', description: 'Clean', multiplier: 2 };
+    const { structuredData, skipped } = applyPackage({ unitSquareFeet: '600 SF', workItems: [existing] }, pkg);
+    expect(structuredData.workItems.filter(item => item.item === 'Oven')).toEqual([existing]);
+    expect(skipped).toEqual([{ item: 'Oven', reason: 'Already on the job' }]);
+  });
+
+  it('continues from the job\'s id counter so removed ids are not reused', () => {
+    const { structuredData } = applyPackage({ unitSquareFeet: '600 SF', workItems: [{ id: '1', item: 'Paint' }], nextItemId: 5 }, pkg);
+    expect(structuredData.workItems.map(item => item.id)).toEqual(['1', '5', '6', '7']);
+    expect(structuredData.nextItemId).toBe(8);
+  });
+
+  it('skips lines that come to nothing and explains a missing unit SF', () => {
+    const { added, skipped } = applyPackage({ unitSquareFeet: '', workItems: [] }, pkg);
+    expect(added).toBe(1);
+    expect(skipped).toEqual([
+      { item: 'Clean Walls', reason: '"sf * 3" came to 0 - the unit SF is not set' },
+      { item: 'General Clean', reason: '"sf" came to 0 - the unit SF is not set' }
+    ]);
+  });
+
+  it('skips a line that divides by zero instead of adding an endless amount', () => {
+    const perBedroom = { ...pkg, lines: [{ ...pkg.lines[0], quantity: 'sf / bedrooms' }, { ...pkg.lines[0], item: 'Clean Ceiling', quantity: '0 / bedrooms' }] };
+    const { added, skipped } = applyPackage({ unitSquareFeet: '450 SF', unitLayout: 'Studio', workItems: [] }, perBedroom);
+    expect(added).toBe(0);
+    expect(skipped).toEqual([
+      { item: 'Clean Walls', reason: '"sf / bedrooms" can\'t be worked out for this unit - check for a division by zero' },
+      { item: 'Clean Ceiling', reason: '"0 / bedrooms" can\'t be worked out for this unit - check for a division by zero' }
+    ]);
+  });
+
+  it('reports a bad formula without stopping the other lines', () => {
+    const broken = { ...pkg, lines: [{ ...pkg.lines[0], quantity: 'sf * walls' }, pkg.lines[2]] };
+    const { added, skipped } = applyPackage({ unitSquareFeet: '600 SF', workItems: [] }, broken);
+    expect(added).toBe(1);
+    expect(skipped).toEqual([{ item: 'Clean Walls', reason: 'Bad quantity formula "sf * walls": Unknown name "walls"' }]);
+  });
+});
+
+describe('parsePackageRows', () => {
+  it('groups rows by package, keeping sheet order and the layout given on any row', () => {
+    expect(parsePackageRows([
+      ['Package', 'Layout', 'Category', 'Item', 'Description', 'Quantity'],
+      ['Small turn', 'Studio', 'Painting', 'Clean Walls', 'Clean', 'sf * 3'],
+      ['Big turn', '', 'Clean Up', 'Oven', 'Clean', '1'],
+      ['Small turn', '', 'Clean Up', 'General Clean', 'Clean', 'sf'],
+      ['Big turn', '3 bedrooms']
+    ])).toEqual([
+      {
+        name: 'Small turn',
+        layout: 'Studio',
+        lines: [
+          { category: 'Painting', item: 'Clean Walls', description: 'Clean', quantity: 'sf * 3' },
+          { category: 'Clean Up', item: 'General Clean', description: 'Clean', quantity: 'sf' }
+        ]
+      },
+      { name: 'Big turn', layout: '3 bedrooms', lines: [{ category: 'Clean Up', item: 'Oven', description: 'Clean', quantity: '1' }] }
+    ]);
+  });
+
+  it('drops lines with bad formulas and packages left without lines', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parsePackageRows([
+      ['Package', 'Layout', 'Category', 'Item', 'Description', 'Quantity'],
+      ['Broken turn', '', 'Painting', 'Clean Walls', 'Clean', 'sf * walls']
+    ])).toEqual([]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
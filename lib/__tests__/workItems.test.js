@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import {
+  nextWorkItemId,
+  calculateItemTotal,
+  calculateItemMaterials,
+  createWorkItem,
+  workItemFromSheetRow,
+  applyWorkItemOperations,
+  describeSkippedOperations,
+  diffWorkItemPrices,
+  repriceWorkItems
+} from '../workItems';
+
+const catalog = {
+  Painting: [
+    { item: 'Prep & Paint Walls 2 Coats', description: 'Paint', unit: 'SF', pricePerUnit: 0.68, hoursPerUnit: 0.012 }
+  ],
+  'Doors & Windows': [
+    {
+      item: 'Remove and Install Door w/frame', description: 'Remove & Install', unit: 'EA',
+      pricePerUnit: 120, materialsCost: true, materialsAllowance: 180, hoursPerUnit: 3
+    }
+  ]
+};
+
+const paint = { category: 'Painting', item: 'Prep & Paint Walls 2 Coats', description: 'Paint' };
+const door = { category: 'Doors & Windows', item: 'Remove and Install Door w/frame', description: 'Remove & Install' };
+
+describe('nextWorkItemId', () => {
+  it('counts on from the highest numeric id, ignoring editor ids', () => {
+    expect(nextWorkItemId([{ id: '1' }, { id: '4' }, { id: 'new-1700000000000' }])).toBe('5');
+    expect(nextWorkItemId([])).toBe('1');
+  });
+
+  it('does not reuse the id of a removed last item when the job has a counter', () => {
+    expect(nextWorkItemId([{ id: '1' }, { id: '2' }], 4)).toBe('4');
+  });
+
+  it('never goes below the ids already in the list', () => {
+    expect(nextWorkItemId([{ id: '7' }], 3)).toBe('8');
+  });
+});
+
+describe('item totals', () => {
+  it('multiplies the amount by the price and by the materials per unit', () => {
+    const item = { multiplier: 10, pricePerUnit: 2.5, materialsPerUnit: 1.2 };
+    expect(calculateItemTotal(item)).toBe(25);
+    expect(calculateItemMaterials(item)).toBeCloseTo(12);
+  });
+
+  it('treats missing numbers as 0', () => {
+    expect(calculateItemTotal({})).toBe(0);
+    expect(calculateItemMaterials({ multiplier: '3' })).toBe(0);
+  });
+});
+
+describe('createWorkItem', () => {
+  it('prices an exact catalog match', () => {
+    const item = createWorkItem({ ...paint, amount: 400 }, '1', catalog);
+    expect(item).toMatchObject({
+      id: '1', unit: 'SF', multiplier: 400, pricePerUnit: 0.68, hoursPerUnit: 0.012,
+      materialsCost: false, materialsPerUnit: 0, needsConfirmation: false
+    });
+    expect(item.total).toBeCloseTo(272);
+  });
+
+  it('gives "+ Materials" items the catalog allowance unless materials were priced', () => {
+    expect(createWorkItem({ ...door, amount: 2 }, '1', catalog)).toMatchObject({ materialsPerUnit: 180, materialsTotal: 360, total: 240 });
+    expect(createWorkItem({ ...door, amount: 2, materialsPerUnit: 250, materialsNote: 'Masonite' }, '1', catalog))
+      .toMatchObject({ materialsPerUnit: 250, materialsTotal: 500 });
+  });
+
+  it('leaves an unknown item unpriced and flagged', () => {
+    const item = createWorkItem({ category: 'Painting', item: 'Gold leaf ceiling', amount: 1 }, '1', catalog);
+    expect(item).toMatchObject({ pricePerUnit: 0, total: 0, needsConfirmation: true });
+  });
+});
+
+describe('workItemFromSheetRow', () => {
+  it('keeps the billed amount, price and materials from the sheet', () => {
+    const row = { ...door, unit: 'EA', amount: 3, pricePerUnit: 110, total: 330, materials: 500, notes: 'Hall', materialsNote: 'Masonite' };
+    const item = workItemFromSheetRow(row, '5', catalog);
+    expect(item).toMatchObject({
+      id: '5', multiplier: 3, pricePerUnit: 110, total: 330, materialsCost: true, hoursPerUnit: 3,
+      materialsNote: 'Masonite', needsConfirmation: false
+    });
+    expect(item.materialsPerUnit).toBe(166.6667);
+  });
+});
+
+describe('applyWorkItemOperations', () => {
+  const start = () => [createWorkItem({ ...paint, amount: 100 }, '1', catalog), createWorkItem({ ...door, amount: 1 }, '2', catalog)];
+
+  it('adds, updates and removes items by id', () => {
+    const { workItems, skipped, nextItemId } = applyWorkItemOperations(start(), [
+      { op: 'update', id: '1', amount: 200 },
+      { op: 'remove', id: '2' },
+      { op: 'add', ...door, amount: 2 }
+    ], catalog);
+    expect(skipped).toEqual([]);
+    expect(workItems.map(item => [item.id, item.multiplier])).toEqual([['1', 200], ['3', 2]]);
+    expect(workItems[0].total).toBeCloseTo(136);
+    expect(nextItemId).toBe(4);
+  });
+
+  it('does not hand a removed item\'s id to the next add', () => {
+    const first = applyWorkItemOperations(start(), [{ op: 'remove', id: '2' }], catalog);
+    const second = applyWorkItemOperations(first.workItems, [{ op: 'add', ...door, amount: 1 }], catalog, first.nextItemId);
+    expect(second.workItems.map(item => item.id)).toEqual(['1', '3']);
+  });
+
+  it('skips adds without a category or item instead of adding a $0 row', () => {
+    const { workItems, skipped } = applyWorkItemOperations(start(), [
+      { op: 'add', amount: 3 },
+      { op: 'add', category: 'Painting', amount: 3 }
+    ], catalog);
+    expect(workItems).toHaveLength(2);
+    expect(skipped.map(op => op.reason)).toEqual(['Missing item', 'Missing item']);
+  });
+
+  it('reports operations on unknown ids and unknown operations', () => {
+    const { skipped } = applyWorkItemOperations(start(), [
+      { op: 'update', id: '9', amount: 1 },
+      { op: 'merge', id: '1' }
+    ], catalog);
+    expect(skipped.map(op => op.reason)).toEqual(['Unknown work item id', 'Unknown operation']);
+  });
+
+  it('keeps the price when only the amount changes and re-prices when the item changes', () => {
+    const items = [{ ...createWorkItem({ ...paint, amount: 100 }, '1', catalog), pricePerUnit: 0.5 }];
+    const amountOnly = applyWorkItemOperations(items, [{ op: 'update', id: '1', amount: 10 }], catalog).workItems[0];
+    expect(amountOnly.pricePerUnit).toBe(0.5);
+
+    const newItem = applyWorkItemOperations(items, [{ op: 'update', id: '1', ...door }], catalog).workItems[0];
+    expect(newItem).toMatchObject({ pricePerUnit: 120, materialsCost: true, materialsPerUnit: 180, hoursPerUnit: 3 });
+  });
+});
+
+describe('describeSkippedOperations', () => {
+  it('names each skipped change by its item, or its id when there is none', () => {
+    const items = [createWorkItem({ ...paint, amount: 100 }, '1', catalog)];
+    expect(describeSkippedOperations([
+      { op: 'add', category: 'Painting', amount: 3, reason: 'Missing item' },
+      { op: 'add', ...paint, quantityFrom: { rooms: ['Bedroom'], measure: 'wallSF' }, reason: 'No wallSF computed for Bedroom' },
+      { op: 'update', id: '1', notes: 'Hall', reason: 'Unknown operation' },
+      { op: 'remove', id: '9', reason: 'Unknown work item id' },
+      { op: 'merge', id: '1', reason: 'Unknown operation' }
+    ], items)).toBe([
+      'Some changes were not made:',
+      '- Couldn\'t add an item: Missing item',
+      '- Couldn\'t add Prep & Paint Walls 2 Coats: No wallSF computed for Bedroom',
+      '- Couldn\'t update Prep & Paint Walls 2 Coats: Unknown operation',
+      '- Couldn\'t remove item 9: Unknown work item id',
+      '- Couldn\'t change Prep & Paint Walls 2 Coats: Unknown operation'
+    ].join('\n'));
+  });
+});
+
+describe('repricing', () => {
+  const repricedCatalog = {
+    Painting: [{ ...catalog.Painting[0], pricePerUnit: 0.75, hoursPerUnit: 0.01 }],
+    'Doors & Windows': [{ ...catalog['Doors & Windows'][0], materialsCost: false, materialsAllowance: 0 }]
+  };
+
+  it('re-derives materials and the production rate with the price', () => {
+    const items = [createWorkItem({ ...paint, amount: 100 }, '1', catalog), createWorkItem({ ...door, amount: 2 }, '2', catalog)];
+    const [walls, doors] = repriceWorkItems(items, repricedCatalog);
+
+    expect(walls).toMatchObject({ pricePerUnit: 0.75, hoursPerUnit: 0.01, total: 75 });
+    // No longer "+ Materials", so it stops billing the allowance
+    expect(doors).toMatchObject({ materialsCost: false, materialsPerUnit: 0, materialsTotal: 0, total: 240 });
+  });
+
+  it('gives a line that becomes "+ Materials" the catalog allowance', () => {
+    const items = [createWorkItem({ ...door, amount: 2 }, '1', repricedCatalog)];
+    expect(repriceWorkItems(items, catalog)[0]).toMatchObject({ materialsCost: true, materialsPerUnit: 180, materialsTotal: 360 });
+  });
+
+  it('keeps materials priced for a named brand', () => {
+    const items = [createWorkItem({ ...door, amount: 1, materialsPerUnit: 250, materialsNote: 'Masonite' }, '1', catalog)];
+    const pricier = { ...catalog, 'Doors & Windows': [{ ...catalog['Doors & Windows'][0], pricePerUnit: 130 }] };
+    expect(repriceWorkItems(items, pricier)[0]).toMatchObject({ pricePerUnit: 130, materialsPerUnit: 250, materialsNote: 'Masonite' });
+  });
+
+  it('leaves $0 custom prices and unknown items alone', () => {
+    const custom = { Painting: [{ ...catalog.Painting[0], pricePerUnit: 0 }] };
+    const items = [createWorkItem({ ...paint, amount: 100 }, '1', catalog)];
+    expect(repriceWorkItems(items, custom)).toEqual(items);
+  });
+
+  it('lists price and materials changes with totals including materials', () => {
+    const items = [createWorkItem({ ...paint, amount: 100 }, '1', catalog), createWorkItem({ ...door, amount: 2 }, '2', catalog)];
+    const changes = diffWorkItemPrices(items, repricedCatalog);
+    expect(changes.map(change => [change.id, change.oldTotal, change.newTotal])).toEqual([
+      ['1', 68, 75],
+      ['2', 600, 240]
+    ]);
+  });
+
+  it('does not list a change to the production rate alone', () => {
+    const items = [createWorkItem({ ...paint, amount: 100 }, '1', catalog)];
+    const slower = { Painting: [{ ...catalog.Painting[0], hoursPerUnit: 0.02 }] };
+    expect(diffWorkItemPrices(items, slower)).toEqual([]);
+    expect(repriceWorkItems(items, slower)[0].hoursPerUnit).toBe(0.02);
+  });
+});
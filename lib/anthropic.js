@@ -1,107 +1,518 @@
 import Anthropic from '@anthropic-ai/sdk';
-import { PRICING_CATALOG, findPricing } from './pricingCatalog';
+import { PRICING_CATALOG, BASE_PRICE_LIST, getCategories } from './pricingCatalog';
+import { applyWorkItemOperations, createWorkItem, describeSkippedOperations } from './workItems';
+import { checkSanity } from './sanityRules';
+import { DEFAULT_ITEM_RULES, evaluateItemRules } from './itemRules';
+import { DEFAULT_PACKAGES, applyPackage, findPackage } from './turnoverPackages';
+import {
+  computeRoomGeometry,
+  sumRoomMeasure,
+  GEOMETRY_MEASURES,
+  DEFAULT_CEILING_HEIGHT_FT,
+  DOOR_OPENING,
+  WINDOW_OPENING
+} from './roomGeometry';
 
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY,
 });
 
-// Tool definition for structured data extraction
-const updateTurnoverDataTool = {
-  name: 'update_turnover_data',
-  description: 'Update the turnover assessment data with extracted information from the conversation. Call this tool whenever you have new information to add or update.',
+/**
+ * Unique values of one field across the catalog, used to constrain tool enums
+ * @param {object} catalog - Pricing catalog
+ * @param {string} field - Catalog entry field (e.g., "unit", "description")
+ */
+function catalogValues(catalog, field) {
+  const values = new Set();
+  Object.values(catalog).forEach(items => {
+    items.forEach(entry => {
+      if (entry[field]) values.add(entry[field]);
+    });
+  });
+  return Array.from(values);
+}
+
+/**
+ * Work item fields shared by every tool that proposes catalog line items
+ * Enums come from the active catalog so new sheet rows can be used right away
+ * @param {object} catalog - Pricing catalog
+ */
+function buildWorkItemFields(catalog) {
+  return {
+    category: {
+      type: 'string',
+      enum: getCategories(catalog),
+      description: 'Work category'
+    },
+    item: {
+      type: 'string',
+      description: 'Specific item from the pricing catalog (e.g., "Clean Walls", "Prep & Paint Walls 2 Coats", "Faucet")'
+    },
+    description: {
+      type: 'string',
+      enum: catalogValues(catalog, 'description'),
+      description: 'Type of work to be performed'
+    },
+    unit: {
+      type: 'string',
+      enum: catalogValues(catalog, 'unit'),
+      description: 'Unit of measurement: SF (square foot), LF (linear foot), EA (each), SET (set)'
+    },
+    amount: {
+      type: 'number',
+      description: 'Amount/quantity of units (e.g., 300 for 300 SF, 1 for 1 faucet). This is the Amount column.'
+    },
+    notes: {
+      type: 'string',
+      description: 'Additional notes in English or Spanish (e.g., location, special instructions)'
+    },
+    materialsPerUnit: {
+      type: 'number',
+      description: 'Materials cost per unit in dollars for "+ Materials" items. Only set this when a specific brand or model is named (e.g., "Kohler Highline toilet") - use its typical retail price. Leave it out to use the catalog allowance.'
+    },
+    materialsNote: {
+      type: 'string',
+      description: 'Brand / model the materials cost is based on (e.g., "Kohler Highline K-3999")'
+    }
+  };
+}
+
+/**
+ * Tool definition for structured data extraction
+ * @param {object} catalog - Pricing catalog
+ * @param {Array} packages - Standard turnover packages
+ */
+function buildUpdateTurnoverDataTool(catalog, packages) {
+  return {
+    name: 'update_turnover_data',
+    description: 'Update the turnover assessment data with extracted information from the conversation. Call this tool whenever you have new information to add or update.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        workOrderNumber: {
+          type: 'string',
+          description: 'Work order number (e.g., "28867")'
+        },
+        unitNumber: {
+          type: 'string',
+          description: 'Unit number (e.g., "301")'
+        },
+        address: {
+          type: 'string',
+          description: 'Property address (e.g., "1448 Park Road NW")'
+        },
+        unitSquareFeet: {
+          type: 'string',
+          description: 'Total square footage of unit (e.g., "511")'
+        },
+        unitLayout: {
+          type: 'string',
+          description: 'Layout description (e.g., "2 bedrooms Unit", "Studio", "1 bedroom")'
+        },
+        ...(packages.length > 0 ? {
+          applyPackage: {
+            type: 'string',
+            enum: packages.map(pkg => pkg.name),
+            description: 'Add the lines of a standard turnover package (only when the user asks for it). Quantities come from the unit square footage and layout, so set those first. Lines already on the job are kept as they are.'
+          }
+        } : {}),
+        workItemOperations: {
+          type: 'array',
+          description: 'Changes to the work item list since the CURRENT DATA STATE. Only describe what changed - items you do not mention are kept exactly as they are.',
+          items: {
+            type: 'object',
+            properties: {
+              op: {
+                type: 'string',
+                enum: ['add', 'update', 'remove'],
+                description: 'add: new work item - requires category and item (plus amount, or quantityFrom). update: change fields of an existing item - requires id; only send the fields that change. remove: delete an existing item - requires id. Operations missing a required field are skipped.'
+              },
+              id: {
+                type: 'string',
+                description: 'Id of the existing work item from CURRENT DATA STATE (required for update and remove, omit for add)'
+              },
+              ...buildWorkItemFields(catalog),
+              quantityFrom: {
+                type: 'object',
+                description: 'Take the amount from calculate_room_geometry results instead of estimating it. The amount field is ignored when this is set.',
+                properties: {
+                  rooms: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Room names exactly as passed to calculate_room_geometry (amounts are summed across rooms)'
+                  },
+                  measure: {
+                    type: 'string',
+                    enum: Object.keys(GEOMETRY_MEASURES),
+                    description: 'wallSF: walls less door/window openings, ceilingSF, floorSF, perimeterLF, baseboardLF: perimeter less door openings'
+                  }
+                },
+                required: ['rooms', 'measure']
+              }
+            },
+            required: ['op']
+          }
+        },
+        acknowledgeWarnings: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Ids of sanity warnings the user confirmed are correct as entered (e.g., the unit really does need 30 blinds)'
+        },
+        isComplete: {
+          type: 'boolean',
+          description: 'Set to true when you have gathered enough information to generate a complete scope of work'
+        }
+      }
+    }
+  };
+}
+
+// Tool definition for computing SF/LF quantities from room dimensions
+const calculateRoomGeometryTool = {
+  name: 'calculate_room_geometry',
+  description: 'Compute wall area (less standard door/window openings), ceiling area, floor area, perimeter and baseboard LF for a rectangular room. Always use this instead of doing the math yourself.',
   input_schema: {
     type: 'object',
     properties: {
-      workOrderNumber: {
+      room: {
         type: 'string',
-        description: 'Work order number (e.g., "28867")'
+        description: 'Room name (e.g., "Bedroom 1", "Living Room")'
       },
-      unitNumber: {
-        type: 'string',
-        description: 'Unit number (e.g., "301")'
+      lengthFt: {
+        type: 'number',
+        description: 'Room length in feet'
       },
-      address: {
-        type: 'string',
-        description: 'Property address (e.g., "1448 Park Road NW")'
+      widthFt: {
+        type: 'number',
+        description: 'Room width in feet'
       },
-      unitSquareFeet: {
-        type: 'string',
-        description: 'Total square footage of unit (e.g., "511")'
+      heightFt: {
+        type: 'number',
+        description: `Ceiling height in feet (default ${DEFAULT_CEILING_HEIGHT_FT})`
       },
-      unitLayout: {
-        type: 'string',
-        description: 'Layout description (e.g., "2 bedrooms Unit", "Studio", "1 bedroom")'
+      doors: {
+        type: 'number',
+        description: `Number of door openings (deducted at ${DOOR_OPENING.widthFt}x${DOOR_OPENING.heightFt} ft each). Assume 1 if unknown.`
       },
-      workItems: {
+      windows: {
+        type: 'number',
+        description: `Number of windows (deducted at ${WINDOW_OPENING.widthFt}x${WINDOW_OPENING.heightFt} ft each)`
+      }
+    },
+    required: ['room', 'lengthFt', 'widthFt']
+  }
+};
+
+/**
+ * Tool definition for proposing work items from site photos
+ * @param {object} catalog - Pricing catalog
+ */
+function buildSuggestWorkItemsTool(catalog) {
+  return {
+    name: 'suggest_work_items',
+    description: 'Propose catalog work items for damage or wear visible in the site photos.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        suggestions: {
+          type: 'array',
+          description: 'One entry per repair needed. Use an empty list if nothing needs work.',
+          items: {
+            type: 'object',
+            properties: {
+              photoId: {
+                type: 'string',
+                description: 'Id of the photo showing the problem (from the photo label)'
+              },
+              finding: {
+                type: 'string',
+                description: 'Short description of what is visible (e.g., "hole in drywall next to door")'
+              },
+              ...buildWorkItemFields(catalog)
+            },
+            required: ['photoId', 'finding', 'category', 'item', 'description', 'unit', 'amount']
+          }
+        }
+      },
+      required: ['suggestions']
+    }
+  };
+}
+
+// Tool definition for reading rooms off the floor-plan sketch
+const reportRoomsTool = {
+  name: 'report_rooms',
+  description: 'Report the rooms drawn on the floor-plan sketch with their estimated dimensions.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      rooms: {
         type: 'array',
-        description: 'List of work items to be completed',
         items: {
           type: 'object',
           properties: {
-            category: {
-              type: 'string',
-              enum: ['Painting', 'Floor & Molding', 'Doors & Windows', 'Other', 'Outlets No Wiring', 'Light Switch No Wiring', 'Electrical Installation', 'Plumbing Installation', 'Plumbing Repairs', 'Clean Up'],
-              description: 'Work category'
-            },
-            item: {
+            name: {
               type: 'string',
-              description: 'Specific item from the pricing catalog (e.g., "Clean Walls", "Prep & Paint Walls 2 Coats", "Faucet")'
+              description: 'Room name in English (e.g., "Bedroom 1", "Kitchen", "Bathroom")'
             },
-            description: {
+            label: {
               type: 'string',
-              enum: ['Clean', 'Paint', 'Install', 'Remove & Install', 'Demolition', 'Repair', 'Repairs', 'Refinish', 'Other'],
-              description: 'Type of work to be performed'
+              description: 'Label exactly as written on the sketch, if any (e.g., "Cuarto 1", "BR", "A")'
             },
-            unit: {
-              type: 'string',
-              enum: ['SF', 'LF', 'EA', 'SET'],
-              description: 'Unit of measurement: SF (square foot), LF (linear foot), EA (each), SET (set)'
+            lengthFt: {
+              type: 'number',
+              description: 'Estimated length in feet (from written dimensions if present, otherwise from proportions)'
             },
-            amount: {
+            widthFt: {
               type: 'number',
-              description: 'Amount/quantity of units (e.g., 300 for 300 SF, 1 for 1 faucet). This is the Amount column.'
+              description: 'Estimated width in feet'
+            },
+            dimensionsWritten: {
+              type: 'boolean',
+              description: 'True if the dimensions were written on the sketch, false if estimated from the drawing'
             },
             notes: {
               type: 'string',
-              description: 'Additional notes in English or Spanish (e.g., location, special instructions)'
+              description: 'Anything else marked for this room (closets, doors, windows, damage marks)'
             }
           },
-          required: ['category', 'item', 'description', 'unit', 'amount']
+          required: ['name', 'lengthFt', 'widthFt']
         }
-      },
-      isComplete: {
-        type: 'boolean',
-        description: 'Set to true when you have gathered enough information to generate a complete scope of work'
       }
     },
-    required: ['workItems']
+    required: ['rooms']
   }
 };
 
 /**
  * Build the pricing catalog reference for the system prompt
+ * @param {object} catalog - Pricing catalog (with the job's price list applied)
+ * @param {string} priceListName - The job's price list, if any
  */
-function buildPricingReference() {
-  let ref = 'PRICING CATALOG REFERENCE:\n\n';
-  for (const [category, items] of Object.entries(PRICING_CATALOG)) {
+function buildPricingReference(catalog, priceListName) {
+  let ref = `PRICING CATALOG REFERENCE (price list: ${priceListName || BASE_PRICE_LIST}):\n\n`;
+  for (const [category, items] of Object.entries(catalog)) {
     ref += `${category}:\n`;
     items.forEach(item => {
-      ref += `  - "${item.item}" (${item.description}) - ${item.unit} @ $${item.pricePerUnit.toFixed(2)}${item.materialsCost ? ' + Materials' : ''}\n`;
+      const materials = item.materialsAllowance ? ` (materials allowance $${item.materialsAllowance.toFixed(2)}/${item.unit})` : '';
+      ref += `  - "${item.item}" (${item.description}) - ${item.unit} @ $${item.pricePerUnit.toFixed(2)}${item.materialsCost ? ` + Materials${materials}` : ''}\n`;
     });
     ref += '\n';
   }
   return ref;
 }
 
+/**
+ * Build the floor-plan rooms section of the system prompt
+ * @param {Array} rooms - Rooms extracted from the sketch (may be empty)
+ */
+function buildRoomsReference(rooms) {
+  if (!Array.isArray(rooms) || rooms.length === 0) {
+    return '';
+  }
+
+  let ref = 'ROOMS FROM FLOOR PLAN SKETCH (dimensions are estimates unless marked as written):\n';
+  rooms.forEach(room => {
+    ref += `  - ${room.name}${room.label ? ` (labeled "${room.label}")` : ''}: ${room.lengthFt} x ${room.widthFt} ft, ~${room.areaSF} SF${room.dimensionsWritten ? ' (written)' : ''}${room.notes ? ` - ${room.notes}` : ''}\n`;
+  });
+  ref += `
+Use these rooms as context: propose quantities per room (e.g., wall paint SF for a room from its dimensions),
+ask which rooms need flooring or paint instead of asking for every measurement, and put the room name in notes.
+Confirm estimated dimensions with the user before relying on them for large quantities.
+`;
+  return ref;
+}
+
+/**
+ * Build the sanity warnings section of the system prompt
+ * @param {Array} warnings - Open warnings from checkSanity
+ */
+function buildWarningsReference(warnings) {
+  if (warnings.length === 0) {
+    return '';
+  }
+
+  let ref = 'SANITY WARNINGS (lines that look implausible for this unit):\n';
+  warnings.forEach(warning => {
+    ref += `  - [${warning.id}] ${warning.severity}: ${warning.message} (work item ids: ${warning.itemIds.join(', ')})\n`;
+  });
+  return `${ref}\n`;
+}
+
+/**
+ * Build the item rules section of the system prompt, with the companions the job is still missing
+ * @param {Array} rules - Item rules
+ * @param {object} currentData - Current structured data
+ * @param {object} catalog - Pricing catalog
+ */
+function buildItemRulesReference(rules, currentData, catalog) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return '';
+  }
+
+  let ref = 'ITEM RULES (items that go together):\n';
+  rules.forEach(rule => {
+    ref += `  - "${rule.item}"${rule.description ? ` (${rule.description})` : ''} ${rule.type} "${rule.withItem}"${rule.withDescription ? ` (${rule.withDescription})` : ''}\n`;
+  });
+
+  const { missing, conflicts } = evaluateItemRules(currentData.workItems, rules, {
+    dismissed: currentData.dismissedCompanions,
+    catalog
+  });
+  missing.forEach(suggestion => {
+    ref += `  * Missing: "${suggestion.companion.item}" (${suggestion.type} for ${suggestion.forItems.map(item => `#${item.id}`).join(', ')})\n`;
+  });
+  conflicts.forEach(conflict => {
+    ref += `  * Conflict: ${conflict.message} (work item ids: ${conflict.itemIds.join(', ')})\n`;
+  });
+  return `${ref}\n`;
+}
+
+/**
+ * Build the turnover packages section of the system prompt
+ * @param {Array} packages - Standard turnover packages
+ * @param {object} currentData - Current structured data
+ */
+function buildPackagesReference(packages, currentData) {
+  if (!Array.isArray(packages) || packages.length === 0) {
+    return '';
+  }
+
+  let ref = 'TURNOVER PACKAGES (standard lines by layout - quantity formulas use sf, bedrooms, bathrooms, rooms):\n';
+  packages.forEach(pkg => {
+    ref += `  - "${pkg.name}"${pkg.layout ? ` (${pkg.layout})` : ''}: ${pkg.lines.map(line => `${line.item} = ${line.quantity}`).join('; ')}\n`;
+  });
+  if (currentData.package) {
+    const packageItems = (currentData.workItems || []).filter(item => item.fromPackage === currentData.package);
+    ref += `PACKAGE IN USE: "${currentData.package}" - ${packageItems.length} work items came from it (fromPackage). Focus on what differs from the standard turn: ask what is extra, what isn't needed, and whether any package quantity is off.\n`;
+  }
+  return `${ref}\n`;
+}
+
+/**
+ * Open (unacknowledged) sanity warnings for the model
+ */
+function openWarnings(data) {
+  return checkSanity(data)
+    .filter(warning => !warning.acknowledged)
+    .map(({ id, severity, message, itemIds }) => ({ id, severity, message, itemIds }));
+}
+
+/**
+ * Replace a work item operation's quantityFrom with the computed amount and its audit trail
+ * @param {object} operation - Work item operation from the tool call
+ * @param {object} roomGeometry - Computed geometry keyed by room name
+ * @returns {object} Operation ready for applyWorkItemOperations, or null when a room or measure is unknown
+ */
+function resolveComputedQuantity(operation, roomGeometry) {
+  const { quantityFrom, ...rest } = operation;
+  if (!quantityFrom) {
+    return rest;
+  }
+
+  const computed = sumRoomMeasure(roomGeometry, quantityFrom.rooms, quantityFrom.measure);
+  if (!computed) {
+    return null;
+  }
+
+  return { ...rest, amount: computed.amount, calculation: computed.calculation };
+}
+
+/**
+ * Merge an update_turnover_data tool call into the structured data
+ * @param {object} updatedData - Structured data to update (modified in place)
+ * @param {object} toolInput - Input from the update_turnover_data tool call
+ * @param {object} catalog - Pricing catalog for new and re-priced items
+ * @param {Array} packages - Standard turnover packages
+ * @returns {object} { isComplete, skipped, packageResult } - skipped lists work item operations that could not be applied
+ */
+function applyTurnoverUpdate(updatedData, toolInput, catalog, packages) {
+  // Merge tool input into updated data
+  if (toolInput.workOrderNumber) updatedData.workOrderNumber = toolInput.workOrderNumber;
+  if (toolInput.unitNumber) updatedData.unitNumber = toolInput.unitNumber;
+  if (toolInput.address) updatedData.address = toolInput.address;
+  if (toolInput.unitSquareFeet) updatedData.unitSquareFeet = toolInput.unitSquareFeet;
+  if (toolInput.unitLayout) updatedData.unitLayout = toolInput.unitLayout;
+
+  // Packages go in before the operations so the same call can adjust their lines
+  let packageResult = null;
+  const pkg = toolInput.applyPackage ? findPackage(packages, toolInput.applyPackage) : null;
+  if (pkg) {
+    const result = applyPackage(updatedData, pkg, catalog);
+    Object.assign(updatedData, result.structuredData);
+    packageResult = { name: pkg.name, added: result.added, skipped: result.skipped };
+  }
+  
+  // Apply incremental work item changes - untouched items keep their ids, prices and notes
+  let skipped = [];
+  if (toolInput.workItemOperations && toolInput.workItemOperations.length > 0) {
+    // An amount that can't be computed would become a $0 line - report it instead
+    const operations = [];
+    toolInput.workItemOperations.forEach(operation => {
+      const resolved = resolveComputedQuantity(operation, updatedData.roomGeometry);
+      if (resolved) {
+        operations.push(resolved);
+      } else {
+        const { rooms = [], measure } = operation.quantityFrom;
+        skipped.push({
+          ...operation,
+          reason: `No ${measure} computed for ${[].concat(rooms).join(', ') || 'these rooms'}`,
+          fix: 'Call calculate_room_geometry for each room first'
+        });
+      }
+    });
+    const result = applyWorkItemOperations(updatedData.workItems, operations, catalog, updatedData.nextItemId);
+    updatedData.workItems = result.workItems;
+    updatedData.nextItemId = result.nextItemId;
+    skipped = [...skipped, ...result.skipped];
+  }
+
+  if (Array.isArray(toolInput.acknowledgeWarnings) && toolInput.acknowledgeWarnings.length > 0) {
+    updatedData.acknowledgedWarnings = [...(updatedData.acknowledgedWarnings || []), ...toolInput.acknowledgeWarnings];
+  }
+  
+  return { isComplete: toolInput.isComplete === true, skipped, packageResult };
+}
+
+/**
+ * Send one request to Claude, streaming text deltas to onText when provided
+ * @param {object} params - messages.create parameters
+ * @param {Function|null} onText - Text delta callback
+ * @param {AbortSignal} signal - Cancels the request (optional)
+ * @returns {object} Final message
+ */
+async function createMessage(params, onText, signal) {
+  if (!onText) {
+    return anthropic.messages.create(params, { signal });
+  }
+
+  const stream = anthropic.messages.stream(params, { signal });
+  stream.on('text', (textDelta) => onText(textDelta));
+  return stream.finalMessage();
+}
+
 /**
  * Process user input and extract/update structured data using tool use
  * @param {string} userInput - The user's text input
  * @param {object} currentData - Current structured data object
  * @param {array} conversationHistory - Array of previous messages
+ * @param {object} options - Optional settings
+ * @param {Function} options.onText - Called with each text delta as it arrives (enables streaming)
+ * @param {AbortSignal} options.signal - Stops the request and any further tool rounds (e.g. when the client disconnects)
+ * @param {object} options.catalog - Pricing catalog to use (defaults to the built-in catalog)
+ * @param {Array} options.itemRules - Bundling rules between catalog items (defaults to the built-in rules)
+ * @param {Array} options.packages - Standard turnover packages (defaults to the built-in packages)
  * @returns {object} { updatedData, assistantMessage, isComplete }
  */
-export async function processWithLLM(userInput, currentData, conversationHistory) {
-  const pricingRef = buildPricingReference();
+export async function processWithLLM(userInput, currentData, conversationHistory, options = {}) {
+  const {
+    onText = null,
+    signal = undefined,
+    catalog = PRICING_CATALOG,
+    itemRules = DEFAULT_ITEM_RULES,
+    packages = DEFAULT_PACKAGES
+  } = options;
+  const pricingRef = buildPricingReference(catalog, currentData.priceList);
   
   const systemPrompt = `You are helping a field worker document a construction job site assessment for apartment turnovers.
 
@@ -129,16 +540,28 @@ WORK ITEMS - Map user descriptions to catalog items:
 - "clean the unit" → category: "Clean Up", item: "General Clean"
 
 ${pricingRef}
-
-CURRENT DATA STATE:
+${buildRoomsReference(currentData.rooms)}
+${buildPackagesReference(packages, currentData)}${buildItemRulesReference(itemRules, currentData, catalog)}${buildWarningsReference(openWarnings(currentData))}CURRENT DATA STATE:
 ${JSON.stringify(currentData, null, 2)}
 
+ROOM MEASUREMENTS:
+- When the user gives room dimensions (e.g., "bedroom is 12 by 10 with 8 foot ceilings"), or you use rooms from the floor plan, call calculate_room_geometry for each room
+- NEVER compute wall, ceiling or floor SF or baseboard LF yourself - set quantityFrom on the work item (e.g., { rooms: ["Bedroom 1"], measure: "wallSF" } for "Prep & Paint Walls 2 Coats", "baseboardLF" for "Base Molding 4\"", "floorSF" for "Vinyl Plank Flooring") so the amount comes from the calculation
+- Previously calculated rooms are listed under roomGeometry in the current data state and can be reused
+
 RULES:
-- ALWAYS call update_turnover_data tool after each message with current state
-- Include ALL previous work items plus any new ones in each tool call
+- ALWAYS call update_turnover_data tool after each message with any new information
+- Only send work item CHANGES in workItemOperations: "add" new items, "update" an existing item by its id (only the fields that change), "remove" an item by its id
+- Never resend unchanged work items - items you don't mention stay exactly as they are, including prices and notes edited by the user
 - Be conversational and friendly
 - Ask about quantities in square feet (SF), linear feet (LF), or count (EA)
 - Ask what room/location each work item is for (put in notes field)
+- "+ Materials" items get the catalog materials allowance. When the user names a specific brand or model, set materialsPerUnit to its typical retail price per unit and materialsNote to the brand/model; if they mention upgraded materials without a model, ask which one
+- When the user asks for a standard package ("apply the standard two-bedroom package"), set applyPackage to its name from TURNOVER PACKAGES. Once a package is in use, don't walk through its lines again - ask about deviations from it and update or remove package lines the user says differ
+- Follow the ITEM RULES: when an item "requires" or is "usually with" another item the job doesn't have, ask whether to add it at the same quantity (add it only if the user agrees). Never put both items of a "mutually exclusive" rule on the job - ask which one is right
+- When the tool result lists skipped work item operations, tell the user which changes were not made and why, then fix them (e.g. use the right item id) or ask what they meant
+- When there are sanity warnings (in SANITY WARNINGS or the tool result), ask the user about the flagged lines one at a time, high severity first. Fix the amount if it was a mistake; if the user says it is correct, pass the warning id in acknowledgeWarnings
+- Work items with needsConfirmation were matched loosely to the catalog (matchedFrom is what was said) or not matched at all - briefly ask the user to confirm the catalog item, or update it with the right one
 - If user speaks Spanish, respond in Spanish but keep data fields in English
 - Set isComplete: true when ready to generate the scope`;
 
@@ -151,60 +574,111 @@ RULES:
     { role: 'user', content: userInput }
   ];
 
-  try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      system: systemPrompt,
-      tools: [updateTurnoverDataTool],
-      tool_choice: { type: 'auto' },
-      messages: messages
-    });
+  // Max request/response rounds per user message (geometry calls need a follow-up request)
+  const MAX_TOOL_ROUNDS = 5;
 
-    // Process the response - extract both text and tool use
+  try {
     let assistantMessage = '';
     let updatedData = { ...currentData };
     let isComplete = false;
+    // Work item operations the model hasn't been told were skipped yet
+    let unreportedSkipped = [];
 
-    for (const block of response.content) {
-      if (block.type === 'text') {
-        assistantMessage += block.text;
-      } else if (block.type === 'tool_use' && block.name === 'update_turnover_data') {
-        const toolInput = block.input;
-        
-        // Merge tool input into updated data
-        if (toolInput.workOrderNumber) updatedData.workOrderNumber = toolInput.workOrderNumber;
-        if (toolInput.unitNumber) updatedData.unitNumber = toolInput.unitNumber;
-        if (toolInput.address) updatedData.address = toolInput.address;
-        if (toolInput.unitSquareFeet) updatedData.unitSquareFeet = toolInput.unitSquareFeet;
-        if (toolInput.unitLayout) updatedData.unitLayout = toolInput.unitLayout;
-        
-        // Process work items - add pricing from catalog
-        if (toolInput.workItems && toolInput.workItems.length > 0) {
-          updatedData.workItems = toolInput.workItems.map((item, index) => {
-            const pricing = findPricing(item.category, item.item, item.description);
-            const pricePerUnit = pricing ? pricing.pricePerUnit : 0;
-            const materialsCost = pricing ? pricing.materialsCost : false;
-            
-            return {
-              id: String(index + 1),
-              category: item.category,
-              item: item.item,
-              description: item.description,
-              unit: item.unit,
-              multiplier: item.amount || item.multiplier, // amount from tool, stored as multiplier internally
-              pricePerUnit: pricePerUnit,
-              total: (item.amount || item.multiplier) * pricePerUnit,
-              notes: item.notes || '',
-              materialsCost: materialsCost
-            };
-          });
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+      if (signal?.aborted) {
+        throw new Error('Request aborted');
+      }
+
+      // Separate text from consecutive rounds with a blank line
+      let needsSeparator = assistantMessage.trim().length > 0;
+      const handleText = onText && ((textDelta) => {
+        if (needsSeparator) {
+          onText('\n\n');
+          needsSeparator = false;
         }
-        
-        if (toolInput.isComplete) {
-          isComplete = true;
+        onText(textDelta);
+      });
+
+      const response = await createMessage({
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 4096,
+        system: systemPrompt,
+        tools: [buildUpdateTurnoverDataTool(catalog, packages), calculateRoomGeometryTool],
+        tool_choice: { type: 'auto' },
+        messages: messages
+      }, handleText, signal);
+      // The tool results just sent included anything skipped last round
+      unreportedSkipped = [];
+
+      // Run every calculation first so updates in the same response can use their results
+      const geometryResults = {};
+      response.content
+        .filter(block => block.type === 'tool_use' && block.name === 'calculate_room_geometry')
+        .forEach(block => {
+          try {
+            const geometry = computeRoomGeometry(block.input);
+            updatedData.roomGeometry = { ...(updatedData.roomGeometry || {}), [geometry.room]: geometry };
+            geometryResults[block.id] = { content: JSON.stringify(geometry) };
+          } catch (geometryError) {
+            geometryResults[block.id] = { content: geometryError.message, is_error: true };
+          }
+        });
+
+      // Process the response - extract text and apply updates, answering each tool call in order
+      const roundText = [];
+      const toolResults = [];
+      let needsFollowUp = false;
+
+      for (const block of response.content) {
+        if (block.type === 'text') {
+          roundText.push(block.text);
+        } else if (block.type === 'tool_use' && block.name === 'update_turnover_data') {
+          const warningsBefore = new Set(openWarnings(updatedData).map(warning => warning.id));
+          const result = applyTurnoverUpdate(updatedData, block.input, catalog, packages);
+          if (result.isComplete) {
+            isComplete = true;
+          }
+          const warnings = openWarnings(updatedData);
+          // Go back to the model so it can ask about lines this update just flagged, the package it applied
+          // or the operations it has to redo
+          if (result.packageResult || result.skipped.length > 0 || warnings.some(warning => !warningsBefore.has(warning.id))) {
+            needsFollowUp = true;
+          }
+          unreportedSkipped.push(...result.skipped);
+          toolResults.push({
+            type: 'tool_result',
+            tool_use_id: block.id,
+            content: JSON.stringify({
+              saved: true,
+              workItems: (updatedData.workItems || []).map(({ id, item, description, multiplier, unit, notes, matchedFrom, needsConfirmation }) => ({
+                id, item, description, amount: multiplier, unit, notes,
+                ...(needsConfirmation ? { needsConfirmation, matchedFrom } : {})
+              })),
+              skipped: result.skipped,
+              ...(result.packageResult ? { packageApplied: result.packageResult } : {}),
+              warnings
+            })
+          });
+        } else if (block.type === 'tool_use' && block.name === 'calculate_room_geometry') {
+          needsFollowUp = true;
+          toolResults.push({ type: 'tool_result', tool_use_id: block.id, ...geometryResults[block.id] });
         }
       }
+
+      const text = roundText.join('');
+      if (text.trim()) {
+        assistantMessage = assistantMessage.trim() ? `${assistantMessage}\n\n${text}` : text;
+      }
+
+      // Only go back to the model when it is waiting on a calculation result or has new warnings, a package or skipped operations to report
+      if (!needsFollowUp || response.stop_reason !== 'tool_use') {
+        break;
+      }
+
+      messages.push(
+        { role: 'assistant', content: response.content },
+        { role: 'user', content: toolResults }
+      );
     }
 
     // If no text response, generate a follow-up
@@ -214,6 +688,13 @@ RULES:
         : "Got it! What else needs to be done?";
     }
 
+    // Skipped operations the model never got to answer (out of rounds, or it ended its turn) still reach the user
+    if (unreportedSkipped.length > 0) {
+      const note = describeSkippedOperations(unreportedSkipped, updatedData.workItems);
+      onText?.(`\n\n${note}`);
+      assistantMessage = `${assistantMessage}\n\n${note}`;
+    }
+
     return {
       updatedData,
       assistantMessage,
@@ -226,6 +707,159 @@ RULES:
   }
 }
 
+/**
+ * Convert a base64 data URL into an Anthropic image content block
+ * @param {string} dataUrl - e.g. "data:image/jpeg;base64,..."
+ * @returns {object} Image content block
+ */
+function toImageBlock(dataUrl) {
+  const matches = typeof dataUrl === 'string' && dataUrl.match(/^data:([^;]+);base64,(.+)$/);
+  if (!matches) {
+    throw new Error('Invalid image data URL');
+  }
+
+  return {
+    type: 'image',
+    source: { type: 'base64', media_type: matches[1], data: matches[2] }
+  };
+}
+
+/**
+ * Suggest work items from site photos using Claude vision
+ * @param {Array} photos - Array of { id, name, url (base64 data URL), caption }
+ * @param {object} currentData - Current structured data (so existing items aren't suggested twice)
+ * @param {object} catalog - Pricing catalog to suggest and price from
+ * @returns {Array} Suggested work items, priced from the catalog, each with sourcePhotoId/sourcePhotoName
+ */
+export async function suggestWorkItemsFromPhotos(photos, currentData = {}, catalog = PRICING_CATALOG) {
+  const pricingRef = buildPricingReference(catalog, currentData.priceList);
+
+  const content = [];
+  photos.forEach((photo, index) => {
+    content.push({
+      type: 'text',
+      text: `Photo ${index + 1} (id: ${photo.id})${photo.caption ? ` - inspector note: ${photo.caption}` : ''}`
+    });
+    content.push(toImageBlock(photo.url));
+  });
+  content.push({
+    type: 'text',
+    text: 'Suggest the catalog work items needed to fix what these photos show.'
+  });
+
+  const systemPrompt = `You are reviewing site photos from an apartment turnover inspection.
+
+For each visible problem (holes, stains, damaged flooring, broken fixtures, dirty surfaces, etc.), propose a work item from the pricing catalog using the suggest_work_items tool.
+
+RULES:
+- Only use items that exist in the catalog below, with the exact category, item and description
+- Estimate quantities from what is visible (e.g., "Patch Hole" ~2 SF, "Faucet" 1 EA)
+- Put the room or location in notes if it can be told from the photo or caption
+- Do not suggest work that is already in the current work items
+- If a photo shows nothing that needs work, don't suggest anything for it
+
+${pricingRef}
+
+CURRENT WORK ITEMS:
+${JSON.stringify(currentData.workItems || [], null, 2)}`;
+
+  try {
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 2048,
+      system: systemPrompt,
+      tools: [buildSuggestWorkItemsTool(catalog)],
+      tool_choice: { type: 'tool', name: 'suggest_work_items' },
+      messages: [{ role: 'user', content }]
+    });
+
+    const toolUse = response.content.find(
+      block => block.type === 'tool_use' && block.name === 'suggest_work_items'
+    );
+    const suggestions = toolUse?.input?.suggestions || [];
+
+    return suggestions.map((suggestion, index) => {
+      const { photoId, finding, ...fields } = suggestion;
+      const sourcePhoto = photos.find(p => String(p.id) === String(photoId));
+
+      return {
+        ...createWorkItem(fields, `suggestion-${Date.now()}-${index}`, catalog),
+        finding,
+        sourcePhotoId: sourcePhoto ? String(sourcePhoto.id) : String(photoId),
+        sourcePhotoName: sourcePhoto ? sourcePhoto.name : ''
+      };
+    });
+
+  } catch (error) {
+    console.error('Photo suggestion error:', error);
+    throw new Error(`Photo analysis failed: ${error.message}`);
+  }
+}
+
+/**
+ * Extract rooms and estimated dimensions from the floor-plan sketch
+ * @param {string} sketchDataUrl - PNG data URL from SketchCanvas
+ * @param {object} currentData - Current structured data (unit size/layout help calibrate estimates)
+ * @returns {Array} Array of { id, name, label, lengthFt, widthFt, areaSF, dimensionsWritten, notes }
+ */
+export async function extractRoomsFromSketch(sketchDataUrl, currentData = {}) {
+  const systemPrompt = `You are reading a hand-drawn floor-plan sketch made by a field inspector on a tablet during an apartment turnover.
+
+Identify every room drawn on the sketch and report it with the report_rooms tool.
+
+RULES:
+- Use written dimensions when present (e.g., "12x10", "12' x 10'")
+- Otherwise estimate each room's dimensions from its proportions relative to the other rooms
+- Total floor area should be roughly consistent with the unit square footage if it is known
+- Keep any label written on the sketch (labels may be in Spanish, e.g., "Cuarto", "Sala", "Baño", "Cocina")
+- Include closets and hallways only if they are drawn as separate spaces
+
+UNIT INFO:
+Square Feet: ${currentData.unitSquareFeet || 'unknown'}
+Layout: ${currentData.unitLayout || 'unknown'}`;
+
+  try {
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 2048,
+      system: systemPrompt,
+      tools: [reportRoomsTool],
+      tool_choice: { type: 'tool', name: 'report_rooms' },
+      messages: [{
+        role: 'user',
+        content: [
+          toImageBlock(sketchDataUrl),
+          { type: 'text', text: 'List the rooms on this floor plan.' }
+        ]
+      }]
+    });
+
+    const toolUse = response.content.find(
+      block => block.type === 'tool_use' && block.name === 'report_rooms'
+    );
+    const rooms = toolUse?.input?.rooms || [];
+
+    return rooms.map((room, index) => {
+      const lengthFt = Number(room.lengthFt) || 0;
+      const widthFt = Number(room.widthFt) || 0;
+      return {
+        id: `room-${index + 1}`,
+        name: room.name,
+        label: room.label || '',
+        lengthFt,
+        widthFt,
+        areaSF: Math.round(lengthFt * widthFt),
+        dimensionsWritten: room.dimensionsWritten === true,
+        notes: room.notes || ''
+      };
+    });
+
+  } catch (error) {
+    console.error('Room extraction error:', error);
+    throw new Error(`Sketch analysis failed: ${error.message}`);
+  }
+}
+
 /**
  * Generate English and Spanish scope of work descriptions
  * @param {object} structuredData - The complete structured data
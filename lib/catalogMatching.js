@@ -0,0 +1,203 @@
+/**
+ * Fuzzy catalog matching
+ * Maps loosely named items ("Paint walls 2 coats", "pintar paredes") to the
+ * closest catalog entry. Names are normalized (case, accents, punctuation),
+ * English/Spanish synonyms are folded to one canonical word, and entries are
+ * scored by word overlap plus character similarity so small typos still match.
+ */
+
+import { PRICING_CATALOG, findPricing } from './pricingCatalog';
+
+// Below this score nothing is matched and the item stays unpriced
+export const MIN_MATCH_SCORE = 0.5;
+// Below this score a match is used but flagged for the inspector to confirm
+export const CONFIDENT_MATCH_SCORE = 0.85;
+
+// Canonical word -> English variants and Spanish aliases
+const SYNONYMS = {
+  paint: ['painting', 'painted', 'pintar', 'pintura', 'pinta', 'pintado'],
+  prep: ['prepare', 'preparation', 'preparar', 'preparacion'],
+  wall: ['pared', 'paredes', 'muro', 'muros'],
+  ceiling: ['techo', 'techos', 'cielo', 'cielorraso'],
+  coat: ['capa', 'capas', 'mano', 'manos'],
+  clean: ['cleaning', 'wash', 'limpiar', 'limpieza', 'lavar'],
+  patch: ['parche', 'parchar', 'resanar', 'resane', 'remendar', 'fix'],
+  hole: ['hoyo', 'hoyos', 'agujero', 'agujeros', 'hueco'],
+  small: ['pequeno', 'chico'],
+  single: ['sencillo', 'simple'],
+  double: ['doble'],
+  extra: ['additional', 'adicional', 'otra'],
+  install: ['installation', 'instalar', 'instalacion', 'new', 'nuevo', 'nueva'],
+  remove: ['removal', 'quitar', 'remover', 'retirar', 'replace', 'reemplazar', 'cambiar'],
+  demolition: ['demo', 'demolish', 'demoler', 'demolicion', 'tear'],
+  repair: ['repairs', 'reparar', 'reparacion', 'arreglar'],
+  refinish: ['refinishing', 'refinish', 'restaurar'],
+  floor: ['flooring', 'floors', 'piso', 'pisos'],
+  vinyl: ['vinilo', 'lvp', 'lvt'],
+  plank: ['planks', 'tabla', 'tablas'],
+  base: ['baseboard', 'baseboards', 'zocalo', 'zoclo'],
+  molding: ['moulding', 'moldings', 'moldura', 'molduras', 'trim'],
+  shoe: ['quarter', 'round', 'cuarto'],
+  door: ['doors', 'puerta', 'puertas'],
+  frame: ['frames', 'marco', 'marcos', 'jamb'],
+  window: ['windows', 'ventana', 'ventanas'],
+  closet: ['closets', 'armario', 'ropero'],
+  hardware: ['herrajes', 'knob', 'knobs', 'handle', 'manija', 'chapa'],
+  blind: ['blinds', 'persiana', 'persianas'],
+  chain: ['cadena', 'cord', 'cordon'],
+  countertop: ['counter', 'countertops', 'encimera', 'meson', 'tope'],
+  butcherblock: ['butcher', 'block', 'madera'],
+  shower: ['ducha', 'regadera'],
+  curtain: ['cortina', 'cortinas'],
+  hook: ['hooks', 'gancho', 'ganchos', 'argollas'],
+  outlet: ['outlets', 'receptacle', 'enchufe', 'enchufes', 'tomacorriente', 'contacto'],
+  plate: ['plates', 'cover', 'covers', 'tapa', 'tapas', 'placa'],
+  switch: ['switches', 'interruptor', 'interruptores', 'apagador', 'apagadores'],
+  light: ['lights', 'luz', 'luces', 'lampara'],
+  fixture: ['fixtures', 'accesorio'],
+  toilet: ['commode', 'inodoro', 'sanitario', 'excusado', 'taza'],
+  faucet: ['tap', 'llave', 'grifo', 'mezcladora'],
+  sink: ['lavabo', 'lavamanos', 'fregadero', 'tarja'],
+  tank: ['tanque'],
+  general: ['whole', 'entire', 'todo', 'toda', 'completa', 'completo'],
+  trash: ['garbage', 'debris', 'basura', 'escombro']
+};
+
+// Words that carry no meaning for matching
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'and', 'with', 'w', 'to', 'for', 'in', 'on', 'only',
+  'de', 'del', 'la', 'las', 'el', 'los', 'y', 'con', 'para', 'en', 'un', 'una', 'solo'
+]);
+
+// Variant -> canonical lookup built once from SYNONYMS
+const CANONICAL = {};
+Object.entries(SYNONYMS).forEach(([canonical, variants]) => {
+  CANONICAL[canonical] = canonical;
+  variants.forEach(variant => {
+    CANONICAL[variant] = canonical;
+  });
+});
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/(\d)\s*(?:"|''|in\b|inch(?:es)?\b|pulgadas?\b)/g, '$1in')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into canonical words (synonyms folded, simple plurals removed)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function canonicalTokens(text) {
+  return normalizeText(text)
+    .split(' ')
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(token => {
+      if (CANONICAL[token]) return CANONICAL[token];
+      const singular = token.length > 3 && token.endsWith('s') ? token.slice(0, -1) : token;
+      return CANONICAL[singular] || singular;
+    });
+}
+
+/**
+ * Dice coefficient between two lists
+ */
+function dice(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const counts = {};
+  a.forEach(x => {
+    counts[x] = (counts[x] || 0) + 1;
+  });
+  let overlap = 0;
+  b.forEach(x => {
+    if (counts[x] > 0) {
+      overlap += 1;
+      counts[x] -= 1;
+    }
+  });
+  return (2 * overlap) / (a.length + b.length);
+}
+
+/**
+ * Character bigrams of a string (catches typos the word overlap misses)
+ */
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    result.push(compact.slice(i, i + 2));
+  }
+  return result;
+}
+
+/**
+ * Similarity of a name to a catalog name between 0 and 1
+ * Short names fully contained in a longer catalog name ("toilet" in
+ * "Floor Mounted toilet w/ tank") score well but never as high as a full match.
+ * @param {string} name - Name as given
+ * @param {string} catalogName - Catalog name to compare against
+ * @returns {number}
+ */
+export function nameSimilarity(name, catalogName) {
+  const tokensA = canonicalTokens(name);
+  const tokensB = canonicalTokens(catalogName);
+  if (tokensA.join(' ') === tokensB.join(' ')) return 1;
+
+  const coverage = tokensA.length > 0 ? (dice(tokensA, tokensB) * (tokensA.length + tokensB.length)) / (2 * tokensA.length) : 0;
+  const wordScore = Math.max(dice(tokensA, tokensB), 0.8 * coverage);
+  const charScore = dice(bigrams(tokensA.join(' ')), bigrams(tokensB.join(' ')));
+  return 0.6 * wordScore + 0.4 * charScore;
+}
+
+/**
+ * Find the catalog entry that best matches a loosely named work item
+ * Exact matches are returned as-is with a score of 1.
+ * @param {object} fields - { category, item, description } as named by the model or inspector
+ * @param {object} catalog - Catalog to search (defaults to the built-in catalog)
+ * @returns {object|null} { category, pricing, score } or null when nothing scores above MIN_MATCH_SCORE
+ */
+export function matchCatalogItem(fields, catalog = PRICING_CATALOG) {
+  const { category, item, description } = fields;
+  if (!item) return null;
+
+  const exact = findPricing(category, item, description, catalog);
+  if (exact) {
+    return { category, pricing: exact, score: 1 };
+  }
+
+  let best = null;
+  Object.entries(catalog).forEach(([entryCategory, entries]) => {
+    const categoryScore = category ? nameSimilarity(category, entryCategory) : 0.5;
+
+    entries.forEach(pricing => {
+      // Some item names only make sense with their category ("Single" light switch)
+      const itemScore = Math.max(
+        nameSimilarity(item, pricing.item),
+        0.95 * nameSimilarity(item, `${pricing.item} ${entryCategory}`)
+      );
+      const descriptionScore = description ? nameSimilarity(description, pricing.description) : 0.5;
+
+      // The item name decides the match; description and category break ties between variants
+      const score = 0.75 * itemScore + 0.15 * descriptionScore + 0.1 * categoryScore;
+      if (!best || score > best.score) {
+        best = { category: entryCategory, pricing, score };
+      }
+    });
+  });
+
+  if (!best || best.score < MIN_MATCH_SCORE) return null;
+  return { ...best, score: Math.round(best.score * 100) / 100 };
+}
@@ -0,0 +1,795 @@
+import { google } from 'googleapis';
+import { PRICING_CATALOG, BASE_PRICE_LIST, resolvePriceList } from './pricingCatalog';
+import { DEFAULT_ITEM_RULES, ITEM_RULE_TYPES } from './itemRules';
+import { DEFAULT_PACKAGES, evaluateQuantity } from './turnoverPackages';
+
+/**
+ * Pricing catalog store
+ * Reads the catalog from the "Pricing" tab of the master spreadsheet so prices
+ * can change without a deploy. Results are cached in server memory; the
+ * hardcoded PRICING_CATALOG is only used when the sheet cannot be read.
+ *
+ * Expected "Pricing" tab layout (row 1 = headers, one catalog entry per row):
+ *   Category | Item | Description | Unit | Price | Materials | Retired | Materials Allowance | Hours Per Unit
+ *
+ * Row order is the display order of categories and items. Retired rows stay
+ * in the tab for reference but are left out of the active catalog. Materials
+ * Allowance is the default materials cost per unit of a "+ Materials" item
+ * and Hours Per Unit is the production rate used for labor estimates (both
+ * columns are optional; older tabs without them have no allowances or rates).
+ *
+ * Optional "Price Lists" tab for owners who pay different rates:
+ *   Price List | Based On | Category | Item | Description | Price
+ * A row without a category declares a list and the list it inherits from
+ * (blank = the base Pricing tab). Every other row overrides one item's price.
+ *
+ * Optional "Item Rules" tab for items that go together (see itemRules.js):
+ *   Rule | Category | Item | Description | With Category | With Item | With Description
+ * Rule is "requires", "usually with" or "mutually exclusive". Without the tab
+ * the built-in DEFAULT_ITEM_RULES apply.
+ *
+ * Optional "Packages" tab for standard turns (see turnoverPackages.js):
+ *   Package | Layout | Category | Item | Description | Quantity
+ * One row per package line; Quantity is a formula such as "sf * 3". Without
+ * the tab the built-in DEFAULT_PACKAGES apply.
+ *
+ * Versions: every save from the /catalog page appends a snapshot to the
+ * "Pricing Versions" tab with an effective date:
+ *   Version | Effective Date | Category | Item | Description | Unit | Price | Materials | Retired | Materials Allowance | Hours Per Unit
+ * The live catalog is the newest version already in effect, and jobs record
+ * the version they were priced against so later price changes don't
+ * silently re-price them. Effective dates are read as YYYY-MM-DD or as
+ * Sheets shows them after a hand edit (e.g. 3/1/2026); rows with a date
+ * that can't be read are skipped. A save only rewrites the Pricing tab when
+ * the new version is in effect straight away - a future-dated version waits
+ * in Pricing Versions until its date. Until the first versioned save the
+ * Pricing tab is the live catalog itself.
+ *
+ * Hand edits: once versions exist, prices edited directly in the Pricing tab
+ * are not live - jobs must stay pinned to a saved version. When the tab
+ * matches none of the saved versions, getPricingCatalog returns its entries
+ * as pricingTabEdits and the /catalog page warns that they aren't live and
+ * offers to load them into the editor, so saving them makes them a version
+ * instead of overwriting them.
+ */
+
+export const PRICING_SHEET_NAME = 'Pricing';
+export const PRICE_LISTS_SHEET_NAME = 'Price Lists';
+export const PRICING_VERSIONS_SHEET_NAME = 'Pricing Versions';
+export const ITEM_RULES_SHEET_NAME = 'Item Rules';
+export const PACKAGES_SHEET_NAME = 'Packages';
+
+// How long a catalog stays cached before the sheet is read again
+const SHEET_CACHE_TTL_MS = 10 * 60 * 1000;
+// Retry the sheet sooner when we had to fall back to the hardcoded catalog
+const FALLBACK_CACHE_TTL_MS = 60 * 1000;
+
+// Header names accepted for each column (lowercase)
+const COLUMN_HEADERS = {
+  category: ['category'],
+  item: ['item'],
+  description: ['description', 'type'],
+  unit: ['unit'],
+  pricePerUnit: ['price', 'price per unit', 'unit price'],
+  materialsCost: ['materials', 'materials cost', '+ materials'],
+  retired: ['retired'],
+  materialsAllowance: ['materials allowance', 'allowance', 'materials $'],
+  hoursPerUnit: ['hours per unit', 'hours/unit', 'production rate', 'hours']
+};
+
+// Header row written when the tab is saved from the catalog page
+const SHEET_HEADERS = ['Category', 'Item', 'Description', 'Unit', 'Price', 'Materials', 'Retired', 'Materials Allowance', 'Hours Per Unit'];
+
+const VERSION_HEADERS = ['Version', 'Effective Date', ...SHEET_HEADERS];
+
+let cachedCatalog = null; // { catalog, entries, priceLists, itemRules, packages, version, versions, source, loadedAt, error }
+let cachedVersions = []; // Full snapshots: Array<{ version, effectiveDate, entries }>
+
+/**
+ * Create OAuth2 client with user's access token
+ * @param {string} accessToken - User's OAuth access token from session
+ */
+function getOAuthClient(accessToken) {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET
+  );
+
+  oauth2Client.setCredentials({ access_token: accessToken });
+  return oauth2Client;
+}
+
+/**
+ * Parse a price cell like "$3.85", "1,200" or 0.68
+ */
+function parsePrice(value) {
+  const num = Number(String(value ?? '').replace(/[$,\s]/g, ''));
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Parse a flag cell (checkbox TRUE, "yes", "x", "1", "+ Materials")
+ */
+function parseFlag(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  return ['true', 'yes', 'y', 'x', '1', '✓', '+ materials'].includes(text);
+}
+
+/**
+ * Map each catalog field to its column index using the header row
+ * Falls back to the documented column order when a header isn't recognized
+ */
+function findColumns(headerRow) {
+  const headers = (headerRow || []).map(h => String(h).trim().toLowerCase());
+  const columns = {};
+  Object.entries(COLUMN_HEADERS).forEach(([field, names], defaultIndex) => {
+    const index = headers.findIndex(h => names.includes(h));
+    columns[field] = index !== -1 ? index : defaultIndex;
+  });
+  return columns;
+}
+
+/**
+ * Convert rows from the Pricing tab into catalog entries
+ * @param {Array<Array>} rows - Sheet values including the header row
+ * @returns {object} { entries, skippedRows } - skippedRows lists 1-based row numbers that could not be read
+ */
+export function parsePricingRows(rows) {
+  const entries = [];
+  const skippedRows = [];
+  const columns = findColumns(rows[0]);
+
+  rows.slice(1).forEach((row, index) => {
+    const cell = field => String(row[columns[field]] ?? '').trim();
+    const category = cell('category');
+    const item = cell('item');
+
+    // Blank spacer rows are expected in a hand-maintained sheet
+    if (!category && !item) return;
+
+    const pricePerUnit = parsePrice(row[columns.pricePerUnit]);
+    const unit = cell('unit').toUpperCase();
+    if (!category || !item || !unit || pricePerUnit === null) {
+      skippedRows.push(index + 2);
+      return;
+    }
+
+    entries.push({
+      category,
+      item,
+      description: cell('description'),
+      unit,
+      pricePerUnit,
+      materialsCost: parseFlag(row[columns.materialsCost]),
+      retired: parseFlag(row[columns.retired]),
+      materialsAllowance: parsePrice(row[columns.materialsAllowance]) || 0,
+      hoursPerUnit: parsePrice(row[columns.hoursPerUnit]) || 0
+    });
+  });
+
+  return { entries, skippedRows };
+}
+
+/**
+ * Group active entries into the PRICING_CATALOG shape, keeping row order
+ * @param {Array} entries - Catalog entries
+ * @returns {object} Catalog keyed by category
+ */
+export function buildCatalog(entries) {
+  const catalog = {};
+  entries.filter(entry => !entry.retired).forEach(entry => {
+    const pricing = {
+      item: entry.item,
+      description: entry.description,
+      unit: entry.unit,
+      pricePerUnit: entry.pricePerUnit
+    };
+    if (entry.materialsCost) {
+      pricing.materialsCost = true;
+      if (entry.materialsAllowance > 0) {
+        pricing.materialsAllowance = entry.materialsAllowance;
+      }
+    }
+    if (entry.hoursPerUnit > 0) {
+      pricing.hoursPerUnit = entry.hoursPerUnit;
+    }
+
+    if (!catalog[entry.category]) {
+      catalog[entry.category] = [];
+    }
+    catalog[entry.category].push(pricing);
+  });
+  return catalog;
+}
+
+/**
+ * Flatten a catalog object into entries (used to seed the tab from the built-in catalog)
+ * @param {object} catalog - Catalog keyed by category
+ * @returns {Array} Catalog entries
+ */
+export function catalogToEntries(catalog) {
+  return Object.entries(catalog).flatMap(([category, items]) => items.map(pricing => ({
+    category,
+    item: pricing.item,
+    description: pricing.description,
+    unit: pricing.unit,
+    pricePerUnit: pricing.pricePerUnit,
+    materialsCost: pricing.materialsCost === true,
+    retired: false,
+    materialsAllowance: pricing.materialsAllowance || 0,
+    hoursPerUnit: pricing.hoursPerUnit || 0
+  })));
+}
+
+/**
+ * Check edited entries before they are written to the sheet
+ * @param {Array} entries - Catalog entries from the catalog page
+ * @returns {Array<string>} Problems found (empty when the entries can be saved)
+ */
+export function validatePricingEntries(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return ['The catalog must have at least one item'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  entries.forEach((entry, index) => {
+    const label = `Row ${index + 1}${entry?.item ? ` ("${entry.item}")` : ''}`;
+    if (!entry || !String(entry.category || '').trim()) errors.push(`${label}: category is required`);
+    if (!entry || !String(entry.item || '').trim()) errors.push(`${label}: item is required`);
+    if (!entry || !String(entry.unit || '').trim()) errors.push(`${label}: unit is required`);
+    if (!entry || !(Number(entry.pricePerUnit) >= 0)) errors.push(`${label}: price must be 0 or more`);
+    if (entry && !(Number(entry.materialsAllowance || 0) >= 0)) errors.push(`${label}: materials allowance must be 0 or more`);
+    if (entry && !(Number(entry.hoursPerUnit || 0) >= 0)) errors.push(`${label}: hours per unit must be 0 or more`);
+
+    // findPricing matches on category + item + description, so active rows must be unique
+    if (entry && !entry.retired) {
+      const key = [entry.category, entry.item, entry.description].map(v => String(v || '').trim().toLowerCase()).join('|');
+      if (seen.has(key)) errors.push(`${label}: duplicate of another active item`);
+      seen.add(key);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Read the catalog from the Pricing tab
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {Array} Catalog entries in sheet order
+ */
+async function readCatalogFromSheet(accessToken) {
+  const spreadsheetId = process.env.GOOGLE_SHEETS_ID;
+  if (!spreadsheetId) {
+    throw new Error('Missing GOOGLE_SHEETS_ID environment variable');
+  }
+
+  const sheets = google.sheets({ version: 'v4', auth: getOAuthClient(accessToken) });
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `'${PRICING_SHEET_NAME}'!A:I`
+  });
+
+  const { entries, skippedRows } = parsePricingRows(response.data.values || []);
+  if (skippedRows.length > 0) {
+    console.warn(`Skipped incomplete ${PRICING_SHEET_NAME} rows:`, skippedRows);
+  }
+  if (!entries.some(entry => !entry.retired)) {
+    throw new Error(`The "${PRICING_SHEET_NAME}" tab has no catalog rows`);
+  }
+
+  return entries;
+}
+
+/**
+ * Convert rows from the Price Lists tab into named lists of price overrides
+ * @param {Array<Array>} rows - Sheet values including the header row
+ * @returns {object} { [name]: { name, basedOn, overrides: Array<{ category, item, description, pricePerUnit }> } }
+ */
+export function parsePriceListRows(rows) {
+  const priceLists = {};
+  const getList = (name) => {
+    if (!priceLists[name]) {
+      priceLists[name] = { name, basedOn: BASE_PRICE_LIST, overrides: [] };
+    }
+    return priceLists[name];
+  };
+
+  rows.slice(1).forEach((row, index) => {
+    const [name, basedOn, category, item, description, price] = row.map(cell => String(cell ?? '').trim());
+    if (!name || name === BASE_PRICE_LIST) return;
+
+    const list = getList(name);
+    if (basedOn) {
+      list.basedOn = basedOn;
+    }
+    if (!category) return;
+
+    const pricePerUnit = parsePrice(price);
+    if (!item || price === '' || pricePerUnit === null) {
+      console.warn(`Skipped incomplete ${PRICE_LISTS_SHEET_NAME} row:`, index + 2);
+      return;
+    }
+    list.overrides.push({ category, item, description: description || '', pricePerUnit });
+  });
+
+  return priceLists;
+}
+
+/**
+ * Read the optional Price Lists tab (a missing tab just means no named lists)
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {object} Price lists keyed by name
+ */
+async function readPriceListsFromSheet(accessToken) {
+  const sheets = google.sheets({ version: 'v4', auth: getOAuthClient(accessToken) });
+  try {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: process.env.GOOGLE_SHEETS_ID,
+      range: `'${PRICE_LISTS_SHEET_NAME}'!A:F`
+    });
+    return parsePriceListRows(response.data.values || []);
+  } catch (error) {
+    console.warn(`No ${PRICE_LISTS_SHEET_NAME} loaded:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Convert rows from the Item Rules tab into item rules
+ * @param {Array<Array>} rows - Sheet values including the header row
+ * @returns {Array} Rules { type, category, item, description, withCategory, withItem, withDescription }
+ */
+export function parseItemRuleRows(rows) {
+  const rules = [];
+  rows.slice(1).forEach((row, index) => {
+    const [type, category, item, description, withCategory, withItem, withDescription] = row.map(cell => String(cell ?? '').trim());
+    if (!type && !item) return;
+
+    const ruleType = type.toLowerCase();
+    if (!ITEM_RULE_TYPES.includes(ruleType) || !item || !withItem) {
+      console.warn(`Skipped incomplete ${ITEM_RULES_SHEET_NAME} row:`, index + 2);
+      return;
+    }
+    rules.push({ type: ruleType, category, item, description, withCategory, withItem, withDescription });
+  });
+  return rules;
+}
+
+/**
+ * Read the optional Item Rules tab (a missing tab means the built-in rules apply)
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {Array} Item rules
+ */
+async function readItemRulesFromSheet(accessToken) {
+  const sheets = google.sheets({ version: 'v4', auth: getOAuthClient(accessToken) });
+  try {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: process.env.GOOGLE_SHEETS_ID,
+      range: `'${ITEM_RULES_SHEET_NAME}'!A:G`
+    });
+    return parseItemRuleRows(response.data.values || []);
+  } catch (error) {
+    console.warn(`No ${ITEM_RULES_SHEET_NAME} loaded, using built-in rules:`, error.message);
+    return DEFAULT_ITEM_RULES;
+  }
+}
+
+/**
+ * Convert rows from the Packages tab into packages
+ * @param {Array<Array>} rows - Sheet values including the header row
+ * @returns {Array} Packages { name, layout, lines: [{ category, item, description, quantity }] } in sheet order
+ */
+export function parsePackageRows(rows) {
+  const packages = [];
+  const byName = {};
+  // Every variable set to 1 - just enough to check a formula parses
+  const sampleVariables = { sf: 1, bedrooms: 1, bathrooms: 1, rooms: 1 };
+
+  rows.slice(1).forEach((row, index) => {
+    const [name, layout, category, item, description, quantity] = row.map(cell => String(cell ?? '').trim());
+    if (!name) return;
+
+    if (!byName[name]) {
+      byName[name] = { name, layout: '', lines: [] };
+      packages.push(byName[name]);
+    }
+    if (layout) {
+      byName[name].layout = layout;
+    }
+    if (!item) return;
+
+    try {
+      evaluateQuantity(quantity, sampleVariables);
+    } catch (error) {
+      console.warn(`Skipped ${PACKAGES_SHEET_NAME} row ${index + 2} (quantity "${quantity}"):`, error.message);
+      return;
+    }
+    byName[name].lines.push({ category, item, description, quantity });
+  });
+
+  return packages.filter(pkg => pkg.lines.length > 0);
+}
+
+/**
+ * Read the optional Packages tab (a missing tab means the built-in packages apply)
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {Array} Packages
+ */
+async function readPackagesFromSheet(accessToken) {
+  const sheets = google.sheets({ version: 'v4', auth: getOAuthClient(accessToken) });
+  try {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: process.env.GOOGLE_SHEETS_ID,
+      range: `'${PACKAGES_SHEET_NAME}'!A:F`
+    });
+    return parsePackageRows(response.data.values || []);
+  } catch (error) {
+    console.warn(`No ${PACKAGES_SHEET_NAME} loaded, using built-in packages:`, error.message);
+    return DEFAULT_PACKAGES;
+  }
+}
+
+/**
+ * Today's date as YYYY-MM-DD, the format effective dates are stored in
+ */
+function todayISO() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Normalize an effective date cell to YYYY-MM-DD so dates compare as strings
+ * Accepts YYYY-MM-DD, YYYY/MM/DD, US M/D/YYYY (how Sheets shows a hand-edited
+ * date) and date serial numbers.
+ * @param {string|number} value - Cell value
+ * @returns {string|null} YYYY-MM-DD, or null if the value isn't a real date
+ */
+export function normalizeEffectiveDate(value) {
+  const text = String(value ?? '').trim();
+  let year, month, day;
+  let match;
+  if ((match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(text))) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text))) {
+    [, month, day, year] = match.map(Number);
+  } else if (/^\d{5}$/.test(text)) {
+    // Days since 1899-12-30, Sheets' date epoch
+    const date = new Date(Date.UTC(1899, 11, 30) + Number(text) * 24 * 60 * 60 * 1000);
+    [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Convert rows from the Pricing Versions tab into catalog snapshots
+ * @param {Array<Array>} rows - Sheet values including the header row
+ * @returns {object} { versions, skippedRows, lastVersion } - versions is Array<{ version, effectiveDate, entries }>
+ *   sorted by version; skippedRows lists 1-based rows whose effective date could not be read;
+ *   lastVersion is the highest version number on any row, skipped or not (0 when there are none)
+ */
+export function parseVersionRows(rows) {
+  const byVersion = {};
+  const skippedRows = [];
+  let lastVersion = 0;
+  rows.slice(1).forEach((row, index) => {
+    const version = parseInt(row[0], 10);
+    if (!Number.isInteger(version)) return;
+    lastVersion = Math.max(lastVersion, version);
+
+    const effectiveDate = normalizeEffectiveDate(row[1]);
+    if (!effectiveDate) {
+      skippedRows.push(index + 2);
+      return;
+    }
+
+    if (!byVersion[version]) {
+      byVersion[version] = { version, effectiveDate, entries: [] };
+    }
+    // The remaining columns use the Pricing tab layout
+    const { entries } = parsePricingRows([SHEET_HEADERS, row.slice(2)]);
+    byVersion[version].entries.push(...entries);
+  });
+
+  return { versions: Object.values(byVersion).sort((a, b) => a.version - b.version), skippedRows, lastVersion };
+}
+
+/**
+ * Find the newest version already in effect on a date
+ * @param {Array} versions - Snapshots from parseVersionRows
+ * @param {string} date - YYYY-MM-DD
+ * @returns {object|null} Snapshot or null if none is in effect yet
+ */
+function versionInEffect(versions, date) {
+  return versions
+    .filter(v => v.effectiveDate <= date)
+    .reduce((latest, v) => (!latest || v.effectiveDate > latest.effectiveDate || (v.effectiveDate === latest.effectiveDate && v.version > latest.version) ? v : latest), null);
+}
+
+/**
+ * Whether the Pricing tab holds hand edits that aren't in any saved version
+ * Every immediate save writes a version to the tab, so an unedited tab matches
+ * one (an older one when a scheduled version has since taken effect).
+ * @param {Array} entries - Pricing tab entries from parsePricingRows
+ * @param {Array} versions - Snapshots from parseVersionRows
+ * @returns {boolean} false when the catalog isn't versioned yet (the tab is then the live catalog)
+ */
+export function isPricingTabEdited(entries, versions) {
+  if (versions.length === 0) return false;
+  const entriesKey = list => JSON.stringify(list.map(entry => [
+    entry.category, entry.item, entry.description, entry.unit, entry.pricePerUnit,
+    entry.materialsCost, entry.retired, entry.materialsCost ? entry.materialsAllowance : 0, entry.hoursPerUnit
+  ]));
+  const tabKey = entriesKey(entries);
+  return !versions.some(v => entriesKey(v.entries) === tabKey);
+}
+
+/**
+ * Read the optional Pricing Versions tab (missing tab = catalog not versioned yet)
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {object} { versions: snapshots sorted by version, lastVersion: highest version number in the tab }
+ */
+async function readVersionsFromSheet(accessToken) {
+  const sheets = google.sheets({ version: 'v4', auth: getOAuthClient(accessToken) });
+  try {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: process.env.GOOGLE_SHEETS_ID,
+      range: `'${PRICING_VERSIONS_SHEET_NAME}'!A:K`
+    });
+    const { versions, skippedRows, lastVersion } = parseVersionRows(response.data.values || []);
+    if (skippedRows.length > 0) {
+      console.warn(`Skipped ${PRICING_VERSIONS_SHEET_NAME} rows without a readable effective date:`, skippedRows);
+    }
+    return { versions, lastVersion };
+  } catch (error) {
+    console.warn(`No ${PRICING_VERSIONS_SHEET_NAME} loaded:`, error.message);
+    return { versions: [], lastVersion: 0 };
+  }
+}
+
+/**
+ * Summarize a snapshot for jobs and API responses (without its entries)
+ */
+function versionInfo(snapshot) {
+  return snapshot ? { version: snapshot.version, effectiveDate: snapshot.effectiveDate } : null;
+}
+
+/**
+ * Check whether a cached catalog is still fresh
+ */
+function isFresh(entry) {
+  const ttl = entry.source === 'sheet' ? SHEET_CACHE_TTL_MS : FALLBACK_CACHE_TTL_MS;
+  return Date.now() - entry.loadedAt < ttl;
+}
+
+/**
+ * Get the pricing catalog, reading the Pricing tab when the cache is stale
+ * @param {string} accessToken - User's OAuth access token (without one the built-in catalog is returned)
+ * @param {object} options - { forceRefresh: boolean } to bypass the cache
+ * @returns {object} {
+ *   catalog (live version), entries (newest saved version or the Pricing tab, including retired), priceLists, itemRules, packages,
+ *   version: { version, effectiveDate } | null (null = not versioned), versions: Array<{ version, effectiveDate }>,
+ *   pricingTabEdits: Pricing tab entries when they were edited by hand and aren't live (see isPricingTabEdited), else null,
+ *   source: 'sheet' | 'fallback', loadedAt, error
+ * }
+ */
+export async function getPricingCatalog(accessToken, options = {}) {
+  const { forceRefresh = false } = options;
+
+  // The cache was read with another user's credentials, so callers without
+  // a token only get the built-in catalog
+  if (!accessToken) {
+    return {
+      catalog: PRICING_CATALOG,
+      entries: catalogToEntries(PRICING_CATALOG),
+      priceLists: {},
+      itemRules: DEFAULT_ITEM_RULES,
+      packages: DEFAULT_PACKAGES,
+      version: null,
+      versions: [],
+      pricingTabEdits: null,
+      source: 'fallback',
+      loadedAt: null,
+      error: 'Not signed in'
+    };
+  }
+
+  if (cachedCatalog && !forceRefresh && isFresh(cachedCatalog)) {
+    return cachedCatalog;
+  }
+
+  try {
+    const entries = await readCatalogFromSheet(accessToken);
+    const priceLists = await readPriceListsFromSheet(accessToken);
+    const itemRules = await readItemRulesFromSheet(accessToken);
+    const packages = await readPackagesFromSheet(accessToken);
+    const { versions } = await readVersionsFromSheet(accessToken);
+    const live = versionInEffect(versions, todayISO());
+    const latest = versions[versions.length - 1];
+    const pricingTabEdited = isPricingTabEdited(entries, versions);
+    if (pricingTabEdited) {
+      console.warn(`The ${PRICING_SHEET_NAME} tab was edited by hand; live prices come from ${PRICING_VERSIONS_SHEET_NAME} until it is saved as a version`);
+    }
+
+    cachedVersions = versions;
+    cachedCatalog = {
+      catalog: buildCatalog(live ? live.entries : entries),
+      // The editor starts from the newest saved version, which may still be scheduled
+      entries: latest ? latest.entries : entries,
+      priceLists,
+      itemRules,
+      packages,
+      version: versionInfo(live),
+      versions: versions.map(versionInfo),
+      pricingTabEdits: pricingTabEdited ? entries : null,
+      source: 'sheet',
+      loadedAt: Date.now(),
+      error: null
+    };
+  } catch (error) {
+    console.error('Failed to load pricing catalog from sheet:', error.message);
+
+    // A stale sheet catalog is still better than the hardcoded prices
+    const lastSheetCatalog = cachedCatalog && cachedCatalog.source === 'sheet' ? cachedCatalog : null;
+    cachedCatalog = {
+      catalog: lastSheetCatalog ? lastSheetCatalog.catalog : PRICING_CATALOG,
+      entries: lastSheetCatalog ? lastSheetCatalog.entries : catalogToEntries(PRICING_CATALOG),
+      priceLists: lastSheetCatalog ? lastSheetCatalog.priceLists : {},
+      itemRules: lastSheetCatalog ? lastSheetCatalog.itemRules : DEFAULT_ITEM_RULES,
+      packages: lastSheetCatalog ? lastSheetCatalog.packages : DEFAULT_PACKAGES,
+      version: lastSheetCatalog ? lastSheetCatalog.version : null,
+      versions: lastSheetCatalog ? lastSheetCatalog.versions : [],
+      pricingTabEdits: lastSheetCatalog ? lastSheetCatalog.pricingTabEdits : null,
+      source: lastSheetCatalog ? 'sheet' : 'fallback',
+      loadedAt: Date.now(),
+      error: error.message
+    };
+  }
+
+  return cachedCatalog;
+}
+
+/**
+ * Whether a user may save the catalog
+ * Only the office staff listed in CATALOG_EDITOR_EMAILS (comma separated) can
+ * change prices; everyone else signed in can view them. Without the variable
+ * nobody can save from the app.
+ * @param {string} email - Signed-in user's email
+ * @returns {boolean}
+ */
+export function canEditCatalog(email) {
+  const editors = String(process.env.CATALOG_EDITOR_EMAILS || '')
+    .split(',')
+    .map(editor => editor.trim().toLowerCase())
+    .filter(Boolean);
+  return !!email && editors.includes(String(email).trim().toLowerCase());
+}
+
+/**
+ * Make sure a tab exists, creating it with a header row if needed
+ */
+async function ensureTab(sheets, spreadsheetId, title, headers) {
+  const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' });
+  if (spreadsheet.data.sheets.some(s => s.properties.title === title)) return;
+
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{ addSheet: { properties: { title } } }]
+    }
+  });
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `'${title}'!A1`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [headers] }
+  });
+}
+
+/**
+ * Save the catalog as a new version, and write it to the Pricing tab if it is in effect today
+ * Creates the tabs if they don't exist yet (first save seeds them from the built-in catalog)
+ * @param {string} accessToken - User's OAuth access token
+ * @param {Array} entries - Catalog entries in display order (run validatePricingEntries first)
+ * @param {string} effectiveDate - YYYY-MM-DD the version takes effect (defaults to today)
+ * @returns {object} Same shape as getPricingCatalog
+ */
+export async function savePricingEntries(accessToken, entries, effectiveDate = todayISO()) {
+  const spreadsheetId = process.env.GOOGLE_SHEETS_ID;
+  if (!spreadsheetId) {
+    throw new Error('Missing GOOGLE_SHEETS_ID environment variable');
+  }
+
+  const normalized = entries.map(entry => ({
+    category: String(entry.category).trim(),
+    item: String(entry.item).trim(),
+    description: String(entry.description || '').trim(),
+    unit: String(entry.unit).trim().toUpperCase(),
+    pricePerUnit: Number(entry.pricePerUnit),
+    materialsCost: entry.materialsCost === true,
+    retired: entry.retired === true,
+    materialsAllowance: entry.materialsCost === true ? Number(entry.materialsAllowance) || 0 : 0,
+    hoursPerUnit: Number(entry.hoursPerUnit) || 0
+  }));
+  const toRow = entry => [
+    entry.category,
+    entry.item,
+    entry.description,
+    entry.unit,
+    entry.pricePerUnit,
+    entry.materialsCost,
+    entry.retired,
+    entry.materialsAllowance,
+    entry.hoursPerUnit
+  ];
+
+  const sheets = google.sheets({ version: 'v4', auth: getOAuthClient(accessToken) });
+
+  // Number the new version after the latest one in the sheet, not the cache -
+  // counting rows that were skipped so a number is never used twice
+  const { versions, lastVersion } = await readVersionsFromSheet(accessToken);
+  const version = lastVersion + 1;
+
+  await ensureTab(sheets, spreadsheetId, PRICING_VERSIONS_SHEET_NAME, VERSION_HEADERS);
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `'${PRICING_VERSIONS_SHEET_NAME}'!A:K`,
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: {
+      values: normalized.map(entry => [version, effectiveDate, ...toRow(entry)])
+    }
+  });
+
+  // Future-dated prices stay out of the Pricing tab until their date; the live
+  // catalog is derived from the versions in effect either way
+  const snapshot = { version, effectiveDate, entries: normalized };
+  if (versionInEffect([...versions, snapshot], todayISO()) !== snapshot) {
+    return getPricingCatalog(accessToken, { forceRefresh: true });
+  }
+
+  await ensureTab(sheets, spreadsheetId, PRICING_SHEET_NAME, SHEET_HEADERS);
+  const range = `'${PRICING_SHEET_NAME}'!A:I`;
+  await sheets.spreadsheets.values.clear({ spreadsheetId, range });
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `'${PRICING_SHEET_NAME}'!A1`,
+    valueInputOption: 'RAW',
+    requestBody: {
+      values: [SHEET_HEADERS, ...normalized.map(toRow)]
+    }
+  });
+
+  return getPricingCatalog(accessToken, { forceRefresh: true });
+}
+
+/**
+ * Get the catalog as it was in a specific version
+ * @param {string} accessToken - User's OAuth access token
+ * @param {number} version - Version number recorded on a job
+ * @returns {object|null} { catalog, version: { version, effectiveDate } } or null if the version is unknown
+ */
+export async function getCatalogVersion(accessToken, version) {
+  if (!accessToken) return null;
+  await getPricingCatalog(accessToken);
+  const snapshot = cachedVersions.find(v => v.version === Number(version));
+  return snapshot ? { catalog: buildCatalog(snapshot.entries), version: versionInfo(snapshot) } : null;
+}
+
+/**
+ * Get the catalog priced for a job's selected price list and pinned version
+ * @param {string} accessToken - User's OAuth access token
+ * @param {string} priceListName - The job's price list (blank for the base catalog)
+ * @param {number} catalogVersion - Version the job was priced against (blank for the live version)
+ * @returns {object} Catalog with the list's overrides applied
+ */
+export async function getJobCatalog(accessToken, priceListName, catalogVersion) {
+  const { catalog, priceLists } = await getPricingCatalog(accessToken);
+  const pinned = catalogVersion ? await getCatalogVersion(accessToken, catalogVersion) : null;
+  return resolvePriceList(pinned ? pinned.catalog : catalog, priceLists, priceListName);
+}
@@ -0,0 +1,252 @@
+/**
+ * Draft persistence
+ * Keeps the in-progress assessment in IndexedDB so a tab reload or session
+ * refresh on the iPad doesn't lose the walk-through. Photos and the sketch are
+ * stored as Blobs rather than base64 strings; they are turned back into data
+ * URLs when a draft is loaded, which is what the components work with.
+ *
+ * Drafts are keyed by work order number ("wo:28867") once the job has one, and
+ * by a generated id until then. Several drafts can be open at once - the job
+ * list shows a summary of each, kept on the record so listing doesn't have to
+ * read photos back.
+ */
+
+import { calculateJobTotals } from './jobTotals';
+
+const DB_NAME = 'turnovers';
+const DB_VERSION = 1;
+const DRAFTS_STORE = 'drafts';
+
+/**
+ * Whether IndexedDB is available (not during server rendering or in some private modes)
+ */
+export function isDraftStorageAvailable() {
+  return typeof window !== 'undefined' && !!window.indexedDB;
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+        db.createObjectStore(DRAFTS_STORE, { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the drafts store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise} The request result, once the transaction completes
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(DRAFTS_STORE, mode);
+      const request = makeRequest(transaction.objectStore(DRAFTS_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Key a draft is stored under
+ * @param {object} structuredData - Job data
+ * @param {string} fallbackKey - Key to use while the job has no work order number
+ * @returns {string}
+ */
+export function draftKeyFor(structuredData, fallbackKey) {
+  const workOrderNumber = String(structuredData?.workOrderNumber || '').trim();
+  return workOrderNumber ? `wo:${workOrderNumber}` : fallbackKey;
+}
+
+/**
+ * A new key for a job that has no work order number yet
+ */
+export function newDraftKey() {
+  return `draft:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Save the in-progress assessment
+ * @param {string} key - Draft key (see draftKeyFor)
+ * @param {object} draft - { conversationHistory, structuredData, englishScope, spanishScope, scopesGenerated, isComplete, currentStep, isSubmitted, submittedSheetUrl, pendingSync, sketch, photos }
+ * @param {string} previousKey - Key the draft was saved under before (removed when the key changes, e.g. once a work order number is given)
+ */
+export async function saveDraft(key, draft, previousKey = null) {
+  // Blobs are built before the transaction opens - a transaction closes as soon as it waits on anything else
+  const sketchBlob = draft.sketch && draft.sketch.startsWith('data:') ? await dataUrlToBlob(draft.sketch) : null;
+  const photos = await Promise.all((draft.photos || []).map(async ({ url, ...photo }) => (
+    url && url.startsWith('data:') ? { ...photo, blob: await dataUrlToBlob(url) } : { ...photo, url }
+  )));
+
+  const { workOrderNumber = '', unitNumber = '', address = '', workItems = [], adjustments } = draft.structuredData || {};
+  const record = {
+    ...draft,
+    key,
+    sketch: sketchBlob ? null : draft.sketch || null,
+    sketchBlob,
+    photos,
+    summary: {
+      workOrderNumber,
+      unitNumber,
+      address,
+      itemCount: workItems.length,
+      total: calculateJobTotals(workItems, adjustments).grandTotal,
+      step: draft.isSubmitted ? 'submitted' : draft.currentStep || 'input',
+      photoCount: photos.length,
+      syncAction: draft.pendingSync?.action || '',
+      syncStatus: draft.pendingSync?.status || ''
+    },
+    updatedAt: new Date().toISOString()
+  };
+
+  await withStore('readwrite', store => {
+    if (previousKey && previousKey !== key) {
+      store.delete(previousKey);
+    }
+    return store.put(record);
+  });
+}
+
+/**
+ * Load a draft with its photos and sketch as data URLs again
+ * @param {object} record - Stored draft
+ * @returns {Promise<object>} Draft
+ */
+async function restoreDraft(record) {
+  const { sketchBlob, ...draft } = record;
+  return {
+    ...draft,
+    sketch: sketchBlob ? await blobToDataUrl(sketchBlob) : draft.sketch || null,
+    photos: await Promise.all((draft.photos || []).map(async ({ blob, ...photo }) => (
+      blob ? { ...photo, url: await blobToDataUrl(blob) } : photo
+    )))
+  };
+}
+
+/**
+ * The most recently saved draft that hasn't been submitted, if any
+ * @returns {Promise<object|null>} Draft with key and updatedAt
+ */
+export async function loadLatestDraft() {
+  const records = (await withStore('readonly', store => store.getAll()) || []).filter(record => !record.isSubmitted);
+  if (records.length === 0) {
+    return null;
+  }
+  const latest = records.reduce((a, b) => (a.updatedAt >= b.updatedAt ? a : b));
+  return restoreDraft(latest);
+}
+
+/**
+ * Load one draft
+ * @param {string} key - Draft key
+ * @returns {Promise<object|null>} Draft, or null when there is none under the key
+ */
+export async function loadDraft(key) {
+  const record = await withStore('readonly', store => store.get(key));
+  return record ? restoreDraft(record) : null;
+}
+
+/**
+ * Summaries of every saved draft for the job list, most recently saved first
+ * @returns {Promise<Array>} { key, updatedAt, workOrderNumber, unitNumber, address, itemCount, total, step, photoCount, syncAction, syncStatus }
+ */
+export async function listDrafts() {
+  const records = await withStore('readonly', store => store.getAll()) || [];
+  return records
+    .map(record => ({ key: record.key, updatedAt: record.updatedAt, ...record.summary }))
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+}
+
+/**
+ * Drafts waiting to be sent to the server (see syncQueue.js), oldest first
+ * @returns {Promise<Array>} Drafts with a pendingSync entry
+ */
+export async function loadDraftsToSync() {
+  const records = (await withStore('readonly', store => store.getAll()) || []).filter(record => record.pendingSync);
+  records.sort((a, b) => (a.pendingSync.queuedAt < b.pendingSync.queuedAt ? -1 : 1));
+  return Promise.all(records.map(restoreDraft));
+}
+
+/**
+ * Start a new draft from an existing one - for the next unit of the same layout
+ * The work items, price list, settings and sketch are copied; the work order
+ * and unit numbers, photos, conversation and scopes belong to the original unit
+ * and are left blank.
+ * @param {string} key - Draft to copy
+ * @returns {Promise<string>} Key of the new draft
+ */
+export async function duplicateDraft(key) {
+  const draft = await loadDraft(key);
+  if (!draft) {
+    throw new Error('Draft not found');
+  }
+
+  const newKey = newDraftKey();
+  await saveDraft(newKey, {
+    conversationHistory: [],
+    structuredData: {
+      ...draft.structuredData,
+      workOrderNumber: '',
+      unitNumber: '',
+      revision: null,
+      acknowledgedWarnings: []
+    },
+    englishScope: '',
+    spanishScope: '',
+    scopesGenerated: false,
+    isComplete: false,
+    currentStep: (draft.structuredData?.workItems || []).length > 0 ? 'review' : 'input',
+    isSubmitted: false,
+    submittedSheetUrl: '',
+    pendingSync: null,
+    sketch: draft.sketch,
+    photos: []
+  });
+  return newKey;
+}
+
+/**
+ * Remove a draft
+ * @param {string} key - Draft key
+ */
+export async function deleteDraft(key) {
+  await withStore('readwrite', store => store.delete(key));
+}
+
+/**
+ * Whether a job has anything worth keeping
+ * @param {object} draft - Same shape as saveDraft
+ */
+export function hasDraftContent(draft) {
+  return (draft.conversationHistory || []).length > 0 ||
+    (draft.structuredData?.workItems || []).length > 0 ||
+    !!draft.structuredData?.workOrderNumber ||
+    !!draft.sketch ||
+    (draft.photos || []).length > 0;
+}
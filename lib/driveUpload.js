@@ -79,6 +79,38 @@ function dataUrlToBuffer(dataUrl) {
   return { buffer, mimeType };
 }
 
+/**
+ * Drive file id from a URL written to a job sheet (lh3 direct link, /file/d/ link or ?id=)
+ * @param {string} url - Image URL
+ * @returns {string|null} File id, or null for data URLs and other links
+ */
+export function driveFileIdFromUrl(url) {
+  const match = /^https:\/\/(?:lh3\.googleusercontent\.com\/d\/|drive\.google\.com\/(?:file\/d\/|uc\?(?:[^#]*&)?id=))([\w-]+)/.exec(url || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Download an uploaded sketch or photo as a data URL
+ * Used when reopening a submitted job so the sketch can be edited on the
+ * canvas (a cross-origin image can't be exported from it).
+ * @param {string} url - Drive URL from the job sheet
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {string} Base64 data URL
+ */
+export async function downloadDriveImage(url, accessToken) {
+  const fileId = driveFileIdFromUrl(url);
+  if (!fileId) {
+    throw new Error(`Not a Drive file URL: ${url}`);
+  }
+
+  const auth = getOAuthClient(accessToken);
+  const drive = google.drive({ version: 'v3', auth });
+  const response = await drive.files.get({ fileId, alt: 'media' }, { responseType: 'arraybuffer' });
+
+  const mimeType = String(response.headers?.['content-type'] || 'image/png').split(';')[0];
+  return `data:${mimeType};base64,${Buffer.from(response.data).toString('base64')}`;
+}
+
 /**
  * Upload a sketch (floor plan) to Google Drive
  * @param {string} sketchDataUrl - Base64 data URL of the sketch
@@ -175,12 +207,14 @@ export async function uploadSketchToDrive(sketchDataUrl, fileName, accessToken)
  * - Add delays between uploads to prevent rate limiting/hanging
  * - Add timeouts to prevent indefinite hangs
  * - Continue on individual failures
+ *
+ * Photos whose url is already a Drive link (a reopened job) are not uploaded again.
  * 
- * @param {Array} photos - Array of photo objects { url, name, caption }
+ * @param {Array} photos - Array of photo objects { id, url, name, caption }
  * @param {string} workOrderNumber - Work order for folder organization
  * @param {string} accessToken - User's OAuth access token
  * @param {Function} onProgress - Optional callback for progress updates
- * @returns {Array} Array of { fileId, directUrl, fileName, caption }
+ * @returns {Array} Array of { fileId, directUrl, fileName, originalName, photoId, caption, folderId }
  */
 export async function uploadPhotosToDrive(photos, workOrderNumber, accessToken, onProgress = null) {
   if (!photos || photos.length === 0) {
@@ -220,6 +254,21 @@ export async function uploadPhotosToDrive(photos, workOrderNumber, accessToken,
         });
       }
 
+      // Photos of a reopened job are already on Drive - keep the existing file
+      const existingFileId = driveFileIdFromUrl(photo.url);
+      if (existingFileId) {
+        results.push({
+          fileId: existingFileId,
+          directUrl: `https://lh3.googleusercontent.com/d/${existingFileId}`,
+          fileName: photo.name,
+          originalName: photo.name,
+          photoId: photo.id,
+          caption: photo.caption || '',
+          folderId: workOrderFolderId
+        });
+        continue;
+      }
+
       try {
         // Generate a clean filename with index
         const extension = photo.name?.split('.').pop() || 'jpg';
@@ -278,7 +327,9 @@ export async function uploadPhotosToDrive(photos, workOrderNumber, accessToken,
           directUrl: directUrl,
           fileName: fileName,
           originalName: photo.name,
-          caption: photo.caption || ''
+          photoId: photo.id,
+          caption: photo.caption || '',
+          folderId: workOrderFolderId
         });
 
         // Add delay before next upload (except for last one)
@@ -0,0 +1,74 @@
+/**
+ * Client-side reader for server-sent event responses
+ * Used with fetch() since EventSource only supports GET requests
+ */
+
+/**
+ * Parse a single SSE event block into { event, data }
+ * @param {string} block - Raw event text (lines separated by \n)
+ * @returns {object|null} Parsed event, or null for comments/empty blocks
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  const rawData = dataLines.join('\n');
+  try {
+    return { event, data: JSON.parse(rawData) };
+  } catch {
+    return { event, data: rawData };
+  }
+}
+
+/**
+ * Read a text/event-stream fetch response, calling onEvent for each event
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onEvent - Called with (eventName, data) for each event
+ * @returns {Promise} Resolves when the stream ends
+ */
+export async function readEventStream(response, onEvent) {
+  if (!response.body) {
+    throw new Error('Streaming is not supported in this browser');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    // Events are separated by a blank line
+    let separatorIndex;
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, separatorIndex);
+      buffer = buffer.slice(separatorIndex + 2);
+
+      const parsed = parseEventBlock(block);
+      if (parsed) {
+        onEvent(parsed.event, parsed.data);
+      }
+    }
+  }
+
+  // Flush a trailing event without the final blank line
+  const parsed = parseEventBlock(buffer.trim());
+  if (parsed) {
+    onEvent(parsed.event, parsed.data);
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Bundling and dependency rules between catalog items
+ * Crews pair some items every time (walls are cleaned before they're
+ * painted, old flooring comes up before vinyl plank goes down) and some
+ * items can't both be on a job (a unit gets base molding or vinyl base, not
+ * both). Rules are read from the optional "Item Rules" tab (see
+ * catalogStore.js); DEFAULT_ITEM_RULES is used when there is no tab.
+ *
+ * Rule types:
+ *   requires           - the item is never done without its companion
+ *   usually with       - the companion is normally added too
+ *   mutually exclusive - the two items shouldn't be on the same job
+ */
+
+import { PRICING_CATALOG, findPricing } from './pricingCatalog';
+
+export const ITEM_RULE_TYPES = ['requires', 'usually with', 'mutually exclusive'];
+
+export const DEFAULT_ITEM_RULES = [
+  {
+    type: 'requires',
+    category: 'Painting', item: 'Prep & Paint Walls 2 Coats', description: 'Paint',
+    withCategory: 'Painting', withItem: 'Clean Walls', withDescription: 'Clean'
+  },
+  {
+    type: 'requires',
+    category: 'Painting', item: 'Prep & Paint Ceiling 2 Coats', description: 'Paint',
+    withCategory: 'Painting', withItem: 'Clean Ceiling', withDescription: 'Clean'
+  },
+  {
+    type: 'requires',
+    category: 'Painting', item: 'Extra Coat of Paint', description: 'Paint',
+    withCategory: 'Painting', withItem: 'Prep & Paint Walls 2 Coats', withDescription: 'Paint'
+  },
+  {
+    type: 'requires',
+    category: 'Floor & Molding', item: 'Vinyl Plank Flooring', description: 'Install',
+    withCategory: 'Floor & Molding', withItem: 'Flooring', withDescription: 'Demolition'
+  },
+  {
+    type: 'usually with',
+    category: 'Floor & Molding', item: 'Base Molding 4"', description: 'Remove & Install',
+    withCategory: 'Floor & Molding', withItem: 'Shoe Molding', withDescription: 'Remove & Install'
+  },
+  {
+    type: 'usually with',
+    category: 'Plumbing Installation', item: 'Shower Faucet Set', description: 'Remove & Install',
+    withCategory: 'Plumbing Installation', withItem: 'Shower Head', withDescription: 'Remove & Install'
+  },
+  {
+    type: 'mutually exclusive',
+    category: 'Floor & Molding', item: 'Base Molding 4"', description: 'Remove & Install',
+    withCategory: 'Floor & Molding', withItem: 'Vinyl Base 4"', withDescription: 'Remove & Install'
+  },
+  {
+    type: 'mutually exclusive',
+    category: 'Electrical Installation', item: 'Range Hood Vented', description: 'Remove & Install',
+    withCategory: 'Electrical Installation', withItem: 'Range Hood Ventless', withDescription: 'Remove & Install'
+  }
+];
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Check whether a work item is the item a rule refers to (a blank category or description matches any)
+ */
+function matchesRef(workItem, category, item, description) {
+  return sameText(workItem.item, item) &&
+    (!category || sameText(workItem.category, category)) &&
+    (!description || sameText(workItem.description, description));
+}
+
+/**
+ * Stable key for a rule, used to remember dismissed suggestions
+ */
+export function itemRuleKey(rule) {
+  return [rule.type, rule.category, rule.item, rule.description, rule.withCategory, rule.withItem, rule.withDescription]
+    .map(value => String(value || '').trim().toLowerCase())
+    .join('|');
+}
+
+/**
+ * Evaluate the rules against a job's work items
+ * Missing companions are suggested at the combined amount of the items that
+ * need them; a companion priced in a different unit defaults to 1.
+ * @param {Array} workItems - Job work items
+ * @param {Array} rules - Item rules (defaults to DEFAULT_ITEM_RULES)
+ * @param {object} options - { dismissed: rule keys the inspector dismissed for this job, catalog: job catalog }
+ * @returns {object} {
+ *   missing: Array<{ key, type, forItems: Array<{ id, item }>, companion: { category, item, description }, amount, unit, notes }>,
+ *   conflicts: Array<{ key, itemIds, message }>
+ * }
+ */
+export function evaluateItemRules(workItems, rules = DEFAULT_ITEM_RULES, options = {}) {
+  const { dismissed = [], catalog = PRICING_CATALOG } = options;
+  const items = Array.isArray(workItems) ? workItems.filter(Boolean) : [];
+  const dismissedKeys = new Set(dismissed);
+  const missing = [];
+  const conflicts = [];
+
+  (rules || []).forEach(rule => {
+    const key = itemRuleKey(rule);
+    const sources = items.filter(item => matchesRef(item, rule.category, rule.item, rule.description));
+    if (sources.length === 0) return;
+    const companions = items.filter(item => matchesRef(item, rule.withCategory, rule.withItem, rule.withDescription));
+
+    if (rule.type === 'mutually exclusive') {
+      if (companions.length > 0) {
+        conflicts.push({
+          key,
+          itemIds: [...sources, ...companions].map(item => item.id),
+          message: `"${rule.item}" and "${rule.withItem}" shouldn't both be on this job`
+        });
+      }
+      return;
+    }
+
+    if (companions.length > 0 || dismissedKeys.has(key)) return;
+
+    const pricing = findPricing(rule.withCategory, rule.withItem, rule.withDescription, catalog);
+    const unit = pricing ? pricing.unit : sources[0].unit;
+    const sameUnit = sources.every(item => sameText(item.unit, unit));
+    const amount = sameUnit ? sources.reduce((sum, item) => sum + (Number(item.multiplier) || 0), 0) : 1;
+    missing.push({
+      key,
+      type: rule.type,
+      forItems: sources.map(item => ({ id: item.id, item: item.item })),
+      companion: { category: rule.withCategory, item: rule.withItem, description: rule.withDescription },
+      amount,
+      unit,
+      notes: [...new Set(sources.map(item => item.notes).filter(Boolean))].join(', ')
+    });
+  });
+
+  return { missing, conflicts };
+}
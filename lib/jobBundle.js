@@ -0,0 +1,104 @@
+/**
+ * Job bundles
+ * A whole assessment - conversation, structured data, both scopes, the sketch
+ * PNG and the photos with their captions - as one JSON file, to hand a job to
+ * a colleague or keep a backup outside Google. The sketch and photos are
+ * embedded as data URLs.
+ *
+ * Bundles carry a format version. When the job schema changes, bump
+ * BUNDLE_VERSION and add a migration from the previous version so older files
+ * still import.
+ */
+
+export const BUNDLE_FORMAT = 'turnovers-job';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_EXTENSION = '.turnover.json';
+
+// MIGRATIONS[n] upgrades the job of a version n bundle to version n + 1
+const MIGRATIONS = {};
+
+/**
+ * Build a bundle for a job
+ * @param {object} job - { conversationHistory, structuredData, englishScope, spanishScope, scopesGenerated, isComplete, currentStep, isSubmitted, submittedSheetUrl, sketch, photos }
+ * @returns {object} Bundle
+ */
+export function createJobBundle(job) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    job: {
+      conversationHistory: job.conversationHistory || [],
+      structuredData: job.structuredData,
+      englishScope: job.englishScope || '',
+      spanishScope: job.spanishScope || '',
+      scopesGenerated: !!job.scopesGenerated,
+      isComplete: !!job.isComplete,
+      currentStep: job.currentStep || 'input',
+      isSubmitted: !!job.isSubmitted,
+      submittedSheetUrl: job.submittedSheetUrl || '',
+      sketch: job.sketch || null,
+      photos: (job.photos || []).map(({ id, url, name, timestamp, caption, sizeKB }) => ({
+        id, url, name, timestamp, caption: caption || '', sizeKB
+      }))
+    }
+  };
+}
+
+/**
+ * File name for a job's bundle ("WO-28867-unit-301.turnover.json")
+ * @param {object} structuredData - Job data
+ */
+export function bundleFileName(structuredData) {
+  const parts = [
+    structuredData?.workOrderNumber ? `WO-${structuredData.workOrderNumber}` : 'job',
+    structuredData?.unitNumber ? `unit-${structuredData.unitNumber}` : ''
+  ].filter(Boolean);
+  return `${parts.join('-').replace(/[^\w.-]+/g, '_')}${BUNDLE_EXTENSION}`;
+}
+
+/**
+ * Read a bundle file's contents back into a job, upgrading older versions
+ * @param {string} text - File contents
+ * @returns {object} Job (same shape as createJobBundle's input)
+ * @throws {Error} When the file isn't a bundle or was written by a newer version of the app
+ */
+export function parseJobBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not a job bundle (it is not valid JSON)');
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !Number.isInteger(bundle.version) || bundle.version < 1) {
+    throw new Error('This file is not a job bundle');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`This bundle was exported by a newer version of the app (format v${bundle.version}) - update the app to import it`);
+  }
+
+  let job = bundle.job;
+  for (let version = bundle.version; version < BUNDLE_VERSION; version++) {
+    job = MIGRATIONS[version](job);
+  }
+
+  if (!job || typeof job.structuredData !== 'object' || !Array.isArray(job.structuredData?.workItems)) {
+    throw new Error('The job bundle is missing its work items');
+  }
+
+  return {
+    conversationHistory: Array.isArray(job.conversationHistory) ? job.conversationHistory : [],
+    structuredData: job.structuredData,
+    englishScope: job.englishScope || '',
+    spanishScope: job.spanishScope || '',
+    scopesGenerated: !!job.scopesGenerated,
+    isComplete: !!job.isComplete,
+    currentStep: job.currentStep || 'input',
+    isSubmitted: !!job.isSubmitted,
+    submittedSheetUrl: job.submittedSheetUrl || '',
+    sketch: job.sketch || null,
+    photos: Array.isArray(job.photos) ? job.photos : []
+  };
+}
+
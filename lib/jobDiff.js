@@ -0,0 +1,146 @@
+/**
+ * Resubmission diff
+ * Compares the job already on a sheet tab (as read back by parseJobSheetRows)
+ * with the job about to replace it, so the inspector sees what will change -
+ * or notices the work order number belongs to a different unit - before the
+ * tab is archived and rewritten.
+ */
+
+import { calculateJobTotals } from './jobTotals';
+import { calculateItemTotal, calculateItemMaterials } from './workItems';
+import { stripMarkdown } from './markdownUtils';
+
+// Header fields shown in the diff, by their structuredData name
+const HEADER_FIELDS = [
+  { key: 'unitNumber', label: 'Unit #' },
+  { key: 'address', label: 'Address' },
+  { key: 'unitSquareFeet', label: 'Unit SQ FT' },
+  { key: 'unitLayout', label: 'Unit Layout' },
+  { key: 'priceList', label: 'Price List' }
+];
+
+/**
+ * Round a dollar amount to cents
+ */
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compare two cell values the way the sheet shows them
+ */
+function sameValue(a, b) {
+  return String(a ?? '').trim() === String(b ?? '').trim();
+}
+
+/**
+ * A work item in the shape of a sheet row
+ */
+function itemAsRow(item) {
+  return {
+    category: String(item.category || ''),
+    item: String(item.item || ''),
+    description: String(item.description || ''),
+    unit: String(item.unit || ''),
+    amount: Number(item.multiplier) || 0,
+    pricePerUnit: Number(item.pricePerUnit) || 0,
+    total: roundCents(Number(item.total) || calculateItemTotal(item)),
+    materials: roundCents(calculateItemMaterials(item)),
+    notes: String(item.notes || ''),
+    materialsNote: String(item.materialsNote || '')
+  };
+}
+
+/**
+ * Rows keyed by catalog entry; repeats of the same entry get a "#2", "#3" suffix
+ */
+function keyRows(rows) {
+  const seen = {};
+  return rows.map(row => {
+    const base = `${row.category}|${row.item}|${row.description}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return { key: seen[base] > 1 ? `${base}#${seen[base]}` : base, row };
+  });
+}
+
+/**
+ * Field by field differences between the same line before and after
+ */
+function rowChanges(before, after) {
+  const details = [];
+  if (before.amount !== after.amount || !sameValue(before.unit, after.unit)) {
+    details.push({ label: 'Amount', from: `${before.amount} ${before.unit}`.trim(), to: `${after.amount} ${after.unit}`.trim() });
+  }
+  if (roundCents(before.pricePerUnit) !== roundCents(after.pricePerUnit)) {
+    details.push({ label: 'Price', from: `$${before.pricePerUnit.toFixed(2)}`, to: `$${after.pricePerUnit.toFixed(2)}` });
+  }
+  if (roundCents(before.materials) !== roundCents(after.materials)) {
+    details.push({ label: 'Materials', from: `$${before.materials.toFixed(2)}`, to: `$${after.materials.toFixed(2)}` });
+  }
+  if (!sameValue(before.notes, after.notes) || !sameValue(before.materialsNote, after.materialsNote)) {
+    const notes = (row) => [row.notes, row.materialsNote && `Materials: ${row.materialsNote}`].filter(Boolean).join(' · ');
+    details.push({ label: 'Notes', from: notes(before), to: notes(after) });
+  }
+  return details;
+}
+
+/**
+ * Grand total written on a sheet tab (items, materials and adjustment lines)
+ */
+function sheetGrandTotal(previous) {
+  const items = previous.workItems.reduce((sum, row) => sum + row.total + row.materials, 0);
+  const adjustments = previous.adjustmentLines.reduce((sum, line) => sum + line.amount, 0);
+  return roundCents(items + adjustments);
+}
+
+/**
+ * What resubmitting a job will change on its sheet
+ * @param {object} previous - The tab as read by parseJobSheetRows
+ * @param {object} next - { structuredData, englishScope, spanishScope, photos }
+ * @returns {object} {
+ *   fields: Array<{ label, from, to }>,
+ *   added: Array<row>, removed: Array<row>,
+ *   changed: Array<row & { details: Array<{ label, from, to }> }>,
+ *   scopesChanged: boolean,
+ *   photos: { from, to },
+ *   grandTotal: { from, to },
+ *   sameUnit: boolean (false when the unit # or address differ - likely a mistyped WO#)
+ * }
+ */
+export function diffSubmittedJob(previous, next) {
+  const data = next.structuredData || {};
+
+  const fields = HEADER_FIELDS
+    .filter(({ key }) => !sameValue(previous[key], data[key]))
+    .map(({ key, label }) => ({ label, from: String(previous[key] ?? ''), to: String(data[key] ?? '') }));
+
+  const before = keyRows(previous.workItems);
+  const after = keyRows((data.workItems || []).filter(Boolean).map(itemAsRow));
+  const beforeByKey = Object.fromEntries(before.map(({ key, row }) => [key, row]));
+  const afterKeys = new Set(after.map(({ key }) => key));
+
+  const added = after.filter(({ key }) => !beforeByKey[key]).map(({ row }) => row);
+  const removed = before.filter(({ key }) => !afterKeys.has(key)).map(({ row }) => row);
+  const changed = after
+    .filter(({ key }) => beforeByKey[key])
+    .map(({ key, row }) => ({ ...row, details: rowChanges(beforeByKey[key], row) }))
+    .filter(row => row.details.length > 0);
+
+  const scopesChanged =
+    !sameValue(previous.englishScope, stripMarkdown(next.englishScope || '')) ||
+    !sameValue(previous.spanishScope, stripMarkdown(next.spanishScope || ''));
+
+  return {
+    fields,
+    added,
+    removed,
+    changed,
+    scopesChanged,
+    photos: { from: previous.photos.length, to: (next.photos || []).length },
+    grandTotal: {
+      from: sheetGrandTotal(previous),
+      to: calculateJobTotals(data.workItems, data.adjustments).grandTotal
+    },
+    sameUnit: sameValue(previous.unitNumber, data.unitNumber) && sameValue(previous.address, data.address)
+  };
+}
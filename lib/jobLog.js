@@ -0,0 +1,283 @@
+import { google } from 'googleapis';
+
+/**
+ * Job log
+ * One row per submitted job in a "Job Log" tab of the master spreadsheet, so
+ * managers have an index of everything submitted instead of scrolling through
+ * the job tabs. The row is keyed by the job's tab name (its WO#) and updated
+ * in place when the job is resubmitted. The /jobs dashboard reads it back.
+ *
+ * Status is "Submitted" for the first revision and "Resubmitted" after that.
+ * Managers can change it by hand (e.g. "Approved", "Complete") until the next
+ * resubmission.
+ */
+
+export const JOB_LOG_SHEET_NAME = 'Job Log';
+
+const JOB_LOG_HEADERS = [
+  'WO#', 'Unit #', 'Address', 'Unit Layout', 'Items', 'Grand Total',
+  'Submitted By', 'Submitted At', 'Revision', 'Status', 'Sheet', 'Photos Folder'
+];
+const LAST_COLUMN = 'L';
+
+/**
+ * Create OAuth2 client with user's access token
+ * @param {string} accessToken - User's OAuth access token from session
+ */
+function getOAuthClient(accessToken) {
+  if (!accessToken) {
+    throw new Error('No access token provided. User must be logged in.');
+  }
+
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET
+  );
+
+  oauth2Client.setCredentials({ access_token: accessToken });
+  return oauth2Client;
+}
+
+/**
+ * Create the Job Log tab with its frozen, bold header row if it doesn't exist yet
+ * @returns {number} The tab's sheetId
+ */
+async function ensureJobLogTab(sheets, spreadsheetId) {
+  const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties(sheetId,title)' });
+  const existing = spreadsheet.data.sheets.find(s => s.properties.title === JOB_LOG_SHEET_NAME);
+  if (existing) return existing.properties.sheetId;
+
+  const addResponse = await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{
+        addSheet: {
+          properties: {
+            title: JOB_LOG_SHEET_NAME,
+            index: 0,
+            gridProperties: { columnCount: JOB_LOG_HEADERS.length, frozenRowCount: 1 }
+          }
+        }
+      }]
+    }
+  });
+  const tabId = addResponse.data.replies[0].addSheet.properties.sheetId;
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `'${JOB_LOG_SHEET_NAME}'!A1`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [JOB_LOG_HEADERS] }
+  });
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{
+        repeatCell: {
+          range: { sheetId: tabId, startRowIndex: 0, endRowIndex: 1 },
+          cell: { userEnteredFormat: { textFormat: { bold: true }, backgroundColor: { red: 0.9, green: 0.9, blue: 0.9 } } },
+          fields: 'userEnteredFormat(textFormat,backgroundColor)'
+        }
+      }]
+    }
+  });
+  return tabId;
+}
+
+/**
+ * Cell for a batchUpdate request - text is always stored as text, so nothing
+ * the inspector typed is read as a formula or a date
+ */
+function textCell(value) {
+  return { userEnteredValue: { stringValue: String(value ?? '') } };
+}
+
+function numberCell(value) {
+  return { userEnteredValue: { numberValue: Number(value) || 0 } };
+}
+
+function linkCell(url, label) {
+  return url
+    ? { userEnteredValue: { formulaValue: `=HYPERLINK("${url.replace(/"/g, '""')}", "${label}")` } }
+    : textCell('');
+}
+
+/**
+ * URL of a link cell read back with valueRenderOption FORMULA
+ * Rows logged before links were written as HYPERLINK formulas hold the bare URL.
+ */
+function hyperlinkUrl(value) {
+  const text = String(value ?? '').trim();
+  const match = /^=HYPERLINK\(\s*"((?:[^"]|"")*)"/i.exec(text);
+  return match ? match[1].replace(/""/g, '"') : text;
+}
+
+/**
+ * Add or update a submitted job's row in the Job Log tab
+ *
+ * Looking up the row and appending aren't atomic, so two submissions of the
+ * same new WO# at once can both append. After appending, the log is read
+ * again; if an earlier row for the WO# turned up, this submission's row is
+ * deleted and the earlier one updated instead, leaving one row per job.
+ * @param {object} entry - {
+ *   sheetName, unitNumber, address, unitLayout, itemCount, grandTotal,
+ *   submittedBy, submittedAt (ISO string), revision, sheetUrl, photoFolderUrl
+ * }
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {object} { row, updated } - 1-based row number, and whether an existing row was updated
+ */
+export async function upsertJobLogEntry(entry, accessToken) {
+  const spreadsheetId = process.env.GOOGLE_SHEETS_ID;
+  if (!spreadsheetId) {
+    throw new Error('Missing GOOGLE_SHEETS_ID environment variable');
+  }
+
+  const sheets = google.sheets({ version: 'v4', auth: getOAuthClient(accessToken) });
+  const tabId = await ensureJobLogTab(sheets, spreadsheetId);
+
+  const cells = [
+    textCell(entry.sheetName),
+    textCell(entry.unitNumber),
+    textCell(entry.address),
+    textCell(entry.unitLayout),
+    numberCell(entry.itemCount),
+    numberCell(entry.grandTotal),
+    textCell(entry.submittedBy),
+    textCell(entry.submittedAt),
+    numberCell(entry.revision || 1),
+    textCell(entry.revision > 1 ? 'Resubmitted' : 'Submitted'),
+    linkCell(entry.sheetUrl, 'Open tab'),
+    linkCell(entry.photoFolderUrl, 'Photos')
+  ];
+  const updateRow = (row) => ({
+    updateCells: {
+      start: { sheetId: tabId, rowIndex: row - 1, columnIndex: 0 },
+      rows: [{ values: cells }],
+      fields: 'userEnteredValue'
+    }
+  });
+
+  // 0-based indexes of the rows logged for this job (WO# in column A, Submitted At in H)
+  const findRows = async () => {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `'${JOB_LOG_SHEET_NAME}'!A:H`
+    });
+    const rows = response.data.values || [];
+    return rows
+      .map((row, i) => ({ index: i, submittedAt: String(row[7] ?? '').trim(), matches: i > 0 && String(row[0] ?? '').trim() === entry.sheetName }))
+      .filter(row => row.matches);
+  };
+
+  const existing = await findRows();
+  if (existing.length > 0) {
+    const row = existing[0].index + 1;
+    await sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests: [updateRow(row)] } });
+    return { row, updated: true };
+  }
+
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{ appendCells: { sheetId: tabId, rows: [{ values: cells }], fields: 'userEnteredValue' } }]
+    }
+  });
+
+  const logged = await findRows();
+  const own = logged.find(row => row.submittedAt === entry.submittedAt);
+  if (!own) {
+    return { row: null, updated: false };
+  }
+  if (own.index === logged[0].index) {
+    return { row: own.index + 1, updated: false };
+  }
+
+  // Another submission of this WO# appended first - keep its row and update it
+  const row = logged[0].index + 1;
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [
+        { deleteDimension: { range: { sheetId: tabId, dimension: 'ROWS', startIndex: own.index, endIndex: own.index + 1 } } },
+        updateRow(row)
+      ]
+    }
+  });
+  return { row, updated: true };
+}
+
+/**
+ * PDF export link for a job tab, with the same page setup as scripts/PDFGenerator.gs
+ * @param {string} sheetUrl - Link to the tab (".../spreadsheets/d/<id>/edit#gid=<gid>")
+ * @returns {string} Export URL, or '' when the link isn't a sheet tab link
+ */
+function jobPdfUrl(sheetUrl) {
+  const match = /\/spreadsheets\/d\/([\w-]+).*[#&?]gid=(\d+)/.exec(sheetUrl || '');
+  if (!match) return '';
+  return `https://docs.google.com/spreadsheets/d/${match[1]}/export?format=pdf&gid=${match[2]}` +
+    '&portrait=true&size=letter&fitw=true&fith=false&top_margin=0.75&bottom_margin=0.75&left_margin=0.75&right_margin=0.75' +
+    '&gridlines=false&printnotes=false&printtitle=false&sheetnames=false&pagenum=UNDEFINED';
+}
+
+/**
+ * Convert rows from the Job Log tab into entries
+ * Columns are found by header so managers can add or move columns in the tab.
+ * @param {Array<Array>} rows - Sheet values including the header row (links as HYPERLINK formulas)
+ * @returns {Array} Array<{
+ *   sheetName, unitNumber, address, unitLayout, itemCount, grandTotal, submittedBy, submittedAt,
+ *   revision, status, sheetUrl, pdfUrl, photoFolderUrl
+ * }>
+ */
+export function parseJobLogRows(rows) {
+  const headers = (rows[0] || []).map(h => String(h ?? '').trim());
+  const column = (name) => {
+    const index = headers.indexOf(name);
+    return index !== -1 ? index : JOB_LOG_HEADERS.indexOf(name);
+  };
+  const text = (row, name) => String(row[column(name)] ?? '').trim();
+  const number = (row, name) => Number(String(row[column(name)] ?? '').replace(/[$,\s]/g, '')) || 0;
+
+  return rows.slice(1)
+    .filter(row => text(row, 'WO#'))
+    .map(row => ({
+      sheetName: text(row, 'WO#'),
+      unitNumber: text(row, 'Unit #'),
+      address: text(row, 'Address'),
+      unitLayout: text(row, 'Unit Layout'),
+      itemCount: number(row, 'Items'),
+      grandTotal: number(row, 'Grand Total'),
+      submittedBy: text(row, 'Submitted By'),
+      submittedAt: text(row, 'Submitted At'),
+      revision: number(row, 'Revision') || 1,
+      status: text(row, 'Status'),
+      sheetUrl: hyperlinkUrl(text(row, 'Sheet')),
+      pdfUrl: jobPdfUrl(hyperlinkUrl(text(row, 'Sheet'))),
+      photoFolderUrl: hyperlinkUrl(text(row, 'Photos Folder'))
+    }));
+}
+
+/**
+ * Read every submitted job from the Job Log tab
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {Array} Entries from parseJobLogRows (empty before the first submission)
+ */
+export async function readJobLog(accessToken) {
+  const spreadsheetId = process.env.GOOGLE_SHEETS_ID;
+  if (!spreadsheetId) {
+    throw new Error('Missing GOOGLE_SHEETS_ID environment variable');
+  }
+
+  const sheets = google.sheets({ version: 'v4', auth: getOAuthClient(accessToken) });
+  const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' });
+  if (!spreadsheet.data.sheets.some(s => s.properties.title === JOB_LOG_SHEET_NAME)) {
+    return [];
+  }
+
+  // FORMULA rendering keeps the URLs of the Sheet and Photos Folder links
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `'${JOB_LOG_SHEET_NAME}'!A:${LAST_COLUMN}`,
+    valueRenderOption: 'FORMULA'
+  });
+  return parseJobLogRows(response.data.values || []);
+}
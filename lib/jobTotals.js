@@ -0,0 +1,120 @@
+/**
+ * Job total adjustments
+ * Turns the work item subtotal (labor + materials) into the billed grand
+ * total by applying the per-job markup, overhead, sales tax on materials,
+ * trip charges and flat discounts. The same lines are shown in the Data
+ * Table and written under the TOTAL row on the job's sheet.
+ */
+
+import { calculateItemTotal, calculateItemMaterials } from './workItems';
+
+export const DEFAULT_ADJUSTMENTS = {
+  markupPercent: 0,
+  overheadPercent: 0,
+  materialsTaxPercent: 0, // sales tax, charged only on the materials cost of "+ Materials" items
+  tripCharges: [], // [{ label, amount }]
+  discounts: [] // [{ label, amount }] - amounts are entered positive and subtracted
+};
+
+/**
+ * Round a dollar amount to cents
+ */
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format a percentage for a line label (10 -> "10%", 8.25 -> "8.25%")
+ */
+function formatPercent(value) {
+  return `${Number(value.toFixed(3))}%`;
+}
+
+/**
+ * Fill in missing adjustment fields so older jobs without adjustments still total
+ * @param {object} adjustments - Job adjustments (may be undefined)
+ * @returns {object} Complete adjustments object
+ */
+export function normalizeAdjustments(adjustments) {
+  const flatCharges = (list) => (Array.isArray(list) ? list : [])
+    .map(charge => ({ label: String(charge.label || ''), amount: Number(charge.amount) || 0 }));
+
+  return {
+    markupPercent: Number(adjustments?.markupPercent) || 0,
+    overheadPercent: Number(adjustments?.overheadPercent) || 0,
+    materialsTaxPercent: Number(adjustments?.materialsTaxPercent) || 0,
+    tripCharges: flatCharges(adjustments?.tripCharges),
+    discounts: flatCharges(adjustments?.discounts)
+  };
+}
+
+/**
+ * Calculate the job subtotals, adjustment lines and grand total
+ * Markup and overhead are both a percentage of the work item subtotal (they don't compound).
+ * @param {Array} workItems - Job work items
+ * @param {object} adjustments - Job adjustments (see DEFAULT_ADJUSTMENTS)
+ * @returns {object} { laborSubtotal, materialsSubtotal, subtotal, lines: [{ key, label, amount }], grandTotal }
+ */
+export function calculateJobTotals(workItems, adjustments) {
+  const items = Array.isArray(workItems) ? workItems.filter(Boolean) : [];
+  const { markupPercent, overheadPercent, materialsTaxPercent, tripCharges, discounts } = normalizeAdjustments(adjustments);
+
+  const laborSubtotal = roundCents(items.reduce((sum, item) => sum + (Number(item.total) || calculateItemTotal(item)), 0));
+  const materialsSubtotal = roundCents(items.reduce((sum, item) => sum + calculateItemMaterials(item), 0));
+  const subtotal = roundCents(laborSubtotal + materialsSubtotal);
+
+  const lines = [];
+  if (markupPercent) {
+    lines.push({ key: 'markup', label: `Markup (${formatPercent(markupPercent)})`, amount: roundCents(subtotal * markupPercent / 100) });
+  }
+  if (overheadPercent) {
+    lines.push({ key: 'overhead', label: `Overhead (${formatPercent(overheadPercent)})`, amount: roundCents(subtotal * overheadPercent / 100) });
+  }
+  if (materialsTaxPercent && materialsSubtotal) {
+    lines.push({
+      key: 'materials-tax',
+      label: `Sales Tax on Materials (${formatPercent(materialsTaxPercent)})`,
+      amount: roundCents(materialsSubtotal * materialsTaxPercent / 100)
+    });
+  }
+  tripCharges.filter(charge => charge.amount).forEach((charge, i) => {
+    lines.push({ key: `trip-${i}`, label: charge.label || 'Trip Charge', amount: roundCents(charge.amount) });
+  });
+  discounts.filter(discount => discount.amount).forEach((discount, i) => {
+    lines.push({
+      key: `discount-${i}`,
+      label: discount.label ? `Discount: ${discount.label}` : 'Discount',
+      amount: -roundCents(Math.abs(discount.amount))
+    });
+  });
+
+  const grandTotal = roundCents(lines.reduce((sum, line) => sum + line.amount, subtotal));
+  return { laborSubtotal, materialsSubtotal, subtotal, lines, grandTotal };
+}
+
+/**
+ * Rebuild a job's adjustments from the lines written under the TOTAL row
+ * (the reverse of the labels above), e.g. when reopening a submitted sheet.
+ * Percentages come from the labels; trip charges and discounts from the amounts.
+ * @param {Array} lines - [{ label, amount }] with the sheet's trailing ":" removed
+ * @returns {object} Adjustments (see DEFAULT_ADJUSTMENTS)
+ */
+export function adjustmentsFromLines(lines) {
+  const adjustments = normalizeAdjustments(DEFAULT_ADJUSTMENTS);
+  const percentOf = (label) => Number((/\(([\d.]+)%\)$/.exec(label) || [])[1]) || 0;
+
+  (lines || []).forEach(({ label, amount }) => {
+    if (/^Markup \(/.test(label)) {
+      adjustments.markupPercent = percentOf(label);
+    } else if (/^Overhead \(/.test(label)) {
+      adjustments.overheadPercent = percentOf(label);
+    } else if (/^Sales Tax on Materials \(/.test(label)) {
+      adjustments.materialsTaxPercent = percentOf(label);
+    } else if (/^Discount(:|$)/.test(label)) {
+      adjustments.discounts.push({ label: label.replace(/^Discount:?\s*/, ''), amount: Math.abs(Number(amount) || 0) });
+    } else {
+      adjustments.tripCharges.push({ label, amount: Number(amount) || 0 });
+    }
+  });
+  return adjustments;
+}
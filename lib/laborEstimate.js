@@ -0,0 +1,109 @@
+/**
+ * Labor hours and turn duration estimate
+ * Multiplies each work item's amount by its catalog production rate
+ * (hoursPerUnit), groups the hours by trade and converts the total into
+ * calendar days for the job's crew. Items without a production rate (custom
+ * items, "Other repairs") are counted separately so the estimate doesn't
+ * look more complete than it is.
+ */
+
+export const DEFAULT_LABOR_SETTINGS = {
+  crewSize: 2, // people working the turn at the same time
+  hoursPerDay: 8
+};
+
+// Display order of trades
+export const TRADES = ['Painting', 'Flooring', 'Carpentry', 'Electrical', 'Plumbing', 'Cleaning', 'General'];
+
+// Trade for each catalog category (descriptions below take precedence)
+const CATEGORY_TRADES = {
+  'Painting': 'Painting',
+  'Floor & Molding': 'Flooring',
+  'Doors & Windows': 'Carpentry',
+  'Outlets No Wiring': 'Electrical',
+  'Light Switch No Wiring': 'Electrical',
+  'Electrical Installation': 'Electrical',
+  'Plumbing Installation': 'Plumbing',
+  'Plumbing Repairs': 'Plumbing',
+  'Clean Up': 'Cleaning'
+};
+
+// Painting and cleaning are done by the painter / cleaner whatever the category
+const DESCRIPTION_TRADES = {
+  'Paint': 'Painting',
+  'Clean': 'Cleaning'
+};
+
+/**
+ * Fill in missing settings with the defaults
+ * @param {object} settings - Job labor settings (may be undefined)
+ * @returns {object} { crewSize, hoursPerDay } with crewSize a whole number of at least 1
+ */
+export function normalizeLaborSettings(settings) {
+  const crewSize = Math.floor(Number(settings?.crewSize));
+  const hoursPerDay = Number(settings?.hoursPerDay);
+  return {
+    crewSize: crewSize >= 1 ? crewSize : DEFAULT_LABOR_SETTINGS.crewSize,
+    hoursPerDay: hoursPerDay > 0 && hoursPerDay <= 24 ? hoursPerDay : DEFAULT_LABOR_SETTINGS.hoursPerDay
+  };
+}
+
+/**
+ * Trade a work item belongs to
+ * @param {object} item - Work item
+ * @returns {string} One of TRADES
+ */
+export function tradeForItem(item) {
+  return DESCRIPTION_TRADES[item.description] || CATEGORY_TRADES[item.category] || 'General';
+}
+
+/**
+ * Round hours to one decimal
+ */
+function roundHours(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Estimate labor hours by trade and calendar days for a job
+ * Days assume the whole crew works the unit in parallel and are rounded up
+ * to the next half day.
+ * @param {Array} workItems - Job work items
+ * @param {object} settings - Job labor settings (see DEFAULT_LABOR_SETTINGS)
+ * @returns {object} { trades: [{ trade, hours }], totalHours, days, crewSize, hoursPerDay, unratedItems }
+ */
+export function estimateLabor(workItems, settings) {
+  const { crewSize, hoursPerDay } = normalizeLaborSettings(settings);
+  const items = Array.isArray(workItems) ? workItems.filter(item => item && Number(item.multiplier) > 0) : [];
+
+  const hoursByTrade = {};
+  let unratedItems = 0;
+  items.forEach(item => {
+    const rate = Number(item.hoursPerUnit) || 0;
+    if (rate <= 0) {
+      unratedItems += 1;
+      return;
+    }
+    const trade = tradeForItem(item);
+    hoursByTrade[trade] = (hoursByTrade[trade] || 0) + Number(item.multiplier) * rate;
+  });
+
+  const trades = TRADES
+    .filter(trade => hoursByTrade[trade] > 0)
+    .map(trade => ({ trade, hours: roundHours(hoursByTrade[trade]) }));
+  const totalHours = roundHours(Object.values(hoursByTrade).reduce((sum, hours) => sum + hours, 0));
+  const days = totalHours > 0 ? Math.ceil((totalHours / (crewSize * hoursPerDay)) * 2 - 1e-9) / 2 : 0;
+
+  return { trades, totalHours, days, crewSize, hoursPerDay, unratedItems };
+}
+
+/**
+ * One-line summary for the sheet header ("32.5 hrs (~2.5 days, crew of 2)")
+ * @param {object} estimate - Result of estimateLabor
+ * @returns {string} Summary, or '' when nothing has a production rate
+ */
+export function formatLaborEstimate(estimate) {
+  if (!estimate || estimate.totalHours <= 0) return '';
+  const dayLabel = estimate.days === 1 ? 'day' : 'days';
+  return `${estimate.totalHours} hrs (~${estimate.days} ${dayLabel}, crew of ${estimate.crewSize})`;
+}
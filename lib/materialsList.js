@@ -0,0 +1,170 @@
+/**
+ * Materials shopping list
+ * Turns the job's work items into what the lead has to buy: gallons of
+ * paint, boxes of vinyl plank, sticks of molding, caulk tubes and fixture
+ * counts. Items are recognized by their catalog names, so renamed catalog
+ * items may need a rule update here.
+ */
+
+export const DEFAULT_MATERIALS_SETTINGS = {
+  paintCoverageSF: 350, // SF one gallon covers per coat
+  trimLFPerQuart: 100, // LF of base / shoe / frames one quart of trim paint covers
+  plankBoxSF: 20, // SF of vinyl plank per box
+  plankWastePercent: 10,
+  moldingWastePercent: 5,
+  baseStickFt: 16,
+  shoeStickFt: 8,
+  vinylBasePieceFt: 4,
+  caulkLFPerTube: 25
+};
+
+// Display order of material groups
+export const MATERIAL_GROUPS = ['Paint', 'Flooring', 'Molding', 'Supplies', 'Fixtures'];
+
+/**
+ * Fill in missing settings with the defaults
+ * @param {object} settings - Job materials settings (may be undefined)
+ * @returns {object} Complete settings with numeric values
+ */
+export function normalizeMaterialsSettings(settings) {
+  const normalized = {};
+  Object.entries(DEFAULT_MATERIALS_SETTINGS).forEach(([key, defaultValue]) => {
+    const value = Number(settings?.[key]);
+    normalized[key] = settings?.[key] !== undefined && settings[key] !== '' && value >= 0 ? value : defaultValue;
+  });
+  return normalized;
+}
+
+/**
+ * Number of coats a paint item includes ("Prep & Paint Walls 2 Coats" -> 2)
+ */
+function coatCount(itemName) {
+  const match = /(\d+)\s*coats?/i.exec(itemName);
+  return match ? Number(match[1]) : 1;
+}
+
+/**
+ * Round a quantity up to whole units (with a little tolerance for float noise)
+ */
+function roundUp(value) {
+  return Math.ceil(value - 1e-9);
+}
+
+/**
+ * Format a number for a basis explanation (no trailing zeros)
+ */
+function formatQuantity(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Build the shopping list for a job
+ * @param {Array} workItems - Job work items
+ * @param {object} settings - Job materials settings (see DEFAULT_MATERIALS_SETTINGS)
+ * @returns {Array} Lines { key, group, material, quantity, unit, basis } in MATERIAL_GROUPS order
+ */
+export function buildMaterialsList(workItems, settings) {
+  const config = normalizeMaterialsSettings(settings);
+  const items = Array.isArray(workItems) ? workItems.filter(item => item && Number(item.multiplier) > 0) : [];
+
+  // Accumulate raw measurements first, then convert each to purchase units
+  const totals = {
+    wallPaintSF: 0, // SF × coats
+    ceilingPaintSF: 0,
+    trimPaintLF: 0,
+    plankSF: 0,
+    baseLF: 0,
+    shoeLF: 0,
+    vinylBaseLF: 0,
+    caulkLF: 0
+  };
+  const fixtures = {};
+
+  items.forEach(item => {
+    const name = String(item.item || '');
+    const description = String(item.description || '');
+    const unit = String(item.unit || '').toUpperCase();
+    const amount = Number(item.multiplier) || 0;
+    const isPaint = description === 'Paint' || /\bpaint\b/i.test(name);
+    const isInstall = description === 'Install' || description === 'Remove & Install';
+
+    if (isPaint && unit === 'SF') {
+      const key = /ceiling/i.test(name) ? 'ceilingPaintSF' : 'wallPaintSF';
+      totals[key] += amount * coatCount(name);
+    } else if (isPaint && unit === 'LF') {
+      totals.trimPaintLF += amount;
+    } else if (/vinyl plank/i.test(name) && isInstall && unit === 'SF') {
+      totals.plankSF += amount;
+    } else if (/base molding/i.test(name) && isInstall && unit === 'LF') {
+      totals.baseLF += amount;
+    } else if (/shoe molding/i.test(name) && isInstall && unit === 'LF') {
+      totals.shoeLF += amount;
+    } else if (/vinyl base/i.test(name) && isInstall && unit === 'LF') {
+      totals.vinylBaseLF += amount;
+    } else if (/caulk/i.test(name) && unit === 'LF') {
+      totals.caulkLF += amount;
+    } else if (item.materialsCost && (unit === 'EA' || unit === 'SET')) {
+      const material = item.materialsNote ? `${name} (${item.materialsNote})` : name;
+      if (!fixtures[material]) {
+        fixtures[material] = { quantity: 0, unit };
+      }
+      fixtures[material].quantity += amount;
+    }
+  });
+
+  const lines = [];
+  const addLine = (key, group, material, quantity, unit, basis) => {
+    if (quantity > 0) {
+      lines.push({ key, group, material, quantity, unit, basis });
+    }
+  };
+
+  addLine('wall-paint', 'Paint', 'Wall paint', roundUp(totals.wallPaintSF / config.paintCoverageSF), 'gal',
+    `${formatQuantity(totals.wallPaintSF)} SF of coats ÷ ${config.paintCoverageSF} SF/gal`);
+  addLine('ceiling-paint', 'Paint', 'Ceiling paint', roundUp(totals.ceilingPaintSF / config.paintCoverageSF), 'gal',
+    `${formatQuantity(totals.ceilingPaintSF)} SF of coats ÷ ${config.paintCoverageSF} SF/gal`);
+  addLine('trim-paint', 'Paint', 'Trim paint (semi-gloss)', roundUp(totals.trimPaintLF / config.trimLFPerQuart), 'qt',
+    `${formatQuantity(totals.trimPaintLF)} LF ÷ ${config.trimLFPerQuart} LF/qt`);
+
+  const plankSFWithWaste = totals.plankSF * (1 + config.plankWastePercent / 100);
+  addLine('vinyl-plank', 'Flooring', 'Vinyl plank flooring', roundUp(plankSFWithWaste / config.plankBoxSF), 'box',
+    `${formatQuantity(totals.plankSF)} SF + ${config.plankWastePercent}% waste ÷ ${config.plankBoxSF} SF/box`);
+
+  const moldingWaste = 1 + config.moldingWastePercent / 100;
+  addLine('base-molding', 'Molding', `Base molding 4" (${config.baseStickFt}' sticks)`, roundUp(totals.baseLF * moldingWaste / config.baseStickFt), 'stick',
+    `${formatQuantity(totals.baseLF)} LF + ${config.moldingWastePercent}% waste ÷ ${config.baseStickFt} ft`);
+  addLine('shoe-molding', 'Molding', `Shoe molding (${config.shoeStickFt}' sticks)`, roundUp(totals.shoeLF * moldingWaste / config.shoeStickFt), 'stick',
+    `${formatQuantity(totals.shoeLF)} LF + ${config.moldingWastePercent}% waste ÷ ${config.shoeStickFt} ft`);
+  addLine('vinyl-base', 'Molding', `Vinyl base 4" (${config.vinylBasePieceFt}' pieces)`, roundUp(totals.vinylBaseLF * moldingWaste / config.vinylBasePieceFt), 'pc',
+    `${formatQuantity(totals.vinylBaseLF)} LF + ${config.moldingWastePercent}% waste ÷ ${config.vinylBasePieceFt} ft`);
+
+  addLine('caulk', 'Supplies', 'Caulk (10 oz tube)', roundUp(totals.caulkLF / config.caulkLFPerTube), 'tube',
+    `${formatQuantity(totals.caulkLF)} LF ÷ ${config.caulkLFPerTube} LF/tube`);
+
+  Object.entries(fixtures).forEach(([material, { quantity, unit }]) => {
+    addLine(`fixture-${material}`, 'Fixtures', material, quantity, unit, 'From work items');
+  });
+
+  return lines.sort((a, b) => MATERIAL_GROUPS.indexOf(a.group) - MATERIAL_GROUPS.indexOf(b.group));
+}
+
+/**
+ * Quote a CSV cell when needed
+ */
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert a materials list to CSV text
+ * @param {Array} lines - Lines from buildMaterialsList
+ * @returns {string} CSV with a header row
+ */
+export function materialsListToCSV(lines) {
+  const rows = [
+    ['Group', 'Material', 'Quantity', 'Unit', 'Basis'],
+    ...lines.map(line => [line.group, line.material, line.quantity, line.unit, line.basis])
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
@@ -1,6 +1,18 @@
 /**
  * Pricing catalog extracted from turnover template
  * Used for validation and LLM-assisted data entry
+ *
+ * The live catalog is read from the "Pricing" sheet tab (see catalogStore.js);
+ * PRICING_CATALOG is the fallback when the sheet can't be reached. Lookup
+ * helpers take the catalog to search as an optional last argument, so they
+ * also work on a catalog with a job's price list applied (resolvePriceList).
+ *
+ * "+ Materials" items (materialsCost: true) can carry a materialsAllowance:
+ * the default materials cost per unit used until the inspector names a
+ * specific brand or model.
+ *
+ * hoursPerUnit is the production rate (labor hours per SF / LF / EA / SET)
+ * used to estimate labor hours and turn duration (see laborEstimate.js).
  */
 
 export const UNIT_TYPES = {
@@ -31,116 +43,116 @@ export const DESCRIPTION_TYPES = [
 
 export const PRICING_CATALOG = {
   'Painting': [
-    { item: 'Clean Walls', description: 'Clean', unit: 'SF', pricePerUnit: 0.15 },
-    { item: 'Clean Ceiling', description: 'Clean', unit: 'SF', pricePerUnit: 0.20 },
-    { item: 'Patch small hole (2")', description: 'Install', unit: 'EA', pricePerUnit: 4.00 },
-    { item: 'Patch Hole', description: 'Install', unit: 'SF', pricePerUnit: 15.50 },
-    { item: 'Prep & Paint Walls 2 Coats', description: 'Paint', unit: 'SF', pricePerUnit: 0.68 },
-    { item: 'Extra Coat of Paint', description: 'Paint', unit: 'SF', pricePerUnit: 0.35 },
-    { item: 'Prep & Paint Ceiling 2 Coats', description: 'Paint', unit: 'SF', pricePerUnit: 0.73 },
+    { item: 'Clean Walls', description: 'Clean', unit: 'SF', pricePerUnit: 0.15, hoursPerUnit: 0.005 },
+    { item: 'Clean Ceiling', description: 'Clean', unit: 'SF', pricePerUnit: 0.20, hoursPerUnit: 0.006 },
+    { item: 'Patch small hole (2")', description: 'Install', unit: 'EA', pricePerUnit: 4.00, hoursPerUnit: 0.25 },
+    { item: 'Patch Hole', description: 'Install', unit: 'SF', pricePerUnit: 15.50, hoursPerUnit: 0.5 },
+    { item: 'Prep & Paint Walls 2 Coats', description: 'Paint', unit: 'SF', pricePerUnit: 0.68, hoursPerUnit: 0.012 },
+    { item: 'Extra Coat of Paint', description: 'Paint', unit: 'SF', pricePerUnit: 0.35, hoursPerUnit: 0.006 },
+    { item: 'Prep & Paint Ceiling 2 Coats', description: 'Paint', unit: 'SF', pricePerUnit: 0.73, hoursPerUnit: 0.015 },
   ],
   'Floor & Molding': [
-    { item: 'Flooring', description: 'Demolition', unit: 'SF', pricePerUnit: 1.20 },
-    { item: 'Vinyl Plank Flooring', description: 'Install', unit: 'SF', pricePerUnit: 3.85 },
-    { item: 'Base Molding 4"', description: 'Remove & Install', unit: 'LF', pricePerUnit: 3.86 },
-    { item: 'Base Molding 4"', description: 'Clean', unit: 'LF', pricePerUnit: 0.27 },
-    { item: 'Base Molding 4"', description: 'Paint', unit: 'LF', pricePerUnit: 0.66 },
-    { item: 'Vinyl Base 4"', description: 'Remove & Install', unit: 'LF', pricePerUnit: 3.50 },
-    { item: 'Vinyl Base 4"', description: 'Clean', unit: 'LF', pricePerUnit: 0.50 },
-    { item: 'Shoe Molding', description: 'Remove & Install', unit: 'LF', pricePerUnit: 2.75 },
-    { item: 'Shoe Molding', description: 'Clean', unit: 'LF', pricePerUnit: 0.18 },
-    { item: 'Shoe Molding', description: 'Paint', unit: 'LF', pricePerUnit: 0.70 },
+    { item: 'Flooring', description: 'Demolition', unit: 'SF', pricePerUnit: 1.20, hoursPerUnit: 0.02 },
+    { item: 'Vinyl Plank Flooring', description: 'Install', unit: 'SF', pricePerUnit: 3.85, hoursPerUnit: 0.05 },
+    { item: 'Base Molding 4"', description: 'Remove & Install', unit: 'LF', pricePerUnit: 3.86, hoursPerUnit: 0.08 },
+    { item: 'Base Molding 4"', description: 'Clean', unit: 'LF', pricePerUnit: 0.27, hoursPerUnit: 0.01 },
+    { item: 'Base Molding 4"', description: 'Paint', unit: 'LF', pricePerUnit: 0.66, hoursPerUnit: 0.02 },
+    { item: 'Vinyl Base 4"', description: 'Remove & Install', unit: 'LF', pricePerUnit: 3.50, hoursPerUnit: 0.06 },
+    { item: 'Vinyl Base 4"', description: 'Clean', unit: 'LF', pricePerUnit: 0.50, hoursPerUnit: 0.01 },
+    { item: 'Shoe Molding', description: 'Remove & Install', unit: 'LF', pricePerUnit: 2.75, hoursPerUnit: 0.05 },
+    { item: 'Shoe Molding', description: 'Clean', unit: 'LF', pricePerUnit: 0.18, hoursPerUnit: 0.008 },
+    { item: 'Shoe Molding', description: 'Paint', unit: 'LF', pricePerUnit: 0.70, hoursPerUnit: 0.02 },
   ],
   'Doors & Windows': [
-    { item: 'Paint Window Frame', description: 'Paint', unit: 'LF', pricePerUnit: 1.00 },
-    { item: 'Clean Window Frame', description: 'Clean', unit: 'LF', pricePerUnit: 0.50 },
-    { item: 'Repair Blind Chain', description: 'Repair', unit: 'EA', pricePerUnit: 20.00 },
-    { item: 'Paint 36" Door', description: 'Paint', unit: 'EA', pricePerUnit: 40.00 },
-    { item: 'Paint up to 6\' Closet Door', description: 'Paint', unit: 'EA', pricePerUnit: 90.00 },
-    { item: 'Clean Doors', description: 'Clean', unit: 'EA', pricePerUnit: 10.00 },
-    { item: 'Paint Frame Only', description: 'Paint', unit: 'EA', pricePerUnit: 25.00 },
-    { item: 'Remove and Install Door w/frame', description: 'Remove & Install', unit: 'EA', pricePerUnit: 120.00, materialsCost: true },
-    { item: 'Remove and Install Door Hardware', description: 'Remove & Install', unit: 'EA', pricePerUnit: 45.00, materialsCost: true },
+    { item: 'Paint Window Frame', description: 'Paint', unit: 'LF', pricePerUnit: 1.00, hoursPerUnit: 0.04 },
+    { item: 'Clean Window Frame', description: 'Clean', unit: 'LF', pricePerUnit: 0.50, hoursPerUnit: 0.02 },
+    { item: 'Repair Blind Chain', description: 'Repair', unit: 'EA', pricePerUnit: 20.00, hoursPerUnit: 0.5 },
+    { item: 'Paint 36" Door', description: 'Paint', unit: 'EA', pricePerUnit: 40.00, hoursPerUnit: 1.0 },
+    { item: 'Paint up to 6\' Closet Door', description: 'Paint', unit: 'EA', pricePerUnit: 90.00, hoursPerUnit: 2.0 },
+    { item: 'Clean Doors', description: 'Clean', unit: 'EA', pricePerUnit: 10.00, hoursPerUnit: 0.25 },
+    { item: 'Paint Frame Only', description: 'Paint', unit: 'EA', pricePerUnit: 25.00, hoursPerUnit: 0.5 },
+    { item: 'Remove and Install Door w/frame', description: 'Remove & Install', unit: 'EA', pricePerUnit: 120.00, materialsCost: true, materialsAllowance: 180.00, hoursPerUnit: 3.0 },
+    { item: 'Remove and Install Door Hardware', description: 'Remove & Install', unit: 'EA', pricePerUnit: 45.00, materialsCost: true, materialsAllowance: 35.00, hoursPerUnit: 0.5 },
   ],
   'Other': [
-    { item: 'Countertop Butcherblock', description: 'Remove & Install', unit: 'SF', pricePerUnit: 30.00 },
-    { item: 'Countertop Butcherblock', description: 'Refinish', unit: 'SF', pricePerUnit: 6.00 },
-    { item: 'Shower Curtain Hooks', description: 'Install', unit: 'SET', pricePerUnit: 25.00 },
-    { item: 'Shower Curtain', description: 'Install', unit: 'EA', pricePerUnit: 20.00 },
-    { item: 'Blinds', description: 'Remove & Install, HD Contractor Grade', unit: 'SF', pricePerUnit: 5.47 },
-    { item: 'Blinds', description: 'Clean', unit: 'SF', pricePerUnit: 0.60 },
+    { item: 'Countertop Butcherblock', description: 'Remove & Install', unit: 'SF', pricePerUnit: 30.00, hoursPerUnit: 0.5 },
+    { item: 'Countertop Butcherblock', description: 'Refinish', unit: 'SF', pricePerUnit: 6.00, hoursPerUnit: 0.15 },
+    { item: 'Shower Curtain Hooks', description: 'Install', unit: 'SET', pricePerUnit: 25.00, hoursPerUnit: 0.25 },
+    { item: 'Shower Curtain', description: 'Install', unit: 'EA', pricePerUnit: 20.00, hoursPerUnit: 0.25 },
+    { item: 'Blinds', description: 'Remove & Install, HD Contractor Grade', unit: 'SF', pricePerUnit: 5.47, hoursPerUnit: 0.1 },
+    { item: 'Blinds', description: 'Clean', unit: 'SF', pricePerUnit: 0.60, hoursPerUnit: 0.02 },
     { item: 'Other repairs', description: 'Repair', unit: 'EA', pricePerUnit: 0.00 }, // Custom pricing
   ],
   'Outlets No Wiring': [
-    { item: '120V Outlet', description: 'Remove & Install', unit: 'EA', pricePerUnit: 60.00 },
-    { item: 'Plate Only', description: 'Remove & Install', unit: 'EA', pricePerUnit: 12.00 },
-    { item: 'GFCI Outlet', description: 'Remove & Install', unit: 'EA', pricePerUnit: 90.00 },
+    { item: '120V Outlet', description: 'Remove & Install', unit: 'EA', pricePerUnit: 60.00, hoursPerUnit: 0.5 },
+    { item: 'Plate Only', description: 'Remove & Install', unit: 'EA', pricePerUnit: 12.00, hoursPerUnit: 0.1 },
+    { item: 'GFCI Outlet', description: 'Remove & Install', unit: 'EA', pricePerUnit: 90.00, hoursPerUnit: 0.75 },
   ],
   'Light Switch No Wiring': [
-    { item: 'Single', description: 'Remove & Install', unit: 'EA', pricePerUnit: 41.00 },
-    { item: 'Plate Only', description: 'Remove & Install', unit: 'EA', pricePerUnit: 11.00 },
-    { item: 'Double', description: 'Remove & Install', unit: 'EA', pricePerUnit: 57.00 },
-    { item: 'Triple', description: 'Remove & Install', unit: 'EA', pricePerUnit: 85.00 },
-    { item: 'Dimmer', description: 'Remove & Install', unit: 'EA', pricePerUnit: 75.00 },
+    { item: 'Single', description: 'Remove & Install', unit: 'EA', pricePerUnit: 41.00, hoursPerUnit: 0.4 },
+    { item: 'Plate Only', description: 'Remove & Install', unit: 'EA', pricePerUnit: 11.00, hoursPerUnit: 0.1 },
+    { item: 'Double', description: 'Remove & Install', unit: 'EA', pricePerUnit: 57.00, hoursPerUnit: 0.6 },
+    { item: 'Triple', description: 'Remove & Install', unit: 'EA', pricePerUnit: 85.00, hoursPerUnit: 0.8 },
+    { item: 'Dimmer', description: 'Remove & Install', unit: 'EA', pricePerUnit: 75.00, hoursPerUnit: 0.6 },
   ],
   'Electrical Installation': [
-    { item: 'Light Fixture', description: 'Remove & Install', unit: 'EA', pricePerUnit: 60.00, materialsCost: true },
-    { item: 'Garbage Disposal', description: 'Remove & Install', unit: 'EA', pricePerUnit: 90.00, materialsCost: true },
-    { item: 'Range Hood Vented', description: 'Remove & Install', unit: 'EA', pricePerUnit: 140.00, materialsCost: true },
-    { item: 'Range Hood Ventless', description: 'Remove & Install', unit: 'EA', pricePerUnit: 130.00, materialsCost: true },
-    { item: 'Bathroom Exhaust', description: 'Remove & Install', unit: 'EA', pricePerUnit: 75.00, materialsCost: true },
-    { item: 'Smoke Detector Wired', description: 'Remove & Install', unit: 'EA', pricePerUnit: 45.00, materialsCost: true },
-    { item: 'Smoke Detector Batteries', description: 'Remove & Install', unit: 'EA', pricePerUnit: 35.00, materialsCost: true },
+    { item: 'Light Fixture', description: 'Remove & Install', unit: 'EA', pricePerUnit: 60.00, materialsCost: true, materialsAllowance: 45.00, hoursPerUnit: 1.0 },
+    { item: 'Garbage Disposal', description: 'Remove & Install', unit: 'EA', pricePerUnit: 90.00, materialsCost: true, materialsAllowance: 120.00, hoursPerUnit: 1.5 },
+    { item: 'Range Hood Vented', description: 'Remove & Install', unit: 'EA', pricePerUnit: 140.00, materialsCost: true, materialsAllowance: 110.00, hoursPerUnit: 2.5 },
+    { item: 'Range Hood Ventless', description: 'Remove & Install', unit: 'EA', pricePerUnit: 130.00, materialsCost: true, materialsAllowance: 90.00, hoursPerUnit: 2.0 },
+    { item: 'Bathroom Exhaust', description: 'Remove & Install', unit: 'EA', pricePerUnit: 75.00, materialsCost: true, materialsAllowance: 60.00, hoursPerUnit: 1.5 },
+    { item: 'Smoke Detector Wired', description: 'Remove & Install', unit: 'EA', pricePerUnit: 45.00, materialsCost: true, materialsAllowance: 30.00, hoursPerUnit: 0.5 },
+    { item: 'Smoke Detector Batteries', description: 'Remove & Install', unit: 'EA', pricePerUnit: 35.00, materialsCost: true, materialsAllowance: 15.00, hoursPerUnit: 0.25 },
   ],
   'Plumbing Installation': [
-    { item: 'Floor Mounted toilet w/ tank', description: 'Remove & Install', unit: 'EA', pricePerUnit: 160.00, materialsCost: true },
-    { item: 'Wall Mounted Toilet w/Flush Valve', description: 'Remove & Install', unit: 'EA', pricePerUnit: 180.00, materialsCost: true },
-    { item: 'Urinal', description: 'Remove & Install', unit: 'EA', pricePerUnit: 170.00, materialsCost: true },
-    { item: 'Seat', description: 'Remove & Install', unit: 'EA', pricePerUnit: 30.00, materialsCost: true },
-    { item: 'Faucet', description: 'Remove & Install', unit: 'EA', pricePerUnit: 65.00, materialsCost: true },
-    { item: 'Drain Basket', description: 'Remove & Install', unit: 'EA', pricePerUnit: 50.00, materialsCost: true },
-    { item: 'Shower Head', description: 'Remove & Install', unit: 'EA', pricePerUnit: 35.00, materialsCost: true },
-    { item: 'Shower Rod', description: 'Remove & Install', unit: 'EA', pricePerUnit: 40.00, materialsCost: true },
-    { item: 'Shower Faucet Set', description: 'Remove & Install', unit: 'EA', pricePerUnit: 95.00, materialsCost: true },
-    { item: 'Soap Dispenser', description: 'Remove & Install', unit: 'EA', pricePerUnit: 35.00, materialsCost: true },
-    { item: 'Towel Bar', description: 'Remove & Install', unit: 'EA', pricePerUnit: 30.00, materialsCost: true },
+    { item: 'Floor Mounted toilet w/ tank', description: 'Remove & Install', unit: 'EA', pricePerUnit: 160.00, materialsCost: true, materialsAllowance: 200.00, hoursPerUnit: 2.0 },
+    { item: 'Wall Mounted Toilet w/Flush Valve', description: 'Remove & Install', unit: 'EA', pricePerUnit: 180.00, materialsCost: true, materialsAllowance: 350.00, hoursPerUnit: 3.0 },
+    { item: 'Urinal', description: 'Remove & Install', unit: 'EA', pricePerUnit: 170.00, materialsCost: true, materialsAllowance: 300.00, hoursPerUnit: 2.5 },
+    { item: 'Seat', description: 'Remove & Install', unit: 'EA', pricePerUnit: 30.00, materialsCost: true, materialsAllowance: 25.00, hoursPerUnit: 0.25 },
+    { item: 'Faucet', description: 'Remove & Install', unit: 'EA', pricePerUnit: 65.00, materialsCost: true, materialsAllowance: 80.00, hoursPerUnit: 1.0 },
+    { item: 'Drain Basket', description: 'Remove & Install', unit: 'EA', pricePerUnit: 50.00, materialsCost: true, materialsAllowance: 20.00, hoursPerUnit: 0.75 },
+    { item: 'Shower Head', description: 'Remove & Install', unit: 'EA', pricePerUnit: 35.00, materialsCost: true, materialsAllowance: 25.00, hoursPerUnit: 0.25 },
+    { item: 'Shower Rod', description: 'Remove & Install', unit: 'EA', pricePerUnit: 40.00, materialsCost: true, materialsAllowance: 25.00, hoursPerUnit: 0.5 },
+    { item: 'Shower Faucet Set', description: 'Remove & Install', unit: 'EA', pricePerUnit: 95.00, materialsCost: true, materialsAllowance: 150.00, hoursPerUnit: 2.5 },
+    { item: 'Soap Dispenser', description: 'Remove & Install', unit: 'EA', pricePerUnit: 35.00, materialsCost: true, materialsAllowance: 20.00, hoursPerUnit: 0.5 },
+    { item: 'Towel Bar', description: 'Remove & Install', unit: 'EA', pricePerUnit: 30.00, materialsCost: true, materialsAllowance: 20.00, hoursPerUnit: 0.5 },
   ],
   'Plumbing Repairs': [
-    { item: 'Install or Replace New Sloan or Similar Brand Flush Valve', description: 'Repairs', unit: 'EA', pricePerUnit: 155.00, materialsCost: true },
-    { item: 'General Plumbing Repairs (faucet rebuild, replace fill valve, toilet tank rebuild, handle repairs, replace P traps)', description: 'Repairs', unit: 'EA', pricePerUnit: 45.00, materialsCost: true },
-    { item: 'Tub Stopper', description: 'Remove & Install', unit: 'EA', pricePerUnit: 25.00 },
-    { item: 'Caulking', description: 'Remove & Install', unit: 'LF', pricePerUnit: 7.00 },
+    { item: 'Install or Replace New Sloan or Similar Brand Flush Valve', description: 'Repairs', unit: 'EA', pricePerUnit: 155.00, materialsCost: true, materialsAllowance: 180.00, hoursPerUnit: 1.5 },
+    { item: 'General Plumbing Repairs (faucet rebuild, replace fill valve, toilet tank rebuild, handle repairs, replace P traps)', description: 'Repairs', unit: 'EA', pricePerUnit: 45.00, materialsCost: true, hoursPerUnit: 1.0 },
+    { item: 'Tub Stopper', description: 'Remove & Install', unit: 'EA', pricePerUnit: 25.00, hoursPerUnit: 0.25 },
+    { item: 'Caulking', description: 'Remove & Install', unit: 'LF', pricePerUnit: 7.00, hoursPerUnit: 0.05 },
   ],
   'Clean Up': [
-    { item: 'General Clean', description: 'Clean', unit: 'SF', pricePerUnit: 0.10 },
-    { item: 'Refrigerator', description: 'Clean', unit: 'EA', pricePerUnit: 45.00 },
-    { item: 'Oven', description: 'Clean', unit: 'EA', pricePerUnit: 45.00 },
-    { item: 'Wall Coverings', description: 'Clean', unit: 'SF', pricePerUnit: 1.00 },
-    { item: 'Replace Batteries', description: 'Other', unit: 'EA', pricePerUnit: 15.00 },
-    { item: 'Outlet & Switch Plates', description: 'Clean', unit: 'EA', pricePerUnit: 2.00 },
+    { item: 'General Clean', description: 'Clean', unit: 'SF', pricePerUnit: 0.10, hoursPerUnit: 0.004 },
+    { item: 'Refrigerator', description: 'Clean', unit: 'EA', pricePerUnit: 45.00, hoursPerUnit: 1.0 },
+    { item: 'Oven', description: 'Clean', unit: 'EA', pricePerUnit: 45.00, hoursPerUnit: 1.0 },
+    { item: 'Wall Coverings', description: 'Clean', unit: 'SF', pricePerUnit: 1.00, hoursPerUnit: 0.02 },
+    { item: 'Replace Batteries', description: 'Other', unit: 'EA', pricePerUnit: 15.00, hoursPerUnit: 0.1 },
+    { item: 'Outlet & Switch Plates', description: 'Clean', unit: 'EA', pricePerUnit: 2.00, hoursPerUnit: 0.05 },
   ],
 };
 
 /**
  * Get all categories
  */
-export function getCategories() {
-  return Object.keys(PRICING_CATALOG);
+export function getCategories(catalog = PRICING_CATALOG) {
+  return Object.keys(catalog);
 }
 
 /**
  * Get items for a specific category
  */
-export function getItemsForCategory(category) {
-  return PRICING_CATALOG[category] || [];
+export function getItemsForCategory(category, catalog = PRICING_CATALOG) {
+  return catalog[category] || [];
 }
 
 /**
  * Get all unique items (across all categories)
  */
-export function getAllItems() {
+export function getAllItems(catalog = PRICING_CATALOG) {
   const items = new Set();
-  Object.values(PRICING_CATALOG).forEach(categoryItems => {
+  Object.values(catalog).forEach(categoryItems => {
     categoryItems.forEach(item => items.add(item.item));
   });
   return Array.from(items);
@@ -149,8 +161,8 @@ export function getAllItems() {
 /**
  * Find pricing info for a specific item
  */
-export function findPricing(category, item, description) {
-  const categoryItems = PRICING_CATALOG[category];
+export function findPricing(category, item, description, catalog = PRICING_CATALOG) {
+  const categoryItems = catalog[category];
   if (!categoryItems) return null;
   
   return categoryItems.find(
@@ -161,16 +173,16 @@ export function findPricing(category, item, description) {
 /**
  * Get default price for an item
  */
-export function getDefaultPrice(category, item, description) {
-  const pricing = findPricing(category, item, description);
+export function getDefaultPrice(category, item, description, catalog = PRICING_CATALOG) {
+  const pricing = findPricing(category, item, description, catalog);
   return pricing ? pricing.pricePerUnit : 0;
 }
 
 /**
  * Check if item requires materials cost
  */
-export function requiresMaterialsCost(category, item, description) {
-  const pricing = findPricing(category, item, description);
+export function requiresMaterialsCost(category, item, description, catalog = PRICING_CATALOG) {
+  const pricing = findPricing(category, item, description, catalog);
   return pricing ? pricing.materialsCost === true : false;
 }
 
@@ -182,3 +194,46 @@ export function formatPrice(price, materialsCost = false) {
   return materialsCost ? `${formatted} + Materials` : formatted;
 }
 
+
+// Name of the price list that uses the catalog prices as-is
+export const BASE_PRICE_LIST = 'Standard';
+
+/**
+ * Apply a named price list to the catalog
+ * A list overrides individual item prices and inherits everything else from
+ * the list it is based on (ultimately the base catalog).
+ * @param {object} catalog - Base catalog
+ * @param {object} priceLists - { [name]: { name, basedOn, overrides: Array<{ category, item, description, pricePerUnit }> } }
+ * @param {string} priceListName - Selected list (blank or BASE_PRICE_LIST for the base catalog)
+ * @returns {object} Catalog with the list's prices
+ */
+export function resolvePriceList(catalog, priceLists, priceListName) {
+  // Walk up the inheritance chain, stopping at the base list or a cycle
+  const chain = [];
+  const seen = new Set();
+  let current = priceListName;
+  while (current && current !== BASE_PRICE_LIST && priceLists?.[current] && !seen.has(current)) {
+    seen.add(current);
+    chain.unshift(priceLists[current]);
+    current = priceLists[current].basedOn;
+  }
+  if (chain.length === 0) return catalog;
+
+  const resolved = {};
+  Object.entries(catalog).forEach(([category, items]) => {
+    resolved[category] = items.map(pricing => ({ ...pricing }));
+  });
+
+  // Apply from the base outwards so the selected list wins
+  chain.forEach(list => {
+    list.overrides.forEach(override => {
+      (resolved[override.category] || [])
+        .filter(pricing => pricing.item === override.item && (!override.description || pricing.description === override.description))
+        .forEach(pricing => {
+          pricing.pricePerUnit = override.pricePerUnit;
+        });
+    });
+  });
+
+  return resolved;
+}
@@ -0,0 +1,114 @@
+/**
+ * Room geometry calculator
+ * Computes paint, flooring and molding quantities from room dimensions so
+ * SF/LF amounts are calculated rather than guessed by the LLM. Every result
+ * carries a human-readable audit string showing the math.
+ */
+
+export const DEFAULT_CEILING_HEIGHT_FT = 8;
+
+// Standard opening deductions used by painting estimators
+export const DOOR_OPENING = { widthFt: 3, heightFt: 7 };   // 21 SF
+export const WINDOW_OPENING = { widthFt: 3, heightFt: 5 }; // 15 SF
+
+// Measures a work item quantity can be taken from
+export const GEOMETRY_MEASURES = {
+  wallSF: { unit: 'SF', label: 'Wall area' },
+  ceilingSF: { unit: 'SF', label: 'Ceiling area' },
+  floorSF: { unit: 'SF', label: 'Floor area' },
+  perimeterLF: { unit: 'LF', label: 'Perimeter' },
+  baseboardLF: { unit: 'LF', label: 'Baseboard (perimeter less door openings)' }
+};
+
+/**
+ * Round to at most 2 decimals without trailing zeros
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compute areas and lengths for a rectangular room
+ * @param {object} dimensions - { room, lengthFt, widthFt, heightFt, doors, windows }
+ * @returns {object} Quantities (floorSF, ceilingSF, wallSF, perimeterLF, baseboardLF) plus an audit string per quantity
+ */
+export function computeRoomGeometry(dimensions) {
+  const lengthFt = Number(dimensions.lengthFt);
+  const widthFt = Number(dimensions.widthFt);
+  if (!(lengthFt > 0) || !(widthFt > 0)) {
+    throw new Error('Room length and width must be positive numbers');
+  }
+
+  const heightFt = Number(dimensions.heightFt) > 0 ? Number(dimensions.heightFt) : DEFAULT_CEILING_HEIGHT_FT;
+  const doors = Math.max(0, Math.round(Number(dimensions.doors) || 0));
+  const windows = Math.max(0, Math.round(Number(dimensions.windows) || 0));
+
+  const doorSF = DOOR_OPENING.widthFt * DOOR_OPENING.heightFt;
+  const windowSF = WINDOW_OPENING.widthFt * WINDOW_OPENING.heightFt;
+
+  const floorSF = round(lengthFt * widthFt);
+  const perimeterLF = round(2 * (lengthFt + widthFt));
+  const grossWallSF = round(perimeterLF * heightFt);
+  const wallSF = round(Math.max(0, grossWallSF - doors * doorSF - windows * windowSF));
+  const baseboardLF = round(Math.max(0, perimeterLF - doors * DOOR_OPENING.widthFt));
+
+  let wallAudit = `2 × (${lengthFt} + ${widthFt}) × ${heightFt} ft = ${grossWallSF} SF`;
+  if (doors > 0) wallAudit += ` − ${doors} door${doors > 1 ? 's' : ''} × ${doorSF} SF`;
+  if (windows > 0) wallAudit += ` − ${windows} window${windows > 1 ? 's' : ''} × ${windowSF} SF`;
+  if (doors > 0 || windows > 0) wallAudit += ` = ${wallSF} SF`;
+
+  let baseboardAudit = `2 × (${lengthFt} + ${widthFt}) = ${perimeterLF} LF`;
+  if (doors > 0) baseboardAudit += ` − ${doors} door${doors > 1 ? 's' : ''} × ${DOOR_OPENING.widthFt} LF = ${baseboardLF} LF`;
+
+  return {
+    room: dimensions.room || '',
+    lengthFt,
+    widthFt,
+    heightFt,
+    doors,
+    windows,
+    floorSF,
+    ceilingSF: floorSF,
+    wallSF,
+    perimeterLF,
+    baseboardLF,
+    audit: {
+      floorSF: `${lengthFt} × ${widthFt} = ${floorSF} SF`,
+      ceilingSF: `${lengthFt} × ${widthFt} = ${floorSF} SF`,
+      wallSF: wallAudit,
+      perimeterLF: `2 × (${lengthFt} + ${widthFt}) = ${perimeterLF} LF`,
+      baseboardLF: baseboardAudit
+    }
+  };
+}
+
+/**
+ * Total one measure across several computed rooms
+ * @param {object} roomGeometry - Computed geometry keyed by room name
+ * @param {Array<string>} roomNames - Rooms to include
+ * @param {string} measure - One of GEOMETRY_MEASURES
+ * @returns {object|null} { amount, calculation } or null if a room or measure is unknown
+ */
+export function sumRoomMeasure(roomGeometry, roomNames, measure) {
+  if (!GEOMETRY_MEASURES[measure] || !Array.isArray(roomNames) || roomNames.length === 0) {
+    return null;
+  }
+
+  const lookup = {};
+  Object.values(roomGeometry || {}).forEach(geometry => {
+    lookup[geometry.room.toLowerCase()] = geometry;
+  });
+
+  const rooms = roomNames.map(name => lookup[String(name).toLowerCase()]);
+  if (rooms.some(room => !room)) {
+    return null;
+  }
+
+  const amount = Math.round(rooms.reduce((sum, room) => sum + room[measure], 0));
+  const parts = rooms.map(room => `${room.room}: ${room.audit[measure]}`);
+  const calculation = rooms.length > 1
+    ? `${parts.join('; ')}; total ≈ ${amount} ${GEOMETRY_MEASURES[measure].unit}`
+    : `${parts[0]}${amount !== rooms[0][measure] ? ` ≈ ${amount} ${GEOMETRY_MEASURES[measure].unit}` : ''}`;
+
+  return { amount, calculation };
+}
@@ -0,0 +1,197 @@
+/**
+ * Sanity rules
+ * Flags quantities that are implausible for the unit ("General Clean 5110 SF"
+ * in a 511 SF unit), $0 lines and duplicate rows before the job is submitted.
+ * Each rule returns findings for one or more work items; checkSanity turns
+ * them into warnings with ids that change when the flagged amounts change,
+ * so an acknowledged warning comes back if the line is edited again.
+ *
+ * High-severity warnings must be acknowledged before the job can be submitted.
+ */
+
+import { parseUnitSquareFeet, parseLayoutCounts } from './unitLayout';
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+// A floor-area item larger than the unit by more than this is almost certainly a typo
+const FLOOR_AREA_TOLERANCE = 1.25;
+// Wall area of a typical unit is 2.5-4× its floor area
+const MAX_WALL_TO_FLOOR_RATIO = 5;
+// More than this many of one EA / SET item is unusual for a single unit
+const MAX_ITEM_COUNT = 20;
+
+/**
+ * Most toilets a layout plausibly has ("2 bed 1.5 bath", "Studio")
+ * Bedrooms stand in for bathrooms when the layout doesn't say.
+ * @returns {object} { count, stated } - count is at least 1, stated is false when it was inferred
+ */
+function bathroomCount(unitLayout) {
+  const { bedrooms, bathrooms } = parseLayoutCounts(unitLayout);
+  if (bathrooms !== null) return { count: Math.max(1, Math.ceil(bathrooms)), stated: true };
+  return { count: Math.max(1, bedrooms || 0), stated: false };
+}
+
+function isFloorAreaItem(item) {
+  return item.unit === 'SF' && /vinyl plank|^flooring$|general clean|ceiling/i.test(item.item);
+}
+
+function isWallAreaItem(item) {
+  return item.unit === 'SF' && /walls|wall coverings|extra coat/i.test(item.item);
+}
+
+function isToilet(item) {
+  return /toilet|urinal/i.test(item.item) && item.description !== 'Repairs';
+}
+
+/**
+ * Label a work item for a warning message ('"General Clean" (Living room)')
+ */
+function itemLabel(item) {
+  return `"${item.item}"${item.notes ? ` (${item.notes})` : ''}`;
+}
+
+function formatAmount(value) {
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+// Each rule: { id, check(items, context) => Array<{ severity, items, message }> }
+const RULES = [
+  {
+    id: 'floor-area',
+    check: (items, { unitSF }) => unitSF > 0
+      ? items.filter(item => isFloorAreaItem(item) && item.multiplier > unitSF * FLOOR_AREA_TOLERANCE).map(item => ({
+        severity: 'high',
+        items: [item],
+        message: `${itemLabel(item)} is ${formatAmount(item.multiplier)} SF but the whole unit is ${formatAmount(unitSF)} SF`
+      }))
+      : []
+  },
+  {
+    id: 'wall-area',
+    check: (items, { unitSF }) => unitSF > 0
+      ? items.filter(item => isWallAreaItem(item) && item.multiplier > unitSF * MAX_WALL_TO_FLOOR_RATIO).map(item => ({
+        severity: 'high',
+        items: [item],
+        message: `${itemLabel(item)} is ${formatAmount(item.multiplier)} SF - more than ${MAX_WALL_TO_FLOOR_RATIO}× the ${formatAmount(unitSF)} SF unit`
+      }))
+      : []
+  },
+  {
+    id: 'linear-feet',
+    check: (items, { unitSF }) => unitSF > 0
+      ? items.filter(item => item.unit === 'LF' && item.multiplier > unitSF).map(item => ({
+        severity: 'high',
+        items: [item],
+        message: `${itemLabel(item)} is ${formatAmount(item.multiplier)} LF in a ${formatAmount(unitSF)} SF unit`
+      }))
+      : []
+  },
+  {
+    id: 'wall-less-than-floor',
+    check: (items, { unitSF }) => {
+      const wallPaint = items.filter(item => item.unit === 'SF' && /paint walls/i.test(item.item));
+      const wallSF = wallPaint.reduce((sum, item) => sum + item.multiplier, 0);
+      const floorSF = unitSF || items.filter(isFloorAreaItem).reduce((max, item) => Math.max(max, item.multiplier), 0);
+      if (wallSF === 0 || floorSF === 0 || wallSF >= floorSF) return [];
+      return [{
+        severity: 'medium',
+        items: wallPaint,
+        message: `Wall paint is ${formatAmount(wallSF)} SF, less than the ${formatAmount(floorSF)} SF floor - walls are usually 2.5-4× the floor area. Is only part of the unit being painted?`
+      }];
+    }
+  },
+  {
+    id: 'toilet-count',
+    check: (items, { bathrooms, unitLayout }) => {
+      const toilets = items.filter(isToilet);
+      const count = toilets.reduce((sum, item) => sum + item.multiplier, 0);
+      if (count <= bathrooms.count) return [];
+      return [{
+        severity: 'medium',
+        items: toilets,
+        message: bathrooms.stated
+          ? `${formatAmount(count)} toilets for ${bathrooms.count} bathroom${bathrooms.count === 1 ? '' : 's'}`
+          : `${formatAmount(count)} toilets in a ${unitLayout || 'unit with no layout given'} - how many bathrooms are there?`
+      }];
+    }
+  },
+  {
+    id: 'item-count',
+    check: (items) => items.filter(item => (item.unit === 'EA' || item.unit === 'SET') && item.multiplier > MAX_ITEM_COUNT).map(item => ({
+      severity: 'medium',
+      items: [item],
+      message: `${itemLabel(item)} × ${formatAmount(item.multiplier)} is a lot for one unit`
+    }))
+  },
+  {
+    id: 'zero-price',
+    check: (items) => items.filter(item => !(Number(item.pricePerUnit) > 0)).map(item => ({
+      severity: 'high',
+      items: [item],
+      message: `${itemLabel(item)} has no price and would go out as a $0 line`
+    }))
+  },
+  {
+    id: 'duplicate',
+    check: (items) => {
+      const groups = {};
+      items.forEach(item => {
+        const key = [item.category, item.item, item.description].map(v => String(v || '').trim().toLowerCase()).join('|');
+        (groups[key] = groups[key] || []).push(item);
+      });
+      return Object.values(groups).filter(group => group.length > 1).map(group => {
+        // Separate lines per room are common; identical notes usually mean it was entered twice
+        const sameNotes = new Set(group.map(item => String(item.notes || '').trim().toLowerCase())).size === 1;
+        return {
+          severity: sameNotes ? 'medium' : 'low',
+          items: group,
+          message: `"${group[0].item}" (${group[0].description}) is listed ${group.length} times${sameNotes ? '' : ' - different locations?'}`
+        };
+      });
+    }
+  }
+];
+
+/**
+ * Run every sanity rule over the job
+ * @param {object} structuredData - Job data (workItems, unitSquareFeet, unitLayout, acknowledgedWarnings)
+ * @returns {Array} Warnings { id, rule, severity, itemIds, message, acknowledged }, most severe first
+ */
+export function checkSanity(structuredData) {
+  const items = (Array.isArray(structuredData?.workItems) ? structuredData.workItems : [])
+    .filter(item => item && Number(item.multiplier) > 0)
+    .map(item => ({ ...item, multiplier: Number(item.multiplier), unit: String(item.unit || '').toUpperCase() }));
+  const context = {
+    unitSF: parseUnitSquareFeet(structuredData?.unitSquareFeet),
+    unitLayout: String(structuredData?.unitLayout || '').trim(),
+    bathrooms: bathroomCount(structuredData?.unitLayout)
+  };
+  const acknowledged = new Set(structuredData?.acknowledgedWarnings || []);
+
+  const warnings = [];
+  RULES.forEach(rule => {
+    rule.check(items, context).forEach(finding => {
+      // Amounts are part of the id so editing a flagged line re-opens its warning
+      const id = `${rule.id}:${finding.items.map(item => `${item.id}=${item.multiplier}`).join('+')}`;
+      warnings.push({
+        id,
+        rule: rule.id,
+        severity: finding.severity,
+        itemIds: finding.items.map(item => item.id),
+        message: finding.message,
+        acknowledged: acknowledged.has(id)
+      });
+    });
+  });
+
+  return warnings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * High-severity warnings that still block submission
+ * @param {Array} warnings - Result of checkSanity
+ * @returns {Array} Unacknowledged high-severity warnings
+ */
+export function blockingWarnings(warnings) {
+  return warnings.filter(warning => warning.severity === 'high' && !warning.acknowledged);
+}
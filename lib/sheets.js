@@ -1,6 +1,33 @@
 import { google } from 'googleapis';
-import { uploadSketchToDrive, uploadPhotosToDrive } from './driveUpload';
+import { uploadSketchToDrive, uploadPhotosToDrive, driveFileIdFromUrl } from './driveUpload';
 import { stripMarkdown } from './markdownUtils';
+import { BASE_PRICE_LIST } from './pricingCatalog';
+import { calculateJobTotals } from './jobTotals';
+import { diffSubmittedJob } from './jobDiff';
+import { buildMaterialsList } from './materialsList';
+import { estimateLabor, formatLaborEstimate } from './laborEstimate';
+import {
+  PRICING_SHEET_NAME,
+  PRICE_LISTS_SHEET_NAME,
+  PRICING_VERSIONS_SHEET_NAME,
+  ITEM_RULES_SHEET_NAME,
+  PACKAGES_SHEET_NAME
+} from './catalogStore';
+import { JOB_LOG_SHEET_NAME } from './jobLog';
+
+// The job sheet spans columns A:J - the work item table sets the width of the header merges and photo rows
+const SHEET_COLUMN_COUNT = 10;
+const LAST_COLUMN = 'J';
+
+// Tabs the app keeps for itself - a WO# can never be written over one of these
+const APP_SHEET_NAMES = [
+  PRICING_SHEET_NAME,
+  PRICE_LISTS_SHEET_NAME,
+  PRICING_VERSIONS_SHEET_NAME,
+  ITEM_RULES_SHEET_NAME,
+  PACKAGES_SHEET_NAME,
+  JOB_LOG_SHEET_NAME
+];
 
 /**
  * Create OAuth2 client with user's access token
@@ -92,28 +119,213 @@ function safeString(value) {
   return String(value);
 }
 
+/**
+ * Name of the tab holding a job's materials shopping list
+ * @param {string} jobSheetName - The job's sheet (tab) name
+ */
+function materialsSheetNameFor(jobSheetName) {
+  return sanitizeSheetName(`${jobSheetName} Materials`);
+}
+
+/**
+ * Error for a WO# that can't name a job tab (submit answers it with a 400)
+ * @param {string} workOrderNumber - The WO# as entered
+ * @param {string} reason - Why it can't be used
+ */
+function invalidWorkOrderError(workOrderNumber, reason) {
+  const error = new Error(`WO# "${workOrderNumber}" ${reason} - check the work order number and submit again.`);
+  error.code = 400;
+  error.invalidWorkOrder = true;
+  return error;
+}
+
+/**
+ * Column letter for a 0-based column index (A-Z)
+ */
+function columnLetter(index) {
+  return String.fromCharCode(65 + index);
+}
+
+/**
+ * Place the job header fields left to right along their rows
+ * Each field takes a label cell and `span` value cells (default 1).
+ * @param {Array<Array<{ label, value, span?, text? }>>} rows - Fields for each header row
+ * @returns {Array<{ label, value, span, text, row, column }>} Fields with their 0-based row and label column
+ */
+function layoutHeaderFields(rows) {
+  return rows.flatMap((fields, row) => {
+    let column = 0;
+    return fields.map(field => {
+      const placed = { span: 1, ...field, row, column };
+      column += 1 + placed.span;
+      return placed;
+    });
+  });
+}
+
+/**
+ * Write the materials shopping list to its own tab, replacing any previous one
+ * @param {object} sheets - Sheets API client
+ * @param {string} spreadsheetId - Master spreadsheet id
+ * @param {string} jobSheetName - The job's sheet (tab) name
+ * @param {Array} lines - Lines from buildMaterialsList
+ * @returns {string} Name of the materials tab
+ */
+async function writeMaterialsTab(sheets, spreadsheetId, jobSheetName, lines) {
+  const tabName = materialsSheetNameFor(jobSheetName);
+
+  const existingId = await findSheetByName(sheets, spreadsheetId, tabName);
+  if (existingId !== null) {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests: [{ deleteSheet: { sheetId: existingId } }] }
+    });
+  }
+
+  const addResponse = await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{
+        addSheet: {
+          properties: {
+            title: tabName,
+            gridProperties: { rowCount: lines.length + 10, columnCount: 5, frozenRowCount: 1 }
+          }
+        }
+      }]
+    }
+  });
+  const tabId = addResponse.data.replies[0].addSheet.properties.sheetId;
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `'${tabName}'!A1:E${lines.length + 1}`,
+    valueInputOption: 'RAW',
+    requestBody: {
+      values: [
+        ['Group', 'Material', 'Quantity', 'Unit', 'Basis'],
+        ...lines.map(line => [line.group, line.material, line.quantity, line.unit, line.basis])
+      ]
+    }
+  });
+
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [
+        { repeatCell: { range: { sheetId: tabId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: 5 }, cell: { userEnteredFormat: { textFormat: { bold: true }, backgroundColor: { red: 0.9, green: 0.9, blue: 0.9 } } }, fields: 'userEnteredFormat(textFormat,backgroundColor)' } },
+        { autoResizeDimensions: { dimensions: { sheetId: tabId, dimension: 'COLUMNS', startIndex: 0, endIndex: 5 } } }
+      ]
+    }
+  });
+
+  return tabName;
+}
+
+/**
+ * First free archive name for a job tab's revision ("28867 (v1)", then "28867 (v1.2)" if taken)
+ * @param {object} sheets - Sheets API client
+ * @param {string} spreadsheetId - Master spreadsheet id
+ * @param {string} jobSheetName - The job's sheet (tab) name
+ * @param {number} revision - Revision being archived
+ */
+async function archiveSheetNameFor(sheets, spreadsheetId, jobSheetName, revision) {
+  const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets(properties(title))' });
+  const titles = new Set(spreadsheet.data.sheets.map(s => s.properties.title));
+  let name = sanitizeSheetName(`${jobSheetName} (v${revision})`);
+  for (let copy = 2; titles.has(name); copy++) {
+    name = sanitizeSheetName(`${jobSheetName} (v${revision}.${copy})`);
+  }
+  return name;
+}
+
+/**
+ * Rename a job's materials tab to go with its archived revision
+ * The materials list is secondary, so a failure is logged rather than blocking the submission.
+ * @param {object} sheets - Sheets API client
+ * @param {string} spreadsheetId - Master spreadsheet id
+ * @param {string} jobSheetName - The job's sheet (tab) name
+ * @param {string} archiveName - The job tab's archive name
+ * @returns {number|null} The materials tab's sheetId if it was renamed
+ */
+async function archiveMaterialsTab(sheets, spreadsheetId, jobSheetName, archiveName) {
+  const materialsId = await findSheetByName(sheets, spreadsheetId, materialsSheetNameFor(jobSheetName));
+  if (materialsId === null) return null;
+  try {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{ updateSheetProperties: { properties: { sheetId: materialsId, title: materialsSheetNameFor(archiveName) }, fields: 'title' } }]
+      }
+    });
+    return materialsId;
+  } catch (materialsError) {
+    console.warn(`Could not archive the materials tab of "${jobSheetName}":`, materialsError.message);
+    return null;
+  }
+}
+
+/**
+ * Undo a submission that failed part way through writing its tab
+ * Deletes the half-written tab and gives the archived revision (and its
+ * materials tab) the job's name back, so the WO# keeps a live tab and the
+ * next submission still sees it.
+ * @param {object} sheets - Sheets API client
+ * @param {string} spreadsheetId - Master spreadsheet id
+ * @param {object} state - { jobSheetName, newSheetId, archivedSheetId, archivedMaterialsId } (ids null when not created / archived)
+ */
+async function rollBackJobTab(sheets, spreadsheetId, { jobSheetName, newSheetId, archivedSheetId, archivedMaterialsId }) {
+  const requests = [];
+  if (newSheetId !== null) {
+    requests.push({ deleteSheet: { sheetId: newSheetId } });
+  }
+  if (archivedSheetId !== null) {
+    requests.push({ updateSheetProperties: { properties: { sheetId: archivedSheetId, title: jobSheetName }, fields: 'title' } });
+  }
+  if (archivedMaterialsId !== null) {
+    requests.push({ updateSheetProperties: { properties: { sheetId: archivedMaterialsId, title: materialsSheetNameFor(jobSheetName) }, fields: 'title' } });
+  }
+  if (requests.length === 0) return;
+  await sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } });
+}
+
 /**
  * Write assessment data to Google Sheet
  * 
  * Creates a NEW blank sheet with programmatic structure:
- * Row 1: WO# and Unit # (2x height, B:C & E:I merges)
- * Row 2: Address and Unit info (2x height, B:C & E:I merges)
- * Row 3: Scope labels (default height, A:D & E:I merges)
- * Row 4: Scope content EN/ES (DYNAMIC height, A:D & E:I merges)
- * Row 5: "Unit Layout" header (default height, A:I merge)
- * Row 6: Sketch image (15x height, A:I merge)
- * Row 7+: Work items table
+ * Row 1: WO#, Revision, Unit #, Price List, Catalog Version - each label followed by its value (2x height)
+ * Row 2: Address, Unit SQ FT, Unit Layout, Est. Labor - the same way (2x height, B:C & I:J merges)
+ * Row 3: Scope labels (default height, A:D & E:J merges)
+ * Row 4: Scope content EN/ES (DYNAMIC height, A:D & E:J merges)
+ * Row 5: "Unit Layout" header (default height, A:J merge)
+ * Row 6: Sketch image (15x height, A:J merge)
+ * Row 7+: Work items table (A:J, Materials next to Total), Labor / Materials subtotal row, TOTAL row,
+ *         then adjustment rows and GRAND TOTAL when the job has adjustments
+ * 
+ * The materials shopping list is written to a separate "{WO#} Materials" tab.
  * 
- * @param {object} data - Object containing structuredData, englishScope, spanishScope, sketch, photos
+ * An existing tab for the WO# is never deleted. Unless data.replaceRevision
+ * names the revision on it, nothing is written and a 409 error is thrown whose
+ * `conflict` describes the tab and what would change (see jobDiff.js). When it
+ * matches, the tab and its materials tab are archived as "{WO#} (vN)" and the
+ * new tab is written as revision N + 1. The rename and the new tab are one
+ * batchUpdate, and if writing the new tab fails it is deleted and the archive
+ * renamed back, so the WO# is never left without a live tab.
+ *
+ * A WO# naming one of the app's own tabs (Pricing, Job Log, ...), a materials
+ * tab or any other tab that isn't a job throws a 400 error with
+ * `invalidWorkOrder` set instead.
+ * 
+ * @param {object} data - Object containing structuredData, englishScope, spanishScope, sketch, photos, replaceRevision
  * @param {string} accessToken - User's OAuth access token
- * @returns {object} { success, sheetUrl, sheetName, sketchUrl, photoUrls }
+ * @returns {object} { success, sheetUrl, sheetName, materialsSheetName, revision, archivedSheetName, sketchUrl, photoFolderUrl, photoUrls }
  */
 export async function writeToSheet(data, accessToken) {
   if (!data) {
     throw new Error('No data provided to writeToSheet');
   }
 
-  const { structuredData, englishScope, spanishScope, sketch, photos } = data;
+  const { structuredData, englishScope, spanishScope, sketch, photos, replaceRevision } = data;
   
   if (!structuredData || typeof structuredData !== 'object') {
     throw new Error('Invalid structuredData: must be an object');
@@ -124,6 +336,9 @@ export async function writeToSheet(data, accessToken) {
     throw new Error('Missing GOOGLE_SHEETS_ID environment variable');
   }
 
+  // What to undo if writing the new tab fails part way (see rollBackJobTab)
+  let rollback = null;
+
   try {
     const auth = getOAuthClient(accessToken);
     const sheets = google.sheets({ version: 'v4', auth });
@@ -131,39 +346,88 @@ export async function writeToSheet(data, accessToken) {
     const rawWorkOrderNumber = structuredData.workOrderNumber || `WO-${Date.now()}`;
     const newSheetName = sanitizeSheetName(rawWorkOrderNumber);
 
-    // Delete existing sheet with same name if exists
+    // Sheets tab names are case-insensitive, so "pricing" would collide with "Pricing" too
+    const lowerName = newSheetName.toLowerCase();
+    if (APP_SHEET_NAMES.some(name => name.toLowerCase() === lowerName)) {
+      throw invalidWorkOrderError(rawWorkOrderNumber, 'is the name of one of the app\'s own tabs');
+    }
+    if (/ materials$/.test(lowerName)) {
+      throw invalidWorkOrderError(rawWorkOrderNumber, 'would clash with the materials tab of another job');
+    }
+
+    // A tab with this name is only replaced when the caller confirmed which revision it replaces;
+    // the old tab is archived as "<WO> (vN)" rather than deleted
+    let revision = (Number(structuredData.revision) || 0) + 1;
+    let archivedSheetName = null;
     const existingSheetId = await findSheetByName(sheets, spreadsheetId, newSheetName);
     if (existingSheetId !== null) {
+      let previous;
       try {
-        await sheets.spreadsheets.batchUpdate({
-          spreadsheetId,
-          requestBody: { requests: [{ deleteSheet: { sheetId: existingSheetId } }] }
-        });
-      } catch (deleteError) {
-        console.warn(`Warning: Could not delete existing sheet "${newSheetName}":`, deleteError.message);
+        previous = await readJobFromSheet(newSheetName, accessToken);
+      } catch (readError) {
+        if (readError.code === 422) {
+          throw invalidWorkOrderError(rawWorkOrderNumber, 'matches a tab in the spreadsheet that is not a job');
+        }
+        throw readError;
       }
+      const previousRevision = previous.revision || 1;
+
+      if (Number(replaceRevision) !== previousRevision) {
+        const conflict = new Error(`WO# ${newSheetName} already has a sheet (revision ${previousRevision}). Open the job and submit it again to review the changes.`);
+        conflict.code = 409;
+        conflict.conflict = {
+          sheetName: newSheetName,
+          sheetUrl: previous.sheetUrl,
+          revision: previousRevision,
+          nextRevision: previousRevision + 1,
+          archiveName: await archiveSheetNameFor(sheets, spreadsheetId, newSheetName, previousRevision),
+          previous: { unitNumber: previous.unitNumber, address: previous.address, unitLayout: previous.unitLayout },
+          changes: diffSubmittedJob(previous, { structuredData, englishScope, spanishScope, photos })
+        };
+        throw conflict;
+      }
+
+      archivedSheetName = await archiveSheetNameFor(sheets, spreadsheetId, newSheetName, previousRevision);
+      revision = previousRevision + 1;
     }
 
-    // Create a NEW blank sheet
+    // Create a NEW blank sheet - in the same batchUpdate as archiving the old
+    // one, so either both happen or neither does
     const addSheetResponse = await sheets.spreadsheets.batchUpdate({
       spreadsheetId,
       requestBody: {
-        requests: [{
-          addSheet: {
-            properties: {
-              title: newSheetName,
-              gridProperties: { rowCount: 200, columnCount: 9 }
+        requests: [
+          ...(archivedSheetName
+            ? [{ updateSheetProperties: { properties: { sheetId: existingSheetId, title: archivedSheetName }, fields: 'title' } }]
+            : []),
+          {
+            addSheet: {
+              properties: {
+                title: newSheetName,
+                gridProperties: { rowCount: 200, columnCount: SHEET_COLUMN_COUNT }
+              }
             }
           }
-        }]
+        ]
       }
     });
-    const newSheetId = addSheetResponse.data.replies[0].addSheet.properties.sheetId;
+    const newSheetId = addSheetResponse.data.replies[addSheetResponse.data.replies.length - 1].addSheet.properties.sheetId;
+    rollback = { sheets, jobSheetName: newSheetName, newSheetId, archivedSheetId: null, archivedMaterialsId: null };
     console.log(`Created new sheet: ${newSheetName} (ID: ${newSheetId})`);
 
+    if (archivedSheetName) {
+      rollback.archivedSheetId = existingSheetId;
+      console.log(`Archived revision ${revision - 1} of "${newSheetName}" as "${archivedSheetName}"`);
+      rollback.archivedMaterialsId = await archiveMaterialsTab(sheets, spreadsheetId, newSheetName, archivedSheetName);
+    }
+
     // Upload sketch to Drive if provided
     let sketchResult = null;
-    if (sketch) {
+    const existingSketchId = driveFileIdFromUrl(sketch);
+    if (existingSketchId) {
+      // Reopened job whose sketch wasn't changed - keep the uploaded file
+      sketchResult = { fileId: existingSketchId, directUrl: `https://lh3.googleusercontent.com/d/${existingSketchId}` };
+    } else if (sketch) {
       try {
         console.log('Uploading sketch to Drive...');
         sketchResult = await uploadSketchToDrive(sketch, `FloorPlan_${newSheetName}`, accessToken);
@@ -193,11 +457,31 @@ export async function writeToSheet(data, accessToken) {
     // ===== STRUCTURE SETUP: Row heights, merges, content =====
     const DEFAULT_ROW_HEIGHT = 21; // Google Sheets default
 
+    // Header rows 1-2: each value in the cell right of its label (parseJobSheetRows reads them back by label)
+    const laborSummary = formatLaborEstimate(estimateLabor(structuredData.workItems, structuredData.laborSettings));
+    const headerFields = layoutHeaderFields([
+      // Row 1
+      [
+        { label: 'WO#', value: safeString(rawWorkOrderNumber) },
+        { label: 'Revision', value: revision },
+        { label: 'Unit #', value: safeString(structuredData.unitNumber), text: true },
+        { label: 'Price List', value: safeString(structuredData.priceList) || BASE_PRICE_LIST },
+        { label: 'Catalog Version', value: structuredData.catalogVersion ? structuredData.catalogVersion.version : '' }
+      ],
+      // Row 2: the address and labor estimate are long, so they get two columns
+      [
+        { label: 'Address', value: safeString(structuredData.address), span: 2 },
+        { label: 'Unit SQ FT', value: safeString(structuredData.unitSquareFeet) },
+        { label: 'Unit Layout', value: safeString(structuredData.unitLayout) },
+        { label: 'Est. Labor', value: laborSummary, span: 2 }
+      ]
+    ]);
+
     // Step 1: Set row heights
     const rowHeightRequests = [
-      // Row 1: 2x height (WO# / Unit#)
+      // Row 1: 2x height (WO# / Unit # / price list)
       { updateDimensionProperties: { range: { sheetId: newSheetId, dimension: 'ROWS', startIndex: 0, endIndex: 1 }, properties: { pixelSize: DEFAULT_ROW_HEIGHT * 2 }, fields: 'pixelSize' } },
-      // Row 2: 2x height (Address / SQ FT)
+      // Row 2: 2x height (Address / SQ FT / layout)
       { updateDimensionProperties: { range: { sheetId: newSheetId, dimension: 'ROWS', startIndex: 1, endIndex: 2 }, properties: { pixelSize: DEFAULT_ROW_HEIGHT * 2 }, fields: 'pixelSize' } },
       // Row 3: default height (scope labels)
       { updateDimensionProperties: { range: { sheetId: newSheetId, dimension: 'ROWS', startIndex: 2, endIndex: 3 }, properties: { pixelSize: DEFAULT_ROW_HEIGHT }, fields: 'pixelSize' } },
@@ -210,42 +494,40 @@ export async function writeToSheet(data, accessToken) {
 
     // Step 2: Set up merges
     const mergeRequests = [
-      // Row 1: B1:C1 (WO# value), E1:I1 (Unit# value)
-      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 1, endColumnIndex: 3 }, mergeType: 'MERGE_ALL' } },
-      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 4, endColumnIndex: 9 }, mergeType: 'MERGE_ALL' } },
-      // Row 2: B2:C2 (Address value), E2:I2 (SQ FT / Layout)
-      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 1, endRowIndex: 2, startColumnIndex: 1, endColumnIndex: 3 }, mergeType: 'MERGE_ALL' } },
-      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 1, endRowIndex: 2, startColumnIndex: 4, endColumnIndex: 9 }, mergeType: 'MERGE_ALL' } },
+      // Rows 1-2: values that span two columns (Address, Est. Labor)
+      ...headerFields.filter(field => field.span > 1).map(field => ({
+        mergeCells: { range: { sheetId: newSheetId, startRowIndex: field.row, endRowIndex: field.row + 1, startColumnIndex: field.column + 1, endColumnIndex: field.column + 1 + field.span }, mergeType: 'MERGE_ALL' }
+      })),
       // Row 3: A3:D3 (Overview label), E3:I3 (Spanish label)
       { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 2, endRowIndex: 3, startColumnIndex: 0, endColumnIndex: 4 }, mergeType: 'MERGE_ALL' } },
-      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 2, endRowIndex: 3, startColumnIndex: 4, endColumnIndex: 9 }, mergeType: 'MERGE_ALL' } },
+      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 2, endRowIndex: 3, startColumnIndex: 4, endColumnIndex: SHEET_COLUMN_COUNT }, mergeType: 'MERGE_ALL' } },
       // Row 4: A4:D4 (English scope), E4:I4 (Spanish scope)
       { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 3, endRowIndex: 4, startColumnIndex: 0, endColumnIndex: 4 }, mergeType: 'MERGE_ALL' } },
-      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 3, endRowIndex: 4, startColumnIndex: 4, endColumnIndex: 9 }, mergeType: 'MERGE_ALL' } },
+      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 3, endRowIndex: 4, startColumnIndex: 4, endColumnIndex: SHEET_COLUMN_COUNT }, mergeType: 'MERGE_ALL' } },
       // Row 5: A5:I5 (Unit Layout header)
-      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 4, endRowIndex: 5, startColumnIndex: 0, endColumnIndex: 9 }, mergeType: 'MERGE_ALL' } },
+      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 4, endRowIndex: 5, startColumnIndex: 0, endColumnIndex: SHEET_COLUMN_COUNT }, mergeType: 'MERGE_ALL' } },
       // Row 6: A6:I6 (Sketch area)
-      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 5, endRowIndex: 6, startColumnIndex: 0, endColumnIndex: 9 }, mergeType: 'MERGE_ALL' } }
+      { mergeCells: { range: { sheetId: newSheetId, startRowIndex: 5, endRowIndex: 6, startColumnIndex: 0, endColumnIndex: SHEET_COLUMN_COUNT }, mergeType: 'MERGE_ALL' } }
     ];
 
-    // Apply row heights and merges
+    // Values like unit "0301" are kept as text rather than read as numbers
+    const textFormatRequests = headerFields.filter(field => field.text).map(field => ({
+      repeatCell: { range: { sheetId: newSheetId, startRowIndex: field.row, endRowIndex: field.row + 1, startColumnIndex: field.column + 1, endColumnIndex: field.column + 2 }, cell: { userEnteredFormat: { numberFormat: { type: 'TEXT' } } }, fields: 'userEnteredFormat.numberFormat' }
+    }));
+
+    // Apply row heights, merges and text formats
     await sheets.spreadsheets.batchUpdate({
       spreadsheetId,
-      requestBody: { requests: [...rowHeightRequests, ...mergeRequests] }
+      requestBody: { requests: [...rowHeightRequests, ...mergeRequests, ...textFormatRequests] }
     });
 
     // Step 3: Write cell content
     const cellData = [
-      // Row 1
-      { range: `'${newSheetName}'!A1`, values: [['WO#']] },
-      { range: `'${newSheetName}'!B1`, values: [[safeString(rawWorkOrderNumber)]] },
-      { range: `'${newSheetName}'!D1`, values: [['Unit #']] },
-      { range: `'${newSheetName}'!E1`, values: [[safeString(structuredData.unitNumber)]] },
-      // Row 2
-      { range: `'${newSheetName}'!A2`, values: [['Address']] },
-      { range: `'${newSheetName}'!B2`, values: [[safeString(structuredData.address)]] },
-      { range: `'${newSheetName}'!D2`, values: [['Unit SQ FT']] },
-      { range: `'${newSheetName}'!E2`, values: [[`${safeString(structuredData.unitSquareFeet)}          Unit Layout: ${safeString(structuredData.unitLayout)}`]] },
+      // Rows 1-2: label, value
+      ...headerFields.map(field => ({
+        range: `'${newSheetName}'!${columnLetter(field.column)}${field.row + 1}:${columnLetter(field.column + 1)}${field.row + 1}`,
+        values: [[field.label, field.value]]
+      })),
       // Row 3: Labels
       { range: `'${newSheetName}'!A3`, values: [['Overview']] },
       { range: `'${newSheetName}'!E3`, values: [['Spanish']] },
@@ -272,17 +554,19 @@ export async function writeToSheet(data, accessToken) {
 
     // Step 4: Apply formatting
     const formatRequests = [
-      // Row 1 & 2: Bold labels (A and D columns)
-      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 0, endRowIndex: 2, startColumnIndex: 0, endColumnIndex: 1 }, cell: { userEnteredFormat: { textFormat: { bold: true } } }, fields: 'userEnteredFormat.textFormat.bold' } },
-      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 0, endRowIndex: 2, startColumnIndex: 3, endColumnIndex: 4 }, cell: { userEnteredFormat: { textFormat: { bold: true } } }, fields: 'userEnteredFormat.textFormat.bold' } },
+      // Row 1 & 2: Bold labels, values wrapped to fit their columns
+      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 0, endRowIndex: 2, startColumnIndex: 0, endColumnIndex: SHEET_COLUMN_COUNT }, cell: { userEnteredFormat: { wrapStrategy: 'WRAP', verticalAlignment: 'MIDDLE' } }, fields: 'userEnteredFormat(wrapStrategy,verticalAlignment)' } },
+      ...headerFields.map(field => ({
+        repeatCell: { range: { sheetId: newSheetId, startRowIndex: field.row, endRowIndex: field.row + 1, startColumnIndex: field.column, endColumnIndex: field.column + 1 }, cell: { userEnteredFormat: { textFormat: { bold: true } } }, fields: 'userEnteredFormat.textFormat.bold' }
+      })),
       // Row 3: Bold, centered labels
-      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 2, endRowIndex: 3, startColumnIndex: 0, endColumnIndex: 9 }, cell: { userEnteredFormat: { textFormat: { bold: true }, horizontalAlignment: 'CENTER' } }, fields: 'userEnteredFormat(textFormat.bold,horizontalAlignment)' } },
+      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 2, endRowIndex: 3, startColumnIndex: 0, endColumnIndex: SHEET_COLUMN_COUNT }, cell: { userEnteredFormat: { textFormat: { bold: true }, horizontalAlignment: 'CENTER' } }, fields: 'userEnteredFormat(textFormat.bold,horizontalAlignment)' } },
       // Row 4: Text wrap for scope
-      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 3, endRowIndex: 4, startColumnIndex: 0, endColumnIndex: 9 }, cell: { userEnteredFormat: { wrapStrategy: 'WRAP', verticalAlignment: 'TOP' } }, fields: 'userEnteredFormat(wrapStrategy,verticalAlignment)' } },
+      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 3, endRowIndex: 4, startColumnIndex: 0, endColumnIndex: SHEET_COLUMN_COUNT }, cell: { userEnteredFormat: { wrapStrategy: 'WRAP', verticalAlignment: 'TOP' } }, fields: 'userEnteredFormat(wrapStrategy,verticalAlignment)' } },
       // Row 5: Bold, centered, gray (Unit Layout header)
-      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 4, endRowIndex: 5, startColumnIndex: 0, endColumnIndex: 9 }, cell: { userEnteredFormat: { textFormat: { bold: true, fontSize: 12 }, horizontalAlignment: 'CENTER', verticalAlignment: 'MIDDLE', backgroundColor: { red: 0.9, green: 0.9, blue: 0.9 } } }, fields: 'userEnteredFormat(textFormat,horizontalAlignment,verticalAlignment,backgroundColor)' } },
+      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 4, endRowIndex: 5, startColumnIndex: 0, endColumnIndex: SHEET_COLUMN_COUNT }, cell: { userEnteredFormat: { textFormat: { bold: true, fontSize: 12 }, horizontalAlignment: 'CENTER', verticalAlignment: 'MIDDLE', backgroundColor: { red: 0.9, green: 0.9, blue: 0.9 } } }, fields: 'userEnteredFormat(textFormat,horizontalAlignment,verticalAlignment,backgroundColor)' } },
       // Row 6: Centered (sketch)
-      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 5, endRowIndex: 6, startColumnIndex: 0, endColumnIndex: 9 }, cell: { userEnteredFormat: { horizontalAlignment: 'CENTER', verticalAlignment: 'MIDDLE' } }, fields: 'userEnteredFormat(horizontalAlignment,verticalAlignment)' } },
+      { repeatCell: { range: { sheetId: newSheetId, startRowIndex: 5, endRowIndex: 6, startColumnIndex: 0, endColumnIndex: SHEET_COLUMN_COUNT }, cell: { userEnteredFormat: { horizontalAlignment: 'CENTER', verticalAlignment: 'MIDDLE' } }, fields: 'userEnteredFormat(horizontalAlignment,verticalAlignment)' } },
       // Auto-resize row 4 (scope) to fit content
       { autoResizeDimensions: { dimensions: { sheetId: newSheetId, dimension: 'ROWS', startIndex: 3, endIndex: 4 } } }
     ];
@@ -306,14 +590,29 @@ export async function writeToSheet(data, accessToken) {
     );
 
     // Table headers
-    const headers = [['Category', 'Item', 'Description', 'Unit', 'Amount', 'Multiplier', 'Price Per Unit', 'Total', 'Notes']];
+    const headers = [['Category', 'Item', 'Description', 'Unit', 'Amount', 'Multiplier', 'Price Per Unit', 'Total', 'Materials', 'Notes']];
+
+    // Number uploaded photos in gallery order so items suggested from a photo can reference it
+    const photoNumbers = {};
+    photoResults.filter(p => !p.error && p.directUrl).forEach((photo, i) => {
+      if (photo.photoId !== undefined) {
+        photoNumbers[String(photo.photoId)] = i + 1;
+      }
+    });
 
     // Build work item rows with Multiplier always = 1
     const workItemRows = sortedWorkItems.map(item => {
+      const photoNumber = item.sourcePhotoId ? photoNumbers[String(item.sourcePhotoId)] : null;
+      const notes = photoNumber
+        ? `${safeString(item.notes)} (Photo ${photoNumber})`.trim()
+        : safeString(item.notes);
+
       const amount = safeNumber(item.multiplier);
       const multiplier = 1; // Always 1
       const pricePerUnit = safeNumber(item.pricePerUnit);
       const total = safeNumber(item.total) || (amount * multiplier * pricePerUnit);
+      const materials = amount * safeNumber(item.materialsPerUnit);
+      const materialsNote = safeString(item.materialsNote);
       
       return [
         safeString(item.category),
@@ -324,40 +623,66 @@ export async function writeToSheet(data, accessToken) {
         multiplier,
         pricePerUnit,
         total,
-        safeString(item.notes)
+        materials || '',
+        materialsNote ? `${notes} (Materials: ${materialsNote})`.trim() : notes
       ];
     });
 
-    // Calculate grand total
-    const grandTotal = sortedWorkItems.reduce((sum, item) => 
-      sum + (safeNumber(item.total) || (safeNumber(item.multiplier) * safeNumber(item.pricePerUnit))), 0
-    );
-    
-    // Total row
-    const totalRow = [['', '', '', '', '', '', 'TOTAL:', grandTotal, '']];
+    // Labor and materials subtotals, plus markup / overhead / tax / trip charges / discounts
+    const totals = calculateJobTotals(sortedWorkItems, structuredData.adjustments);
+
+    // Labor vs. materials subtotal row (under the Total and Materials columns)
+    const subtotalRow = [['', '', '', '', '', '', 'Labor / Materials:', totals.laborSubtotal, totals.materialsSubtotal, '']];
+
+    // Total row (labor + materials)
+    const totalRow = [['', '', '', '', '', '', 'TOTAL:', totals.subtotal, '', '']];
+
+    // One row per adjustment under TOTAL, then the adjusted GRAND TOTAL
+    const adjustmentRows = totals.lines.length > 0
+      ? [
+        ...totals.lines.map(line => ['', '', '', '', '', '', `${line.label}:`, line.amount, '', '']),
+        ['', '', '', '', '', '', 'GRAND TOTAL:', totals.grandTotal, '', '']
+      ]
+      : [];
 
     // Calculate row positions (table starts at row 7)
     const dataStartRow = HEADER_ROW + 1; // Row 8
     const dataEndRow = dataStartRow + workItemRows.length - 1;
-    const totalRowNum = workItemRows.length > 0 ? dataEndRow + 1 : HEADER_ROW + 1;
+    const subtotalRowNum = workItemRows.length > 0 ? dataEndRow + 1 : HEADER_ROW + 1;
+    const totalRowNum = subtotalRowNum + 1;
+    const lastTotalRowNum = totalRowNum + adjustmentRows.length; // GRAND TOTAL row, or TOTAL when there are no adjustments
+    const subtotalRowIdx = subtotalRowNum - 1; // 0-indexed
+    const totalRowIdx = totalRowNum - 1;
 
     // Step 2: Write headers, work items, and total row
     const tableData = [
-      { range: `'${newSheetName}'!A${HEADER_ROW}:I${HEADER_ROW}`, values: headers }
+      { range: `'${newSheetName}'!A${HEADER_ROW}:${LAST_COLUMN}${HEADER_ROW}`, values: headers }
     ];
     
     if (workItemRows.length > 0) {
       tableData.push({ 
-        range: `'${newSheetName}'!A${dataStartRow}:I${dataEndRow}`, 
+        range: `'${newSheetName}'!A${dataStartRow}:${LAST_COLUMN}${dataEndRow}`, 
         values: workItemRows 
       });
     }
     
+    tableData.push({
+      range: `'${newSheetName}'!A${subtotalRowNum}:${LAST_COLUMN}${subtotalRowNum}`,
+      values: subtotalRow
+    });
+    
     tableData.push({ 
-      range: `'${newSheetName}'!A${totalRowNum}:I${totalRowNum}`, 
+      range: `'${newSheetName}'!A${totalRowNum}:${LAST_COLUMN}${totalRowNum}`, 
       values: totalRow 
     });
 
+    if (adjustmentRows.length > 0) {
+      tableData.push({
+        range: `'${newSheetName}'!A${totalRowNum + 1}:${LAST_COLUMN}${lastTotalRowNum}`,
+        values: adjustmentRows
+      });
+    }
+
     await sheets.spreadsheets.values.batchUpdate({
       spreadsheetId,
       requestBody: {
@@ -406,9 +731,9 @@ export async function writeToSheet(data, accessToken) {
           range: {
             sheetId: newSheetId,
             startRowIndex: HEADER_ROW_IDX,
-            endRowIndex: HEADER_ROW_IDX + workItemRows.length + 2, // header + data + total
+            endRowIndex: lastTotalRowNum, // header + data + total + adjustments
             startColumnIndex: 0,
-            endColumnIndex: 9
+            endColumnIndex: SHEET_COLUMN_COUNT
           },
           top: { style: 'SOLID_MEDIUM', color: { red: 0, green: 0, blue: 0 } },
           bottom: { style: 'SOLID_MEDIUM', color: { red: 0, green: 0, blue: 0 } },
@@ -424,7 +749,7 @@ export async function writeToSheet(data, accessToken) {
             startRowIndex: HEADER_ROW_IDX,
             endRowIndex: HEADER_ROW_IDX + 1,
             startColumnIndex: 0,
-            endColumnIndex: 9
+            endColumnIndex: SHEET_COLUMN_COUNT
           },
           bottom: { style: 'SOLID_MEDIUM', color: { red: 0, green: 0, blue: 0 } }
         }
@@ -436,7 +761,7 @@ export async function writeToSheet(data, accessToken) {
             startRowIndex: HEADER_ROW_IDX,
             endRowIndex: HEADER_ROW_IDX + 1,
             startColumnIndex: 0,
-            endColumnIndex: 9
+            endColumnIndex: SHEET_COLUMN_COUNT
           },
           cell: {
             userEnteredFormat: {
@@ -449,27 +774,28 @@ export async function writeToSheet(data, accessToken) {
           fields: 'userEnteredFormat(textFormat,backgroundColor,verticalAlignment,horizontalAlignment)'
         }
       },
-      // Total row: bold border top, medium gray background, bold text
+      // Labor / Materials subtotal row: bold border top
       {
         updateBorders: {
           range: {
             sheetId: newSheetId,
-            startRowIndex: HEADER_ROW_IDX + workItemRows.length + 1,
-            endRowIndex: HEADER_ROW_IDX + workItemRows.length + 2,
+            startRowIndex: subtotalRowIdx,
+            endRowIndex: subtotalRowNum,
             startColumnIndex: 0,
-            endColumnIndex: 9
+            endColumnIndex: SHEET_COLUMN_COUNT
           },
           top: { style: 'SOLID_MEDIUM', color: { red: 0, green: 0, blue: 0 } }
         }
       },
+      // Total row: medium gray background, bold text
       {
         repeatCell: {
           range: {
             sheetId: newSheetId,
-            startRowIndex: HEADER_ROW_IDX + workItemRows.length + 1,
-            endRowIndex: HEADER_ROW_IDX + workItemRows.length + 2,
+            startRowIndex: totalRowIdx,
+            endRowIndex: totalRowNum,
             startColumnIndex: 0,
-            endColumnIndex: 9
+            endColumnIndex: SHEET_COLUMN_COUNT
           },
           cell: {
             userEnteredFormat: {
@@ -488,7 +814,7 @@ export async function writeToSheet(data, accessToken) {
             startRowIndex: HEADER_ROW_IDX + 1,
             endRowIndex: HEADER_ROW_IDX + workItemRows.length + 1,
             startColumnIndex: 0,
-            endColumnIndex: 9
+            endColumnIndex: SHEET_COLUMN_COUNT
           },
           innerHorizontal: { style: 'SOLID', color: { red: 0.8, green: 0.8, blue: 0.8 } },
           innerVertical: { style: 'SOLID', color: { red: 0.8, green: 0.8, blue: 0.8 } }
@@ -502,7 +828,7 @@ export async function writeToSheet(data, accessToken) {
             startRowIndex: HEADER_ROW_IDX + 1,
             endRowIndex: HEADER_ROW_IDX + workItemRows.length + 1,
             startColumnIndex: 0,
-            endColumnIndex: 9
+            endColumnIndex: SHEET_COLUMN_COUNT
           },
           cell: {
             userEnteredFormat: {
@@ -513,13 +839,62 @@ export async function writeToSheet(data, accessToken) {
           fields: 'userEnteredFormat(wrapStrategy,verticalAlignment)'
         }
       }] : []),
+      // Subtotal, total and adjustment rows: right-aligned labels spill left into the empty cells
+      {
+        repeatCell: {
+          range: {
+            sheetId: newSheetId,
+            startRowIndex: subtotalRowIdx,
+            endRowIndex: lastTotalRowNum,
+            startColumnIndex: 6,
+            endColumnIndex: 7
+          },
+          cell: {
+            userEnteredFormat: {
+              horizontalAlignment: 'RIGHT'
+            }
+          },
+          fields: 'userEnteredFormat.horizontalAlignment'
+        }
+      },
+      // GRAND TOTAL row: same look as the TOTAL row
+      ...(adjustmentRows.length > 0 ? [{
+        updateBorders: {
+          range: {
+            sheetId: newSheetId,
+            startRowIndex: lastTotalRowNum - 1,
+            endRowIndex: lastTotalRowNum,
+            startColumnIndex: 0,
+            endColumnIndex: SHEET_COLUMN_COUNT
+          },
+          top: { style: 'SOLID_MEDIUM', color: { red: 0, green: 0, blue: 0 } }
+        }
+      },
+      {
+        repeatCell: {
+          range: {
+            sheetId: newSheetId,
+            startRowIndex: lastTotalRowNum - 1,
+            endRowIndex: lastTotalRowNum,
+            startColumnIndex: 0,
+            endColumnIndex: SHEET_COLUMN_COUNT
+          },
+          cell: {
+            userEnteredFormat: {
+              textFormat: { bold: true },
+              backgroundColor: { red: 0.7, green: 0.7, blue: 0.7 }
+            }
+          },
+          fields: 'userEnteredFormat(textFormat,backgroundColor)'
+        }
+      }] : []),
       // Format Total column (H) as currency
       {
         repeatCell: {
           range: {
             sheetId: newSheetId,
             startRowIndex: HEADER_ROW_IDX + 1,
-            endRowIndex: HEADER_ROW_IDX + workItemRows.length + 2,
+            endRowIndex: lastTotalRowNum,
             startColumnIndex: 7,
             endColumnIndex: 8
           },
@@ -531,6 +906,24 @@ export async function writeToSheet(data, accessToken) {
           fields: 'userEnteredFormat.numberFormat'
         }
       },
+      // Format Materials column (I) as currency
+      {
+        repeatCell: {
+          range: {
+            sheetId: newSheetId,
+            startRowIndex: HEADER_ROW_IDX + 1,
+            endRowIndex: subtotalRowNum,
+            startColumnIndex: 8,
+            endColumnIndex: 9
+          },
+          cell: {
+            userEnteredFormat: {
+              numberFormat: { type: 'CURRENCY', pattern: '$#,##0.00' }
+            }
+          },
+          fields: 'userEnteredFormat.numberFormat'
+        }
+      },
       // Format Price Per Unit column (G) as currency
       {
         repeatCell: {
@@ -579,7 +972,7 @@ export async function writeToSheet(data, accessToken) {
     // ===== ADD PHOTO GALLERY after work items table =====
     // Photos are embedded like the sketch, with 4x6 sizing and notes rows
     // Smart page break calculation pushes photos to start on page 2
-    let photoGalleryEndRow = totalRowNum;
+    let photoGalleryEndRow = lastTotalRowNum;
     
     if (photoResults.length > 0) {
       const successfulPhotos = photoResults.filter(p => !p.error && p.directUrl);
@@ -605,14 +998,14 @@ export async function writeToSheet(data, accessToken) {
         // Row 6: 315px (sketch area, 15x default)
         // Row 7: 21px (table header)
         // Work item rows: ~25px each (with text wrap)
-        // Total row: 25px
+        // Subtotal, total (+ adjustment) rows: 25px each
         
         const HEADER_HEIGHT = 42 + 42 + 21 + 80 + 21 + 315 + 21; // = 542px
         const WORK_ITEM_ROW_HEIGHT = 25;
         const TOTAL_ROW_HEIGHT = 25;
         
         const workItemCount = workItemRows.length;
-        const estimatedContentHeight = HEADER_HEIGHT + (workItemCount * WORK_ITEM_ROW_HEIGHT) + TOTAL_ROW_HEIGHT;
+        const estimatedContentHeight = HEADER_HEIGHT + (workItemCount * WORK_ITEM_ROW_HEIGHT) + ((adjustmentRows.length + 2) * TOTAL_ROW_HEIGHT);
         
         // Calculate how much of page 1 is used
         const usedOnPage1 = estimatedContentHeight % PAGE_HEIGHT_PX;
@@ -632,8 +1025,8 @@ export async function writeToSheet(data, accessToken) {
         
         console.log(`Page break calculation: content=${estimatedContentHeight}px, used=${usedOnPage1}px, spacer=${pageBreakSpacer}px`);
         
-        // Add page break spacer row after TOTAL
-        const pageBreakRow = totalRowNum + 2;
+        // Add page break spacer row after TOTAL (or GRAND TOTAL)
+        const pageBreakRow = lastTotalRowNum + 2;
         await sheets.spreadsheets.batchUpdate({
           spreadsheetId,
           requestBody: {
@@ -668,7 +1061,7 @@ export async function writeToSheet(data, accessToken) {
           }
         });
         
-        // Format header: merge A-I, bold, centered, gray background
+        // Format header: merge A-J, bold, centered, gray background
         await sheets.spreadsheets.batchUpdate({
           spreadsheetId,
           requestBody: {
@@ -680,7 +1073,7 @@ export async function writeToSheet(data, accessToken) {
                     startRowIndex: photoHeaderRow - 1,
                     endRowIndex: photoHeaderRow,
                     startColumnIndex: 0,
-                    endColumnIndex: 9
+                    endColumnIndex: SHEET_COLUMN_COUNT
                   },
                   mergeType: 'MERGE_ALL'
                 }
@@ -692,7 +1085,7 @@ export async function writeToSheet(data, accessToken) {
                     startRowIndex: photoHeaderRow - 1,
                     endRowIndex: photoHeaderRow,
                     startColumnIndex: 0,
-                    endColumnIndex: 9
+                    endColumnIndex: SHEET_COLUMN_COUNT
                   },
                   cell: {
                     userEnteredFormat: {
@@ -756,7 +1149,7 @@ export async function writeToSheet(data, accessToken) {
             spreadsheetId,
             requestBody: {
               requests: [
-                // Merge photo row A-I
+                // Merge photo row A-J
                 {
                   mergeCells: {
                     range: {
@@ -764,7 +1157,7 @@ export async function writeToSheet(data, accessToken) {
                       startRowIndex: photoRow - 1,
                       endRowIndex: photoRow,
                       startColumnIndex: 0,
-                      endColumnIndex: 9
+                      endColumnIndex: SHEET_COLUMN_COUNT
                     },
                     mergeType: 'MERGE_ALL'
                   }
@@ -790,7 +1183,7 @@ export async function writeToSheet(data, accessToken) {
                       startRowIndex: photoRow - 1,
                       endRowIndex: photoRow,
                       startColumnIndex: 0,
-                      endColumnIndex: 9
+                      endColumnIndex: SHEET_COLUMN_COUNT
                     },
                     cell: {
                       userEnteredFormat: {
@@ -802,7 +1195,7 @@ export async function writeToSheet(data, accessToken) {
                     fields: 'userEnteredFormat(horizontalAlignment,verticalAlignment,backgroundColor)'
                   }
                 },
-                // Merge notes row A-I
+                // Merge notes row A-J
                 {
                   mergeCells: {
                     range: {
@@ -810,7 +1203,7 @@ export async function writeToSheet(data, accessToken) {
                       startRowIndex: notesRow - 1,
                       endRowIndex: notesRow,
                       startColumnIndex: 0,
-                      endColumnIndex: 9
+                      endColumnIndex: SHEET_COLUMN_COUNT
                     },
                     mergeType: 'MERGE_ALL'
                   }
@@ -823,7 +1216,7 @@ export async function writeToSheet(data, accessToken) {
                       startRowIndex: notesRow - 1,
                       endRowIndex: notesRow,
                       startColumnIndex: 0,
-                      endColumnIndex: 9
+                      endColumnIndex: SHEET_COLUMN_COUNT
                     },
                     cell: {
                       userEnteredFormat: {
@@ -858,7 +1251,7 @@ export async function writeToSheet(data, accessToken) {
                       startRowIndex: notesRow - 1,
                       endRowIndex: notesRow,
                       startColumnIndex: 0,
-                      endColumnIndex: 9
+                      endColumnIndex: SHEET_COLUMN_COUNT
                     },
                     bottom: { style: 'SOLID', color: { red: 0.8, green: 0.8, blue: 0.8 } }
                   }
@@ -875,14 +1268,34 @@ export async function writeToSheet(data, accessToken) {
       }
     }
 
+    // Materials shopping list on its own tab - a failure here shouldn't fail the submission
+    let materialsSheetName = null;
+    const materialsLines = buildMaterialsList(workItems, structuredData.materialsSettings);
+    if (materialsLines.length > 0) {
+      try {
+        materialsSheetName = await writeMaterialsTab(sheets, spreadsheetId, newSheetName, materialsLines);
+        console.log(`Materials list written to "${materialsSheetName}"`);
+      } catch (materialsError) {
+        console.error('Failed to write materials tab:', materialsError.message);
+      }
+    }
+
+    // The new tab is complete - nothing to undo from here on
+    rollback = null;
+
     const sheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${newSheetId}`;
+    const photoFolderId = photoResults.find(p => p.folderId)?.folderId || null;
 
     return {
       success: true,
       sheetUrl,
       sheetName: newSheetName,
+      materialsSheetName,
       sheetId: newSheetId,
+      revision,
+      archivedSheetName,
       sketchUrl: sketchResult?.directUrl || null,
+      photoFolderUrl: photoFolderId ? `https://drive.google.com/drive/folders/${photoFolderId}` : null,
       photoUrls: photoResults.filter(p => !p.error).map(p => ({
         url: p.directUrl,
         fileName: p.fileName,
@@ -891,7 +1304,20 @@ export async function writeToSheet(data, accessToken) {
     };
 
   } catch (error) {
+    if (error.code === 409 || error.invalidWorkOrder) {
+      throw error;
+    }
     console.error('Google Sheets API error:', error);
+
+    if (rollback) {
+      const { sheets, ...state } = rollback;
+      try {
+        await rollBackJobTab(sheets, spreadsheetId, state);
+        console.log(`Rolled back the failed write of "${state.jobSheetName}"`);
+      } catch (rollbackError) {
+        console.error(`Could not roll back the failed write of "${state.jobSheetName}":`, rollbackError.message);
+      }
+    }
     
     if (error.code === 403) {
       throw new Error('Permission denied. Make sure you have Editor access to the spreadsheet.');
@@ -907,6 +1333,283 @@ export async function writeToSheet(data, accessToken) {
   }
 }
 
+/**
+ * Whether a row has nothing in the given columns
+ */
+function isBlank(row, fromColumn, toColumn) {
+  return row.slice(fromColumn, toColumn + 1).every(cell => safeString(cell).trim() === '');
+}
+
+/**
+ * URL inside an =IMAGE("url", mode) formula, or null
+ */
+function imageFormulaUrl(cell) {
+  const match = /^=IMAGE\("([^"]+)"/i.exec(safeString(cell).trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Header values by label: each label cell in rows 1-2 maps to the cell right of it
+ */
+function readHeaderCells(rows) {
+  const values = {};
+  rows.slice(0, 2).forEach(row => {
+    (row || []).forEach((text, col) => {
+      const label = safeString(text).trim();
+      if (label && !(label in values)) {
+        values[label] = row[col + 1];
+      }
+    });
+  });
+  return values;
+}
+
+/**
+ * Read the header fields from their labeled cells
+ * Tabs written before each value had its own cell pack them into E1 and E2
+ * (see parseUnitCell and parseUnitInfoCell); they have no Revision label.
+ */
+function parseHeaderCells(rows) {
+  const header = readHeaderCells(rows);
+  if (!('Revision' in header)) {
+    return {
+      workOrderNumber: safeString(header['WO#']).trim(),
+      ...parseUnitCell(header['Unit #']),
+      address: safeString(header['Address']).trim(),
+      ...parseUnitInfoCell(header['Unit SQ FT'])
+    };
+  }
+
+  const priceList = safeString(header['Price List']).trim();
+  const crew = /crew of (\d+)/.exec(safeString(header['Est. Labor']));
+  return {
+    workOrderNumber: safeString(header['WO#']).trim(),
+    unitNumber: safeString(header['Unit #']).trim(),
+    priceList: priceList === BASE_PRICE_LIST ? '' : priceList,
+    catalogVersion: parseInt(header['Catalog Version'], 10) || null,
+    revision: parseInt(header['Revision'], 10) || null,
+    address: safeString(header['Address']).trim(),
+    unitSquareFeet: safeString(header['Unit SQ FT']).trim(),
+    unitLayout: safeString(header['Unit Layout']).trim(),
+    crewSize: crew ? Number(crew[1]) : null
+  };
+}
+
+/**
+ * Split the E1 cell of older tabs ("301          Price List: Standard (catalog v4)          Revision: 2")
+ * Tabs written before revisions were tracked have no revision (null).
+ */
+function parseUnitCell(text) {
+  const [unitPart, revisionPart] = safeString(text).split(/\s*Revision:\s*/);
+  const [unitNumber, rest = ''] = unitPart.split(/\s*Price List:\s*/);
+  const match = /^(.*?)(?:\s*\(catalog v(\d+)\))?$/.exec(rest.trim());
+  return {
+    unitNumber: unitNumber.trim(),
+    priceList: match[1] === BASE_PRICE_LIST ? '' : match[1],
+    catalogVersion: match[2] ? Number(match[2]) : null,
+    revision: parseInt(revisionPart, 10) || null
+  };
+}
+
+/**
+ * Split the E2 cell of older tabs ("850          Unit Layout: 2BR/1BA          Est. Labor: 32 hrs (~2 days, crew of 2)")
+ */
+function parseUnitInfoCell(text) {
+  const [unitSquareFeet, rest = ''] = safeString(text).split(/\s*Unit Layout:\s*/);
+  const [unitLayout, labor = ''] = rest.split(/\s*Est\. Labor:\s*/);
+  const crew = /crew of (\d+)/.exec(labor);
+  return {
+    unitSquareFeet: unitSquareFeet.trim(),
+    unitLayout: unitLayout.trim(),
+    crewSize: crew ? Number(crew[1]) : null
+  };
+}
+
+/**
+ * Split the suffixes writeToSheet adds to a work item's notes
+ * ("Stained (Photo 2) (Materials: Behr Ultra)")
+ */
+function parseItemNotes(text) {
+  let notes = safeString(text).trim();
+  let materialsNote = '';
+  let photoNumber = null;
+
+  const materials = /\s*\(Materials: (.*)\)$/.exec(notes);
+  if (materials) {
+    materialsNote = materials[1];
+    notes = notes.slice(0, materials.index);
+  }
+  const photo = /\s*\(Photo (\d+)\)$/.exec(notes);
+  if (photo) {
+    photoNumber = Number(photo[1]);
+    notes = notes.slice(0, photo.index);
+  }
+  return { notes: notes.trim(), materialsNote, photoNumber };
+}
+
+/**
+ * Read a job tab written by writeToSheet back into its parts
+ * Cells must be read with valueRenderOption FORMULA so the sketch and photo
+ * IMAGE formulas come back as formulas. Category cells merged down a run of
+ * items only hold the value in their first row, so merges fill the rest.
+ * A tab without a work item table throws an error with code 422.
+ * @param {Array} rows - Cell values of the tab (A:J)
+ * @param {Array} merges - The tab's merges (GridRange objects)
+ * @returns {object} {
+ *   workOrderNumber, unitNumber, address, unitSquareFeet, unitLayout, priceList, catalogVersion, revision, crewSize,
+ *   englishScope, spanishScope, sketchUrl,
+ *   workItems: Array<{ category, item, description, unit, amount, pricePerUnit, total, materials, notes, materialsNote, photoNumber }>,
+ *   adjustmentLines: Array<{ label, amount }>,
+ *   photos: Array<{ url, caption }>
+ * }
+ */
+export function parseJobSheetRows(rows, merges = []) {
+  const cell = (rowIdx, colIdx) => (rows[rowIdx] || [])[colIdx] ?? '';
+
+  const headerIdx = rows.findIndex(row => safeString(row?.[0]).trim() === 'Category');
+  if (headerIdx === -1) {
+    const notJob = new Error('This tab does not have a work item table - it was not written by the turnover app');
+    notJob.code = 422;
+    throw notJob;
+  }
+
+  // Find columns by header so jobs written before the Materials column still read
+  const headers = rows[headerIdx].map(header => safeString(header).trim());
+  const column = (name) => headers.indexOf(name);
+  const col = {
+    category: column('Category'),
+    item: column('Item'),
+    description: column('Description'),
+    unit: column('Unit'),
+    amount: column('Amount'),
+    pricePerUnit: column('Price Per Unit'),
+    total: column('Total'),
+    materials: column('Materials'),
+    notes: column('Notes')
+  };
+  const read = (row, name) => (col[name] === -1 ? '' : row[col[name]] ?? '');
+
+  const mergedValue = (rowIdx, colIdx) => {
+    const merge = merges.find(m =>
+      m.startColumnIndex <= colIdx && colIdx < m.endColumnIndex &&
+      m.startRowIndex <= rowIdx && rowIdx < m.endRowIndex
+    );
+    return merge ? cell(merge.startRowIndex, merge.startColumnIndex) : '';
+  };
+
+  // Work items run until the subtotal / TOTAL rows, which only fill the price and total columns
+  const workItems = [];
+  let rowIdx = headerIdx + 1;
+  let lastCategory = '';
+  for (; rowIdx < rows.length; rowIdx++) {
+    const row = rows[rowIdx] || [];
+    if (isBlank(row, 0, col.amount)) break;
+
+    const category = safeString(read(row, 'category')).trim() || safeString(mergedValue(rowIdx, col.category)).trim() || lastCategory;
+    lastCategory = category;
+    workItems.push({
+      category,
+      item: safeString(read(row, 'item')).trim(),
+      description: safeString(read(row, 'description')).trim(),
+      unit: safeString(read(row, 'unit')).trim(),
+      amount: safeNumber(read(row, 'amount')),
+      pricePerUnit: safeNumber(read(row, 'pricePerUnit')),
+      total: safeNumber(read(row, 'total')),
+      materials: safeNumber(read(row, 'materials')),
+      ...parseItemNotes(read(row, 'notes'))
+    });
+  }
+
+  // Totals: "Labor / Materials:", "TOTAL:", one row per adjustment, "GRAND TOTAL:"
+  const adjustmentLines = [];
+  let afterTotal = false;
+  for (; rowIdx < rows.length; rowIdx++) {
+    const label = safeString(cell(rowIdx, col.pricePerUnit)).trim();
+    if (!label.endsWith(':')) break;
+    if (label === 'TOTAL:') {
+      afterTotal = true;
+    } else if (afterTotal && label !== 'GRAND TOTAL:') {
+      adjustmentLines.push({ label: label.slice(0, -1), amount: safeNumber(cell(rowIdx, col.total)) });
+    }
+  }
+
+  // Photo gallery: an IMAGE row, then its notes row ("Photo N notes:" when it had no caption)
+  const photos = [];
+  for (; rowIdx < rows.length; rowIdx++) {
+    const url = imageFormulaUrl(cell(rowIdx, 0));
+    if (!url) continue;
+    const caption = safeString(cell(rowIdx + 1, 0)).trim();
+    photos.push({ url, caption: /^Photo \d+ notes:$/.test(caption) ? '' : caption });
+    rowIdx++;
+  }
+
+  const sketchIdx = rows.findIndex((row, i) => i < headerIdx && imageFormulaUrl(row?.[0]));
+
+  return {
+    ...parseHeaderCells(rows),
+    englishScope: safeString(cell(3, 0)),
+    spanishScope: safeString(cell(3, 4)),
+    sketchUrl: sketchIdx === -1 ? null : imageFormulaUrl(cell(sketchIdx, 0)),
+    workItems,
+    adjustmentLines,
+    photos
+  };
+}
+
+/**
+ * Read a submitted job's tab back from the master spreadsheet
+ * @param {string} sheetName - The job's tab name (its WO#)
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {object} Parsed job (see parseJobSheetRows) plus { sheetName, sheetUrl }
+ * Errors carry code 404 when there is no such tab and 422 when the tab isn't a job.
+ */
+export async function readJobFromSheet(sheetName, accessToken) {
+  const spreadsheetId = process.env.GOOGLE_SHEETS_ID;
+  if (!spreadsheetId) {
+    throw new Error('Missing GOOGLE_SHEETS_ID environment variable');
+  }
+
+  try {
+    const auth = getOAuthClient(accessToken);
+    const sheets = google.sheets({ version: 'v4', auth });
+
+    const spreadsheet = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets(properties(sheetId,title),merges)'
+    });
+    const tab = spreadsheet.data.sheets.find(s => s.properties.title === sheetName);
+    if (!tab) {
+      const notFound = new Error(`No sheet tab named "${sheetName}"`);
+      notFound.code = 404;
+      throw notFound;
+    }
+
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `'${sheetName}'!A:${LAST_COLUMN}`,
+      valueRenderOption: 'FORMULA'
+    });
+
+    return {
+      ...parseJobSheetRows(response.data.values || [], tab.merges || []),
+      sheetName,
+      sheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=${tab.properties.sheetId}`
+    };
+  } catch (error) {
+    console.error('Google Sheets read error:', error);
+    if (error.code === 404 || error.code === 422) {
+      throw error;
+    }
+    if (error.code === 403) {
+      throw new Error('Permission denied. Make sure you have access to the spreadsheet.');
+    }
+    if (error.code === 401) {
+      throw new Error('Authentication expired. Please sign out and sign in again.');
+    }
+    throw new Error(`Failed to read sheet: ${error.message}`);
+  }
+}
+
 /**
  * Test the Google Sheets connection
  * @param {string} accessToken - User's OAuth access token
@@ -0,0 +1,175 @@
+/**
+ * Offline sync queue
+ * Scope generation and submission need the server (Claude, Drive and Sheets).
+ * Without a connection the job is saved with a pendingSync entry instead, and
+ * syncPendingJobs sends it once the device is back online. The saved draft is
+ * the queue entry (see draftStore.js), so edits made after queuing go out too.
+ *
+ * pendingSync: { action: 'scopes' | 'submit', status: 'queued' | 'syncing' | 'failed', queuedAt, error }
+ */
+
+import { saveDraft, loadDraftsToSync } from './draftStore';
+
+let isSyncing = false;
+
+/**
+ * Whether the browser knows it has no connection
+ */
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * fetch rejects with a TypeError when the request never reached the server
+ */
+export function isNetworkError(error) {
+  return error instanceof TypeError;
+}
+
+/**
+ * Queue entry for a job
+ * A queued submission also generates the scopes first, so it replaces a queued scope request.
+ * @param {string} action - 'scopes' or 'submit'
+ * @param {object|null} existing - The job's current pendingSync entry
+ * @returns {object} pendingSync
+ */
+export function queueSync(action, existing = null) {
+  return {
+    action: existing?.action === 'submit' ? 'submit' : action,
+    status: 'queued',
+    queuedAt: existing?.queuedAt || new Date().toISOString(),
+    error: ''
+  };
+}
+
+/**
+ * Short status line for a queued job ("⏳ Submission queued")
+ * @param {object|null} pendingSync - { action, status }
+ * @returns {string} Empty when nothing is queued
+ */
+export function describeSync(pendingSync) {
+  if (!pendingSync?.status) return '';
+  const what = pendingSync.action === 'submit' ? 'Submission' : 'Scope generation';
+  if (pendingSync.status === 'syncing') return `🔄 ${what} in progress`;
+  if (pendingSync.status === 'failed') return `⚠️ ${what} failed`;
+  return `⏳ ${what} queued`;
+}
+
+/**
+ * Generate the English and Spanish scopes for a job
+ * @param {object} structuredData - Job data
+ * @returns {Promise<object>} { englishScope, spanishScope }
+ */
+export async function requestScopes(structuredData) {
+  const response = await fetch('/api/generate-scopes', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ structuredData })
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || result.error || 'Failed to generate scopes');
+  }
+  return result;
+}
+
+/**
+ * Submit a job to Google Sheets
+ * When the WO# already has a tab that replaceRevision doesn't name, the error
+ * carries the server's `conflict` (what resubmitting would change).
+ * @param {object} job - { structuredData, englishScope, spanishScope, sketch, photos }
+ * @param {number|null} replaceRevision - Revision of the existing tab this submission may replace
+ * @returns {Promise<object>} Submit response ({ success, sheetUrl, revision, ... })
+ */
+export async function requestSubmit({ structuredData, englishScope, spanishScope, sketch, photos }, replaceRevision = null) {
+  const response = await fetch('/api/submit', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      structuredData,
+      englishScope,
+      spanishScope,
+      sketch: sketch || null,
+      photos: (photos || []).map(p => ({
+        id: String(p.id),
+        url: p.url,
+        name: p.name,
+        caption: p.caption || ''
+      })),
+      replaceRevision
+    })
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!result.success) {
+    const error = new Error(result.error || 'Submission failed');
+    error.conflict = result.conflict || null;
+    error.invalidWorkOrder = Boolean(result.invalidWorkOrder);
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Send one queued job
+ * A lost connection puts the job back in the queue; any other error marks it
+ * failed so it isn't retried until the inspector asks.
+ * @param {object} job - Draft with pendingSync
+ * @param {Function} onUpdate - Called with the job each time its state changes
+ */
+async function syncJob(job, onUpdate) {
+  let current = { ...job, pendingSync: { ...job.pendingSync, status: 'syncing', error: '' } };
+  await saveDraft(current.key, current);
+  onUpdate(current);
+
+  try {
+    if (!current.scopesGenerated) {
+      const { englishScope, spanishScope } = await requestScopes(current.structuredData);
+      current = { ...current, englishScope, spanishScope, scopesGenerated: true, currentStep: 'scopes' };
+    }
+    if (current.pendingSync.action === 'submit') {
+      // A queued job only replaces the sheet revision it was reopened from (or last submitted as)
+      const result = await requestSubmit(current, current.structuredData.revision || null);
+      current = {
+        ...current,
+        structuredData: { ...current.structuredData, revision: result.revision },
+        isSubmitted: true,
+        submittedSheetUrl: result.sheetUrl || '',
+        currentStep: 'submitted'
+      };
+    }
+    current = { ...current, pendingSync: null };
+  } catch (error) {
+    console.warn(`Could not sync ${current.key}:`, error);
+    current = {
+      ...current,
+      pendingSync: isNetworkError(error)
+        ? { ...current.pendingSync, status: 'queued', error: '' }
+        : { ...current.pendingSync, status: 'failed', error: error.message }
+    };
+  }
+
+  await saveDraft(current.key, current);
+  onUpdate(current);
+}
+
+/**
+ * Send every queued job, oldest first (failed jobs wait for a retry)
+ * @param {Function} onUpdate - Called with a job each time its sync state changes
+ */
+export async function syncPendingJobs(onUpdate = () => {}) {
+  if (isSyncing || isOffline()) return;
+
+  isSyncing = true;
+  try {
+    const jobs = await loadDraftsToSync();
+    for (const job of jobs) {
+      if (isOffline()) break;
+      if (job.pendingSync.status === 'failed') continue;
+      await syncJob(job, onUpdate);
+    }
+  } finally {
+    isSyncing = false;
+  }
+}
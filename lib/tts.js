@@ -10,55 +10,57 @@ if (typeof window !== 'undefined') {
 }
 
 /**
- * Speak text using browser's text-to-speech
+ * Build an utterance with voice settings applied
  * @param {string} text - Text to speak
  * @param {object} options - Options for speech
- * @returns {Promise} Resolves when speech is complete
+ * @returns {SpeechSynthesisUtterance}
  */
-export function speak(text, options = {}) {
-  return new Promise((resolve, reject) => {
-    if (!speechSynthesis) {
-      console.warn('Text-to-speech not supported in this browser');
-      resolve();
-      return;
-    }
+function createUtterance(text, options = {}) {
+  const utterance = new SpeechSynthesisUtterance(text);
+  
+  // Configure voice settings
+  utterance.rate = options.rate || 1.0; // Speed (0.1 to 10)
+  utterance.pitch = options.pitch || 1.0; // Pitch (0 to 2)
+  utterance.volume = options.volume || 1.0; // Volume (0 to 1)
+  utterance.lang = options.lang || 'en-US'; // Language
 
-    // Cancel any ongoing speech
-    stopSpeaking();
-
-    const utterance = new SpeechSynthesisUtterance(text);
-    
-    // Configure voice settings
-    utterance.rate = options.rate || 1.0; // Speed (0.1 to 10)
-    utterance.pitch = options.pitch || 1.0; // Pitch (0 to 2)
-    utterance.volume = options.volume || 1.0; // Volume (0 to 1)
-    utterance.lang = options.lang || 'en-US'; // Language
-
-    // Try to find a voice for the specified language
-    const voices = speechSynthesis.getVoices();
-    
-    if (options.voiceName) {
-      // Specific voice requested
-      const voice = voices.find(v => v.name === options.voiceName);
-      if (voice) {
-        utterance.voice = voice;
-      }
-    } else if (options.lang) {
-      // Find a voice that matches the language
-      const langVoice = voices.find(v => v.lang.startsWith(options.lang.split('-')[0]));
-      if (langVoice) {
-        utterance.voice = langVoice;
-      }
+  // Try to find a voice for the specified language
+  const voices = speechSynthesis.getVoices();
+  
+  if (options.voiceName) {
+    // Specific voice requested
+    const voice = voices.find(v => v.name === options.voiceName);
+    if (voice) {
+      utterance.voice = voice;
+    }
+  } else if (options.lang) {
+    // Find a voice that matches the language
+    const langVoice = voices.find(v => v.lang.startsWith(options.lang.split('-')[0]));
+    if (langVoice) {
+      utterance.voice = langVoice;
     }
+  }
+
+  return utterance;
+}
 
+/**
+ * Play an utterance, resolving when it finishes
+ */
+function playUtterance(utterance) {
+  return new Promise((resolve, reject) => {
     utterance.onend = () => {
-      currentUtterance = null;
+      if (currentUtterance === utterance) {
+        currentUtterance = null;
+      }
       resolve();
     };
 
     utterance.onerror = (event) => {
       console.error('Speech synthesis error:', event);
-      currentUtterance = null;
+      if (currentUtterance === utterance) {
+        currentUtterance = null;
+      }
       reject(event);
     };
 
@@ -67,6 +69,64 @@ export function speak(text, options = {}) {
   });
 }
 
+/**
+ * Speak text using browser's text-to-speech
+ * @param {string} text - Text to speak
+ * @param {object} options - Options for speech
+ * @returns {Promise} Resolves when speech is complete
+ */
+export function speak(text, options = {}) {
+  if (!speechSynthesis) {
+    console.warn('Text-to-speech not supported in this browser');
+    return Promise.resolve();
+  }
+
+  // Cancel any ongoing speech
+  stopSpeaking();
+
+  return playUtterance(createUtterance(text, options));
+}
+
+/**
+ * Queue text to be spoken after any speech already in progress
+ * Used to speak a streamed reply sentence by sentence
+ * @param {string} text - Text to speak
+ * @param {object} options - Options for speech (same as speak)
+ * @returns {Promise} Resolves when this piece of speech is complete
+ */
+export function queueSpeech(text, options = {}) {
+  if (!speechSynthesis) {
+    return Promise.resolve();
+  }
+
+  return playUtterance(createUtterance(text, options));
+}
+
+/**
+ * Split the complete sentences off the front of partially streamed text
+ * A sentence is complete once its terminator is followed by whitespace,
+ * so "3." in "3.5 SF" is not treated as a sentence end.
+ * @param {string} text - Text received so far
+ * @returns {object} { sentences: string[], consumed: number } - consumed is the length of text used
+ */
+export function takeCompleteSentences(text) {
+  const sentences = [];
+  const boundary = /[.!?]+["')\]]*\s+|\n+/g;
+  let consumed = 0;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    const sentence = text.slice(consumed, end).trim();
+    if (sentence) {
+      sentences.push(sentence);
+    }
+    consumed = end;
+  }
+
+  return { sentences, consumed };
+}
+
 /**
  * Stop any ongoing speech
  */
@@ -0,0 +1,256 @@
+/**
+ * Standard turnover packages
+ * A package is a named set of catalog lines most turns of a layout share
+ * ("Standard 2BR turn"). Quantities are formulas of the unit's size and room
+ * counts so one package fits every unit of that layout; the inspector then
+ * only has to describe what differs. Packages are read from the optional
+ * "Packages" tab (see catalogStore.js); DEFAULT_PACKAGES is used when there
+ * is no tab.
+ *
+ * Formula variables:
+ *   sf        - unit square feet
+ *   bedrooms  - bedrooms from the unit layout (0 for a studio)
+ *   bathrooms - bathrooms from the unit layout (1 when not given)
+ *   rooms     - rooms read from the floor-plan sketch (bedrooms + 2 when there are none)
+ * Operators + - * / and parentheses, plus ceil(), round(), min() and max().
+ */
+
+import { createWorkItem, nextWorkItemId } from './workItems';
+import { parseUnitSquareFeet, parseLayoutCounts } from './unitLayout';
+
+// Lines every standard turn shares
+const COMMON_LINES = [
+  { category: 'Painting', item: 'Clean Walls', description: 'Clean', quantity: 'sf * 3' },
+  { category: 'Painting', item: 'Prep & Paint Walls 2 Coats', description: 'Paint', quantity: 'sf * 3' },
+  { category: 'Painting', item: 'Patch small hole (2")', description: 'Install', quantity: 'rooms * 2' },
+  { category: 'Floor & Molding', item: 'Base Molding 4"', description: 'Paint', quantity: 'round(sf * 0.4)' },
+  { category: 'Doors & Windows', item: 'Clean Doors', description: 'Clean', quantity: 'bedrooms * 2 + bathrooms + 1' },
+  { category: 'Doors & Windows', item: 'Clean Window Frame', description: 'Clean', quantity: 'ceil(sf / 10)' },
+  { category: 'Electrical Installation', item: 'Smoke Detector Batteries', description: 'Remove & Install', quantity: 'max(bedrooms, 1) + 1' },
+  { category: 'Clean Up', item: 'General Clean', description: 'Clean', quantity: 'sf' },
+  { category: 'Clean Up', item: 'Refrigerator', description: 'Clean', quantity: '1' },
+  { category: 'Clean Up', item: 'Oven', description: 'Clean', quantity: '1' },
+  { category: 'Clean Up', item: 'Outlet & Switch Plates', description: 'Clean', quantity: 'rooms * 4 + bathrooms * 2' }
+];
+
+export const DEFAULT_PACKAGES = [
+  {
+    name: 'Standard Studio turn',
+    layout: 'Studio',
+    lines: [...COMMON_LINES]
+  },
+  {
+    name: 'Standard 1BR turn',
+    layout: '1 bedroom',
+    lines: [...COMMON_LINES]
+  },
+  {
+    name: 'Standard 2BR turn',
+    layout: '2 bedrooms',
+    lines: [
+      ...COMMON_LINES,
+      { category: 'Painting', item: 'Prep & Paint Ceiling 2 Coats', description: 'Paint', quantity: 'round(sf * 0.15)' },
+      { category: 'Painting', item: 'Clean Ceiling', description: 'Clean', quantity: 'round(sf * 0.15)' }
+    ]
+  }
+];
+
+const FUNCTIONS = {
+  ceil: Math.ceil,
+  round: Math.round,
+  min: Math.min,
+  max: Math.max
+};
+
+/**
+ * Split a formula into number, name, operator and parenthesis tokens
+ */
+function tokenize(formula) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([a-z_]+)|([-+*/(),]))/iy;
+  let index = 0;
+  while (formula.slice(index).trim()) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(formula);
+    if (!match) {
+      throw new Error(`Unexpected "${formula.slice(index).trim()}"`);
+    }
+    if (match[1]) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2]) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    else tokens.push({ type: 'op', value: match[3] });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate a quantity formula
+ * Uses a small recursive-descent parser - formulas come from the sheet, so they are never eval'd.
+ * @param {string|number} formula - e.g. "sf * 3", "bedrooms * 2 + 1", "12"
+ * @param {object} variables - { sf, bedrooms, bathrooms, rooms }
+ * @returns {number} Result
+ * @throws {Error} When the formula can't be parsed or uses an unknown name
+ */
+export function evaluateQuantity(formula, variables) {
+  const tokens = tokenize(String(formula ?? ''));
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = (value) => {
+    const token = tokens[position];
+    if (!token || (value && token.value !== value)) {
+      throw new Error(value ? `Expected "${value}"` : 'Unexpected end of formula');
+    }
+    position += 1;
+    return token;
+  };
+
+  const parsePrimary = () => {
+    const token = take();
+    if (token.type === 'number') return token.value;
+    if (token.type === 'op' && token.value === '-') return -parsePrimary();
+    if (token.type === 'op' && token.value === '(') {
+      const value = parseSum();
+      take(')');
+      return value;
+    }
+    if (token.type === 'name' && FUNCTIONS[token.value]) {
+      take('(');
+      const args = [parseSum()];
+      while (peek()?.value === ',') {
+        take(',');
+        args.push(parseSum());
+      }
+      take(')');
+      return FUNCTIONS[token.value](...args);
+    }
+    if (token.type === 'name' && variables[token.value] !== undefined) {
+      return Number(variables[token.value]) || 0;
+    }
+    throw new Error(`Unknown name "${token.value}"`);
+  };
+
+  const parseProduct = () => {
+    let value = parsePrimary();
+    while (peek()?.value === '*' || peek()?.value === '/') {
+      const op = take().value;
+      const right = parsePrimary();
+      value = op === '*' ? value * right : value / right;
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (peek()?.value === '+' || peek()?.value === '-') {
+      const op = take().value;
+      const right = parseProduct();
+      value = op === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const result = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return result;
+}
+
+/**
+ * Formula variables for a job
+ * @param {object} structuredData - Job data (unitSquareFeet, unitLayout, rooms)
+ * @returns {object} { sf, bedrooms, bathrooms, rooms }
+ */
+export function packageVariables(structuredData) {
+  const { bedrooms, bathrooms } = parseLayoutCounts(structuredData?.unitLayout);
+  const sketchRooms = Array.isArray(structuredData?.rooms) ? structuredData.rooms.length : 0;
+  return {
+    sf: parseUnitSquareFeet(structuredData?.unitSquareFeet),
+    bedrooms: bedrooms || 0,
+    bathrooms: bathrooms || 1,
+    rooms: sketchRooms || (bedrooms || 0) + 2
+  };
+}
+
+/**
+ * Find a package by name (case-insensitive)
+ * @param {Array} packages - Available packages
+ * @param {string} name - Package name
+ * @returns {object|null}
+ */
+export function findPackage(packages, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return (packages || []).find(pkg => pkg.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * The package whose layout matches the job's unit layout
+ * @param {Array} packages - Available packages
+ * @param {string} unitLayout - Job unit layout ("2 bedrooms Unit", "Studio")
+ * @returns {object|null}
+ */
+export function packageForLayout(packages, unitLayout) {
+  const { bedrooms } = parseLayoutCounts(unitLayout);
+  if (bedrooms === null) return null;
+  return (packages || []).find(pkg => pkg.layout && parseLayoutCounts(pkg.layout).bedrooms === bedrooms) || null;
+}
+
+/**
+ * Add a package's lines to a job
+ * Lines the job already has (same category, item and description) are left
+ * as they are, so applying a package never overwrites what was entered.
+ * @param {object} structuredData - Job data
+ * @param {object} pkg - Package { name, layout, lines: [{ category, item, description, quantity }] }
+ * @param {object} catalog - Job catalog to price the new lines from
+ * @returns {object} { structuredData, added: number, skipped: Array<{ item, reason }> }
+ */
+export function applyPackage(structuredData, pkg, catalog) {
+  const variables = packageVariables(structuredData);
+  let workItems = Array.isArray(structuredData.workItems) ? [...structuredData.workItems] : [];
+  let nextItemId = structuredData.nextItemId;
+  const skipped = [];
+  let added = 0;
+
+  pkg.lines.forEach(line => {
+    const exists = workItems.some(item =>
+      item.category === line.category && item.item === line.item && item.description === line.description
+    );
+    if (exists) {
+      skipped.push({ item: line.item, reason: 'Already on the job' });
+      return;
+    }
+
+    let amount;
+    try {
+      amount = Math.round(evaluateQuantity(line.quantity, variables) * 100) / 100;
+    } catch (error) {
+      skipped.push({ item: line.item, reason: `Bad quantity formula "${line.quantity}": ${error.message}` });
+      return;
+    }
+    if (!Number.isFinite(amount)) {
+      skipped.push({ item: line.item, reason: `"${line.quantity}" can't be worked out for this unit - check for a division by zero` });
+      return;
+    }
+    if (!(amount > 0)) {
+      skipped.push({ item: line.item, reason: `"${line.quantity}" came to ${amount || 0}${variables.sf ? '' : ' - the unit SF is not set'}` });
+      return;
+    }
+
+    const workItem = createWorkItem({
+      category: line.category,
+      item: line.item,
+      description: line.description,
+      amount,
+      calculation: `${pkg.name}: ${line.quantity}`
+    }, nextWorkItemId(workItems, nextItemId), catalog);
+    workItems = [...workItems, { ...workItem, fromPackage: pkg.name }];
+    nextItemId = Number(workItem.id) + 1;
+    added += 1;
+  });
+
+  return {
+    structuredData: { ...structuredData, workItems, nextItemId, package: pkg.name },
+    added,
+    skipped
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * Unit size and layout parsing
+ * unitSquareFeet and unitLayout are free text as spoken or typed ("511 SF",
+ * "2 bed 1 bath", "Studio"); these helpers pull the numbers out of them.
+ */
+
+/**
+ * Parse a number out of free text ("511", "511 SF", "1,020 sq ft")
+ * @param {string|number} text
+ * @returns {number} The number, or 0 when there is none
+ */
+export function parseUnitSquareFeet(text) {
+  const match = /\d[\d,]*(?:\.\d+)?/.exec(String(text ?? ''));
+  return match ? Number(match[0].replace(/,/g, '')) : 0;
+}
+
+/**
+ * Room counts in a layout description
+ * @param {string} unitLayout - e.g. "2 bedrooms Unit", "1 bed 1.5 bath", "Studio"
+ * @returns {object} { studio, bedrooms, bathrooms } - bedrooms / bathrooms are null when the layout doesn't say
+ */
+export function parseLayoutCounts(unitLayout) {
+  const layout = String(unitLayout || '');
+  const studio = /studio|estudio|efficiency/i.test(layout);
+  const beds = /(\d+)\s*(?:bd\b|br\b|beds?|bedrooms?|recámaras?|habitaciones?)/i.exec(layout);
+  const baths = /(\d+(?:\.\d)?)\s*(?:ba\b|baths?|bathrooms?|baños?)/i.exec(layout);
+  return {
+    studio,
+    bedrooms: beds ? Number(beds[1]) : (studio ? 0 : null),
+    bathrooms: baths ? Number(baths[1]) : null
+  };
+}
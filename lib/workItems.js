@@ -0,0 +1,339 @@
+/**
+ * Work item helpers
+ * Applies incremental add / update / remove operations from the LLM so
+ * existing rows (and any manual edits made in the table editor) keep their
+ * ids, prices and notes unless an operation explicitly targets them.
+ */
+
+import { findPricing } from './pricingCatalog';
+import { matchCatalogItem, CONFIDENT_MATCH_SCORE } from './catalogMatching';
+
+// Fields that identify a catalog entry - changing any of them re-prices the item
+const CATALOG_FIELDS = ['category', 'item', 'description'];
+
+/**
+ * Get the id for a new work item
+ * Ids are never reused: the job's counter (structuredData.nextItemId) keeps
+ * counting after items are removed, so the conversation history and
+ * acknowledged warnings ("rule:id=amount") can't end up pointing at a
+ * different line. Jobs saved before the counter existed fall back to the
+ * highest numeric id. Non-numeric ids (e.g. "new-1700000000000" from the
+ * table editor) are ignored.
+ * @param {Array} workItems - Existing work items
+ * @param {number} nextItemId - The job's id counter, if it has one
+ * @returns {string} Next id - store Number(id) + 1 as the job's new nextItemId
+ */
+export function nextWorkItemId(workItems, nextItemId) {
+  const maxId = workItems.reduce((max, item) => {
+    const num = Number(item.id);
+    return Number.isInteger(num) && num > max ? num : max;
+  }, 0);
+  return String(Math.max(maxId + 1, Number(nextItemId) || 0));
+}
+
+/**
+ * Calculate the total for a work item (amount × price per unit)
+ * @param {object} item - Work item
+ * @returns {number}
+ */
+export function calculateItemTotal(item) {
+  return (Number(item.multiplier) || 0) * (Number(item.pricePerUnit) || 0);
+}
+
+/**
+ * Calculate the materials cost for a work item (amount × materials per unit)
+ * Kept separate from the labor total so the sheet can show both.
+ * @param {object} item - Work item
+ * @returns {number}
+ */
+export function calculateItemMaterials(item) {
+  return (Number(item.multiplier) || 0) * (Number(item.materialsPerUnit) || 0);
+}
+
+/**
+ * Default materials cost per unit for a catalog entry ("+ Materials" items only)
+ */
+function materialsAllowance(pricing) {
+  return pricing && pricing.materialsCost ? Number(pricing.materialsAllowance) || 0 : 0;
+}
+
+/**
+ * Resolve loosely named catalog fields to the best matching catalog entry
+ * Low-confidence and missing matches are flagged so the inspector can confirm
+ * them instead of a $0 line going to the sheet.
+ * @param {object} fields - { category, item, description }
+ * @param {object} catalog - Pricing catalog
+ * @returns {object} { category, item, description, pricing, matchScore, matchedFrom, needsConfirmation }
+ */
+function resolveCatalogFields(fields, catalog) {
+  const match = matchCatalogItem(fields, catalog);
+  if (!match) {
+    return {
+      category: fields.category,
+      item: fields.item,
+      description: fields.description,
+      pricing: null,
+      matchScore: 0,
+      matchedFrom: '',
+      needsConfirmation: !!fields.item
+    };
+  }
+
+  return {
+    category: match.category,
+    item: match.pricing.item,
+    description: match.pricing.description,
+    pricing: match.pricing,
+    matchScore: match.score,
+    matchedFrom: match.score < 1 ? fields.item : '', // what was said, when it wasn't the catalog name
+    needsConfirmation: match.score < CONFIDENT_MATCH_SCORE
+  };
+}
+
+/**
+ * Build a new work item from LLM tool fields, pricing it from the catalog
+ * @param {object} fields - { category, item, description, unit, amount, notes, calculation }
+ * @param {string} id - Id for the new item
+ * @param {object} catalog - Pricing catalog to price from (defaults to the built-in catalog)
+ * @returns {object} Work item
+ */
+export function createWorkItem(fields, id, catalog) {
+  const { pricing, ...resolved } = resolveCatalogFields(fields, catalog);
+  const workItem = {
+    id,
+    category: resolved.category,
+    item: resolved.item,
+    description: resolved.description,
+    unit: fields.unit || (pricing ? pricing.unit : ''),
+    multiplier: Number(fields.amount ?? fields.multiplier) || 0, // amount from tool, stored as multiplier internally
+    pricePerUnit: pricing ? pricing.pricePerUnit : 0,
+    notes: fields.notes || '',
+    materialsCost: pricing ? pricing.materialsCost === true : false,
+    // Catalog allowance unless a brand / model was named and priced
+    materialsPerUnit: fields.materialsPerUnit !== undefined ? Number(fields.materialsPerUnit) || 0 : materialsAllowance(pricing),
+    materialsNote: fields.materialsNote || '',
+    hoursPerUnit: pricing ? Number(pricing.hoursPerUnit) || 0 : 0, // production rate for the labor estimate
+    calculation: fields.calculation || '', // audit trail when the amount was computed from room geometry
+    matchScore: resolved.matchScore,
+    matchedFrom: resolved.matchedFrom,
+    needsConfirmation: resolved.needsConfirmation
+  };
+  workItem.total = calculateItemTotal(workItem);
+  workItem.materialsTotal = calculateItemMaterials(workItem);
+  return workItem;
+}
+
+/**
+ * Rebuild a work item from a row of a submitted job sheet
+ * The sheet's amount, price and materials are kept as billed; the catalog only
+ * fills in what the sheet doesn't show (production rate, "+ Materials" flag).
+ * @param {object} row - Work item row from parseJobSheetRows
+ * @param {string} id - Id for the item
+ * @param {object} catalog - The job's pricing catalog
+ * @returns {object} Work item
+ */
+export function workItemFromSheetRow(row, id, catalog) {
+  const pricing = findPricing(row.category, row.item, row.description, catalog);
+  const workItem = {
+    id,
+    category: row.category,
+    item: row.item,
+    description: row.description,
+    unit: row.unit || (pricing ? pricing.unit : ''),
+    multiplier: Number(row.amount) || 0,
+    pricePerUnit: Number(row.pricePerUnit) || 0,
+    notes: row.notes || '',
+    materialsCost: pricing ? pricing.materialsCost === true : row.materials > 0,
+    materialsPerUnit: row.amount ? Math.round((row.materials / row.amount) * 10000) / 10000 : 0,
+    materialsNote: row.materialsNote || '',
+    hoursPerUnit: pricing ? Number(pricing.hoursPerUnit) || 0 : 0,
+    calculation: '',
+    matchScore: pricing ? 1 : 0,
+    matchedFrom: '',
+    needsConfirmation: false // already reviewed when it was submitted
+  };
+  workItem.total = calculateItemTotal(workItem);
+  workItem.materialsTotal = calculateItemMaterials(workItem);
+  return workItem;
+}
+
+/**
+ * Apply only the fields present in an update operation to an existing item
+ * @param {object} existing - Current work item
+ * @param {object} fields - Fields from the update operation
+ * @param {object} catalog - Pricing catalog to re-price from
+ * @returns {object} Updated work item
+ */
+function updateWorkItem(existing, fields, catalog) {
+  const updated = { ...existing };
+
+  ['category', 'item', 'description', 'unit', 'notes', 'materialsNote'].forEach(field => {
+    if (fields[field] !== undefined) {
+      updated[field] = fields[field];
+    }
+  });
+  if (fields.amount !== undefined) {
+    updated.multiplier = Number(fields.amount) || 0;
+    // A new amount replaces any previous computation
+    updated.calculation = fields.calculation || '';
+  }
+
+  // Re-price only when the catalog entry itself changed; a new amount keeps the existing price
+  const catalogChanged = CATALOG_FIELDS.some(
+    field => fields[field] !== undefined && fields[field] !== existing[field]
+  );
+  if (catalogChanged) {
+    const { pricing, ...resolved } = resolveCatalogFields(updated, catalog);
+    Object.assign(updated, resolved);
+    updated.pricePerUnit = pricing ? pricing.pricePerUnit : 0;
+    updated.materialsCost = pricing ? pricing.materialsCost === true : false;
+    updated.hoursPerUnit = pricing ? Number(pricing.hoursPerUnit) || 0 : 0;
+    // A different item means different materials - back to its allowance
+    if (fields.materialsPerUnit === undefined) {
+      updated.materialsPerUnit = materialsAllowance(pricing);
+      updated.materialsNote = fields.materialsNote || '';
+    }
+  } else if (
+    existing.needsConfirmation &&
+    CATALOG_FIELDS.some(field => fields[field] !== undefined) &&
+    findPricing(updated.category, updated.item, updated.description, catalog)
+  ) {
+    // Restating a loosely matched item by its catalog name confirms it
+    updated.needsConfirmation = false;
+  }
+
+  if (fields.materialsPerUnit !== undefined) {
+    updated.materialsPerUnit = Number(fields.materialsPerUnit) || 0;
+  }
+
+  updated.total = calculateItemTotal(updated);
+  updated.materialsTotal = calculateItemMaterials(updated);
+  return updated;
+}
+
+/**
+ * Apply add / update / remove operations to a work item list
+ * @param {Array} workItems - Current work items
+ * @param {Array} operations - Array of { op, id, ...fields }
+ * @param {object} catalog - Pricing catalog for new and re-priced items (defaults to the built-in catalog)
+ * @param {number} nextItemId - The job's id counter (structuredData.nextItemId)
+ * @returns {object} { workItems, skipped, nextItemId } - skipped lists operations that could not be applied
+ */
+export function applyWorkItemOperations(workItems, operations, catalog, nextItemId) {
+  let result = Array.isArray(workItems) ? [...workItems] : [];
+  const skipped = [];
+  let counter = Number(nextWorkItemId(result, nextItemId));
+
+  for (const operation of operations || []) {
+    const { op, id, ...fields } = operation;
+    const index = id ? result.findIndex(item => String(item.id) === String(id)) : -1;
+
+    if (op === 'add' && (!fields.category || !fields.item)) {
+      skipped.push({ ...operation, reason: 'Missing item' });
+    } else if (op === 'add') {
+      result.push(createWorkItem(fields, String(counter), catalog));
+      counter += 1;
+    } else if (op === 'update' && index !== -1) {
+      result[index] = updateWorkItem(result[index], fields, catalog);
+    } else if (op === 'remove' && index !== -1) {
+      result = result.filter((_, i) => i !== index);
+    } else {
+      const reason = op === 'update' || op === 'remove' ? 'Unknown work item id' : 'Unknown operation';
+      skipped.push({ ...operation, reason });
+    }
+  }
+
+  return { workItems: result, skipped, nextItemId: counter };
+}
+
+/**
+ * Describe work item operations that could not be applied, for the assistant's reply
+ * @param {Array} skipped - Skipped operations ({ op, id, item, reason })
+ * @param {Array} workItems - Current work items, to name updates and removals by their item
+ * @returns {string} e.g. "Some changes were not made:\n- Couldn't remove item 9: Unknown work item id"
+ */
+export function describeSkippedOperations(skipped, workItems = []) {
+  const lines = skipped.map(operation => {
+    const existing = operation.id ? workItems.find(item => String(item.id) === String(operation.id)) : null;
+    const name = operation.item || existing?.item || (operation.id ? `item ${operation.id}` : 'an item');
+    const action = ['add', 'update', 'remove'].includes(operation.op) ? operation.op : 'change';
+    return `- Couldn't ${action} ${name}: ${operation.reason}`;
+  });
+  return `Some changes were not made:\n${lines.join('\n')}`;
+}
+
+/**
+ * Price an item from another catalog
+ * Items that aren't in the catalog, or have a $0 custom catalog price, keep their price.
+ * Materials go back to the catalog allowance unless a named brand / model was
+ * priced for a line that is still "+ Materials"; the production rate follows the catalog.
+ * @returns {object|null} Re-priced item, or null when nothing would change
+ */
+function repriceWorkItem(item, catalog) {
+  const pricing = findPricing(item.category, item.item, item.description, catalog);
+  if (!pricing || pricing.pricePerUnit === 0) return null;
+
+  const materialsCost = pricing.materialsCost === true;
+  const keepMaterials = materialsCost && item.materialsCost === true && !!item.materialsNote;
+  const repriced = {
+    ...item,
+    pricePerUnit: pricing.pricePerUnit,
+    materialsCost,
+    materialsPerUnit: keepMaterials ? Number(item.materialsPerUnit) || 0 : materialsAllowance(pricing),
+    materialsNote: materialsCost ? item.materialsNote || '' : '',
+    hoursPerUnit: Number(pricing.hoursPerUnit) || 0
+  };
+  if (
+    repriced.pricePerUnit === Number(item.pricePerUnit) &&
+    materialsCost === (item.materialsCost === true) &&
+    repriced.materialsPerUnit === (Number(item.materialsPerUnit) || 0) &&
+    repriced.hoursPerUnit === (Number(item.hoursPerUnit) || 0)
+  ) {
+    return null;
+  }
+
+  repriced.total = calculateItemTotal(repriced);
+  repriced.materialsTotal = calculateItemMaterials(repriced);
+  return repriced;
+}
+
+/**
+ * List the work items whose price or materials would change if re-priced from a catalog
+ * (a change to the production rate alone is applied without being listed)
+ * @param {Array} workItems - Current work items
+ * @param {object} catalog - Catalog to price from
+ * @returns {Array} Array of { id, category, item, description, unit, amount, oldPrice, newPrice, oldTotal, newTotal }
+ *   - totals include materials
+ */
+export function diffWorkItemPrices(workItems, catalog) {
+  return workItems.reduce((changes, item) => {
+    const repriced = repriceWorkItem(item, catalog);
+    const oldTotal = calculateItemTotal(item) + calculateItemMaterials(item);
+    const newTotal = repriced ? repriced.total + repriced.materialsTotal : oldTotal;
+    if (repriced && (repriced.pricePerUnit !== (Number(item.pricePerUnit) || 0) || newTotal !== oldTotal)) {
+      changes.push({
+        id: item.id,
+        category: item.category,
+        item: item.item,
+        description: item.description,
+        unit: item.unit,
+        amount: item.multiplier,
+        oldPrice: Number(item.pricePerUnit) || 0,
+        newPrice: repriced.pricePerUnit,
+        oldTotal,
+        newTotal
+      });
+    }
+    return changes;
+  }, []);
+}
+
+/**
+ * Re-price every catalog work item from a different catalog (e.g. after the job's price list changes)
+ * @param {Array} workItems - Current work items
+ * @param {object} catalog - Catalog to price from
+ * @returns {Array} Re-priced work items
+ */
+export function repriceWorkItems(workItems, catalog) {
+  return workItems.map(item => repriceWorkItem(item, catalog) || item);
+}
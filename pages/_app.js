@@ -1,10 +1,23 @@
+import { useEffect } from 'react';
+import Head from 'next/head';
 import { SessionProvider } from 'next-auth/react';
 
 export default function App({ Component, pageProps: { session, ...pageProps } }) {
+  // Offline app shell (public/sw.js) - production only, so dev builds aren't served stale
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(error => console.warn('Service worker registration failed:', error));
+  }, []);
+
   return (
     <SessionProvider session={session}>
+      <Head>
+        <link rel="manifest" href="/manifest.json" />
+        <link rel="apple-touch-icon" href="/icon.svg" />
+        <meta name="theme-color" content="#2196F3" />
+        <meta name="apple-mobile-web-app-capable" content="yes" />
+      </Head>
       <Component {...pageProps} />
     </SessionProvider>
   );
 }
-
@@ -0,0 +1,105 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import {
+  getPricingCatalog,
+  getCatalogVersion,
+  savePricingEntries,
+  validatePricingEntries,
+  normalizeEffectiveDate,
+  canEditCatalog
+} from '../../../lib/catalogStore';
+
+/**
+ * GET /api/catalog
+ *
+ * Get the live pricing catalog (cached server-side). Falls back to the
+ * built-in catalog when the sheet can't be read. Requires a signed-in session.
+ *
+ * Query: ?version=N to get the catalog a job was pinned to instead
+ *   -> { catalog, version: { version, effectiveDate } } (404 if unknown)
+ *
+ * Response:
+ * {
+ *   catalog: { [category]: Array<{ item, description, unit, pricePerUnit, materialsCost }> },
+ *   entries: Array<{ category, item, description, unit, pricePerUnit, materialsCost, retired }>,
+ *   priceLists: { [name]: { name, basedOn, overrides: Array<{ category, item, description, pricePerUnit }> } },
+ *   itemRules: Array<{ type, category, item, description, withCategory, withItem, withDescription }>,
+ *   packages: Array<{ name, layout, lines: Array<{ category, item, description, quantity }> }>,
+ *   version: { version, effectiveDate } | null (live version, null if the catalog isn't versioned yet),
+ *   versions: Array<{ version, effectiveDate }>,
+ *   pricingTabEdits: Array<entry> | null (hand edits in the Pricing tab that aren't in any saved version, so aren't live),
+ *   source: 'sheet' | 'fallback',
+ *   loadedAt: number | null,
+ *   error: string | null
+ * }
+ *
+ * PUT /api/catalog
+ *
+ * Save the catalog from the /catalog page as a new version. Writes the
+ * "Pricing" and "Pricing Versions" tabs (creating them if needed) and updates
+ * the server cache so prices apply as soon as the version is in effect.
+ * Only users listed in CATALOG_EDITOR_EMAILS can save (403 otherwise).
+ *
+ * Request body:
+ * {
+ *   entries: Array<{ category, item, description, unit, pricePerUnit, materialsCost, retired }>,
+ *   effectiveDate: string (YYYY-MM-DD, optional - defaults to today)
+ * }
+ *
+ * Response: same as GET plus canEdit: true, or { error, details: Array<string> } when entries are invalid
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+    }
+
+    if (!session.accessToken) {
+      return res.status(401).json({ error: 'No access token. Please sign out and sign in again.' });
+    }
+
+    if (req.method === 'GET') {
+      if (req.query.version) {
+        const pinned = await getCatalogVersion(session.accessToken, req.query.version);
+        if (!pinned) {
+          return res.status(404).json({ error: `Catalog version ${req.query.version} not found` });
+        }
+        return res.status(200).json(pinned);
+      }
+
+      const result = await getPricingCatalog(session.accessToken);
+      return res.status(200).json(result);
+    }
+
+    if (!canEditCatalog(session.user?.email)) {
+      return res.status(403).json({ error: 'Only catalog editors can change prices. Ask an admin to add your email to CATALOG_EDITOR_EMAILS.' });
+    }
+
+    const { entries, effectiveDate } = req.body;
+    const errors = validatePricingEntries(entries);
+    // A date that doesn't exist (2026-02-31) would be written and then skipped on read
+    const normalizedDate = effectiveDate ? normalizeEffectiveDate(effectiveDate) : null;
+    if (effectiveDate && (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate) || !normalizedDate)) {
+      errors.push('Effective date must be a real date as YYYY-MM-DD');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid catalog', details: errors });
+    }
+
+    const result = await savePricingEntries(session.accessToken, entries, normalizedDate || undefined);
+    return res.status(200).json({ ...result, canEdit: true });
+
+  } catch (error) {
+    console.error('Error in /api/catalog:', error);
+    return res.status(500).json({
+      error: req.method === 'GET' ? 'Failed to load pricing catalog' : 'Failed to save pricing catalog',
+      message: error.message
+    });
+  }
+}
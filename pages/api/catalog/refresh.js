@@ -0,0 +1,41 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { getPricingCatalog, canEditCatalog } from '../../../lib/catalogStore';
+
+/**
+ * POST /api/catalog/refresh
+ *
+ * Re-read the "Pricing" sheet tab now instead of waiting for the cache to expire.
+ * Use after editing the sheet. Once the catalog is versioned, hand edits to the
+ * Pricing tab come back as pricingTabEdits rather than going live.
+ *
+ * Response: same as GET /api/catalog, plus canEdit (whether the user may save it - see CATALOG_EDITOR_EMAILS)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+    }
+
+    if (!session.accessToken) {
+      return res.status(401).json({ error: 'No access token. Please sign out and sign in again.' });
+    }
+
+    const result = await getPricingCatalog(session.accessToken, { forceRefresh: true });
+
+    return res.status(200).json({ ...result, canEdit: canEditCatalog(session.user?.email) });
+
+  } catch (error) {
+    console.error('Error refreshing pricing catalog:', error);
+    return res.status(500).json({
+      error: 'Failed to refresh pricing catalog',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,59 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from './auth/[...nextauth]';
+import { extractRoomsFromSketch } from '../../lib/anthropic';
+
+/**
+ * POST /api/extract-rooms
+ *
+ * Read the floor-plan sketch with a vision model and return its rooms
+ *
+ * Request body:
+ * {
+ *   sketch: string (base64 PNG data URL),
+ *   currentData: object (optional - unit size/layout help calibrate estimates)
+ * }
+ *
+ * Response:
+ * {
+ *   rooms: Array<{ id, name, label, lengthFt, widthFt, areaSF, dimensionsWritten, notes }>
+ * }
+ */
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '10mb',
+    },
+  },
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+    }
+
+    const { sketch, currentData } = req.body;
+
+    if (!sketch || typeof sketch !== 'string' || !sketch.startsWith('data:image/')) {
+      return res.status(400).json({ error: 'sketch is required and must be an image data URL' });
+    }
+
+    const rooms = await extractRoomsFromSketch(sketch, currentData || {});
+
+    return res.status(200).json({ rooms });
+
+  } catch (error) {
+    console.error('Error extracting rooms:', error);
+    return res.status(500).json({
+      error: 'Failed to read floor plan',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,45 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from './auth/[...nextauth]';
+import { readJobLog } from '../../lib/jobLog';
+
+/**
+ * GET /api/jobs
+ *
+ * List every submitted job from the "Job Log" tab of the master spreadsheet
+ * (empty until the first submission creates the tab).
+ *
+ * Response:
+ * {
+ *   jobs: Array<{
+ *     sheetName, unitNumber, address, unitLayout, itemCount, grandTotal, submittedBy, submittedAt,
+ *     revision, status, sheetUrl, pdfUrl, photoFolderUrl
+ *   }>
+ * }
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+    }
+
+    if (!session.accessToken) {
+      return res.status(401).json({ error: 'No access token. Please sign out and sign in again.' });
+    }
+
+    const jobs = await readJobLog(session.accessToken);
+    return res.status(200).json({ jobs });
+
+  } catch (error) {
+    console.error('Error in /api/jobs:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
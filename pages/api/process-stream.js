@@ -0,0 +1,110 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from './auth/[...nextauth]';
+import { processWithLLM } from '../../lib/anthropic';
+import { getJobCatalog, getPricingCatalog } from '../../lib/catalogStore';
+
+/**
+ * POST /api/process-stream
+ *
+ * Streaming variant of /api/process. Assistant text is pushed to the client
+ * as server-sent events while Claude is still generating, followed by the
+ * final tool result in a separate event.
+ *
+ * Request body: same as /api/process
+ * {
+ *   userInput: string,
+ *   currentData: object,
+ *   conversationHistory: array
+ * }
+ *
+ * Response (text/event-stream):
+ *   event: text    data: { delta: string }
+ *   event: result  data: { updatedData, assistantMessage, isComplete }
+ *   event: error   data: { error: string, message: string }
+ * Failures before the stream opens (bad input, loading the catalog) are
+ * plain JSON responses with the same { error, message } body.
+ */
+export default async function handler(req, res) {
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { userInput, currentData, conversationHistory } = req.body;
+
+  // Validate input before switching to an event stream
+  if (!userInput || typeof userInput !== 'string') {
+    return res.status(400).json({ error: 'userInput is required and must be a string' });
+  }
+
+  // Provide defaults for optional parameters
+  const data = currentData || {
+    projectInfo: { address: '', date: '', assessor: '' },
+    workItems: [],
+    notes: ''
+  };
+  const history = conversationHistory || [];
+
+  // Price with the job's price list and pinned catalog version when the user is signed in.
+  // The session lookup can set cookies, so this runs before the stream opens and
+  // a failure is sent as a plain JSON error.
+  let catalog;
+  let itemRules;
+  let packages;
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    catalog = await getJobCatalog(session?.accessToken, data.priceList, data.catalogVersion?.version);
+    ({ itemRules, packages } = await getPricingCatalog(session?.accessToken));
+  } catch (error) {
+    console.error('Error loading the catalog in /api/process-stream:', error);
+    return res.status(500).json({
+      error: 'Failed to load pricing catalog',
+      message: error.message
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform keeps proxies from compressing the stream; X-Accel-Buffering stops nginx buffering it
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // Stop generating (and running tool rounds) once the client has gone.
+  // The body is already parsed by now, so watch the response rather than req.
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  const sendEvent = (event, payload) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  try {
+    const result = await processWithLLM(userInput, data, history, {
+      onText: (delta) => sendEvent('text', { delta }),
+      signal: abortController.signal,
+      catalog,
+      itemRules,
+      packages
+    });
+
+    sendEvent('result', result);
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      return;
+    }
+    console.error('Error in /api/process-stream:', error);
+    sendEvent('error', {
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    res.end();
+  }
+}
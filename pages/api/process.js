@@ -1,4 +1,7 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from './auth/[...nextauth]';
 import { processWithLLM } from '../../lib/anthropic';
+import { getJobCatalog, getPricingCatalog } from '../../lib/catalogStore';
 
 /**
  * POST /api/process
@@ -41,8 +44,13 @@ export default async function handler(req, res) {
     };
     const history = conversationHistory || [];
 
+    // Price with the job's price list and pinned catalog version when the user is signed in
+    const session = await getServerSession(req, res, authOptions);
+    const catalog = await getJobCatalog(session?.accessToken, data.priceList, data.catalogVersion?.version);
+    const { itemRules, packages } = await getPricingCatalog(session?.accessToken);
+
     // Process with LLM
-    const result = await processWithLLM(userInput, data, history);
+    const result = await processWithLLM(userInput, data, history, { catalog, itemRules, packages });
 
     // Return the result
     return res.status(200).json(result);
@@ -0,0 +1,124 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from './auth/[...nextauth]';
+import { readJobFromSheet } from '../../lib/sheets';
+import { downloadDriveImage } from '../../lib/driveUpload';
+import { getPricingCatalog, getJobCatalog } from '../../lib/catalogStore';
+import { workItemFromSheetRow } from '../../lib/workItems';
+import { adjustmentsFromLines } from '../../lib/jobTotals';
+import { DEFAULT_LABOR_SETTINGS } from '../../lib/laborEstimate';
+
+/**
+ * GET /api/reopen?sheet=<tab name>
+ *
+ * Read a submitted job back from its tab on the master spreadsheet so it can
+ * be amended in the app and submitted again. The sketch is downloaded from
+ * Drive so it can be edited on the canvas; photos keep their Drive links and
+ * are not uploaded again on resubmission.
+ *
+ * Response:
+ * {
+ *   structuredData: object (header fields, price list, catalog version, revision, adjustments, crew size, work items),
+ *   englishScope: string,
+ *   spanishScope: string,
+ *   sketch: string | null (data URL, or the Drive URL if it couldn't be downloaded),
+ *   sketchUrl: string | null,
+ *   photos: Array<{ id, url, name, caption, timestamp, sizeKB }>,
+ *   sheetName: string,
+ *   sheetUrl: string,
+ *   warnings: Array<string>
+ * }
+ * A missing tab answers 404 and a tab that isn't a job 422, with the reason in `error`.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const sheetName = String(req.query.sheet || '').trim();
+  if (!sheetName) {
+    return res.status(400).json({ error: 'sheet is required' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+    }
+
+    if (!session.accessToken) {
+      return res.status(401).json({ error: 'No access token. Please sign out and sign in again.' });
+    }
+
+    const job = await readJobFromSheet(sheetName, session.accessToken);
+    const warnings = [];
+
+    // Price against the catalog version the job was submitted with
+    const { versions } = await getPricingCatalog(session.accessToken);
+    const catalogVersion = job.catalogVersion
+      ? (versions || []).find(v => v.version === job.catalogVersion) || { version: job.catalogVersion, effectiveDate: '' }
+      : null;
+    const catalog = await getJobCatalog(session.accessToken, job.priceList, job.catalogVersion);
+
+    let sketch = null;
+    if (job.sketchUrl) {
+      try {
+        sketch = await downloadDriveImage(job.sketchUrl, session.accessToken);
+      } catch (sketchError) {
+        console.error('Failed to download sketch:', sketchError.message);
+        sketch = job.sketchUrl;
+        warnings.push('The sketch could not be downloaded - it will be kept as submitted but can\'t be edited');
+      }
+    }
+
+    const photos = job.photos.map((photo, i) => ({
+      id: `${sheetName}-photo-${i + 1}`,
+      url: photo.url,
+      name: `Photo ${i + 1}.jpg`,
+      caption: photo.caption,
+      timestamp: '',
+      sizeKB: null
+    }));
+
+    const workItems = job.workItems.map((row, i) => {
+      const workItem = workItemFromSheetRow(row, String(i + 1), catalog);
+      const sourcePhoto = row.photoNumber ? photos[row.photoNumber - 1] : null;
+      return sourcePhoto
+        ? { ...workItem, sourcePhotoId: sourcePhoto.id, sourcePhotoName: sourcePhoto.name }
+        : workItem;
+    });
+
+    return res.status(200).json({
+      structuredData: {
+        workOrderNumber: job.workOrderNumber || sheetName,
+        unitNumber: job.unitNumber,
+        address: job.address,
+        unitSquareFeet: job.unitSquareFeet,
+        unitLayout: job.unitLayout,
+        priceList: job.priceList,
+        catalogVersion,
+        revision: job.revision || 1,
+        adjustments: adjustmentsFromLines(job.adjustmentLines),
+        laborSettings: { ...DEFAULT_LABOR_SETTINGS, ...(job.crewSize ? { crewSize: job.crewSize } : {}) },
+        workItems,
+        nextItemId: workItems.length + 1
+      },
+      englishScope: job.englishScope,
+      spanishScope: job.spanishScope,
+      sketch,
+      sketchUrl: job.sketchUrl,
+      photos,
+      sheetName: job.sheetName,
+      sheetUrl: job.sheetUrl,
+      warnings
+    });
+
+  } catch (error) {
+    console.error('Error in /api/reopen:', error);
+    const isKnown = error.code === 404 || error.code === 422;
+    return res.status(isKnown ? error.code : 500).json({
+      error: isKnown ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+}
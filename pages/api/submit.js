@@ -1,11 +1,15 @@
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from './auth/[...nextauth]';
 import { writeToSheet } from '../../lib/sheets';
+import { checkSanity, blockingWarnings } from '../../lib/sanityRules';
+import { upsertJobLogEntry } from '../../lib/jobLog';
+import { calculateJobTotals } from '../../lib/jobTotals';
 
 /**
  * POST /api/submit
  * 
  * Submit turnover data, scopes, sketch, and photos to Google Sheets/Drive
+ * and add (or update) the job's row in the "Job Log" tab
  * Uses the logged-in user's OAuth token for API access
  * 
  * Request body:
@@ -14,7 +18,8 @@ import { writeToSheet } from '../../lib/sheets';
  *   englishScope: string,
  *   spanishScope: string,
  *   sketch: string (base64 data URL, optional),
- *   photos: Array<{ url: string, name: string, caption: string }> (optional)
+ *   photos: Array<{ url: string, name: string, caption: string }> (optional),
+ *   replaceRevision: number (optional - revision of the existing tab for this WO# that may be replaced)
  * }
  * 
  * Response:
@@ -22,9 +27,17 @@ import { writeToSheet } from '../../lib/sheets';
  *   success: boolean,
  *   sheetUrl: string,
  *   sheetName: string,
+ *   revision: number,
+ *   archivedSheetName: string | null (previous revision's tab, when one was replaced),
  *   sketchUrl: string (if sketch was uploaded),
+ *   photoFolderUrl: string | null (the job's Drive photo folder),
  *   photoUrls: Array (if photos were uploaded),
- *   error?: string
+ *   jobLogError: string | null (the job was written but its Job Log row could not be),
+ *   error?: string,
+ *   warnings?: Array (422 - high-severity sanity warnings not yet acknowledged),
+ *   conflict?: object (409 - the WO# already has a tab and replaceRevision doesn't match it:
+ *     { sheetName, sheetUrl, revision, nextRevision, archiveName, previous, changes }),
+ *   invalidWorkOrder?: true (400 - the WO# names one of the app's own tabs or a tab that isn't a job)
  * }
  */
 
@@ -54,7 +67,7 @@ export default async function handler(req, res) {
       return res.status(401).json({ error: 'No access token. Please sign out and sign in again.' });
     }
 
-    const { structuredData, englishScope, spanishScope, sketch, photos } = req.body;
+    const { structuredData, englishScope, spanishScope, sketch, photos, replaceRevision } = req.body;
 
     // Validate input
     if (!structuredData || typeof structuredData !== 'object') {
@@ -69,22 +82,68 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Both englishScope and spanishScope are required' });
     }
 
+    const blocking = blockingWarnings(checkSanity(structuredData));
+    if (blocking.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'High-severity warnings must be acknowledged before submitting',
+        warnings: blocking
+      });
+    }
+
     // Write to Google Sheet using user's OAuth token
     const sheetResult = await writeToSheet({
       structuredData,
       englishScope,
       spanishScope,
       sketch: sketch || null,
-      photos: photos || []
+      photos: photos || [],
+      replaceRevision: replaceRevision ?? null
     }, session.accessToken);
 
+    // Index the job in the Job Log tab - the job's own tab is already written, so a failure here only warns
+    let jobLogError = null;
+    try {
+      await upsertJobLogEntry({
+        sheetName: sheetResult.sheetName,
+        unitNumber: structuredData.unitNumber,
+        address: structuredData.address,
+        unitLayout: structuredData.unitLayout,
+        itemCount: structuredData.workItems.length,
+        grandTotal: calculateJobTotals(structuredData.workItems, structuredData.adjustments).grandTotal,
+        submittedBy: session.user?.email || '',
+        submittedAt: new Date().toISOString(),
+        revision: sheetResult.revision,
+        sheetUrl: sheetResult.sheetUrl,
+        photoFolderUrl: sheetResult.photoFolderUrl
+      }, session.accessToken);
+    } catch (logError) {
+      console.error('Failed to update the job log:', logError.message);
+      jobLogError = logError.message;
+    }
+
     // Return success response
     return res.status(200).json({
       success: true,
-      ...sheetResult
+      ...sheetResult,
+      jobLogError
     });
 
   } catch (error) {
+    if (error.code === 409) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        conflict: error.conflict
+      });
+    }
+    if (error.invalidWorkOrder) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        invalidWorkOrder: true
+      });
+    }
     console.error('Error in /api/submit:', error);
     return res.status(500).json({ 
       success: false,
@@ -0,0 +1,83 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from './auth/[...nextauth]';
+import { suggestWorkItemsFromPhotos } from '../../lib/anthropic';
+import { getJobCatalog } from '../../lib/catalogStore';
+import { driveFileIdFromUrl, downloadDriveImage } from '../../lib/driveUpload';
+
+/**
+ * POST /api/suggest-work-items
+ *
+ * Send site photos to Claude vision and get proposed work items back
+ *
+ * Request body:
+ * {
+ *   photos: Array<{ id: string, name: string, url: string (base64 data URL or Drive link), caption: string }>,
+ *   currentData: object (optional)
+ * }
+ *
+ * Response:
+ * {
+ *   suggestions: Array<workItem & { finding: string, sourcePhotoId: string, sourcePhotoName: string }>
+ * }
+ */
+
+// Photos are sent as base64 - allow room for several compressed images
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '20mb',
+    },
+  },
+};
+
+const MAX_PHOTOS = 10;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+    }
+
+    if (!session.accessToken) {
+      return res.status(401).json({ error: 'No access token. Please sign out and sign in again.' });
+    }
+
+    const { photos, currentData } = req.body;
+
+    if (!Array.isArray(photos) || photos.length === 0) {
+      return res.status(400).json({ error: 'At least one photo is required' });
+    }
+
+    if (photos.length > MAX_PHOTOS) {
+      return res.status(400).json({ error: `No more than ${MAX_PHOTOS} photos can be analyzed at once` });
+    }
+
+    // Photos on a reopened job are still Drive links; they're downloaded below
+    if (photos.some(p => !p || typeof p.url !== 'string' || (!p.url.startsWith('data:image/') && !driveFileIdFromUrl(p.url)))) {
+      return res.status(400).json({ error: 'Each photo must include a base64 image data URL or a Drive link' });
+    }
+
+    const catalog = await getJobCatalog(session.accessToken, currentData?.priceList, currentData?.catalogVersion?.version);
+
+    const images = await Promise.all(photos.map(async photo => (
+      photo.url.startsWith('data:image/') ? photo : { ...photo, url: await downloadDriveImage(photo.url, session.accessToken) }
+    )));
+
+    const suggestions = await suggestWorkItemsFromPhotos(images, currentData || {}, catalog);
+
+    return res.status(200).json({ suggestions });
+
+  } catch (error) {
+    console.error('Error suggesting work items:', error);
+    return res.status(500).json({
+      error: 'Failed to analyze photos',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,522 @@
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import Head from 'next/head';
+import Link from 'next/link';
+import LoginButton from '../components/LoginButton';
+import CatalogEditor, { withEditorKey } from '../components/CatalogEditor';
+
+/**
+ * Group flat catalog entries into ordered categories for the editor
+ */
+function groupEntries(entries) {
+  const categories = [];
+  entries.forEach(entry => {
+    let category = categories.find(c => c.name === entry.category);
+    if (!category) {
+      category = { name: entry.category, items: [] };
+      categories.push(category);
+    }
+    const { category: _category, ...fields } = entry;
+    category.items.push(withEditorKey(fields));
+  });
+  return categories;
+}
+
+/**
+ * Today's date as YYYY-MM-DD for the effective date picker
+ */
+function todayISO() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Flatten editor categories back into catalog entries in display order
+ */
+function flattenCategories(categories) {
+  return categories.flatMap(category => category.items.map(({ key, isNew, ...fields }) => ({
+    ...fields,
+    category: category.name.trim(),
+    pricePerUnit: Number(fields.pricePerUnit) || 0,
+    materialsAllowance: Number(fields.materialsAllowance) || 0,
+    hoursPerUnit: Number(fields.hoursPerUnit) || 0
+  })));
+}
+
+export default function CatalogPage() {
+  const { data: session, status } = useSession();
+  const loading = status === 'loading';
+  const authenticated = !!session;
+
+  const [categories, setCategories] = useState([]);
+  const [source, setSource] = useState(null); // 'sheet' | 'fallback'
+  const [liveVersion, setLiveVersion] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [effectiveDate, setEffectiveDate] = useState(todayISO);
+  const [loadError, setLoadError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDirty, setIsDirty] = useState(false);
+  const [saveErrors, setSaveErrors] = useState([]);
+  const [savedAt, setSavedAt] = useState(null);
+  const [showCustomOnly, setShowCustomOnly] = useState(false);
+  const [showRetired, setShowRetired] = useState(true);
+  const [canEdit, setCanEdit] = useState(false);
+  const [pricingTabEdits, setPricingTabEdits] = useState(null);
+
+  const applyCatalogResult = (result) => {
+    setCategories(groupEntries(result.entries || []));
+    setSource(result.source);
+    setLiveVersion(result.version || null);
+    setVersions(result.versions || []);
+    setLoadError(result.error || '');
+    setCanEdit(result.canEdit === true);
+    setPricingTabEdits(result.pricingTabEdits || null);
+    setIsDirty(false);
+  };
+
+  // Start the editor from the hand-edited Pricing tab so saving keeps those edits
+  const handleLoadPricingTab = () => {
+    if (isDirty && !window.confirm('Replace your unsaved changes with the prices in the Pricing tab?')) {
+      return;
+    }
+    setCategories(groupEntries(pricingTabEdits));
+    setPricingTabEdits(null);
+    setIsDirty(true);
+    setSaveErrors([]);
+    setSavedAt(null);
+  };
+
+  useEffect(() => {
+    if (!authenticated) return;
+
+    const loadCatalog = async () => {
+      setIsLoading(true);
+      try {
+        const response = await fetch('/api/catalog/refresh', { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.message || result.error || 'Failed to load catalog');
+        }
+        applyCatalogResult(result);
+      } catch (error) {
+        console.error('Error loading catalog:', error);
+        setLoadError(error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadCatalog();
+  }, [authenticated]);
+
+  // Warn before leaving with unsaved changes
+  useEffect(() => {
+    if (!isDirty) return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+
+  const handleChange = (updatedCategories) => {
+    setCategories(updatedCategories);
+    setIsDirty(true);
+    setSaveErrors([]);
+    setSavedAt(null);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setSaveErrors([]);
+
+    try {
+      const response = await fetch('/api/catalog', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ entries: flattenCategories(categories), effectiveDate })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        setSaveErrors(result.details || [result.message || result.error || 'Failed to save catalog']);
+        return;
+      }
+
+      applyCatalogResult(result);
+      setSavedAt(new Date());
+    } catch (error) {
+      console.error('Error saving catalog:', error);
+      setSaveErrors([error.message]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const allItems = categories.flatMap(category => category.items);
+  const activeCount = allItems.filter(item => !item.retired).length;
+  const customPriceCount = allItems.filter(item => !item.retired && Number(item.pricePerUnit) === 0).length;
+  const scheduledVersions = versions.filter(v => v.effectiveDate > todayISO());
+
+  return (
+    <div className="container">
+      <Head>
+        <title>Turnovers - Pricing Catalog</title>
+        <meta name="description" content="Edit the turnover pricing catalog" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <main>
+        <header>
+          <div className="header-top">
+            <div>
+              <h1>💲 Pricing Catalog</h1>
+              <p className="subtitle">
+                <Link href="/">← Back to assessment</Link>
+              </p>
+            </div>
+            <LoginButton />
+          </div>
+        </header>
+
+        {loading && (
+          <div className="loading-screen">
+            <p>Loading...</p>
+          </div>
+        )}
+
+        {!loading && !authenticated && (
+          <div className="auth-required">
+            <h2>Sign in to edit prices</h2>
+            <p>The pricing catalog is saved to the master spreadsheet with your Google account.</p>
+          </div>
+        )}
+
+        {!loading && authenticated && (
+          <>
+            {source === 'fallback' && (
+              <div className="fallback-banner">
+                ⚠️ Showing the built-in catalog because the "Pricing" tab could not be read
+                {loadError ? ` (${loadError})` : ''}. Saving will create the tab in the master spreadsheet.
+              </div>
+            )}
+
+            {!isLoading && !canEdit && (
+              <div className="read-only-banner">
+                🔒 You can view prices but not save them. Ask an admin to add your email to the catalog editors.
+              </div>
+            )}
+
+            {pricingTabEdits && (
+              <div className="edited-banner">
+                ⚠️ The Pricing tab was edited in the spreadsheet. Those prices are not live - jobs are priced from
+                {liveVersion ? ` v${liveVersion.version}` : ' the saved versions'}, and saving from the editor below replaces them.
+                {canEdit && (
+                  <>
+                    {' '}
+                    <button className="btn-link" onClick={handleLoadPricingTab}>
+                      Load the Pricing tab into the editor
+                    </button>{' '}
+                    and save it to make those prices a new version.
+                  </>
+                )}
+              </div>
+            )}
+
+            {scheduledVersions.length > 0 && (
+              <div className="scheduled-banner">
+                🗓️ Scheduled: {scheduledVersions.map(v => `v${v.version} on ${v.effectiveDate}`).join(', ')}.
+                The editor shows the most recently saved version.
+              </div>
+            )}
+
+            <div className="toolbar">
+              <div className="summary">
+                {isLoading ? 'Loading catalog...' : `${activeCount} active items · ${customPriceCount} with $0 custom price`}
+                <div className="version-info">
+                  {liveVersion
+                    ? `Live: v${liveVersion.version} (effective ${liveVersion.effectiveDate})`
+                    : 'Not versioned yet - the first save creates v1'}
+                </div>
+              </div>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={showCustomOnly}
+                  onChange={e => setShowCustomOnly(e.target.checked)}
+                />
+                Only $0 custom-price items
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={showRetired}
+                  onChange={e => setShowRetired(e.target.checked)}
+                />
+                Show retired
+              </label>
+              <label>
+                Effective
+                <input
+                  type="date"
+                  value={effectiveDate}
+                  min={todayISO()}
+                  onChange={e => setEffectiveDate(e.target.value)}
+                />
+              </label>
+              <button
+                className="btn btn-success"
+                onClick={handleSave}
+                disabled={!canEdit || !isDirty || isSaving || isLoading}
+              >
+                {isSaving ? 'Saving...' : '💾 Save as New Version'}
+              </button>
+            </div>
+
+            {saveErrors.length > 0 && (
+              <div className="error-banner">
+                <strong>Catalog not saved:</strong>
+                <ul>
+                  {saveErrors.map((error, i) => <li key={i}>{error}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {savedAt && (
+              <div className="saved-banner">
+                ✅ Saved at {savedAt.toLocaleTimeString()} -{' '}
+                {effectiveDate > todayISO()
+                  ? `new prices take effect on ${effectiveDate}.`
+                  : 'new prices apply to new jobs now. Existing jobs keep their version until repriced.'}
+              </div>
+            )}
+
+            {!isLoading && (
+              <CatalogEditor
+                categories={categories}
+                onChange={handleChange}
+                showCustomOnly={showCustomOnly}
+                showRetired={showRetired}
+              />
+            )}
+          </>
+        )}
+      </main>
+
+      <style jsx>{`
+        .container {
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        main {
+          max-width: 1200px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+
+        header {
+          margin-bottom: 24px;
+        }
+
+        .header-top {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 16px;
+        }
+
+        h1 {
+          margin: 0;
+          font-size: 36px;
+          color: #333;
+        }
+
+        .subtitle {
+          margin: 8px 0 0 0;
+          color: #666;
+          font-size: 16px;
+        }
+
+        .loading-screen,
+        .auth-required {
+          text-align: center;
+          padding: 60px 20px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+
+        .auth-required h2 {
+          margin-top: 0;
+          color: #333;
+        }
+
+        .auth-required p {
+          color: #666;
+          font-size: 16px;
+        }
+
+        .toolbar {
+          position: sticky;
+          top: 0;
+          z-index: 10;
+          display: flex;
+          align-items: center;
+          gap: 20px;
+          flex-wrap: wrap;
+          background: white;
+          padding: 12px 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+          margin-bottom: 20px;
+        }
+
+        .summary {
+          flex: 1;
+          color: #555;
+          font-weight: 600;
+        }
+
+        .version-info {
+          font-size: 12px;
+          font-weight: 400;
+          color: #999;
+          margin-top: 2px;
+        }
+
+        input[type="date"] {
+          padding: 6px 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+          font-family: inherit;
+        }
+
+        .read-only-banner {
+          padding: 12px 16px;
+          background: #f5f5f5;
+          border: 2px solid #9e9e9e;
+          border-radius: 6px;
+          color: #555;
+          font-weight: 600;
+          margin-bottom: 20px;
+        }
+
+        .edited-banner {
+          padding: 12px 16px;
+          background: #fff3cd;
+          border: 2px solid #ffc107;
+          border-radius: 6px;
+          color: #856404;
+          font-weight: 600;
+          margin-bottom: 20px;
+        }
+
+        .btn-link {
+          padding: 0;
+          border: none;
+          background: none;
+          color: #1565c0;
+          font: inherit;
+          text-decoration: underline;
+          cursor: pointer;
+        }
+
+        .scheduled-banner {
+          padding: 12px 16px;
+          background: #e3f2fd;
+          border: 2px solid #2196F3;
+          border-radius: 6px;
+          color: #1565c0;
+          font-weight: 600;
+          margin-bottom: 20px;
+        }
+
+        label {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 14px;
+          color: #555;
+          cursor: pointer;
+        }
+
+        .btn {
+          padding: 12px 24px;
+          border: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .btn-success {
+          background: #4CAF50;
+          color: white;
+        }
+
+        .btn-success:hover:not(:disabled) {
+          background: #45a049;
+        }
+
+        .btn:disabled {
+          background: #cccccc;
+          cursor: not-allowed;
+        }
+
+        .fallback-banner {
+          padding: 12px 16px;
+          background: #fff3cd;
+          border: 2px solid #ffc107;
+          border-radius: 6px;
+          color: #856404;
+          font-weight: 600;
+          margin-bottom: 20px;
+        }
+
+        .error-banner {
+          padding: 12px 16px;
+          background: #ffebee;
+          border: 2px solid #f44336;
+          border-radius: 6px;
+          color: #c62828;
+          margin-bottom: 20px;
+        }
+
+        .error-banner ul {
+          margin: 8px 0 0 0;
+          padding-left: 20px;
+        }
+
+        .saved-banner {
+          padding: 12px 16px;
+          background: #d4edda;
+          border: 2px solid #28a745;
+          border-radius: 6px;
+          color: #155724;
+          font-weight: 600;
+          margin-bottom: 20px;
+        }
+      `}</style>
+
+      <style jsx global>{`
+        * {
+          box-sizing: border-box;
+        }
+
+        html,
+        body {
+          padding: 0;
+          margin: 0;
+          font-family: -apple-system, BlinkMacSystemFont, Segoe UI, Roboto,
+            Oxygen, Ubuntu, Cantarell, Fira Sans, Droid Sans, Helvetica Neue,
+            sans-serif;
+        }
+      `}</style>
+    </div>
+  );
+}
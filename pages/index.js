@@ -1,17 +1,67 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useSession } from 'next-auth/react';
 import Head from 'next/head';
 import InputSection from '../components/InputSection';
 import ConversationView from '../components/ConversationView';
 import DataTable from '../components/DataTable';
 import TableEditor from '../components/TableEditor';
+import RepriceDialog from '../components/RepriceDialog';
+import ResubmitDialog from '../components/ResubmitDialog';
 import ScopePreview from '../components/ScopePreview';
 import TabNavigation from '../components/TabNavigation';
 import SketchCanvas from '../components/SketchCanvas';
 import PhotoGallery from '../components/PhotoGallery';
+import PhotoSuggestions from '../components/PhotoSuggestions';
+import RoomList from '../components/RoomList';
+import MaterialsList from '../components/MaterialsList';
 import LoginButton from '../components/LoginButton';
+import JobList from '../components/JobList';
 import { mockProcessAPI, mockSubmitAPI, mockStructuredData } from '../lib/mockData';
 import { stopSpeaking } from '../lib/tts';
+import { readEventStream } from '../lib/eventStream';
+import { nextWorkItemId, createWorkItem, repriceWorkItems, diffWorkItemPrices } from '../lib/workItems';
+import { PRICING_CATALOG, resolvePriceList } from '../lib/pricingCatalog';
+import { DEFAULT_ADJUSTMENTS } from '../lib/jobTotals';
+import { DEFAULT_MATERIALS_SETTINGS, buildMaterialsList } from '../lib/materialsList';
+import { DEFAULT_LABOR_SETTINGS } from '../lib/laborEstimate';
+import { checkSanity, blockingWarnings } from '../lib/sanityRules';
+import { DEFAULT_ITEM_RULES, evaluateItemRules } from '../lib/itemRules';
+import { DEFAULT_PACKAGES, applyPackage, findPackage } from '../lib/turnoverPackages';
+import {
+  isDraftStorageAvailable, draftKeyFor, newDraftKey, saveDraft, loadDraft, loadLatestDraft, listDrafts, duplicateDraft,
+  deleteDraft, hasDraftContent
+} from '../lib/draftStore';
+import {
+  isOffline, isNetworkError, queueSync, describeSync, requestScopes, requestSubmit, syncPendingJobs
+} from '../lib/syncQueue';
+import { createJobBundle, bundleFileName, parseJobBundle } from '../lib/jobBundle';
+
+// Wait for typing / drawing to pause before writing the draft
+const DRAFT_SAVE_DELAY_MS = 1000;
+// Most photos /api/suggest-work-items analyzes in one request
+const MAX_SUGGESTION_PHOTOS = 10;
+
+// Blank assessment - used on first load and when starting a new assessment
+const createEmptyStructuredData = () => ({
+  workOrderNumber: '',
+  unitNumber: '',
+  address: '',
+  unitSquareFeet: '',
+  unitLayout: '',
+  priceList: '', // blank = base catalog prices
+  catalogVersion: null, // { version, effectiveDate } the job is priced against
+  revision: null, // revision of the job's sheet tab once submitted (1, 2, ...)
+  rooms: [],
+  roomGeometry: {},
+  adjustments: { ...DEFAULT_ADJUSTMENTS }, // markup, overhead, tax, trip charges and discounts
+  materialsSettings: { ...DEFAULT_MATERIALS_SETTINGS }, // waste factors and package sizes for the shopping list
+  laborSettings: { ...DEFAULT_LABOR_SETTINGS }, // crew size and work day for the labor estimate
+  nextItemId: 1, // work item id counter - ids aren't reused after a line is removed
+  acknowledgedWarnings: [], // sanity warning ids the inspector has checked
+  dismissedCompanions: [], // item rule keys whose suggested companion isn't needed on this job
+  package: '', // standard turnover package applied to the job, if any
+  workItems: []
+});
 
 export default function Home() {
   const { data: session, status } = useSession();
@@ -20,14 +70,7 @@ export default function Home() {
   const sessionError = session?.error === 'RefreshAccessTokenError';
   
   const [conversationHistory, setConversationHistory] = useState([]);
-  const [structuredData, setStructuredData] = useState({
-    workOrderNumber: '',
-    unitNumber: '',
-    address: '',
-    unitSquareFeet: '',
-    unitLayout: '',
-    workItems: []
-  });
+  const [structuredData, setStructuredData] = useState(createEmptyStructuredData);
   const [englishScope, setEnglishScope] = useState('');
   const [spanishScope, setSpanishScope] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
@@ -42,22 +85,652 @@ export default function Home() {
   const [sketch, setSketch] = useState(null);
   const [photos, setPhotos] = useState([]);
   const [isTableEditorOpen, setIsTableEditorOpen] = useState(false);
+  const [photoSuggestions, setPhotoSuggestions] = useState([]);
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [isDetectingRooms, setIsDetectingRooms] = useState(false);
+  const [pricingCatalog, setPricingCatalog] = useState(PRICING_CATALOG);
+  const [priceLists, setPriceLists] = useState({});
+  const [itemRules, setItemRules] = useState(DEFAULT_ITEM_RULES);
+  const [packages, setPackages] = useState(DEFAULT_PACKAGES);
+  const [liveCatalogVersion, setLiveCatalogVersion] = useState(null);
+  const [pinnedCatalog, setPinnedCatalog] = useState(null); // { version, catalog } for jobs on an older version
+  const [isRepriceOpen, setIsRepriceOpen] = useState(false);
+  const [pendingDraft, setPendingDraft] = useState(null); // saved draft waiting for resume / discard
+  const [draftsChecked, setDraftsChecked] = useState(false); // autosave waits until saved drafts were looked at
+  const [isJobListOpen, setIsJobListOpen] = useState(false);
+  const [jobs, setJobs] = useState([]); // draft summaries for the job list
+  const [isLoadingJobs, setIsLoadingJobs] = useState(false);
+  const [pendingSync, setPendingSync] = useState(null); // scopes / submission queued while offline (see syncQueue.js)
+  const [isOnline, setIsOnline] = useState(true);
+  const [isReopening, setIsReopening] = useState(false);
+  const [resubmitConflict, setResubmitConflict] = useState(null); // existing sheet for this WO# and what resubmitting changes
+  const draftIdRef = useRef(null); // draft key while the job has no work order number
+  const savedDraftKeyRef = useRef(null); // key the current job was last saved under
+  const reopenHandledRef = useRef(false); // ?reopen= is only acted on once per page load
+
+  // Catalog priced for this job's selected price list, at the version the job is pinned to
+  const jobVersion = structuredData.catalogVersion?.version;
+  const catalogOutdated = !!(jobVersion && liveCatalogVersion && jobVersion !== liveCatalogVersion.version);
+  const jobBaseCatalog = catalogOutdated && pinnedCatalog?.version === jobVersion ? pinnedCatalog.catalog : pricingCatalog;
+  const jobCatalog = resolvePriceList(jobBaseCatalog, priceLists, structuredData.priceList);
+  const currentJobCatalog = resolvePriceList(pricingCatalog, priceLists, structuredData.priceList);
+
+  // Implausible quantities, $0 lines and duplicates - shown in the table and the conversation
+  const sanityWarnings = checkSanity(structuredData);
+  // Missing companions and mutually exclusive items from the item rules
+  const itemRuleResults = evaluateItemRules(structuredData.workItems, itemRules, {
+    dismissed: structuredData.dismissedCompanions,
+    catalog: jobCatalog
+  });
 
   // Mock mode flag - set to false when APIs are ready
   const MOCK_MODE = false;
   
+  // If scopes were already generated, mark them as needing regeneration
+  const invalidateScopes = () => {
+    if (scopesGenerated) {
+      setScopesGenerated(false);
+      setEnglishScope('');
+      setSpanishScope('');
+    }
+  };
+
   // Handle saving work items from the table editor
   const handleSaveWorkItems = (updatedWorkItems) => {
     setStructuredData(prev => ({
       ...prev,
-      workItems: updatedWorkItems
+      workItems: updatedWorkItems,
+      // Count from before the edit so removed rows' ids aren't handed out again
+      nextItemId: Number(nextWorkItemId(prev.workItems, prev.nextItemId))
     }));
-    // If scopes were already generated, mark them as needing regeneration
-    if (scopesGenerated) {
-      setScopesGenerated(false);
-      setEnglishScope('');
-      setSpanishScope('');
+    invalidateScopes();
+  };
+
+  // Pin new jobs to the live catalog version so later price changes don't re-price them
+  useEffect(() => {
+    if (liveCatalogVersion && !structuredData.catalogVersion) {
+      setStructuredData(prev => ({ ...prev, catalogVersion: liveCatalogVersion }));
+    }
+  }, [liveCatalogVersion, structuredData.catalogVersion]);
+
+  // Load the catalog for jobs pinned to an older version
+  useEffect(() => {
+    if (!catalogOutdated || pinnedCatalog?.version === jobVersion) return;
+
+    let cancelled = false;
+    fetch(`/api/catalog?version=${jobVersion}`)
+      .then(response => response.ok ? response.json() : null)
+      .then(result => {
+        if (!cancelled && result?.catalog) {
+          setPinnedCatalog({ version: jobVersion, catalog: result.catalog });
+        }
+      })
+      .catch(error => console.warn(`Could not load catalog version ${jobVersion}:`, error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [catalogOutdated, jobVersion]);
+
+  // Switch the job to another price list and re-price its catalog items
+  const handlePriceListChange = (priceList) => {
+    setStructuredData(prev => ({
+      ...prev,
+      priceList,
+      workItems: repriceWorkItems(prev.workItems, resolvePriceList(jobBaseCatalog, priceLists, priceList))
+    }));
+  };
+
+  // Move the job to the live catalog version after the inspector reviewed the price diff
+  const handleApplyReprice = () => {
+    setStructuredData(prev => ({
+      ...prev,
+      workItems: repriceWorkItems(prev.workItems, currentJobCatalog),
+      catalogVersion: liveCatalogVersion
+    }));
+    setIsRepriceOpen(false);
+  };
+
+  const handleAdjustmentsChange = (adjustments) => {
+    setStructuredData(prev => ({ ...prev, adjustments }));
+  };
+
+  const handleMaterialsSettingsChange = (materialsSettings) => {
+    setStructuredData(prev => ({ ...prev, materialsSettings }));
+  };
+
+  const handleLaborSettingsChange = (laborSettings) => {
+    setStructuredData(prev => ({ ...prev, laborSettings }));
+  };
+
+  // One tap adds a rule's missing companion at the suggested amount
+  const handleAddCompanion = (suggestion) => {
+    setStructuredData(prev => {
+      const id = nextWorkItemId(prev.workItems, prev.nextItemId);
+      return {
+        ...prev,
+        workItems: [
+          ...prev.workItems,
+          createWorkItem({ ...suggestion.companion, amount: suggestion.amount, notes: suggestion.notes }, id, jobCatalog)
+        ],
+        nextItemId: Number(id) + 1
+      };
+    });
+    invalidateScopes();
+  };
+
+  // Add a standard turn's lines; lines already on the job are left alone
+  const handleApplyPackage = (packageName) => {
+    const pkg = findPackage(packages, packageName);
+    if (!pkg) return;
+    if (structuredData.package && structuredData.package !== pkg.name &&
+        !window.confirm(`This job already uses "${structuredData.package}". Add the lines of "${pkg.name}" as well?`)) {
+      return;
+    }
+
+    const result = applyPackage(structuredData, pkg, jobCatalog);
+    setStructuredData(result.structuredData);
+    if (result.added > 0) {
+      invalidateScopes();
+    }
+    if (result.skipped.length > 0) {
+      alert(`Added ${result.added} line${result.added === 1 ? '' : 's'} from "${pkg.name}".\n\nSkipped:\n${result.skipped.map(line => `• ${line.item}: ${line.reason}`).join('\n')}`);
+    }
+  };
+
+  const handleDismissCompanion = (ruleKey) => {
+    setStructuredData(prev => ({
+      ...prev,
+      dismissedCompanions: [...(prev.dismissedCompanions || []), ruleKey]
+    }));
+  };
+
+  const handleAcknowledgeWarning = (warningId) => {
+    setStructuredData(prev => ({
+      ...prev,
+      acknowledgedWarnings: [...(prev.acknowledgedWarnings || []), warningId]
+    }));
+  };
+
+  // Accept a loose catalog match the inspector has checked
+  const handleConfirmMatch = (itemId) => {
+    setStructuredData(prev => ({
+      ...prev,
+      workItems: prev.workItems.map(item => (item.id === itemId ? { ...item, needsConfirmation: false } : item))
+    }));
+  };
+
+  // Ask Claude to propose work items from the site photos
+  const handleSuggestWorkItems = async () => {
+    if (photos.length > MAX_SUGGESTION_PHOTOS && !window.confirm(
+      `Only ${MAX_SUGGESTION_PHOTOS} photos can be analyzed at once. ` +
+      `The last ${MAX_SUGGESTION_PHOTOS} of your ${photos.length} photos will be used - continue?`
+    )) {
+      return;
+    }
+    setIsSuggesting(true);
+
+    try {
+      const response = await fetch('/api/suggest-work-items', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          photos: photos.slice(-MAX_SUGGESTION_PHOTOS).map(p => ({
+            id: String(p.id),
+            name: p.name,
+            url: p.url,
+            caption: p.caption || ''
+          })),
+          currentData: structuredData
+        })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || result.error || 'Photo analysis failed');
+      }
+
+      setPhotoSuggestions(result.suggestions);
+      if (result.suggestions.length === 0) {
+        alert('No work items found in these photos.');
+      }
+
+    } catch (error) {
+      console.error('Error suggesting work items:', error);
+      alert('Failed to analyze photos. Please try again.');
+    } finally {
+      setIsSuggesting(false);
+    }
+  };
+
+  // Read rooms and dimensions from the floor-plan sketch
+  const handleDetectRooms = async () => {
+    if (!sketch) return;
+    setIsDetectingRooms(true);
+
+    try {
+      const response = await fetch('/api/extract-rooms', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sketch, currentData: structuredData })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || result.error || 'Sketch analysis failed');
+      }
+
+      handleRoomsChange(result.rooms);
+      if (result.rooms.length === 0) {
+        alert('No rooms found on the sketch.');
+      }
+
+    } catch (error) {
+      console.error('Error detecting rooms:', error);
+      alert('Failed to read the floor plan. Please try again.');
+    } finally {
+      setIsDetectingRooms(false);
+    }
+  };
+
+  const handleRoomsChange = (rooms) => {
+    setStructuredData(prev => ({ ...prev, rooms }));
+  };
+
+  // Accept a photo suggestion into the work items, keeping its link to the source photo
+  const handleAcceptSuggestion = (suggestion) => {
+    const { id, finding, ...workItem } = suggestion;
+    setStructuredData(prev => {
+      const id = nextWorkItemId(prev.workItems, prev.nextItemId);
+      return { ...prev, workItems: [...prev.workItems, { ...workItem, id }], nextItemId: Number(id) + 1 };
+    });
+    setPhotoSuggestions(prev => prev.filter(s => s.id !== id));
+    invalidateScopes();
+  };
+
+  const handleDismissSuggestion = (suggestion) => {
+    setPhotoSuggestions(prev => prev.filter(s => s.id !== suggestion.id));
+  };
+
+  // Load the live pricing catalog (from the "Pricing" sheet tab) once signed in
+  useEffect(() => {
+    if (!authenticated || MOCK_MODE) return;
+
+    let cancelled = false;
+    fetch('/api/catalog')
+      .then(response => response.ok ? response.json() : null)
+      .then(result => {
+        if (!cancelled && result?.catalog) {
+          setPricingCatalog(result.catalog);
+          setPriceLists(result.priceLists || {});
+          setItemRules(result.itemRules || DEFAULT_ITEM_RULES);
+          setPackages(result.packages || DEFAULT_PACKAGES);
+          setLiveCatalogVersion(result.version || null);
+        }
+      })
+      .catch(error => console.warn('Using built-in pricing catalog:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticated]);
+
+  // Offer to resume the last draft after a reload
+  useEffect(() => {
+    if (!authenticated || !isDraftStorageAvailable()) return;
+
+    let cancelled = false;
+    loadLatestDraft()
+      .then(draft => {
+        if (!cancelled) {
+          setPendingDraft(draft);
+          setDraftsChecked(true);
+        }
+      })
+      .catch(error => {
+        console.warn('Could not load saved drafts:', error);
+        if (!cancelled) setDraftsChecked(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticated]);
+
+  const currentDraft = () => ({
+    conversationHistory, structuredData, englishScope, spanishScope, scopesGenerated, isComplete, currentStep,
+    isSubmitted, submittedSheetUrl, pendingSync, sketch, photos
+  });
+
+  // Save the job as a draft under its work order number (or its generated key until it has one)
+  const saveCurrentDraft = async (draft = currentDraft()) => {
+    if (!isDraftStorageAvailable() || !hasDraftContent(draft)) return;
+
+    if (!draftIdRef.current) {
+      draftIdRef.current = newDraftKey();
+    }
+    const jobId = draftIdRef.current;
+    const key = draftKeyFor(draft.structuredData, jobId);
+    await saveDraft(key, draft, savedDraftKeyRef.current);
+    // Another job may have been opened while this one was saving
+    if (draftIdRef.current === jobId) {
+      savedDraftKeyRef.current = key;
+    }
+  };
+
+  // Save the job whenever it changes; submitted jobs stay in the job list marked as submitted
+  useEffect(() => {
+    if (!draftsChecked || pendingDraft) return;
+
+    const draft = currentDraft();
+    const timer = setTimeout(() => {
+      saveCurrentDraft(draft).catch(error => console.warn('Could not save draft:', error));
+    }, DRAFT_SAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [draftsChecked, pendingDraft, conversationHistory, structuredData, englishScope, spanishScope, scopesGenerated, isComplete, currentStep, isSubmitted, submittedSheetUrl, pendingSync, sketch, photos]);
+
+  // Make a saved draft the job being worked on
+  const applyDraft = (draft) => {
+    setConversationHistory(draft.conversationHistory || []);
+    setStructuredData({ ...createEmptyStructuredData(), ...draft.structuredData });
+    setEnglishScope(draft.englishScope || '');
+    setSpanishScope(draft.spanishScope || '');
+    setScopesGenerated(!!draft.scopesGenerated);
+    setIsComplete(!!draft.isComplete);
+    setCurrentStep(draft.currentStep || 'input');
+    setIsSubmitted(!!draft.isSubmitted);
+    setSubmittedSheetUrl(draft.submittedSheetUrl || '');
+    setPendingSync(draft.pendingSync || null);
+    setSketch(draft.sketch || null);
+    setPhotos(draft.photos || []);
+    setPhotoSuggestions([]);
+    setActiveTab('data');
+    draftIdRef.current = draft.key.startsWith('draft:') ? draft.key : newDraftKey();
+    savedDraftKeyRef.current = draft.key;
+  };
+
+  // A queued job's state changed while syncing - show it if it's the job on screen
+  const handleJobSynced = (job) => {
+    if (job.key === savedDraftKeyRef.current) {
+      if (job.structuredData?.revision) {
+        setStructuredData(prev => ({ ...prev, revision: job.structuredData.revision }));
+      }
+      setPendingSync(job.pendingSync || null);
+      setEnglishScope(job.englishScope || '');
+      setSpanishScope(job.spanishScope || '');
+      setScopesGenerated(!!job.scopesGenerated);
+      setCurrentStep(job.currentStep || 'input');
+      setIsSubmitted(!!job.isSubmitted);
+      setSubmittedSheetUrl(job.submittedSheetUrl || '');
+    }
+    listDrafts().then(setJobs).catch(error => console.warn('Could not list drafts:', error));
+  };
+
+  const syncNow = () => {
+    syncPendingJobs(handleJobSynced).catch(error => console.warn('Could not sync queued jobs:', error));
+  };
+
+  // Queue the current job's scopes or submission and send it right away when there is a connection
+  const queueCurrentJob = async (action, data = structuredData) => {
+    const queued = queueSync(action, pendingSync);
+    setPendingSync(queued);
+    try {
+      await saveCurrentDraft({ ...currentDraft(), structuredData: data, pendingSync: queued });
+      if (!isOffline()) {
+        syncNow();
+      }
+    } catch (error) {
+      console.error('Error queuing job:', error);
+      alert('Could not save the job for sending later. Please try again.');
+    }
+  };
+
+  const handleRetrySync = () => {
+    queueCurrentJob(pendingSync.action);
+  };
+
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    updateOnline();
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  // Send queued jobs on load and whenever the connection comes back
+  useEffect(() => {
+    if (draftsChecked && isOnline) {
+      syncNow();
+    }
+  }, [draftsChecked, isOnline]);
+
+  const handleResumeDraft = () => {
+    applyDraft(pendingDraft);
+    setPendingDraft(null);
+  };
+
+  const handleDiscardSavedDraft = async () => {
+    if (!window.confirm('Discard the saved assessment? Its conversation, photos and sketch will be lost.')) {
+      return;
+    }
+    try {
+      await deleteDraft(pendingDraft.key);
+    } catch (error) {
+      console.warn('Could not discard draft:', error);
+    }
+    setPendingDraft(null);
+  };
+
+  const refreshJobs = async () => {
+    setIsLoadingJobs(true);
+    try {
+      setJobs(await listDrafts());
+    } catch (error) {
+      console.warn('Could not list drafts:', error);
+    } finally {
+      setIsLoadingJobs(false);
+    }
+  };
+
+  // Save the current job first so the list (and switching back) has its latest state
+  const handleOpenJobList = async () => {
+    setIsJobListOpen(true);
+    try {
+      await saveCurrentDraft();
+    } catch (error) {
+      console.warn('Could not save draft:', error);
+    }
+    refreshJobs();
+  };
+
+  const handleOpenJob = async (key) => {
+    try {
+      await saveCurrentDraft();
+      const draft = await loadDraft(key);
+      if (!draft) {
+        alert('That job is no longer saved on this device.');
+        refreshJobs();
+        return;
+      }
+      applyDraft(draft);
+      setPendingDraft(null);
+      setIsJobListOpen(false);
+    } catch (error) {
+      console.error('Error opening job:', error);
+      alert('Failed to open the job. Please try again.');
+    }
+  };
+
+  const handleNewJob = async () => {
+    try {
+      await saveCurrentDraft();
+    } catch (error) {
+      console.warn('Could not save draft:', error);
+    }
+    handleReset();
+    setPendingDraft(null);
+    setIsJobListOpen(false);
+  };
+
+  const handleDuplicateJob = async (key) => {
+    try {
+      await saveCurrentDraft();
+      await duplicateDraft(key);
+    } catch (error) {
+      console.error('Error duplicating job:', error);
+      alert('Failed to duplicate the job. Please try again.');
+    }
+    refreshJobs();
+  };
+
+  const handleExportJob = async (key) => {
+    try {
+      await saveCurrentDraft();
+      const job = await loadDraft(key);
+      if (!job) {
+        alert('That job is no longer saved on this device.');
+        return;
+      }
+      const blob = new Blob([JSON.stringify(createJobBundle(job))], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = bundleFileName(job.structuredData);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting job:', error);
+      alert('Failed to export the job. Please try again.');
+    }
+  };
+
+  // Open an exported job; a job with the same work order number on this device is replaced only if confirmed
+  const handleImportJob = async (file) => {
+    let job;
+    try {
+      job = parseJobBundle(await file.text());
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+      return;
+    }
+
+    try {
+      await saveCurrentDraft();
+      const key = draftKeyFor(job.structuredData, newDraftKey());
+      const existing = await loadDraft(key);
+      if (existing && !window.confirm(`WO #${job.structuredData.workOrderNumber} is already on this device (saved ${new Date(existing.updatedAt).toLocaleString()}). Replace it with the imported job?`)) {
+        return;
+      }
+      await saveDraft(key, job);
+      applyDraft({ ...job, key });
+      setPendingDraft(null);
+      setIsJobListOpen(false);
+    } catch (error) {
+      console.error('Error importing job:', error);
+      alert('Failed to import the job. Please try again.');
+    }
+  };
+
+  // Load a submitted job back from its sheet tab so it can be amended and submitted again
+  const handleReopenJob = async (sheetName) => {
+    const name = (sheetName ?? window.prompt('Work order number (sheet tab) to reopen:') ?? '').trim();
+    if (!name) return;
+
+    setIsReopening(true);
+    try {
+      const response = await fetch(`/api/reopen?sheet=${encodeURIComponent(name)}`);
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        alert(response.status === 404 ? `No sheet tab named "${name}" was found.` : `Could not reopen ${name}: ${result.message || result.error || 'Unknown error'}`);
+        return;
+      }
+
+      const job = {
+        conversationHistory: [],
+        structuredData: { ...createEmptyStructuredData(), ...result.structuredData },
+        englishScope: result.englishScope || '',
+        spanishScope: result.spanishScope || '',
+        scopesGenerated: !!(result.englishScope && result.spanishScope),
+        isComplete: true,
+        currentStep: result.englishScope && result.spanishScope ? 'scopes' : 'review',
+        isSubmitted: false,
+        submittedSheetUrl: '',
+        pendingSync: null,
+        sketch: result.sketch || null,
+        photos: result.photos || []
+      };
+
+      await saveCurrentDraft();
+      const key = draftKeyFor(job.structuredData, newDraftKey());
+      const existing = await loadDraft(key);
+      if (existing && !window.confirm(`WO #${job.structuredData.workOrderNumber} is already on this device (saved ${new Date(existing.updatedAt).toLocaleString()}). Replace it with the job from the sheet?`)) {
+        return;
+      }
+      await saveDraft(key, job);
+      applyDraft({ ...job, key });
+      setPendingDraft(null);
+      setIsJobListOpen(false);
+      if (result.warnings?.length > 0) {
+        alert(result.warnings.join('\n'));
+      }
+    } catch (error) {
+      console.error('Error reopening job:', error);
+      alert('Failed to reopen the job. Please try again.');
+    } finally {
+      setIsReopening(false);
+    }
+  };
+
+  // /?reopen=<sheet tab> opens a submitted job (linked from the jobs dashboard)
+  useEffect(() => {
+    if (!draftsChecked || reopenHandledRef.current) return;
+    reopenHandledRef.current = true;
+
+    const sheetName = new URLSearchParams(window.location.search).get('reopen');
+    if (sheetName) {
+      window.history.replaceState(null, '', window.location.pathname);
+      handleReopenJob(sheetName);
+    }
+  }, [draftsChecked]);
+
+  const handleDeleteJob = async (job) => {
+    const label = job.workOrderNumber ? `WO #${job.workOrderNumber}` : 'this job';
+    if (!window.confirm(`Delete ${label} from this device? Its conversation, photos and sketch will be lost.`)) {
+      return;
+    }
+    try {
+      await deleteDraft(job.key);
+    } catch (error) {
+      console.warn('Could not delete draft:', error);
+    }
+    if (job.key === savedDraftKeyRef.current) {
+      handleReset();
+    }
+    if (job.key === pendingDraft?.key) {
+      setPendingDraft(null);
     }
+    refreshJobs();
+  };
+
+  // Throw away the job in progress, including its saved draft
+  const handleDiscardCurrentDraft = async () => {
+    if (!window.confirm('Discard this assessment? Its conversation, photos and sketch will be lost.')) {
+      return;
+    }
+    if (savedDraftKeyRef.current) {
+      try {
+        await deleteDraft(savedDraftKeyRef.current);
+      } catch (error) {
+        console.warn('Could not discard draft:', error);
+      }
+    }
+    handleReset();
   };
 
   // Cleanup TTS on unmount
@@ -85,8 +758,8 @@ export default function Home() {
         // Use mock API
         result = await mockProcessAPI(userInput, structuredData, newHistory);
       } else {
-        // Real API call - include input language for better LLM processing
-        const response = await fetch('/api/process', {
+        // Real API call - stream the assistant reply into the conversation as it arrives
+        const response = await fetch('/api/process-stream', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -96,7 +769,35 @@ export default function Home() {
             conversationHistory: newHistory
           })
         });
-        result = await response.json();
+
+        if (!response.ok) {
+          const errorBody = await response.json().catch(() => ({}));
+          throw new Error(errorBody.message || errorBody.error || 'Processing failed');
+        }
+
+        let streamedText = '';
+        setConversationHistory([
+          ...newHistory,
+          { role: 'assistant', content: '', streaming: true }
+        ]);
+
+        await readEventStream(response, (event, data) => {
+          if (event === 'text') {
+            streamedText += data.delta;
+            setConversationHistory([
+              ...newHistory,
+              { role: 'assistant', content: streamedText, streaming: true }
+            ]);
+          } else if (event === 'result') {
+            result = data;
+          } else if (event === 'error') {
+            throw new Error(data.message || data.error || 'Processing failed');
+          }
+        });
+
+        if (!result) {
+          throw new Error('Stream ended without a result');
+        }
       }
 
       // Add assistant response to history
@@ -130,6 +831,12 @@ export default function Home() {
   };
 
   const handleGenerateScopes = async () => {
+    // Scopes need Claude - without a connection they are generated once the device is back online
+    if (!MOCK_MODE && isOffline()) {
+      queueCurrentJob('scopes');
+      return;
+    }
+
     setIsProcessing(true);
 
     try {
@@ -140,25 +847,20 @@ export default function Home() {
         setSpanishScope(result.spanishScope);
       } else {
         // Generate scopes via API (without submitting)
-        const response = await fetch('/api/generate-scopes', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ structuredData })
-        });
-        
-        if (!response.ok) {
-          throw new Error('Failed to generate scopes');
-        }
-        
-        const result = await response.json();
+        const result = await requestScopes(structuredData);
         setEnglishScope(result.englishScope);
         setSpanishScope(result.spanishScope);
       }
 
       setScopesGenerated(true);
       setCurrentStep('scopes');
+      setPendingSync(null);
 
     } catch (error) {
+      if (isNetworkError(error)) {
+        queueCurrentJob('scopes');
+        return;
+      }
       console.error('Error generating scopes:', error);
       alert('Failed to generate scopes. Please try again.');
     } finally {
@@ -167,38 +869,67 @@ export default function Home() {
   };
 
   const handleSubmit = async () => {
+    const unconfirmed = structuredData.workItems.filter(item => item.needsConfirmation);
+    if (unconfirmed.length > 0) {
+      const list = unconfirmed.map(item => `- ${item.matchedFrom || item.item}${item.matchScore ? ` → ${item.item}` : ' (not in catalog)'}`).join('\n');
+      if (!window.confirm(`${unconfirmed.length} work item(s) have not been confirmed against the catalog:\n${list}\n\nSubmit anyway?`)) {
+        return;
+      }
+    }
+
+    // High-severity sanity warnings have to be acknowledged before the job goes out
+    let submittedData = structuredData;
+    const blocking = blockingWarnings(checkSanity(structuredData));
+    if (blocking.length > 0) {
+      const list = blocking.map(warning => `- ${warning.message}`).join('\n');
+      if (!window.confirm(`${blocking.length} high-severity warning(s) need checking:\n${list}\n\nAcknowledge and submit?`)) {
+        return;
+      }
+      submittedData = {
+        ...structuredData,
+        acknowledgedWarnings: [...(structuredData.acknowledgedWarnings || []), ...blocking.map(warning => warning.id)]
+      };
+      setStructuredData(submittedData);
+    }
+
+    // Offline (or still waiting on queued scopes) the job goes out with the sync queue
+    if (isOffline() || !scopesGenerated) {
+      queueCurrentJob('submit', submittedData);
+      return;
+    }
+
+    submitJob(submittedData);
+  };
+
+  // Send the job; a WO# that already has a sheet opens the resubmit dialog with what would change
+  const submitJob = async (submittedData, replaceRevision = null) => {
     setIsProcessing(true);
 
     try {
-      // TODO: Implement actual submission to Google Sheets
-      // For now, just mark as submitted
-      const response = await fetch('/api/submit', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          structuredData,
-          englishScope,
-          spanishScope,
-          sketch: sketch || null,
-          photos: photos.map(p => ({
-            url: p.url,
-            name: p.name,
-            caption: p.caption || ''
-          }))
-        })
-      });
-      
-      const result = await response.json();
-
-      if (result.success) {
-        setSubmittedSheetUrl(result.sheetUrl || '');
-        setIsSubmitted(true);
-        setCurrentStep('submitted');
-      } else {
-        throw new Error(result.error || 'Submission failed');
+      const result = await requestSubmit({ structuredData: submittedData, englishScope, spanishScope, sketch, photos }, replaceRevision);
+      if (result.jobLogError) {
+        console.warn('Job submitted but the Job Log was not updated:', result.jobLogError);
       }
+      setStructuredData({ ...submittedData, revision: result.revision });
+      setSubmittedSheetUrl(result.sheetUrl || '');
+      setIsSubmitted(true);
+      setCurrentStep('submitted');
+      setPendingSync(null);
+      setResubmitConflict(null);
 
     } catch (error) {
+      if (isNetworkError(error)) {
+        queueCurrentJob('submit', submittedData);
+        return;
+      }
+      if (error.conflict) {
+        setResubmitConflict({ ...error.conflict, submittedData });
+        return;
+      }
+      if (error.invalidWorkOrder) {
+        alert(error.message);
+        return;
+      }
       console.error('Error submitting:', error);
       alert('Failed to submit. Please try again.');
     } finally {
@@ -206,26 +937,27 @@ export default function Home() {
     }
   };
 
+  const handleConfirmResubmit = () => {
+    submitJob(resubmitConflict.submittedData, resubmitConflict.revision);
+  };
+
   const handleReset = () => {
     setConversationHistory([]);
-    setStructuredData({
-      workOrderNumber: '',
-      unitNumber: '',
-      address: '',
-      unitSquareFeet: '',
-      unitLayout: '',
-      workItems: []
-    });
+    setStructuredData(createEmptyStructuredData());
     setEnglishScope('');
     setSpanishScope('');
     setIsComplete(false);
     setScopesGenerated(false);
     setIsSubmitted(false);
     setSubmittedSheetUrl('');
+    setPendingSync(null);
     setCurrentStep('input');
     setSketch(null);
     setPhotos([]);
+    setPhotoSuggestions([]);
     setActiveTab('data');
+    draftIdRef.current = null;
+    savedDraftKeyRef.current = null;
   };
 
   const loadMockData = () => {
@@ -250,6 +982,12 @@ export default function Home() {
       label: 'Data Table',
       badge: structuredData.workItems.length || null
     },
+    {
+      id: 'materials',
+      icon: '🛒',
+      label: 'Materials',
+      badge: buildMaterialsList(structuredData.workItems, structuredData.materialsSettings).length || null
+    },
     { 
       id: 'sketch', 
       icon: '✏️', 
@@ -288,11 +1026,36 @@ export default function Home() {
                 🧪 MOCK MODE - Using simulated data (APIs not connected)
               </div>
             )}
+            {!isOnline && (
+              <div className="offline-banner">
+                📴 Offline - the table editor, sketch and photos still work. Scopes and submissions are queued until you're back online.
+              </div>
+            )}
+            {isReopening && !isJobListOpen && (
+              <div className="reopen-banner">
+                ⏳ Loading the submitted job from its sheet...
+              </div>
+            )}
             {sessionError && (
               <div className="session-error-banner">
                 ⚠️ Your session has expired. Please sign out and sign back in to continue.
               </div>
             )}
+            {authenticated && (
+              <button onClick={handleOpenJobList} className="jobs-toggle" title="Switch between the jobs saved on this device">
+                📋 Jobs
+              </button>
+            )}
+            {authenticated && (
+              <a href="/jobs" className="dashboard-link" title="Search submitted jobs and reopen them">
+                📁 Submitted Jobs
+              </a>
+            )}
+            {authenticated && (
+              <a href="/catalog" className="catalog-link" title="Edit prices and catalog items">
+                💲 Pricing Catalog
+              </a>
+            )}
             <button 
               onClick={() => setEnableTTS(!enableTTS)}
               className="tts-toggle"
@@ -316,14 +1079,52 @@ export default function Home() {
           </div>
         )}
         
-        {!loading && authenticated && (
+        {!loading && authenticated && pendingDraft && !isJobListOpen && (
+          <div className="draft-banner">
+            <span>
+              📝 Unsubmitted assessment{pendingDraft.structuredData?.workOrderNumber ? ` for WO #${pendingDraft.structuredData.workOrderNumber}` : ''}
+              {' '}saved {new Date(pendingDraft.updatedAt).toLocaleString()}
+              {' '}({(pendingDraft.structuredData?.workItems || []).length} items, {(pendingDraft.photos || []).length} photos{pendingDraft.sketch ? ', sketch' : ''})
+            </span>
+            <div className="draft-actions">
+              <button onClick={handleResumeDraft} className="btn btn-success">Resume Draft</button>
+              <button onClick={handleDiscardSavedDraft} className="btn btn-secondary">Discard</button>
+            </div>
+          </div>
+        )}
+
+        {!loading && authenticated && isJobListOpen && (
+          <JobList
+            jobs={jobs}
+            currentKey={savedDraftKeyRef.current}
+            isLoading={isLoadingJobs}
+            onOpen={handleOpenJob}
+            onNewJob={handleNewJob}
+            onDuplicate={handleDuplicateJob}
+            onDelete={handleDeleteJob}
+            onExport={handleExportJob}
+            onImport={handleImportJob}
+            onReopen={handleReopenJob}
+            isReopening={isReopening}
+            onClose={() => setIsJobListOpen(false)}
+          />
+        )}
+
+        <ResubmitDialog
+          conflict={resubmitConflict}
+          isSubmitting={isProcessing}
+          onClose={() => setResubmitConflict(null)}
+          onConfirm={handleConfirmResubmit}
+        />
+
+        {!loading && authenticated && !isJobListOpen && (
         <div className="layout">
           {/* Left Column - Input & Conversation */}
           <div className="left-column">
             <InputSection 
               onSubmit={handleUserInput}
               isProcessing={isProcessing}
-              disabled={isComplete}
+              disabled={isComplete || !isOnline}
               language={inputLanguage}
               onLanguageChange={setInputLanguage}
             />
@@ -332,6 +1133,7 @@ export default function Home() {
               history={conversationHistory}
               enableTTS={enableTTS}
               ttsLanguage={inputLanguage}
+              warnings={sanityWarnings}
             />
             
             {/* Action Buttons */}
@@ -343,7 +1145,7 @@ export default function Home() {
               )}
               
               {/* Show Generate Scope button when we have work items but no scope yet */}
-              {structuredData.workItems.length > 0 && !scopesGenerated && !isSubmitted && (
+              {structuredData.workItems.length > 0 && !scopesGenerated && !isSubmitted && !pendingSync && (
                 <button 
                   onClick={handleGenerateScopes} 
                   className="btn btn-success"
@@ -354,7 +1156,7 @@ export default function Home() {
               )}
               
               {/* Show Submit button when scopes are generated */}
-              {scopesGenerated && !isSubmitted && (
+              {scopesGenerated && !isSubmitted && pendingSync?.action !== 'submit' && (
                 <div className="scope-actions">
                   <button 
                     onClick={handleGenerateScopes} 
@@ -373,11 +1175,38 @@ export default function Home() {
                 </div>
               )}
               
+              {pendingSync && (
+                <div className={`sync-status sync-${pendingSync.status}`}>
+                  <span>
+                    {describeSync(pendingSync)}
+                    {pendingSync.status === 'queued' && !isOnline && ' - sends when you\'re back online'}
+                  </span>
+                  {pendingSync.error && <span className="sync-error">{pendingSync.error}</span>}
+                  {pendingSync.status !== 'syncing' && (
+                    <div className="sync-actions">
+                      {pendingSync.action === 'scopes' && (
+                        <button onClick={handleSubmit} className="sync-btn">📤 Submit When Ready</button>
+                      )}
+                      {isOnline && (
+                        <button onClick={handleRetrySync} className="sync-btn">🔄 Retry Now</button>
+                      )}
+                      <button onClick={() => setPendingSync(null)} className="sync-btn">Cancel</button>
+                    </div>
+                  )}
+                </div>
+              )}
+
               {isSubmitted && (
                 <button onClick={handleReset} className="btn btn-secondary">
                   Start New Assessment
                 </button>
               )}
+
+              {!isSubmitted && (conversationHistory.length > 0 || structuredData.workItems.length > 0 || sketch || photos.length > 0) && (
+                <button onClick={handleDiscardCurrentDraft} className="btn btn-secondary" disabled={isProcessing}>
+                  🗑️ Discard Draft
+                </button>
+              )}
             </div>
           </div>
 
@@ -396,12 +1225,38 @@ export default function Home() {
                     data={structuredData} 
                     editable={!isSubmitted}
                     onEdit={() => setIsTableEditorOpen(true)}
+                    priceListNames={Object.keys(priceLists)}
+                    onPriceListChange={handlePriceListChange}
+                    catalogOutdated={catalogOutdated}
+                    onReprice={() => setIsRepriceOpen(true)}
+                    onConfirmMatch={handleConfirmMatch}
+                    onAdjustmentsChange={handleAdjustmentsChange}
+                    onLaborSettingsChange={handleLaborSettingsChange}
+                    warnings={sanityWarnings}
+                    onAcknowledgeWarning={handleAcknowledgeWarning}
+                    companions={itemRuleResults.missing}
+                    conflicts={itemRuleResults.conflicts}
+                    onAddCompanion={handleAddCompanion}
+                    onDismissCompanion={handleDismissCompanion}
+                    packages={packages}
+                    onApplyPackage={handleApplyPackage}
+                  />
+                  
+                  <RepriceDialog
+                    isOpen={isRepriceOpen}
+                    onClose={() => setIsRepriceOpen(false)}
+                    changes={isRepriceOpen ? diffWorkItemPrices(structuredData.workItems, currentJobCatalog) : []}
+                    fromVersion={structuredData.catalogVersion}
+                    toVersion={liveCatalogVersion}
+                    onApply={handleApplyReprice}
                   />
                   
                   <TableEditor
                     isOpen={isTableEditorOpen}
                     onClose={() => setIsTableEditorOpen(false)}
                     workItems={structuredData.workItems}
+                    catalog={jobCatalog}
+                    itemRules={itemRules}
                     onSave={handleSaveWorkItems}
                   />
                   
@@ -420,7 +1275,11 @@ export default function Home() {
                       <div className="success-icon">✅</div>
                       <div className="success-text">
                         <strong>Successfully submitted!</strong>
-                        <p>Sheet "{structuredData.workOrderNumber}" has been created.</p>
+                        <p>
+                          {structuredData.revision > 1
+                            ? `Sheet "${structuredData.workOrderNumber}" updated to revision ${structuredData.revision} - the previous revision is kept as an archive tab.`
+                            : `Sheet "${structuredData.workOrderNumber}" has been created.`}
+                        </p>
                         {submittedSheetUrl && (
                           <a 
                             href={submittedSheetUrl} 
@@ -437,18 +1296,50 @@ export default function Home() {
                 </>
               )}
               
-              {activeTab === 'sketch' && (
-                <SketchCanvas 
-                  sketch={sketch}
-                  onSketchChange={setSketch}
+              {activeTab === 'materials' && (
+                <MaterialsList
+                  workItems={structuredData.workItems}
+                  settings={structuredData.materialsSettings}
+                  onSettingsChange={handleMaterialsSettingsChange}
+                  editable={!isSubmitted}
+                  workOrderNumber={structuredData.workOrderNumber}
                 />
               )}
               
+              {activeTab === 'sketch' && (
+                <>
+                  <SketchCanvas 
+                    sketch={sketch}
+                    onSketchChange={setSketch}
+                  />
+                  
+                  <RoomList
+                    rooms={structuredData.rooms}
+                    onRoomsChange={handleRoomsChange}
+                    onDetectRooms={handleDetectRooms}
+                    isDetecting={isDetectingRooms}
+                    canDetect={!!sketch}
+                    editable={!isSubmitted}
+                  />
+                </>
+              )}
+              
               {activeTab === 'photos' && (
-                <PhotoGallery 
-                  photos={photos}
-                  onPhotosChange={setPhotos}
-                />
+                <>
+                  <PhotoGallery 
+                    photos={photos}
+                    onPhotosChange={setPhotos}
+                    onSuggestWorkItems={!isSubmitted ? handleSuggestWorkItems : null}
+                    isSuggesting={isSuggesting}
+                  />
+                  
+                  <PhotoSuggestions
+                    suggestions={photoSuggestions}
+                    photos={photos}
+                    onAccept={handleAcceptSuggestion}
+                    onDismiss={handleDismissSuggestion}
+                  />
+                </>
               )}
             </div>
           </div>
@@ -530,6 +1421,92 @@ export default function Home() {
           font-weight: 600;
         }
         
+        .draft-banner {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 12px;
+          flex-wrap: wrap;
+          margin-bottom: 16px;
+          padding: 12px 16px;
+          background: #e3f2fd;
+          border: 2px solid #2196F3;
+          border-radius: 6px;
+          color: #0d47a1;
+          font-weight: 600;
+        }
+
+        .draft-actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .draft-actions .btn {
+          padding: 8px 16px;
+          font-size: 14px;
+        }
+
+        .offline-banner {
+          padding: 12px 16px;
+          background: #fff3cd;
+          border: 2px solid #ffc107;
+          border-radius: 6px;
+          color: #856404;
+          font-weight: 600;
+        }
+
+        .reopen-banner {
+          padding: 12px 16px;
+          background: #e3f2fd;
+          border: 2px solid #2196F3;
+          border-radius: 6px;
+          color: #1565c0;
+          font-weight: 600;
+        }
+
+        .sync-status {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 8px;
+          padding: 12px 16px;
+          background: #e3f2fd;
+          border: 2px solid #2196F3;
+          border-radius: 6px;
+          color: #0d47a1;
+          font-weight: 600;
+          text-align: center;
+        }
+
+        .sync-failed {
+          background: #ffebee;
+          border-color: #f44336;
+          color: #c62828;
+        }
+
+        .sync-error {
+          font-size: 13px;
+          font-weight: normal;
+        }
+
+        .sync-actions {
+          display: flex;
+          gap: 8px;
+          flex-wrap: wrap;
+          justify-content: center;
+        }
+
+        .sync-btn {
+          padding: 6px 12px;
+          background: white;
+          border: 1px solid currentColor;
+          border-radius: 4px;
+          color: inherit;
+          font-size: 13px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
         .session-error-banner {
           padding: 12px 16px;
           background: #ffebee;
@@ -555,6 +1532,40 @@ export default function Home() {
           background: #e3f2fd;
         }
         
+        .catalog-link,
+        .dashboard-link {
+          padding: 8px 16px;
+          background: white;
+          border: 2px solid #6c757d;
+          border-radius: 6px;
+          color: #6c757d;
+          font-weight: 600;
+          font-size: 14px;
+          text-decoration: none;
+          transition: all 0.2s;
+        }
+        
+        .catalog-link:hover,
+        .dashboard-link:hover {
+          background: #f0f0f0;
+        }
+
+        .jobs-toggle {
+          padding: 8px 16px;
+          background: white;
+          border: 2px solid #6c757d;
+          border-radius: 6px;
+          color: #6c757d;
+          font-weight: 600;
+          font-size: 14px;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .jobs-toggle:hover {
+          background: #f0f0f0;
+        }
+        
         .layout {
           display: grid;
           grid-template-columns: 1fr 1fr;
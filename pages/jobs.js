@@ -0,0 +1,499 @@
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import Head from 'next/head';
+import Link from 'next/link';
+import LoginButton from '../components/LoginButton';
+
+/**
+ * Local calendar date (YYYY-MM-DD) of a Job Log timestamp, or '' if it can't be read
+ */
+function localDate(timestamp) {
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Sorted distinct non-blank values of a job field, for the filter dropdowns
+ */
+function distinctValues(jobs, field) {
+  return [...new Set(jobs.map(job => job[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+export default function JobsPage() {
+  const { data: session, status } = useSession();
+  const loading = status === 'loading';
+  const authenticated = !!session;
+
+  const [jobs, setJobs] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [search, setSearch] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [property, setProperty] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+
+  const loadJobs = async () => {
+    setIsLoading(true);
+    setLoadError('');
+    try {
+      const response = await fetch('/api/jobs');
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || result.error || 'Failed to load the job log');
+      }
+      // Newest submission first
+      setJobs([...result.jobs].sort((a, b) => String(b.submittedAt).localeCompare(String(a.submittedAt))));
+    } catch (error) {
+      console.error('Error loading jobs:', error);
+      setLoadError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (authenticated) {
+      loadJobs();
+    }
+  }, [authenticated]);
+
+  const query = search.trim().toLowerCase();
+  const filteredJobs = jobs.filter(job => {
+    if (query && ![job.sheetName, job.address, job.unitNumber].some(value => value.toLowerCase().includes(query))) {
+      return false;
+    }
+    if (property && job.address !== property) return false;
+    if (statusFilter && job.status !== statusFilter) return false;
+    if (fromDate || toDate) {
+      const date = localDate(job.submittedAt);
+      if (!date || (fromDate && date < fromDate) || (toDate && date > toDate)) return false;
+    }
+    return true;
+  });
+  const filteredTotal = filteredJobs.reduce((sum, job) => sum + job.grandTotal, 0);
+  const hasFilters = !!(search || fromDate || toDate || property || statusFilter);
+
+  const clearFilters = () => {
+    setSearch('');
+    setFromDate('');
+    setToDate('');
+    setProperty('');
+    setStatusFilter('');
+  };
+
+  return (
+    <div className="container">
+      <Head>
+        <title>Turnovers - Submitted Jobs</title>
+        <meta name="description" content="Submitted turnover jobs from the job log" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <main>
+        <header>
+          <div className="header-top">
+            <div>
+              <h1>📁 Submitted Jobs</h1>
+              <p className="subtitle">
+                <Link href="/">← Back to assessment</Link>
+              </p>
+            </div>
+            <LoginButton />
+          </div>
+        </header>
+
+        {loading && (
+          <div className="loading-screen">
+            <p>Loading...</p>
+          </div>
+        )}
+
+        {!loading && !authenticated && (
+          <div className="auth-required">
+            <h2>Sign in to see submitted jobs</h2>
+            <p>Jobs are read from the Job Log tab of the master spreadsheet with your Google account.</p>
+          </div>
+        )}
+
+        {!loading && authenticated && (
+          <>
+            <div className="toolbar">
+              <input
+                type="search"
+                className="search"
+                placeholder="Search WO#, address or unit"
+                value={search}
+                onChange={e => setSearch(e.target.value)}
+              />
+              <label>
+                From
+                <input type="date" value={fromDate} max={toDate || undefined} onChange={e => setFromDate(e.target.value)} />
+              </label>
+              <label>
+                To
+                <input type="date" value={toDate} min={fromDate || undefined} onChange={e => setToDate(e.target.value)} />
+              </label>
+              <select value={property} onChange={e => setProperty(e.target.value)}>
+                <option value="">All properties</option>
+                {distinctValues(jobs, 'address').map(address => (
+                  <option key={address} value={address}>{address}</option>
+                ))}
+              </select>
+              <select value={statusFilter} onChange={e => setStatusFilter(e.target.value)}>
+                <option value="">All statuses</option>
+                {distinctValues(jobs, 'status').map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+              {hasFilters && (
+                <button className="link-btn" onClick={clearFilters}>Clear</button>
+              )}
+              <button className="btn btn-secondary" onClick={loadJobs} disabled={isLoading}>
+                {isLoading ? 'Loading...' : '🔄 Refresh'}
+              </button>
+            </div>
+
+            {loadError && (
+              <div className="error-banner">
+                <strong>Could not load the job log:</strong> {loadError}
+              </div>
+            )}
+
+            {!isLoading && !loadError && (
+              <div className="summary">
+                {filteredJobs.length} of {jobs.length} jobs · ${filteredTotal.toFixed(2)}
+              </div>
+            )}
+
+            {isLoading && jobs.length === 0 ? (
+              <p className="empty">Loading the job log...</p>
+            ) : jobs.length === 0 ? (
+              !loadError && <p className="empty">No jobs have been submitted yet - each submission adds a row to the Job Log tab.</p>
+            ) : filteredJobs.length === 0 ? (
+              <p className="empty">No jobs match these filters.</p>
+            ) : (
+              <div className="table-wrapper">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>WO #</th>
+                      <th>Unit</th>
+                      <th>Address</th>
+                      <th>Layout</th>
+                      <th className="numeric">Items</th>
+                      <th className="numeric">Total</th>
+                      <th>Submitted</th>
+                      <th>Status</th>
+                      <th>Links</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filteredJobs.map(job => (
+                      <tr key={job.sheetName}>
+                        <td className="wo">
+                          {job.sheetName}
+                          {job.revision > 1 && <span className="revision">rev {job.revision}</span>}
+                        </td>
+                        <td>{job.unitNumber || '—'}</td>
+                        <td>{job.address || '—'}</td>
+                        <td>{job.unitLayout || '—'}</td>
+                        <td className="numeric">{job.itemCount}</td>
+                        <td className="numeric">${job.grandTotal.toFixed(2)}</td>
+                        <td className="submitted">
+                          {localDate(job.submittedAt) ? new Date(job.submittedAt).toLocaleString() : job.submittedAt}
+                          {job.submittedBy && <div className="submitted-by">{job.submittedBy}</div>}
+                        </td>
+                        <td>{job.status && <span className="status">{job.status}</span>}</td>
+                        <td className="links">
+                          {job.sheetUrl && <a href={job.sheetUrl} target="_blank" rel="noopener noreferrer">Sheet</a>}
+                          {job.pdfUrl && <a href={job.pdfUrl} target="_blank" rel="noopener noreferrer">PDF</a>}
+                          {job.photoFolderUrl && <a href={job.photoFolderUrl} target="_blank" rel="noopener noreferrer">Photos</a>}
+                        </td>
+                        <td>
+                          <Link href={`/?reopen=${encodeURIComponent(job.sheetName)}`} className="action-btn" title="Load this job into the assessment screen to amend it">
+                            Reopen
+                          </Link>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </main>
+
+      <style jsx>{`
+        .container {
+          min-height: 100vh;
+          background: #f5f5f5;
+        }
+
+        main {
+          max-width: 1400px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+
+        header {
+          margin-bottom: 24px;
+        }
+
+        .header-top {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 16px;
+        }
+
+        h1 {
+          margin: 0;
+          font-size: 36px;
+          color: #333;
+        }
+
+        .subtitle {
+          margin: 8px 0 0 0;
+          color: #666;
+          font-size: 16px;
+        }
+
+        .loading-screen,
+        .auth-required {
+          text-align: center;
+          padding: 60px 20px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+
+        .auth-required h2 {
+          margin-top: 0;
+          color: #333;
+        }
+
+        .auth-required p {
+          color: #666;
+          font-size: 16px;
+        }
+
+        .toolbar {
+          position: sticky;
+          top: 0;
+          z-index: 10;
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          flex-wrap: wrap;
+          background: white;
+          padding: 12px 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+          margin-bottom: 20px;
+        }
+
+        .search {
+          flex: 1;
+          min-width: 220px;
+        }
+
+        input,
+        select {
+          padding: 8px 10px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+          font-family: inherit;
+          background: white;
+        }
+
+        label {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 14px;
+          color: #555;
+        }
+
+        .link-btn {
+          background: none;
+          border: none;
+          color: #2196F3;
+          font-size: 14px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .btn {
+          padding: 10px 20px;
+          border: none;
+          border-radius: 6px;
+          font-size: 15px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .btn-secondary {
+          background: #6c757d;
+          color: white;
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: #5a6268;
+        }
+
+        .btn:disabled {
+          background: #cccccc;
+          cursor: not-allowed;
+        }
+
+        .error-banner {
+          padding: 12px 16px;
+          background: #ffebee;
+          border: 2px solid #f44336;
+          border-radius: 6px;
+          color: #c62828;
+          margin-bottom: 20px;
+        }
+
+        .summary {
+          margin-bottom: 12px;
+          color: #555;
+          font-weight: 600;
+        }
+
+        .empty {
+          color: #999;
+          font-style: italic;
+          padding: 20px;
+          text-align: center;
+          background: white;
+          border-radius: 8px;
+        }
+
+        .table-wrapper {
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+          overflow-x: auto;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        th {
+          background: #f5f5f5;
+          padding: 10px 8px;
+          text-align: left;
+          font-weight: 600;
+          color: #555;
+          border-bottom: 2px solid #ddd;
+          white-space: nowrap;
+        }
+
+        td {
+          padding: 8px;
+          border-bottom: 1px solid #eee;
+          vertical-align: middle;
+        }
+
+        .numeric {
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+          white-space: nowrap;
+        }
+
+        .wo {
+          font-weight: 600;
+          color: #333;
+          white-space: nowrap;
+        }
+
+        .revision {
+          margin-left: 6px;
+          font-size: 11px;
+          font-weight: 600;
+          color: #1565c0;
+        }
+
+        .submitted {
+          font-size: 12px;
+          color: #666;
+          white-space: nowrap;
+        }
+
+        .submitted-by {
+          color: #999;
+        }
+
+        .status {
+          display: inline-block;
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 12px;
+          font-weight: 600;
+          white-space: nowrap;
+          background: #e8f5e9;
+          color: #2e7d32;
+        }
+
+        .links {
+          white-space: nowrap;
+        }
+
+        .links a {
+          margin-right: 10px;
+          color: #2196F3;
+          font-weight: 600;
+          text-decoration: none;
+        }
+
+        .links a:hover {
+          text-decoration: underline;
+        }
+
+        :global(.action-btn) {
+          display: inline-block;
+          padding: 4px 10px;
+          background: white;
+          border: 1px solid #2196F3;
+          border-radius: 4px;
+          color: #2196F3;
+          font-size: 13px;
+          font-weight: 600;
+          text-decoration: none;
+          white-space: nowrap;
+        }
+
+        :global(.action-btn:hover) {
+          background: #e3f2fd;
+        }
+      `}</style>
+
+      <style jsx global>{`
+        * {
+          box-sizing: border-box;
+        }
+
+        html,
+        body {
+          padding: 0;
+          margin: 0;
+          font-family: -apple-system, BlinkMacSystemFont, Segoe UI, Roboto,
+            Oxygen, Ubuntu, Cantarell, Fira Sans, Droid Sans, Helvetica Neue,
+            sans-serif;
+        }
+      `}</style>
+    </div>
+  );
+}
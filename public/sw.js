@@ -0,0 +1,145 @@
+/**
+ * Service worker - keeps the app shell available offline
+ *
+ * - Pages: network first, falling back to the last cached copy (or the home page)
+ * - /_next/static build files and icons: cache first (file names change with each build)
+ * - /api/catalog: network first with a cached fallback, so the sheet's prices work offline
+ * - /api/auth/session: always from the network, because the session carries the
+ *   Google access token and must not sit in Cache Storage. Only the signed-in
+ *   user's name, email and picture are kept (in IndexedDB), and offline the page
+ *   gets a token-free session built from them so the inspector stays signed in.
+ *   A signed-out session clears that record and the cached catalog.
+ * - Every other /api route goes straight to the network; the page queues scopes
+ *   and submissions itself (see lib/syncQueue.js)
+ */
+
+const CACHE_VERSION = 'turnovers-v2';
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const STATIC_CACHE = `${CACHE_VERSION}-static`;
+const SHELL_URLS = ['/', '/manifest.json', '/icon.svg'];
+const SESSION_PATH = '/api/auth/session';
+const CATALOG_PATH = '/api/catalog';
+const CACHED_API_PATHS = [CATALOG_PATH];
+
+const STATE_DB_NAME = 'turnovers-sw';
+const STATE_STORE = 'state';
+const SIGNED_IN_KEY = 'signedIn';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !key.startsWith(CACHE_VERSION)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run one request against the service worker's key-value store
+ */
+function withStateStore(mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(STATE_DB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(STATE_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const transaction = db.transaction(STATE_STORE, mode);
+      const request = makeRequest(transaction.objectStore(STATE_STORE));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      transaction.onerror = transaction.onabort = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    };
+  });
+}
+
+async function clearCatalogCache() {
+  const cache = await caches.open(SHELL_CACHE);
+  const requests = await cache.keys();
+  await Promise.all(requests
+    .filter(request => new URL(request.url).pathname === CATALOG_PATH)
+    .map(request => cache.delete(request)));
+}
+
+async function sessionFromNetwork(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const session = await response.clone().json().catch(() => null);
+      if (session && session.user) {
+        const { name, email, image } = session.user;
+        await withStateStore('readwrite', store => store.put({ user: { name, email, image }, expires: session.expires }, SIGNED_IN_KEY));
+      } else if (session) {
+        await withStateStore('readwrite', store => store.delete(SIGNED_IN_KEY));
+        await clearCatalogCache();
+      }
+    }
+    return response;
+  } catch (error) {
+    const signedIn = await withStateStore('readonly', store => store.get(SIGNED_IN_KEY)).catch(() => null);
+    const session = signedIn && (!signedIn.expires || new Date(signedIn.expires) > new Date()) ? signedIn : {};
+    return new Response(JSON.stringify(session), { headers: { 'Content-Type': 'application/json' } });
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(STATIC_CACHE);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (url.pathname.startsWith('/_next/static/') || url.pathname === '/icon.svg' || url.pathname === '/manifest.json') {
+    event.respondWith(cacheFirst(request));
+  } else if (url.pathname === SESSION_PATH) {
+    event.respondWith(sessionFromNetwork(request));
+  } else if (CACHED_API_PATHS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith('/api/')) {
+    return;
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/'));
+  }
+});
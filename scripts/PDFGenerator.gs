@@ -2,9 +2,9 @@
  * PDF Generator for Turnover Sheets
  * 
  * Features:
- * - Print area: Columns A:I, letter size, portrait, normal margins
+ * - Print area: Columns A:J, letter size, portrait, normal margins
  * - Photos are already embedded in the sheet (added during submission)
- * - Smart page breaks after TOTAL row (with fallbacks)
+ * - Smart page breaks after TOTAL row, or GRAND TOTAL when the job has adjustments (with fallbacks)
  * - Saves PDF to "PDFs" folder with same naming as sheet
  * 
  * Setup:
@@ -67,7 +67,8 @@ function generatePDF() {
 }
 
 /**
- * Find the row containing "TOTAL:" in column G
+ * Find the row containing "GRAND TOTAL:" (jobs with markup, tax, discounts...)
+ * or otherwise "TOTAL:" in column G
  */
 function findTotalRow(sheet) {
   const lastRow = sheet.getLastRow();
@@ -77,18 +78,22 @@ function findTotalRow(sheet) {
   
   // Search column G for "TOTAL"
   const data = sheet.getRange(1, 7, lastRow, 1).getValues(); // Column G
+  let totalRow = null;
   
   for (let i = 0; i < data.length; i++) {
-    const cellValue = data[i][0];
-    if (cellValue && cellValue.toString().toUpperCase().includes('TOTAL')) {
+    const cellValue = data[i][0] ? data[i][0].toString().toUpperCase() : '';
+    if (cellValue.includes('GRAND TOTAL')) {
       return {
         row: i + 1, // Convert to 1-based
         found: true
       };
     }
+    if (totalRow === null && cellValue.includes('TOTAL')) {
+      totalRow = i + 1;
+    }
   }
   
-  return { row: null, found: false };
+  return totalRow !== null ? { row: totalRow, found: true } : { row: null, found: false };
 }
 
 /**
@@ -126,13 +131,13 @@ function exportToPDF(ss, sheet) {
   
   // Find the last row with content
   const lastRow = sheet.getLastRow();
-  Logger.log('Exporting rows 1 to ' + lastRow + ', columns A to I');
+  Logger.log('Exporting rows 1 to ' + lastRow + ', columns A to J');
   
   // Build the export URL
   // Letter size: 8.5" x 11"
   // Portrait orientation
   // Normal margins (0.75" all around)
-  // Fit columns A-I to width
+  // Fit columns A-J to width
   const exportUrl = 
     'https://docs.google.com/spreadsheets/d/' + ssId + '/export?' +
     'format=pdf' +
@@ -154,7 +159,7 @@ function exportToPDF(ss, sheet) {
     '&r1=0' +                               // Start row (0-indexed)
     '&c1=0' +                               // Start column = A
     '&r2=' + lastRow +                      // End row
-    '&c2=8';                                // End column = I (0-indexed = 8)
+    '&c2=9';                                // End column = J (0-indexed = 9)
   
   Logger.log('Fetching PDF from Google...');
   